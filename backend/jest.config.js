@@ -14,7 +14,7 @@ const config = {
   // The glob patterns Jest uses to detect test files
   testMatch: ["**/__tests__/**/*.[jt]s?(x)", "**/?(*.)+(spec|test).[tj]s?(x)"],
   // An array of regexp pattern strings that are matched against all test paths, matched tests are skipped
-  testPathIgnorePatterns: ["/node_modules/", "labor\\.test\\.js"],
+  testPathIgnorePatterns: ["/node_modules/"],
   // Ensure Jest waits for async operations to complete before exiting
   forceExit: true,
   // Fix for handle leaks
@@ -9,6 +9,7 @@ dotenv.config({ path: path.resolve(__dirname, "../.env") });
 // Import Mongoose models
 const Ingredient = require("../src/models/Ingredient");
 const Recipe = require("../src/models/Recipe");
+const { findOrCreateLegacyStandard } = require("../src/services/laborService");
 const connectDB = require("../src/config/db"); // Import DB connection function
 const { logger } = require("../src/utils/logger"); // Import logger
 
@@ -45,6 +46,15 @@ const ingredientNameVariations = {
 };
 // << --- End Ingredient Map ---
 
+// --- Sub-recipe Name Mapping --- >>
+// Recipe lines (lowercase) that are made in-house. When a recipe with the mapped
+// pie name exists (e.g. created in the app with its own ingredients and a yield
+// weight), the line references it as a sub-recipe instead of a bought ingredient.
+const subRecipeNameMapping = {
+  deeg: "Master Puff",
+};
+// << --- End Sub-recipe Map ---
+
 // --- Helper Functions ---
 
 // Function to safely parse numbers from Excel cells
@@ -339,7 +349,6 @@ const migrateData = async () => {
         batchSize: 0,
         ingredients: [],
         laborInputs: [],
-        laborHourlyRate: 0,
         markupPercentage: 0,
       };
 
@@ -462,6 +471,26 @@ const migrateData = async () => {
         // Process if we have a specific ingredient name and a valid quantity
         if (specificIngredientName && quantity > 0) {
           const lowerCaseSpecificName = specificIngredientName.toLowerCase();
+          const subRecipeName = subRecipeNameMapping[lowerCaseSpecificName];
+          const subRecipe = subRecipeName
+            ? await Recipe.findOne({
+                pieName: subRecipeName,
+                variant: "Standard",
+              }).select("_id yieldWeight")
+            : null;
+          if (subRecipe && subRecipe.yieldWeight > 0) {
+            currentPieData.ingredients.push({
+              itemType: "recipe",
+              subRecipe: subRecipe._id,
+              quantity: quantity,
+              unit: "kg",
+            });
+            logger.debug(
+              `   +++ Added Sub-recipe: ${specificIngredientName} (${subRecipeName}) - Qty: ${quantity} kg`
+            );
+            ingredientRow++;
+            continue;
+          }
           // Apply variations based on the SPECIFIC name found in the column
           const mappedName =
             ingredientNameVariations[lowerCaseSpecificName] ||
@@ -578,9 +607,10 @@ const migrateData = async () => {
         currentPieData = null;
         continue;
       }
-      currentPieData.laborHourlyRate = hourlyRate;
+      // Pies paid the same wage share one labor standard
+      const laborStandard = await findOrCreateLegacyStandard(hourlyRate);
       logger.info(
-        `   Using labor rate: ${hourlyRate} for ${currentPieData.basePieName}.`
+        `   Using labor standard "${laborStandard.name}" for ${currentPieData.basePieName}.`
       );
 
       // --- Create/Update Recipe Document ---
@@ -590,8 +620,10 @@ const migrateData = async () => {
           variant: currentPieData.variant,
           batchSize: currentPieData.batchSize,
           ingredients: currentPieData.ingredients,
-          laborInputs: currentPieData.laborInputs,
-          laborHourlyRate: currentPieData.laborHourlyRate,
+          laborInputs: currentPieData.laborInputs.map((input) => ({
+            ...input,
+            laborStandard: laborStandard._id,
+          })),
           markupPercentage: currentPieData.markupPercentage,
         };
         const recipe = new Recipe(recipeData);
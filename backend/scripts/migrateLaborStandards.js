@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const path = require("path");
+const dotenv = require("dotenv");
+
+// Load environment variables (especially MONGODB_URI)
+dotenv.config({ path: path.resolve(__dirname, "../.env") });
+
+const connectDB = require("../src/config/db"); // Import DB connection function
+const { logger } = require("../src/utils/logger"); // Import logger
+require("../src/models/Recipe"); // Registers the Recipe model used by the migration
+const { migrateLegacyLabor } = require("../src/services/laborService");
+
+// Pass --dry-run to report what would change without changing anything
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// --- Main Migration Logic ---
+
+// Moves old per-pie labor entries and recipe labor rates onto labor standards
+const migrateLaborStandards = async () => {
+  logger.info(
+    `Starting labor standard migration${DRY_RUN ? " (dry run, nothing is saved)" : ""}...`
+  );
+  let migrationError = null; // Flag to track errors
+
+  try {
+    // 1. Connect to Database
+    await connectDB();
+    logger.info("Database connected successfully.");
+
+    // 2. Convert the labor entries and move the recipes onto standards
+    const result = await migrateLegacyLabor({ dryRun: DRY_RUN });
+    logger.info(
+      `Per-pie labor entries converted to standards: ${result.standardsConverted} ` +
+        `(${result.standardsRenamed} renamed as a standard had the pie's name). ` +
+        `Recipes moved onto labor standards: ${result.recipesMigrated}.`
+    );
+
+    logger.info("Labor standard migration completed successfully!");
+  } catch (error) {
+    logger.error("Labor standard migration failed:", error);
+    migrationError = error; // Store the error if one occurs
+    if (error.stack) {
+      logger.error(error.stack);
+    }
+  } finally {
+    // 3. Disconnect from Database
+    logger.info("Disconnecting from database...");
+    try {
+      await mongoose.disconnect();
+      logger.info("Database disconnected.");
+    } catch (disconnectError) {
+      logger.error(
+        `Error disconnecting from database: ${disconnectError.message}`
+      );
+      if (!migrationError) {
+        migrationError = disconnectError;
+      }
+    }
+    // Use the tracked error flag to set the exit code
+    if (migrationError) {
+      logger.error("Migration process finished with errors.");
+      process.exit(1);
+    } else {
+      logger.info("Migration process finished successfully.");
+      process.exit(0);
+    }
+  }
+};
+
+// Run the migration
+migrateLaborStandards();
@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+const path = require("path");
+const dotenv = require("dotenv");
+
+// Load environment variables (especially MONGODB_URI)
+dotenv.config({ path: path.resolve(__dirname, "../.env") });
+
+const connectDB = require("../src/config/db"); // Import DB connection function
+const { logger } = require("../src/utils/logger"); // Import logger
+const { migrateSupplierStrings } = require("../src/services/supplierService");
+
+// --- Configuration ---
+// Supplier spellings (lowercase) that case, spacing and branch matching do not
+// catch, mapped to the name they belong to
+const SUPPLIER_NAME_ALIASES = {
+  // "mkro": "makro",
+};
+
+// Pass --dry-run to report the merge plan without changing anything
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// --- Main Migration Logic ---
+
+// Links every ingredient that still has a free-text supplier name to a Supplier record
+const migrateSuppliers = async () => {
+  logger.info(
+    `Starting supplier migration${DRY_RUN ? " (dry run, nothing is saved)" : ""}...`
+  );
+  let migrationError = null; // Flag to track errors
+
+  try {
+    // 1. Connect to Database
+    await connectDB();
+    logger.info("Database connected successfully.");
+
+    // 2. Merge the supplier names and link the ingredients
+    const result = await migrateSupplierStrings({
+      aliases: SUPPLIER_NAME_ALIASES,
+      dryRun: DRY_RUN,
+    });
+
+    for (const group of result.groups) {
+      logger.info(
+        `Supplier "${group.name}" <- ${group.variants
+          .map((variant) => `"${variant}"`)
+          .join(", ")} (${group.ingredientCount} ingredient(s))`
+      );
+    }
+    logger.info(
+      `Suppliers created: ${result.suppliersCreated}, matched to existing: ${result.suppliersMatched}. ` +
+        `Ingredients linked: ${result.ingredientsLinked}, blank names cleared: ${result.ingredientsCleared}.`
+    );
+
+    logger.info("Supplier migration completed successfully!");
+  } catch (error) {
+    logger.error("Supplier migration failed:", error);
+    migrationError = error; // Store the error if one occurs
+    if (error.stack) {
+      logger.error(error.stack);
+    }
+  } finally {
+    // 3. Disconnect from Database
+    logger.info("Disconnecting from database...");
+    try {
+      await mongoose.disconnect();
+      logger.info("Database disconnected.");
+    } catch (disconnectError) {
+      logger.error(
+        `Error disconnecting from database: ${disconnectError.message}`
+      );
+      if (!migrationError) {
+        migrationError = disconnectError;
+      }
+    }
+    // Use the tracked error flag to set the exit code
+    if (migrationError) {
+      logger.error("Migration process finished with errors.");
+      process.exit(1);
+    } else {
+      logger.info("Migration process finished successfully.");
+      process.exit(0);
+    }
+  }
+};
+
+// Run the migration
+migrateSuppliers();
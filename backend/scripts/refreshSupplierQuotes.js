@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const path = require("path");
+const dotenv = require("dotenv");
+
+// Load environment variables (especially MONGODB_URI)
+dotenv.config({ path: path.resolve(__dirname, "../.env") });
+
+const connectDB = require("../src/config/db"); // Import DB connection function
+const { logger } = require("../src/utils/logger"); // Import logger
+const { refreshQuotedCosts } = require("../src/services/supplierQuoteService");
+
+// --- Main Logic ---
+
+// Re-selects every ingredient's supplier quote so that costs move to the next
+// preferred or cheapest quote once a quote expires. Run daily (e.g. from cron).
+const refreshSupplierQuotes = async () => {
+  logger.info("Starting supplier quote refresh...");
+  let refreshError = null; // Flag to track errors
+
+  try {
+    // 1. Connect to Database
+    await connectDB();
+    logger.info("Database connected successfully.");
+
+    // 2. Re-select quotes and recalculate the affected recipes
+    const result = await refreshQuotedCosts();
+
+    for (const change of result.changed) {
+      logger.info(
+        `"${change.ingredientName}": R${change.previousCostPerUnit} -> R${change.costPerUnit} per unit`
+      );
+    }
+    logger.info(
+      `Ingredients checked: ${result.checkedCount}, costs changed: ${result.changed.length}. ` +
+        `Recipes recalculated: ${result.recipeImpact.recalculatedCount}, failed: ${result.recipeImpact.failed.length}.`
+    );
+  } catch (error) {
+    logger.error("Supplier quote refresh failed:", error);
+    refreshError = error; // Store the error if one occurs
+    if (error.stack) {
+      logger.error(error.stack);
+    }
+  } finally {
+    // 3. Disconnect from Database
+    try {
+      await mongoose.disconnect();
+      logger.info("Database disconnected.");
+    } catch (disconnectError) {
+      logger.error(
+        `Error disconnecting from database: ${disconnectError.message}`
+      );
+      if (!refreshError) {
+        refreshError = disconnectError;
+      }
+    }
+    process.exit(refreshError ? 1 : 0);
+  }
+};
+
+// Run the refresh
+refreshSupplierQuotes();
@@ -1,13 +1,155 @@
 const Ingredient = require("../models/Ingredient");
+const Supplier = require("../models/Supplier");
+const SupplierQuote = require("../models/SupplierQuote");
+const StockMovement = require("../models/StockMovement");
 const asyncHandler = require("../middleware/asyncHandler");
 const ErrorResponse = require("../utils/errorResponse");
 const { logger } = require("../utils/logger"); // Import logger for detailed logging
+const {
+  recordPriceChange,
+  getPriceHistory,
+} = require("../services/priceHistoryService");
+const {
+  recalculateRecipesForIngredients,
+} = require("../services/recipeRecalculationService");
+const {
+  findRecipesUsingIngredients,
+  listIngredientUsage,
+  formatRecipeNames,
+} = require("../services/ingredientUsageService");
+const { findOrCreateSupplier } = require("../services/supplierService");
+const { applySelectedQuote } = require("../services/supplierQuoteService");
+const { derivePackCostPerUnit } = require("../services/unitConversionService");
+const { toIngredientUnit } = require("../services/inventoryService");
+const {
+  normalizeAllergens,
+  parseAllergenList,
+  compareAllergens,
+} = require("../services/allergenService");
+
+// Fields that change what an ingredient costs in a recipe
+const COSTING_FIELDS = [
+  "costPerUnit",
+  "unit",
+  "density",
+  "eachWeight",
+  "yieldPercentage",
+];
+
+// Fields that change what a supplier pack costs per ingredient unit
+const QUOTE_CONVERSION_FIELDS = ["unit", "density", "eachWeight"];
+
+// Checks whether any of the fields differs between two versions of an ingredient
+const costingFieldsChanged = (before, after, fields = COSTING_FIELDS) =>
+  fields.some((field) => (before[field] ?? null) !== (after[field] ?? null));
+
+// How an ingredient is bought; with a pack size and price, costPerUnit is derived
+const PACK_FIELDS = ["packSize", "packUnit", "packPrice"];
+
+/**
+ * Keeps costPerUnit consistent with the pack price. With a pack size and pack price
+ * (given or already stored), costPerUnit is derived from them and any cost sent is
+ * ignored; a cost sent without pack fields is a price entered by hand and clears the
+ * stored pack. Changing the price by hand also ends pricing from a supplier quote.
+ * @param {Object} changes - The fields being set.
+ * @param {Object} [current] - The stored ingredient (plain object) when updating.
+ * @returns {Object} The changes with costPerUnit (and pack fields) filled in.
+ * @throws {ErrorResponse} If only one of pack size and pack price is set, or the pack unit does not convert.
+ */
+const applyPackPricing = (changes, current = {}) => {
+  const priced = { ...changes };
+  const packGiven = PACK_FIELDS.some((field) => changes[field] !== undefined);
+
+  if (!packGiven && changes.costPerUnit !== undefined) {
+    if (current.packSize != null || current.packPrice != null) {
+      Object.assign(priced, {
+        packSize: null,
+        packUnit: null,
+        packPrice: null,
+      });
+    }
+  } else {
+    const merged = { ...current, ...changes };
+    const hasSize = merged.packSize != null;
+    if (hasSize !== (merged.packPrice != null)) {
+      throw new ErrorResponse(
+        "Pack size and pack price must be given together",
+        400
+      );
+    }
+    if (hasSize) {
+      priced.packUnit = merged.packUnit || merged.unit;
+      priced.costPerUnit = derivePackCostPerUnit(
+        { ...merged, packUnit: priced.packUnit },
+        merged
+      );
+    }
+  }
+
+  const priceChanged = ["costPerUnit", ...PACK_FIELDS].some(
+    (field) =>
+      priced[field] !== undefined &&
+      (priced[field] ?? null) !== (current[field] ?? null)
+  );
+  if (current.pricedFromQuote && priceChanged) priced.pricedFromQuote = null;
+  return priced;
+};
+
+/**
+ * Stock and reorder level are held in the ingredient's unit, so they follow a
+ * unit change. A reorder level being set in the same change is kept as given.
+ * @param {Object} updateData - The fields being set; converted figures are added to it.
+ * @param {Object} previous - The stored ingredient (plain object).
+ * @throws {ErrorResponse} If the old unit does not convert to the new one.
+ */
+const convertStockToNewUnit = (updateData, previous) => {
+  if (!updateData.unit || updateData.unit === previous.unit) return;
+  const converted = { ...previous, ...updateData };
+  if (previous.stockOnHand) {
+    updateData.stockOnHand = toIngredientUnit(
+      previous.stockOnHand,
+      previous.unit,
+      converted
+    );
+  }
+  if (previous.reorderLevel != null && updateData.reorderLevel === undefined) {
+    updateData.reorderLevel = toIngredientUnit(
+      previous.reorderLevel,
+      previous.unit,
+      converted
+    );
+  }
+};
 
-// @desc    Get all ingredients
+// Marks ingredients archived (hidden from lists) or active again
+const archiveUpdate = (userId) => ({
+  isArchived: true,
+  archivedAt: new Date(),
+  archivedBy: userId,
+});
+const RESTORE_UPDATE = {
+  isArchived: false,
+  $unset: { archivedAt: 1, archivedBy: 1 },
+};
+
+// Returns an error if a supplier ID given for an ingredient does not exist
+const checkSupplierExists = async (supplierId) => {
+  if (!supplierId || (await Supplier.exists({ _id: supplierId }))) return null;
+  return new ErrorResponse(`Supplier not found with id of ${supplierId}`, 400);
+};
+
+// @desc    Get all ingredients (archived ones only with ?includeArchived=true),
+//          optionally only those of one supplier (?supplier=<id>, or "none" for unassigned)
 // @route   GET /api/v1/ingredients
 // @access  Private (requires login)
 exports.getAllIngredients = asyncHandler(async (req, res, next) => {
-  const ingredients = await Ingredient.find()
+  const filter =
+    req.query.includeArchived === "true" ? {} : { isArchived: { $ne: true } };
+  if (req.query.supplier) {
+    filter.supplier = req.query.supplier === "none" ? null : req.query.supplier;
+  }
+  const ingredients = await Ingredient.find(filter)
+    .populate("supplier", "name")
     .populate("createdBy", "username")
     .populate("updatedBy", "username"); // Populate updatedBy
   res
@@ -20,6 +162,7 @@ exports.getAllIngredients = asyncHandler(async (req, res, next) => {
 // @access  Private (requires login)
 exports.getIngredientById = asyncHandler(async (req, res, next) => {
   const ingredient = await Ingredient.findById(req.params.id)
+    .populate("supplier", "name")
     .populate("createdBy", "username")
     .populate("updatedBy", "username"); // Populate updatedBy
 
@@ -38,13 +181,27 @@ exports.getIngredientById = asyncHandler(async (req, res, next) => {
 exports.createIngredient = asyncHandler(async (req, res, next) => {
   // Add user to req.body for createdBy field
   req.body.createdBy = req.user.id;
+  const { effectiveDate, ...ingredientData } = req.body;
+
+  const supplierMissing = await checkSupplierExists(ingredientData.supplier);
+  if (supplierMissing) return next(supplierMissing);
+
+  if (ingredientData.allergens) {
+    ingredientData.allergens = normalizeAllergens(ingredientData.allergens);
+  }
+  const ingredient = await Ingredient.create(applyPackPricing(ingredientData));
 
-  const ingredient = await Ingredient.create(req.body);
+  // Start the price history with the initial price
+  await recordPriceChange(ingredient, {
+    source: "manual",
+    userId: req.user.id,
+    effectiveDate,
+  });
 
   // Repopulate createdBy after creation to send back username
-  const populatedIngredient = await Ingredient.findById(
-    ingredient._id
-  ).populate("createdBy", "username");
+  const populatedIngredient = await Ingredient.findById(ingredient._id)
+    .populate("supplier", "name")
+    .populate("createdBy", "username");
 
   res.status(201).json({ success: true, data: populatedIngredient });
 });
@@ -63,23 +220,71 @@ exports.updateIngredient = asyncHandler(async (req, res, next) => {
 
   // Add the user performing the update to the request body
   req.body.updatedBy = req.user.id;
+  // effectiveDate only applies to the price record, not the ingredient itself
+  const { effectiveDate, ...changes } = req.body;
+  const previous = ingredient.toObject();
+  const updateData = applyPackPricing(changes, previous);
+
+  convertStockToNewUnit(updateData, previous);
+
+  const supplierMissing = await checkSupplierExists(updateData.supplier);
+  if (supplierMissing) return next(supplierMissing);
+
+  // The allergen declaration is replaced as a whole
+  if (updateData.allergens) {
+    updateData.allergens = normalizeAllergens(updateData.allergens);
+  }
 
   // Find and update, then populate both createdBy and updatedBy
-  ingredient = await Ingredient.findByIdAndUpdate(req.params.id, req.body, {
+  ingredient = await Ingredient.findByIdAndUpdate(req.params.id, updateData, {
     new: true,
     runValidators: true,
   })
+    .populate("supplier", "name")
     .populate("createdBy", "username")
     .populate("updatedBy", "username");
 
-  res.status(200).json({ success: true, data: ingredient });
+  await recordPriceChange(ingredient, {
+    previousCostPerUnit: previous.costPerUnit,
+    previousUnit: previous.unit,
+    source: "manual",
+    userId: req.user.id,
+    effectiveDate,
+  });
+
+  // Quote costs are per ingredient unit, so re-derive them (and the cost they set)
+  if (costingFieldsChanged(previous, ingredient, QUOTE_CONVERSION_FIELDS)) {
+    const quoted = await applySelectedQuote(ingredient, {
+      userId: req.user.id,
+    });
+    if (quoted.costChanged) {
+      ingredient = await Ingredient.findById(ingredient._id)
+        .populate("supplier", "name")
+        .populate("createdBy", "username")
+        .populate("updatedBy", "username");
+    }
+  }
+
+  // Bring the stored costs and allergens of every recipe using this ingredient up to date
+  let recipeImpact;
+  if (
+    costingFieldsChanged(previous, ingredient) ||
+    compareAllergens(previous.allergens, ingredient.allergens)
+  ) {
+    recipeImpact = await recalculateRecipesForIngredients([ingredient._id], {
+      trigger: "ingredient_update",
+      userId: req.user.id,
+    });
+  }
+
+  res.status(200).json({ success: true, data: ingredient, recipeImpact });
 });
 
-// @desc    Delete ingredient
+// @desc    Archive ingredient, or delete it permanently with ?permanent=true
 // @route   DELETE /api/v1/ingredients/:id
-// @access  Private/Admin
+// @access  Private/Admin or Manager
 exports.deleteIngredient = asyncHandler(async (req, res, next) => {
-  const ingredient = await Ingredient.findById(req.params.id);
+  let ingredient = await Ingredient.findById(req.params.id);
 
   if (!ingredient) {
     return next(
@@ -87,23 +292,108 @@ exports.deleteIngredient = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // TODO: Consider implications - should we prevent deletion if ingredient is used in recipes?
-  // Add this check if necessary.
-  /*
-    const recipesUsingIngredient = await Recipe.countDocuments({ 'ingredients.ingredient': req.params.id });
-    if (recipesUsingIngredient > 0) {
-      return next(
-        new ErrorResponse(
-          `Cannot delete ingredient as it is used in ${recipesUsingIngredient} recipe(s)`,
-          400
-        )
-      );
-    }
-    */
+  // Archiving keeps the ingredient (and the recipes using it) intact
+  if (req.query.permanent !== "true") {
+    ingredient = await Ingredient.findByIdAndUpdate(
+      ingredient._id,
+      archiveUpdate(req.user.id),
+      { new: true }
+    );
+    return res.status(200).json({ success: true, data: ingredient });
+  }
+
+  // Active recipes must stop using the ingredient before it can be removed
+  const usage = await findRecipesUsingIngredients([ingredient._id]);
+  const recipes = usage.get(ingredient._id.toString()) || [];
+  if (recipes.length > 0) {
+    return next(
+      new ErrorResponse(
+        `Cannot permanently delete ingredient "${ingredient.ingredientName}": it is used in active recipes: ${formatRecipeNames(recipes)}`,
+        409
+      )
+    );
+  }
+
+  // The stock ledger explains past production and stock counts, so it is never deleted
+  if (await StockMovement.exists({ ingredient: ingredient._id })) {
+    return next(
+      new ErrorResponse(
+        `Cannot permanently delete ingredient "${ingredient.ingredientName}": it has stock movements. Archive it instead`,
+        409
+      )
+    );
+  }
 
+  // The price history is kept as the record of what the ingredient cost
   await ingredient.deleteOne();
+  await SupplierQuote.deleteMany({ ingredient: ingredient._id });
+
+  // Archived recipes still referencing the ingredient are reported as failed recalculations
+  const recipeImpact = await recalculateRecipesForIngredients(
+    [ingredient._id],
+    { trigger: "ingredient_delete", userId: req.user.id }
+  );
 
-  res.status(200).json({ success: true, data: {} }); // Or 204 No Content
+  res.status(200).json({ success: true, data: {}, recipeImpact }); // Or 204 No Content
+});
+
+// @desc    Restore an archived ingredient
+// @route   POST /api/v1/ingredients/:id/restore
+// @access  Private/Admin or Manager
+exports.restoreIngredient = asyncHandler(async (req, res, next) => {
+  const ingredient = await Ingredient.findByIdAndUpdate(
+    req.params.id,
+    RESTORE_UPDATE,
+    { new: true }
+  );
+
+  if (!ingredient) {
+    return next(
+      new ErrorResponse(`Ingredient not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({ success: true, data: ingredient });
+});
+
+// @desc    Get price history for an ingredient
+// @route   GET /api/v1/ingredients/:id/prices
+// @access  Private (requires login)
+exports.getIngredientPrices = asyncHandler(async (req, res, next) => {
+  const ingredient = await Ingredient.findById(req.params.id);
+
+  if (!ingredient) {
+    return next(
+      new ErrorResponse(`Ingredient not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const prices = await getPriceHistory(ingredient._id, {
+    from: req.query.from ? new Date(req.query.from) : undefined,
+    to: req.query.to ? new Date(req.query.to) : undefined,
+  });
+
+  res.status(200).json({ success: true, count: prices.length, data: prices });
+});
+
+// @desc    Get the recipes using an ingredient (directly or through sub-recipes),
+//          with quantities and cost shares (?includeArchived=true adds archived recipes)
+// @route   GET /api/v1/ingredients/:id/usage
+// @access  Private (requires login)
+exports.getIngredientUsage = asyncHandler(async (req, res, next) => {
+  const ingredient = await Ingredient.findById(req.params.id);
+
+  if (!ingredient) {
+    return next(
+      new ErrorResponse(`Ingredient not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const usage = await listIngredientUsage(ingredient, {
+    includeArchived: req.query.includeArchived === "true",
+  });
+
+  res.status(200).json({ success: true, count: usage.length, data: usage });
 });
 
 // @desc    Import ingredients from JSON data (parsed from Excel)
@@ -121,8 +411,10 @@ exports.importIngredients = asyncHandler(async (req, res, next) => {
 
   let createdCount = 0;
   let updatedCount = 0;
+  let suppliersCreated = 0; // Suppliers first seen in this import
   const errors = [];
   const results = [];
+  const changedIngredientIds = []; // Existing ingredients whose costing or allergens changed
 
   logger.info(
     `Starting ingredient import for ${ingredientsData.length} records by user ${req.user.email}`
@@ -141,23 +433,48 @@ exports.importIngredients = asyncHandler(async (req, res, next) => {
 
     const unit = record["Unit"]?.trim();
     const costString = record["Cost per Unit (R)"];
-    const supplier = record["Supplier"]?.trim() || undefined; // Use undefined if empty
+    // Optional pack pricing; when given, the cost per unit is derived from it
+    const packSize = parseFloat(record["Pack Size"]);
+    const packUnit = record["Pack Unit"]?.trim() || undefined;
+    const packPrice = parseFloat(record["Pack Price (R)"]);
+    const hasPack = !isNaN(packSize) || !isNaN(packPrice);
+    const supplierName = record["Supplier"]?.trim(); // Matched to a supplier by name or alias
     const category = record["Category"]?.trim() || undefined; // Use undefined if empty
+    // Optional conversion properties (only applied when a positive number is given)
+    const density = parseFloat(record["Density (kg/L)"]);
+    const eachWeight = parseFloat(record["Weight per Unit (kg)"]);
+    // Optional usable yield after trimming (applied when between 1 and 100)
+    const yieldPercentage = parseFloat(record["Yield (%)"]);
+    // Optional allergen lists (e.g. "Gluten, Egg"); replace the stored ones when either column is present
+    const hasAllergens = "Contains" in record || "May Contain" in record;
 
     // Validation (Now that we know ingredientName exists)
-    if (!unit || typeof costString === "undefined") {
+    if (!unit || (typeof costString === "undefined" && !hasPack)) {
       logger.warn(
         `Skipping record '${ingredientName}' due to missing required fields: Unit='${unit}', Cost='${costString}'`
       );
       errors.push(
-        `Skipped record: Missing required fields (Unit, Cost per Unit) for '${ingredientName}'.`
+        `Skipped record: Missing required fields (Unit, and Cost per Unit or Pack Size and Pack Price) for '${ingredientName}'.`
       );
       continue;
     }
 
-    // Parse costPerUnit carefully
+    if (
+      hasPack &&
+      (isNaN(packSize) || packSize <= 0 || isNaN(packPrice) || packPrice < 0)
+    ) {
+      logger.warn(
+        `Skipping record due to invalid pack: Name='${ingredientName}', Pack Size='${record["Pack Size"]}', Pack Price='${record["Pack Price (R)"]}'`
+      );
+      errors.push(
+        `Skipped record: Pack Size and Pack Price must both be valid numbers for '${ingredientName}'.`
+      );
+      continue;
+    }
+
+    // Parse costPerUnit carefully (not needed when it comes from the pack)
     const costPerUnit = parseFloat(costString);
-    if (isNaN(costPerUnit) || costPerUnit < 0) {
+    if (!hasPack && (isNaN(costPerUnit) || costPerUnit < 0)) {
       logger.warn(
         `Skipping record due to invalid cost: Name='${ingredientName}', Cost='${costString}'`
       );
@@ -168,17 +485,70 @@ exports.importIngredients = asyncHandler(async (req, res, next) => {
     }
 
     try {
-      const updateData = {
+      const changes = {
         unit,
-        costPerUnit,
-        supplier,
         category,
         updatedBy: userId, // Set who last updated/created this record via import
       };
+      if (hasPack) {
+        Object.assign(changes, {
+          packSize,
+          packUnit: packUnit || null,
+          packPrice,
+        });
+      } else {
+        changes.costPerUnit = costPerUnit;
+      }
+      if (density > 0) changes.density = density;
+      if (eachWeight > 0) changes.eachWeight = eachWeight;
+      if (yieldPercentage >= 1 && yieldPercentage <= 100)
+        changes.yieldPercentage = yieldPercentage;
+      if (hasAllergens) {
+        const contains = parseAllergenList(record["Contains"]);
+        const mayContain = parseAllergenList(record["May Contain"]);
+        const unknown = [...contains.unknown, ...mayContain.unknown];
+        if (unknown.length > 0) {
+          errors.push(
+            `Unknown allergen(s) ignored for '${ingredientName}': ${unknown.join(", ")}.`
+          );
+        }
+        changes.allergens = normalizeAllergens({
+          contains: contains.keys,
+          mayContain: mayContain.keys,
+        });
+      }
+      if (supplierName) {
+        const { supplier, created } = await findOrCreateSupplier(
+          supplierName,
+          userId
+        );
+        changes.supplier = supplier._id;
+        if (created) suppliersCreated++;
+      }
+
+      const nameFilter = {
+        ingredientName: { $regex: `^${ingredientName}$`, $options: "i" }, // Case-insensitive match
+      };
+      // Look up the current price first so the change can be recorded
+      const existing = await Ingredient.findOne(nameFilter).select(
+        [
+          ...COSTING_FIELDS,
+          ...PACK_FIELDS,
+          "pricedFromQuote",
+          "allergens",
+          "stockOnHand",
+          "reorderLevel",
+        ].join(" ")
+      );
+      const updateData = applyPackPricing(
+        changes,
+        existing ? existing.toObject() : {}
+      );
+      if (existing) convertStockToNewUnit(updateData, existing.toObject());
 
       // Upsert based on ingredientName (case-insensitive search for robustness)
       const result = await Ingredient.findOneAndUpdate(
-        { ingredientName: { $regex: `^${ingredientName}$`, $options: "i" } }, // Case-insensitive match
+        nameFilter,
         {
           $set: updateData,
           $setOnInsert: {
@@ -195,16 +565,23 @@ exports.importIngredients = asyncHandler(async (req, res, next) => {
         }
       );
 
-      // Check if the document was newly created or updated
-      // Mongoose doesn't directly tell you if it was an upsert creation vs update easily in this flow.
-      // We can infer based on whether createdBy was set in this operation.
+      await recordPriceChange(result, {
+        previousCostPerUnit: existing?.costPerUnit,
+        previousUnit: existing?.unit,
+        source: "import",
+        userId,
+      });
+
+      // Quote costs are per ingredient unit, so re-derive them (and the cost they set)
       if (
-        result.createdBy &&
-        result.createdBy.toString() === userId &&
-        (!result.updatedAt ||
-          result.createdAt.getTime() === result.updatedAt.getTime())
+        existing &&
+        costingFieldsChanged(existing, result, QUOTE_CONVERSION_FIELDS)
       ) {
-        // Heuristic: If createdBy matches current user and timestamps are identical, likely created now.
+        await applySelectedQuote(result, { userId });
+      }
+
+      // The document was newly created if it did not exist before the upsert
+      if (!existing) {
         createdCount++;
         results.push(`Created: ${result.ingredientName}`);
         logger.debug(
@@ -212,6 +589,12 @@ exports.importIngredients = asyncHandler(async (req, res, next) => {
         );
       } else {
         updatedCount++;
+        if (
+          costingFieldsChanged(existing, result) ||
+          compareAllergens(existing.allergens, result.allergens)
+        ) {
+          changedIngredientIds.push(result._id);
+        }
         results.push(`Updated: ${result.ingredientName}`);
         logger.debug(
           `Import - Updated: ${result.ingredientName} (ID: ${result._id})`
@@ -230,21 +613,29 @@ exports.importIngredients = asyncHandler(async (req, res, next) => {
     `Ingredient import finished. Created: ${createdCount}, Updated: ${updatedCount}, Errors: ${errors.length}`
   );
 
+  // Recalculate all recipes affected by the imported price (and allergen) changes in one pass
+  const recipeImpact = await recalculateRecipesForIngredients(
+    changedIngredientIds,
+    { trigger: "ingredient_import", userId }
+  );
+
   res.status(200).json({
     success: true,
-    message: `Import finished. Created: ${createdCount}, Updated: ${updatedCount}.`,
+    message: `Import finished. Created: ${createdCount}, Updated: ${updatedCount}. New suppliers: ${suppliersCreated}. Recipes recalculated: ${recipeImpact.recalculatedCount}.`,
     createdCount,
     updatedCount,
+    suppliersCreated,
+    recipeImpact, // Which recipes moved and by how much
     errors, // Send back any errors encountered
     // results, // Optionally send detailed results (might be large)
   });
 });
 
-// @desc    Delete multiple ingredients by ID
+// @desc    Archive multiple ingredients by ID, or delete them permanently with { permanent: true }
 // @route   DELETE /api/v1/ingredients/bulk-delete
 // @access  Private/Admin or Manager
 exports.bulkDeleteIngredients = asyncHandler(async (req, res, next) => {
-  const { ids } = req.body;
+  const { ids, permanent } = req.body;
 
   if (!Array.isArray(ids) || ids.length === 0) {
     return next(
@@ -252,36 +643,65 @@ exports.bulkDeleteIngredients = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Optional: Add more validation for IDs if necessary (e.g., check if they are valid ObjectIds)
-
-  // TODO: Consider implications - should we prevent deletion if any ingredient is used in recipes?
-  // This check is more complex for bulk operations. One strategy:
-  // 1. Find all recipes that use *any* of the ingredients in the `ids` array.
-  // 2. If any are found, return an error listing the ingredients that cannot be deleted.
-  // Example check (needs Recipe model imported):
-  /*
-  const Recipe = require('../models/Recipe');
-  const usedIngredients = await Recipe.find({ 'ingredients.ingredient': { $in: ids } }).distinct('ingredients.ingredient');
-  const usedIngredientIds = usedIngredients.map(id => id.toString());
-  const deletableIds = ids.filter(id => !usedIngredientIds.includes(id));
-  const nonDeletableIds = ids.filter(id => usedIngredientIds.includes(id));
-
-  if (nonDeletableIds.length > 0) {
-      // Fetch names for better error message
-      const nonDeletableIngredients = await Ingredient.find({ _id: { $in: nonDeletableIds } }).select('ingredientName');
-      const names = nonDeletableIngredients.map(ing => ing.ingredientName).join(', ');
-      errors.push(`Cannot delete ingredients currently used in recipes: ${names}.`);
-      // Decide whether to proceed deleting the others or stop entirely
-      if (deletableIds.length === 0) {
-          return next(new ErrorResponse(`Cannot delete ingredients currently used in recipes: ${names}`, 400));
-      }
-      // Modify `ids` to only include `deletableIds` if proceeding partially
-      // ids = deletableIds; 
+  if (permanent !== true) {
+    const result = await Ingredient.updateMany(
+      { _id: { $in: ids }, isArchived: { $ne: true } },
+      archiveUpdate(req.user.id)
+    );
+    logger.info(
+      `Bulk archive: ${result.modifiedCount} ingredient(s) archived by ${
+        req.user.email
+      }. IDs: [${ids.join(", ")}]`
+    );
+    return res
+      .status(200)
+      .json({ success: true, archivedCount: result.modifiedCount });
+  }
+
+  // Nothing is deleted while any of the ingredients is used by an active recipe
+  const usage = await findRecipesUsingIngredients(ids);
+  if (usage.size > 0) {
+    const usedIngredients = await Ingredient.find({
+      _id: { $in: [...usage.keys()] },
+    }).select("ingredientName");
+    const details = usedIngredients
+      .map(
+        (ingredient) =>
+          `${ingredient.ingredientName} (${formatRecipeNames(
+            usage.get(ingredient._id.toString())
+          )})`
+      )
+      .join("; ");
+    return next(
+      new ErrorResponse(
+        `Cannot permanently delete ingredients used in active recipes: ${details}`,
+        409
+      )
+    );
+  }
+
+  // Nor while any of them has stock movements (the ledger is never deleted)
+  const movedIds = await StockMovement.distinct("ingredient", {
+    ingredient: { $in: ids },
+  });
+  if (movedIds.length > 0) {
+    const movedIngredients = await Ingredient.find({
+      _id: { $in: movedIds },
+    }).select("ingredientName");
+    return next(
+      new ErrorResponse(
+        `Cannot permanently delete ingredients with stock movements: ${movedIngredients
+          .map((ingredient) => ingredient.ingredientName)
+          .join(", ")}. Archive them instead`,
+        409
+      )
+    );
   }
-  */
 
   try {
+    // The price history is kept as the record of what the ingredients cost
     const result = await Ingredient.deleteMany({ _id: { $in: ids } });
+    await SupplierQuote.deleteMany({ ingredient: { $in: ids } });
 
     if (result.deletedCount === 0) {
       // This could happen if the IDs were invalid or already deleted
@@ -300,12 +720,21 @@ exports.bulkDeleteIngredients = asyncHandler(async (req, res, next) => {
         });
     }
 
+    const recipeImpact = await recalculateRecipesForIngredients(ids, {
+      trigger: "ingredient_delete",
+      userId: req.user.id,
+    });
+
     logger.info(
       `Bulk delete successful: ${
         result.deletedCount
       } ingredient(s) deleted by ${req.user.email}. IDs: [${ids.join(", ")}]`
     );
-    res.status(200).json({ success: true, deletedCount: result.deletedCount });
+    res.status(200).json({
+      success: true,
+      deletedCount: result.deletedCount,
+      recipeImpact,
+    });
   } catch (error) {
     logger.error(
       `Bulk delete error for IDs [${ids.join(", ")}]: ${error.message}`,
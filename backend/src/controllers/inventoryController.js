@@ -0,0 +1,88 @@
+const Ingredient = require("../models/Ingredient");
+const Supplier = require("../models/Supplier");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  isLowStock,
+  receiveStock,
+  recordStockCount,
+  getStockMovements,
+} = require("../services/inventoryService");
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// @desc    Get stock on hand of every active ingredient, with its value and a low-stock flag
+// @route   GET /api/v1/inventory
+// @access  Private
+exports.getStockLevels = asyncHandler(async (req, res, next) => {
+  const ingredients = await Ingredient.find({ isArchived: { $ne: true } })
+    .select("ingredientName unit category costPerUnit stockOnHand reorderLevel")
+    .sort({ ingredientName: 1 })
+    .lean();
+
+  let data = ingredients.map((ingredient) => ({
+    ...ingredient,
+    stockOnHand: ingredient.stockOnHand || 0,
+    stockValue: roundCurrency(
+      (ingredient.stockOnHand || 0) * ingredient.costPerUnit
+    ),
+    isLowStock: isLowStock(ingredient),
+  }));
+  if (req.query.lowStock === "true") {
+    data = data.filter((ingredient) => ingredient.isLowStock);
+  }
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    totalStockValue: roundCurrency(
+      data.reduce((sum, ingredient) => sum + ingredient.stockValue, 0)
+    ),
+    data,
+  });
+});
+
+// @desc    Get the stock movement ledger, newest first
+// @route   GET /api/v1/inventory/movements
+// @access  Private
+exports.getStockMovements = asyncHandler(async (req, res, next) => {
+  const { ingredient, type, from, to, limit } = req.query;
+  const movements = await getStockMovements({
+    ingredient,
+    type,
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+    limit: limit ? parseInt(limit, 10) : undefined,
+  });
+
+  res
+    .status(200)
+    .json({ success: true, count: movements.length, data: movements });
+});
+
+// @desc    Book goods received from a supplier into stock
+// @route   POST /api/v1/inventory/receipts
+// @access  Private/Admin or Manager
+exports.receiveStock = asyncHandler(async (req, res, next) => {
+  const { supplier } = req.body;
+  if (supplier && !(await Supplier.exists({ _id: supplier }))) {
+    return next(
+      new ErrorResponse(`Supplier not found with id of ${supplier}`, 400)
+    );
+  }
+
+  const movements = await receiveStock(req.body, { userId: req.user.id });
+
+  res
+    .status(201)
+    .json({ success: true, count: movements.length, data: movements });
+});
+
+// @desc    Record a stock count, setting stock to the counted quantities and booking the variances
+// @route   POST /api/v1/inventory/counts
+// @access  Private/Admin or Manager
+exports.recordStockCount = asyncHandler(async (req, res, next) => {
+  const result = await recordStockCount(req.body, { userId: req.user.id });
+
+  res.status(201).json({ success: true, data: result });
+});
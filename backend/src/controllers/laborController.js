@@ -1,24 +1,22 @@
 const Labor = require("../models/Labor");
+const Recipe = require("../models/Recipe");
 const asyncHandler = require("../middleware/asyncHandler");
 const ErrorResponse = require("../utils/errorResponse");
+const {
+  recalculateDependentRecipes,
+} = require("../services/recipeRecalculationService");
 
-// Helper function to calculate labor cost per pie
-const calculateCostPerPie = (costPerHour, minutesPerPie) => {
-  if (costPerHour < 0 || minutesPerPie < 0) return 0;
-  return costPerHour * (minutesPerPie / 60);
-};
-
-// @desc    Get all labor data
+// @desc    Get all labor standards
 // @route   GET /api/v1/labor
 // @access  Private
 exports.getAllLabor = asyncHandler(async (req, res, next) => {
-  const laborData = await Labor.find();
+  const laborData = await Labor.find().sort({ name: 1 });
   res
     .status(200)
     .json({ success: true, count: laborData.length, data: laborData });
 });
 
-// @desc    Get single labor data entry by ID
+// @desc    Get single labor standard by ID
 // @route   GET /api/v1/labor/:id
 // @access  Private
 exports.getLaborById = asyncHandler(async (req, res, next) => {
@@ -26,94 +24,99 @@ exports.getLaborById = asyncHandler(async (req, res, next) => {
 
   if (!labor) {
     return next(
-      new ErrorResponse(`Labor data not found with id of ${req.params.id}`, 404)
+      new ErrorResponse(
+        `Labor standard not found with id of ${req.params.id}`,
+        404
+      )
     );
   }
 
   res.status(200).json({ success: true, data: labor });
 });
 
-// @desc    Create new labor data entry
+// @desc    Create new labor standard
 // @route   POST /api/v1/labor
-// @access  Private/Admin
+// @access  Private/Admin/Manager
 exports.createLabor = asyncHandler(async (req, res, next) => {
-  const { pieName, costPerHour, minutesPerPie } = req.body;
-
-  // Calculate laborCostPerPie before creating
-  const laborCostPerPie = calculateCostPerPie(costPerHour, minutesPerPie);
+  const { name, hourlyRate, description } = req.body;
 
   const labor = await Labor.create({
-    pieName,
-    costPerHour,
-    minutesPerPie,
-    laborCostPerPie,
+    name,
+    hourlyRate,
+    description,
+    createdBy: req.user.id,
+    updatedBy: req.user.id,
   });
 
   res.status(201).json({ success: true, data: labor });
 });
 
-// @desc    Update labor data entry
+// @desc    Update labor standard
 // @route   PUT /api/v1/labor/:id
-// @access  Private/Admin
+// @access  Private/Admin/Manager
 exports.updateLabor = asyncHandler(async (req, res, next) => {
   let labor = await Labor.findById(req.params.id);
 
   if (!labor) {
     return next(
-      new ErrorResponse(`Labor data not found with id of ${req.params.id}`, 404)
+      new ErrorResponse(
+        `Labor standard not found with id of ${req.params.id}`,
+        404
+      )
     );
   }
 
-  // Recalculate laborCostPerPie if relevant fields are updated
-  const updatedData = { ...req.body };
-  const costPerHour = updatedData.costPerHour ?? labor.costPerHour; // Use existing if not provided
-  const minutesPerPie = updatedData.minutesPerPie ?? labor.minutesPerPie; // Use existing if not provided
-
-  if (
-    typeof updatedData.costPerHour !== "undefined" ||
-    typeof updatedData.minutesPerPie !== "undefined"
-  ) {
-    updatedData.laborCostPerPie = calculateCostPerPie(
-      costPerHour,
-      minutesPerPie
+  const previousRate = labor.hourlyRate;
+
+  labor = await Labor.findByIdAndUpdate(
+    req.params.id,
+    { ...req.body, updatedBy: req.user.id },
+    { new: true, runValidators: true }
+  );
+
+  // A wage change re-costs every recipe using this standard
+  let recipeImpact;
+  if (labor.hourlyRate !== previousRate) {
+    recipeImpact = await recalculateDependentRecipes(
+      { laborStandardIds: [labor._id] },
+      { trigger: "labor_update", userId: req.user.id }
     );
   }
 
-  labor = await Labor.findByIdAndUpdate(req.params.id, updatedData, {
-    new: true,
-    runValidators: true,
-  });
-
-  res.status(200).json({ success: true, data: labor });
+  res.status(200).json({ success: true, data: labor, recipeImpact });
 });
 
-// @desc    Delete labor data entry
+// @desc    Delete labor standard
 // @route   DELETE /api/v1/labor/:id
-// @access  Private/Admin
+// @access  Private/Admin/Manager
 exports.deleteLabor = asyncHandler(async (req, res, next) => {
   const labor = await Labor.findById(req.params.id);
 
   if (!labor) {
     return next(
-      new ErrorResponse(`Labor data not found with id of ${req.params.id}`, 404)
+      new ErrorResponse(
+        `Labor standard not found with id of ${req.params.id}`,
+        404
+      )
     );
   }
 
-  // TODO: Consider implications - prevent deletion if labor data is used in recipes?
-  // Add check similar to ingredients if needed.
-  /*
-    const recipesUsingLabor = await Recipe.countDocuments({ labor: req.params.id });
-    if (recipesUsingLabor > 0) {
-      return next(
-        new ErrorResponse(
-          `Cannot delete labor data as it is used in ${recipesUsingLabor} recipe(s)`,
-          400
-        )
-      );
-    }
-  */
+  const recipesUsingLabor = await Recipe.find({
+    "laborInputs.laborStandard": labor._id,
+  }).select("pieName variant");
+  if (recipesUsingLabor.length > 0) {
+    const names = recipesUsingLabor
+      .map((recipe) => `${recipe.pieName} (${recipe.variant})`)
+      .join(", ");
+    return next(
+      new ErrorResponse(
+        `Cannot delete labor standard "${labor.name}": it is used in ${names}`,
+        409
+      )
+    );
+  }
 
   await labor.deleteOne();
 
-  res.status(200).json({ success: true, data: {} }); // Or 204 No Content
+  res.status(200).json({ success: true, data: {} });
 });
@@ -0,0 +1,165 @@
+const Overhead = require("../models/Overhead");
+const Recipe = require("../models/Recipe");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  recalculateDependentRecipes,
+} = require("../services/recipeRecalculationService");
+
+// Fields that change what an overhead costs
+const COSTING_FIELDS = ["type", "cost"];
+
+// Recalculates the recipes affected by a change to an overhead. Fixed overheads
+// are shared by every recipe; packaging/utility overheads only by the recipes using them.
+const recalculateForOverhead = (overhead, wasFixed, userId) =>
+  recalculateDependentRecipes(
+    overhead.type === "fixed" || wasFixed
+      ? { allRecipes: true }
+      : { overheadIds: [overhead._id] },
+    { trigger: "overhead_update", userId }
+  );
+
+// @desc    Get all overheads
+// @route   GET /api/v1/overheads
+// @access  Private
+exports.getOverheads = asyncHandler(async (req, res, next) => {
+  const filter = {};
+  if (req.query.type) filter.type = req.query.type;
+
+  const overheads = await Overhead.find(filter).sort({ type: 1, name: 1 });
+
+  res
+    .status(200)
+    .json({ success: true, count: overheads.length, data: overheads });
+});
+
+// @desc    Get single overhead by ID
+// @route   GET /api/v1/overheads/:id
+// @access  Private
+exports.getOverheadById = asyncHandler(async (req, res, next) => {
+  const overhead = await Overhead.findById(req.params.id);
+
+  if (!overhead) {
+    return next(
+      new ErrorResponse(`Overhead not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({ success: true, data: overhead });
+});
+
+// @desc    Create new overhead
+// @route   POST /api/v1/overheads
+// @access  Private/Admin/Manager
+exports.createOverhead = asyncHandler(async (req, res, next) => {
+  const { name, type, cost, notes } = req.body;
+
+  const overhead = await Overhead.create({
+    name,
+    type,
+    cost,
+    notes,
+    createdBy: req.user.id,
+    updatedBy: req.user.id,
+  });
+
+  // A new fixed overhead adds to every recipe's share; new packaging and
+  // utility overheads are not used by any recipe yet
+  let recipeImpact;
+  if (overhead.type === "fixed") {
+    recipeImpact = await recalculateForOverhead(overhead, false, req.user.id);
+  }
+
+  res.status(201).json({ success: true, data: overhead, recipeImpact });
+});
+
+// @desc    Update overhead
+// @route   PUT /api/v1/overheads/:id
+// @access  Private/Admin/Manager
+exports.updateOverhead = asyncHandler(async (req, res, next) => {
+  let overhead = await Overhead.findById(req.params.id);
+
+  if (!overhead) {
+    return next(
+      new ErrorResponse(`Overhead not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const previous = overhead.toObject();
+
+  // A recipe's packaging/utility lines must keep pointing at overheads of that type
+  if (req.body.type && req.body.type !== previous.type) {
+    const inUse = await Recipe.exists({
+      $or: [
+        { "packaging.overhead": overhead._id },
+        { "utilityInputs.overhead": overhead._id },
+      ],
+    });
+    if (inUse) {
+      return next(
+        new ErrorResponse(
+          `Cannot change the type of overhead "${overhead.name}" while recipes use it`,
+          409
+        )
+      );
+    }
+  }
+
+  overhead = await Overhead.findByIdAndUpdate(
+    req.params.id,
+    { ...req.body, updatedBy: req.user.id },
+    { new: true, runValidators: true }
+  );
+
+  let recipeImpact;
+  if (COSTING_FIELDS.some((field) => previous[field] !== overhead[field])) {
+    recipeImpact = await recalculateForOverhead(
+      overhead,
+      previous.type === "fixed",
+      req.user.id
+    );
+  }
+
+  res.status(200).json({ success: true, data: overhead, recipeImpact });
+});
+
+// @desc    Delete overhead
+// @route   DELETE /api/v1/overheads/:id
+// @access  Private/Admin/Manager
+exports.deleteOverhead = asyncHandler(async (req, res, next) => {
+  const overhead = await Overhead.findById(req.params.id);
+
+  if (!overhead) {
+    return next(
+      new ErrorResponse(`Overhead not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const recipesUsingOverhead = await Recipe.find({
+    $or: [
+      { "packaging.overhead": overhead._id },
+      { "utilityInputs.overhead": overhead._id },
+    ],
+  }).select("pieName variant");
+  if (recipesUsingOverhead.length > 0) {
+    const names = recipesUsingOverhead
+      .map((recipe) => `${recipe.pieName} (${recipe.variant})`)
+      .join(", ");
+    return next(
+      new ErrorResponse(
+        `Cannot delete overhead "${overhead.name}": it is used in ${names}`,
+        409
+      )
+    );
+  }
+
+  await overhead.deleteOne();
+
+  // Removing a fixed overhead lowers every recipe's share
+  let recipeImpact;
+  if (overhead.type === "fixed") {
+    recipeImpact = await recalculateForOverhead(overhead, true, req.user.id);
+  }
+
+  res.status(200).json({ success: true, data: {}, recipeImpact });
+});
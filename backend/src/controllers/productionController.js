@@ -0,0 +1,133 @@
+const ProductionRun = require("../models/ProductionRun");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  recordProductionRun,
+  deleteProductionRun,
+  getUsageReport,
+  recordRunLabor,
+  getLaborTimeReport,
+} = require("../services/productionService");
+
+// Builds a producedAt filter from the optional from/to query dates
+const producedAtFilter = ({ from, to }) => {
+  if (!from && !to) return {};
+  const producedAt = {};
+  if (from) producedAt.$gte = new Date(from);
+  if (to) producedAt.$lte = new Date(to);
+  return { producedAt };
+};
+
+// @desc    Get production runs, newest first (optionally for one recipe and/or a date range)
+// @route   GET /api/v1/production-runs
+// @access  Private
+exports.getProductionRuns = asyncHandler(async (req, res, next) => {
+  const filter = producedAtFilter(req.query);
+  if (req.query.recipe) filter.recipe = req.query.recipe;
+
+  const runs = await ProductionRun.find(filter)
+    .select("-ingredients")
+    .sort({ producedAt: -1, createdAt: -1 })
+    .populate("createdBy", "username");
+
+  res.status(200).json({ success: true, count: runs.length, data: runs });
+});
+
+// @desc    Get a production run with the ingredients it used
+// @route   GET /api/v1/production-runs/:id
+// @access  Private
+exports.getProductionRun = asyncHandler(async (req, res, next) => {
+  const run = await ProductionRun.findById(req.params.id).populate(
+    "createdBy",
+    "username"
+  );
+
+  if (!run) {
+    return next(
+      new ErrorResponse(
+        `Production run not found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  res.status(200).json({ success: true, data: run });
+});
+
+// @desc    Record a production run, taking its ingredients out of stock
+// @route   POST /api/v1/production-runs
+// @access  Private/Admin or Manager
+exports.createProductionRun = asyncHandler(async (req, res, next) => {
+  const run = await recordProductionRun(req.body, { userId: req.user.id });
+
+  res.status(201).json({ success: true, data: run });
+});
+
+// @desc    Record the labor time actually worked on a production run
+// @route   PUT /api/v1/production-runs/:id/labor
+// @access  Private/Admin or Manager
+exports.updateProductionRunLabor = asyncHandler(async (req, res, next) => {
+  const run = await ProductionRun.findById(req.params.id);
+
+  if (!run) {
+    return next(
+      new ErrorResponse(
+        `Production run not found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  const { laborStartedAt, laborEndedAt, headcount } = req.body;
+  await recordRunLabor(run, { laborStartedAt, laborEndedAt, headcount });
+
+  res.status(200).json({ success: true, data: run });
+});
+
+// @desc    Delete a production run recorded by mistake, giving its ingredients back to stock
+// @route   DELETE /api/v1/production-runs/:id
+// @access  Private/Admin or Manager
+exports.deleteProductionRun = asyncHandler(async (req, res, next) => {
+  const run = await ProductionRun.findById(req.params.id);
+
+  if (!run) {
+    return next(
+      new ErrorResponse(
+        `Production run not found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  await deleteProductionRun(run, { userId: req.user.id });
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Compare theoretical ingredient usage of production runs with actual usage from stock counts
+// @route   GET /api/v1/production-runs/usage-report
+// @access  Private
+exports.getUsageReport = asyncHandler(async (req, res, next) => {
+  const { from, to } = req.query;
+  const report = await getUsageReport({
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+  });
+
+  res.status(200).json({ success: true, data: report });
+});
+
+// @desc    Compare labor time actually worked on production runs with the standard used for costing
+// @route   GET /api/v1/production-runs/labor-report
+// @access  Private
+exports.getLaborTimeReport = asyncHandler(async (req, res, next) => {
+  const { from, to, tolerance } = req.query;
+  const report = await getLaborTimeReport({
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+    tolerancePercentage:
+      tolerance !== undefined ? Number(tolerance) : undefined,
+  });
+
+  res.status(200).json({ success: true, data: report });
+});
@@ -0,0 +1,118 @@
+const PublicHoliday = require("../models/PublicHoliday");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  startOfDay,
+  toDateKey,
+  loadSouthAfricanPublicHolidays,
+} = require("../services/laborRateService");
+
+// Returns an error if another holiday is already on this day
+const checkDateAvailable = async (date, holidayId) => {
+  const existing = await PublicHoliday.findOne({ date: startOfDay(date) });
+  if (existing && !existing._id.equals(holidayId)) {
+    return new ErrorResponse(
+      `${toDateKey(date)} is already in the calendar as "${existing.name}"`,
+      409
+    );
+  }
+  return null;
+};
+
+// @desc    Get the public holiday calendar by date (optionally for one year)
+// @route   GET /api/v1/public-holidays
+// @access  Private
+exports.getPublicHolidays = asyncHandler(async (req, res, next) => {
+  const filter = {};
+  if (req.query.year) {
+    const year = parseInt(req.query.year, 10);
+    filter.date = {
+      $gte: new Date(Date.UTC(year, 0, 1)),
+      $lt: new Date(Date.UTC(year + 1, 0, 1)),
+    };
+  }
+
+  const holidays = await PublicHoliday.find(filter).sort({ date: 1 });
+
+  res
+    .status(200)
+    .json({ success: true, count: holidays.length, data: holidays });
+});
+
+// @desc    Add a public holiday to the calendar
+// @route   POST /api/v1/public-holidays
+// @access  Private/Admin/Manager
+exports.createPublicHoliday = asyncHandler(async (req, res, next) => {
+  const { date, name } = req.body;
+
+  const dateTaken = await checkDateAvailable(date);
+  if (dateTaken) return next(dateTaken);
+
+  const holiday = await PublicHoliday.create({
+    date: startOfDay(date),
+    name,
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json({ success: true, data: holiday });
+});
+
+// @desc    Load the South African public holidays of a year into the calendar
+// @route   POST /api/v1/public-holidays/load-year
+// @access  Private/Admin/Manager
+exports.loadPublicHolidayYear = asyncHandler(async (req, res, next) => {
+  const { added, skipped } = await loadSouthAfricanPublicHolidays(
+    parseInt(req.body.year, 10),
+    { userId: req.user.id }
+  );
+
+  res
+    .status(201)
+    .json({ success: true, count: added.length, skipped, data: added });
+});
+
+// @desc    Update a public holiday
+// @route   PUT /api/v1/public-holidays/:id
+// @access  Private/Admin/Manager
+exports.updatePublicHoliday = asyncHandler(async (req, res, next) => {
+  const holiday = await PublicHoliday.findById(req.params.id);
+
+  if (!holiday) {
+    return next(
+      new ErrorResponse(
+        `Public holiday not found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  if (req.body.date !== undefined) {
+    const dateTaken = await checkDateAvailable(req.body.date, holiday._id);
+    if (dateTaken) return next(dateTaken);
+    holiday.date = startOfDay(req.body.date);
+  }
+  if (req.body.name !== undefined) holiday.name = req.body.name;
+  await holiday.save();
+
+  res.status(200).json({ success: true, data: holiday });
+});
+
+// @desc    Remove a public holiday from the calendar
+// @route   DELETE /api/v1/public-holidays/:id
+// @access  Private/Admin/Manager
+exports.deletePublicHoliday = asyncHandler(async (req, res, next) => {
+  const holiday = await PublicHoliday.findById(req.params.id);
+
+  if (!holiday) {
+    return next(
+      new ErrorResponse(
+        `Public holiday not found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  await holiday.deleteOne();
+
+  res.status(200).json({ success: true, data: {} });
+});
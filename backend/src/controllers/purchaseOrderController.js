@@ -0,0 +1,131 @@
+const PurchaseOrder = require("../models/PurchaseOrder");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  planPurchaseOrders,
+  generatePurchaseOrders,
+  updatePurchaseOrderStatus,
+} = require("../services/purchaseOrderService");
+
+// Supplier details shown on an order
+const SUPPLIER_FIELDS =
+  "name contactName email phone address leadTimeDays minimumOrderValue paymentTerms";
+
+// @desc    Get purchase orders, newest first (optionally by status and/or supplier)
+// @route   GET /api/v1/purchase-orders
+// @access  Private/Admin or Manager
+exports.getPurchaseOrders = asyncHandler(async (req, res, next) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.supplier) filter.supplier = req.query.supplier;
+
+  // Newest first; order numbers sort as text, so PO-100000 would come after PO-99999
+  const orders = await PurchaseOrder.find(filter)
+    .sort({ createdAt: -1, orderNumber: -1 })
+    .populate("supplier", SUPPLIER_FIELDS);
+
+  res.status(200).json({ success: true, count: orders.length, data: orders });
+});
+
+// @desc    Get a purchase order
+// @route   GET /api/v1/purchase-orders/:id
+// @access  Private/Admin or Manager
+exports.getPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const order = await PurchaseOrder.findById(req.params.id)
+    .populate("supplier", SUPPLIER_FIELDS)
+    .populate("createdBy", "username");
+
+  if (!order) {
+    return next(
+      new ErrorResponse(
+        `Purchase order not found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  res.status(200).json({ success: true, data: order });
+});
+
+// @desc    Preview the orders a production plan calls for, without saving them
+// @route   POST /api/v1/purchase-orders/plan
+// @access  Private/Admin or Manager
+exports.planPurchaseOrders = asyncHandler(async (req, res, next) => {
+  const { plan, neededBy } = req.body;
+  const planned = await planPurchaseOrders(plan, {
+    neededBy: neededBy ? new Date(neededBy) : undefined,
+  });
+
+  res.status(200).json({ success: true, data: planned });
+});
+
+// @desc    Generate draft purchase orders, one per supplier, for a production plan
+// @route   POST /api/v1/purchase-orders/generate
+// @access  Private/Admin or Manager
+exports.generatePurchaseOrders = asyncHandler(async (req, res, next) => {
+  const { plan, neededBy, notes } = req.body;
+  const result = await generatePurchaseOrders(
+    { plan, neededBy: neededBy ? new Date(neededBy) : undefined, notes },
+    { userId: req.user.id }
+  );
+  await PurchaseOrder.populate(result.orders, {
+    path: "supplier",
+    select: SUPPLIER_FIELDS,
+  });
+
+  res.status(201).json({ success: true, data: result });
+});
+
+// @desc    Move a purchase order on (draft -> sent -> received); receiving books it into stock
+// @route   PUT /api/v1/purchase-orders/:id/status
+// @access  Private/Admin or Manager
+exports.updatePurchaseOrderStatus = asyncHandler(async (req, res, next) => {
+  const order = await PurchaseOrder.findById(req.params.id);
+
+  if (!order) {
+    return next(
+      new ErrorResponse(
+        `Purchase order not found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  const { status, receivedAt } = req.body;
+  await updatePurchaseOrderStatus(
+    order,
+    { status, receivedAt: receivedAt ? new Date(receivedAt) : undefined },
+    { userId: req.user.id }
+  );
+  await order.populate("supplier", SUPPLIER_FIELDS);
+
+  res.status(200).json({ success: true, data: order });
+});
+
+// @desc    Delete a draft purchase order
+// @route   DELETE /api/v1/purchase-orders/:id
+// @access  Private/Admin or Manager
+exports.deletePurchaseOrder = asyncHandler(async (req, res, next) => {
+  const order = await PurchaseOrder.findById(req.params.id);
+
+  if (!order) {
+    return next(
+      new ErrorResponse(
+        `Purchase order not found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+  if (order.status !== "draft") {
+    return next(
+      new ErrorResponse(
+        `Purchase order ${order.orderNumber} has been ${order.status} and cannot be deleted`,
+        400
+      )
+    );
+  }
+
+  await order.deleteOne();
+
+  res.status(200).json({ success: true, data: {} });
+});
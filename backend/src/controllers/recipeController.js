@@ -1,18 +1,44 @@
 const Recipe = require("../models/Recipe");
 const Ingredient = require("../models/Ingredient");
-const Labor = require("../models/Labor");
+const RecipeCostChange = require("../models/RecipeCostChange");
+const RecipeRevision = require("../models/RecipeRevision");
+const ProductionRun = require("../models/ProductionRun");
+const Settings = require("../models/Settings");
 const asyncHandler = require("../middleware/asyncHandler");
 const ErrorResponse = require("../utils/errorResponse");
-const { calculateRecipeCosts } = require("../services/pricingService");
+const { logger } = require("../utils/logger");
+const {
+  recalculateDependentRecipes,
+} = require("../services/recipeRecalculationService");
+const {
+  recordRevision,
+  ensureBaselineRevision,
+  applyRevisionFields,
+  diffRevisions,
+} = require("../services/recipeRevisionService");
+const { compareAllergens } = require("../services/allergenService");
+const { calculateNutritionPanel } = require("../services/nutritionService");
+const { buildLabel } = require("../services/labelService");
+const { groupLaborByRole } = require("../services/laborService");
+const { explodeRecipe } = require("../services/productionService");
+const { scaleRecipe } = require("../services/recipeScalingService");
 
-// @desc    Get all recipes
+// Sub-recipe fields returned alongside a recipe's ingredient lines
+const SUB_RECIPE_FIELDS =
+  "pieName variant batchSize yieldWeight calculatedCosts allergens";
+
+// @desc    Get all recipes (archived ones only with ?includeArchived=true)
 // @route   GET /api/v1/recipes
 // @access  Private (example, adjust as needed)
 exports.getAllRecipes = asyncHandler(async (req, res, next) => {
+  const filter =
+    req.query.includeArchived === "true" ? {} : { isArchived: { $ne: true } };
   // Populate ingredients and labor details
-  const recipes = await Recipe.find()
+  const recipes = await Recipe.find(filter)
     .populate("ingredients.ingredient") // Populate ingredient details
-    .populate("labor"); // Populate labor details
+    .populate("ingredients.subRecipe", SUB_RECIPE_FIELDS) // Populate sub-recipe summaries
+    .populate("packaging.overhead utilityInputs.overhead") // Populate overhead details
+    .populate("laborInputs.laborStandard laborInputs.workerRole"); // Populate labor standards and worker roles
 
   res.status(200).json({ success: true, count: recipes.length, data: recipes });
 });
@@ -23,7 +49,9 @@ exports.getAllRecipes = asyncHandler(async (req, res, next) => {
 exports.getRecipeById = asyncHandler(async (req, res, next) => {
   const recipe = await Recipe.findById(req.params.id)
     .populate("ingredients.ingredient")
-    .populate("labor");
+    .populate("ingredients.subRecipe", SUB_RECIPE_FIELDS)
+    .populate("packaging.overhead utilityInputs.overhead")
+    .populate("laborInputs.laborStandard laborInputs.workerRole");
 
   if (!recipe) {
     return next(
@@ -42,10 +70,18 @@ exports.createRecipe = asyncHandler(async (req, res, next) => {
     pieName,
     variant,
     batchSize,
+    yieldWeight,
+    bakingLossPercentage,
+    rejectRate,
+    shelfLifeDays,
     ingredients,
     laborInputs,
-    laborHourlyRate,
+    packaging,
+    utilityInputs,
+    pricingMode,
     markupPercentage,
+    targetMarginPercentage,
+    targetPrice,
     notes,
   } = req.body;
 
@@ -56,13 +92,28 @@ exports.createRecipe = asyncHandler(async (req, res, next) => {
     !ingredients ||
     ingredients.length === 0 ||
     !laborInputs ||
-    laborInputs.length === 0 ||
-    typeof laborHourlyRate === "undefined" ||
-    typeof markupPercentage === "undefined"
+    laborInputs.length === 0
   ) {
     return next(
       new ErrorResponse(
-        "Missing required fields (pieName, batchSize, ingredients, laborInputs, laborHourlyRate, markupPercentage)",
+        "Missing required fields (pieName, batchSize, ingredients, laborInputs)",
+        400
+      )
+    );
+  }
+
+  // Each pricing mode needs its own lever; the markup is back-calculated for the others
+  const mode = pricingMode || "markup";
+  const pricingLevers = {
+    markup: ["markupPercentage", markupPercentage],
+    margin: ["targetMarginPercentage", targetMarginPercentage],
+    target_price: ["targetPrice", targetPrice],
+  };
+  const [leverName, leverValue] = pricingLevers[mode];
+  if (typeof leverValue === "undefined") {
+    return next(
+      new ErrorResponse(
+        `Missing required field for ${mode} pricing: ${leverName}`,
         400
       )
     );
@@ -73,10 +124,18 @@ exports.createRecipe = asyncHandler(async (req, res, next) => {
     pieName,
     variant: variant || "Standard", // Default variant if not provided
     batchSize,
+    yieldWeight,
+    bakingLossPercentage,
+    rejectRate,
+    shelfLifeDays,
     ingredients,
     laborInputs,
-    laborHourlyRate,
-    markupPercentage,
+    packaging,
+    utilityInputs,
+    pricingMode: mode,
+    markupPercentage: markupPercentage ?? 0,
+    targetMarginPercentage,
+    targetPrice,
     notes,
     // createdBy: req.user.id, // Assuming protect middleware adds user
   });
@@ -86,13 +145,15 @@ exports.createRecipe = asyncHandler(async (req, res, next) => {
 
   // Save the recipe with calculated costs
   await recipe.save();
+  await recordRevision(recipe, { action: "create", userId: req.user?.id });
 
   // Repopulate after saving to send full details back
   // Manually populate ingredients.ingredient if needed after save
-  const populatedRecipe = await Recipe.findById(recipe._id).populate(
-    "ingredients.ingredient"
-  );
-  // Note: Labor is no longer a direct ref, so no .populate('labor')
+  const populatedRecipe = await Recipe.findById(recipe._id)
+    .populate("ingredients.ingredient")
+    .populate("ingredients.subRecipe", SUB_RECIPE_FIELDS)
+    .populate("packaging.overhead utilityInputs.overhead")
+    .populate("laborInputs.laborStandard laborInputs.workerRole");
 
   res.status(201).json({ success: true, data: populatedRecipe });
 });
@@ -112,6 +173,11 @@ exports.updateRecipe = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Keep the version being replaced if it predates revision tracking
+  await ensureBaselineRevision(recipe);
+  // Allergens before the change, to warn when e.g. swapping an ingredient changes them
+  const previousAllergens = recipe.allergens?.toObject();
+
   // Apply updates from request body to the recipe instance
   // Use Object.assign for cleaner updates, potentially filter allowed fields
   Object.assign(recipe, updateData);
@@ -121,22 +187,37 @@ exports.updateRecipe = asyncHandler(async (req, res, next) => {
 
   // Save the updated recipe
   await recipe.save();
+  await recordRevision(recipe, { action: "update", userId: req.user?.id });
+
+  // Recipes that use this one as a sub-recipe (at any depth) follow its new costs
+  const recipeImpact = await recalculateDependentRecipes(
+    { recipeIds: [recipe._id] },
+    { trigger: "sub_recipe_update", userId: req.user?.id }
+  );
 
   // Repopulate necessary fields after saving
   // Ensure ingredients are populated for the response
-  // Remove .populate('labor') as it's no longer a direct reference
-  const populatedRecipe = await Recipe.findById(recipe._id).populate(
-    "ingredients.ingredient"
-  );
+  const populatedRecipe = await Recipe.findById(recipe._id)
+    .populate("ingredients.ingredient")
+    .populate("ingredients.subRecipe", SUB_RECIPE_FIELDS)
+    .populate("packaging.overhead utilityInputs.overhead")
+    .populate("laborInputs.laborStandard laborInputs.workerRole");
 
-  res.status(200).json({ success: true, data: populatedRecipe });
+  res.status(200).json({
+    success: true,
+    data: populatedRecipe,
+    recipeImpact,
+    allergenChange:
+      previousAllergens &&
+      compareAllergens(previousAllergens, populatedRecipe.allergens),
+  });
 });
 
-// @desc    Delete recipe
+// @desc    Archive recipe, or delete it permanently with ?permanent=true
 // @route   DELETE /api/v1/recipes/:id
 // @access  Private/Admin (example)
 exports.deleteRecipe = asyncHandler(async (req, res, next) => {
-  const recipe = await Recipe.findById(req.params.id);
+  let recipe = await Recipe.findById(req.params.id);
 
   if (!recipe) {
     return next(
@@ -144,10 +225,382 @@ exports.deleteRecipe = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // TODO: Consider implications of deleting a recipe (e.g., historical data)
-  // Maybe add a soft delete (isDeleted flag) instead?
+  // Archiving keeps the recipe, its history and any parents using it intact
+  if (req.query.permanent !== "true") {
+    recipe = await Recipe.findByIdAndUpdate(
+      recipe._id,
+      { isArchived: true, archivedAt: new Date(), archivedBy: req.user?.id },
+      { new: true }
+    );
+    return res.status(200).json({ success: true, data: recipe });
+  }
+
+  // A recipe used as a sub-recipe cannot be deleted without breaking its parents
+  const parentRecipes = await Recipe.find({
+    "ingredients.subRecipe": recipe._id,
+  }).select("pieName variant");
+  if (parentRecipes.length > 0) {
+    const names = parentRecipes
+      .map((parent) => `${parent.pieName} (${parent.variant})`)
+      .join(", ");
+    return next(
+      new ErrorResponse(
+        `Cannot delete recipe "${recipe.pieName}": it is used as a sub-recipe in ${names}`,
+        409
+      )
+    );
+  }
+
+  // Production runs are stock and cost records, so a recipe that was baked is archived instead
+  const runCount = await ProductionRun.countDocuments({ recipe: recipe._id });
+  if (runCount > 0) {
+    return next(
+      new ErrorResponse(
+        `Cannot permanently delete recipe "${recipe.pieName}": it has ${runCount} production run(s). Archive it instead`,
+        409
+      )
+    );
+  }
 
   await recipe.deleteOne(); // Use deleteOne() on the document instance
+  await RecipeRevision.deleteMany({ recipe: recipe._id });
+  await RecipeCostChange.deleteMany({ recipe: recipe._id });
 
   res.status(200).json({ success: true, data: {} }); // Or status 2 E4 No Content
 });
+
+// @desc    Restore an archived recipe
+// @route   POST /api/v1/recipes/:id/restore
+// @access  Private/Admin or Manager
+exports.restoreRecipe = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findByIdAndUpdate(
+    req.params.id,
+    { isArchived: false, $unset: { archivedAt: 1, archivedBy: 1 } },
+    { new: true }
+  );
+
+  if (!recipe) {
+    return next(
+      new ErrorResponse(`Recipe not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Archived recipes are left out of cost cascades that reach every recipe, so
+  // bring the figures up to date; one that cannot be costed keeps its last figures
+  try {
+    await recipe.updateCalculatedCostsAndPrice();
+    await recipe.save();
+  } catch (error) {
+    logger.warn(
+      `Restored recipe "${recipe.pieName} - ${recipe.variant}" (ID: ${recipe._id}) could not be recalculated: ${error.message}`
+    );
+  }
+
+  res.status(200).json({ success: true, data: recipe });
+});
+
+// @desc    Get the costed ingredient breakdown of a recipe, with sub-recipes expanded
+// @route   GET /api/v1/recipes/:id/breakdown
+// @access  Private
+exports.getRecipeBreakdown = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return next(
+      new ErrorResponse(`Recipe not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const summary = await recipe.calculateCostSummary();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      recipe: recipe._id,
+      pieName: recipe.pieName,
+      variant: recipe.variant,
+      batchSize: recipe.batchSize,
+      yieldWeight: recipe.yieldWeight,
+      bakingLossPercentage: recipe.bakingLossPercentage,
+      rejectRate: recipe.rejectRate,
+      usableBatchSize: summary.usableBatchSize,
+      usableYieldWeight: summary.usableYieldWeight,
+      totalIngredientCost: summary.totalIngredientCost,
+      unadjustedIngredientCost: summary.unadjustedIngredientCost,
+      totalLaborCost: summary.totalLaborCost,
+      totalPackagingCost: summary.totalPackagingCost,
+      totalUtilityCost: summary.totalUtilityCost,
+      totalFixedOverheadCost: summary.totalFixedOverheadCost,
+      totalBatchCost: summary.totalBatchCost,
+      unadjustedBatchCost: summary.unadjustedBatchCost,
+      lines: summary.breakdown,
+      laborLines: summary.laborBreakdown,
+      laborByRole: groupLaborByRole(summary.laborBreakdown),
+    },
+  });
+});
+
+// @desc    Get the nutrition panel of a recipe (per pie and per 100 g)
+// @route   GET /api/v1/recipes/:id/nutrition
+// @access  Private
+exports.getRecipeNutrition = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return next(
+      new ErrorResponse(`Recipe not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const breakdown = await recipe.buildIngredientBreakdown();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      recipe: recipe._id,
+      pieName: recipe.pieName,
+      variant: recipe.variant,
+      batchSize: recipe.batchSize,
+      ...calculateNutritionPanel(recipe, breakdown),
+    },
+  });
+});
+
+// @desc    Get what goes on the product label of a recipe (?packedOn=YYYY-MM-DD, default today)
+// @route   GET /api/v1/recipes/:id/label
+// @access  Private
+exports.getRecipeLabel = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return next(
+      new ErrorResponse(`Recipe not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const breakdown = await recipe.buildIngredientBreakdown();
+  const settings = await Settings.getSettings();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      recipe: recipe._id,
+      ...buildLabel(recipe, breakdown, {
+        packedOn: req.query.packedOn || new Date().toISOString().slice(0, 10),
+        defaultShelfLifeDays: settings.defaultShelfLifeDays,
+      }),
+    },
+  });
+});
+
+// @desc    Cost a number of batches of a recipe baked on a given day, with labor
+//          at the rates for that day (?date=YYYY-MM-DD&batches=N, default 1 batch)
+// @route   GET /api/v1/recipes/:id/dated-cost
+// @access  Private
+exports.getRecipeDatedCost = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return next(
+      new ErrorResponse(`Recipe not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const batches = req.query.batches ? parseFloat(req.query.batches) : 1;
+  const { expectedPies, costs, laborRates } = await explodeRecipe(
+    recipe,
+    batches,
+    { date: req.query.date }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      recipe: recipe._id,
+      pieName: recipe.pieName,
+      variant: recipe.variant,
+      batches,
+      expectedPies,
+      costs,
+      laborRates,
+    },
+  });
+});
+
+// @desc    Scale a recipe to a number of good pies (?pies=N) or to the quantity of
+//          a limiting ingredient on hand (?ingredient=<id>&quantity=Q&unit=U)
+// @route   GET /api/v1/recipes/:id/scale
+// @access  Private
+exports.getRecipeScale = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return next(
+      new ErrorResponse(`Recipe not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const { pies, ingredient, quantity, unit } = req.query;
+  const scaled = await scaleRecipe(recipe, {
+    pies: pies !== undefined ? parseFloat(pies) : undefined,
+    ingredient,
+    quantity: quantity !== undefined ? parseFloat(quantity) : undefined,
+    unit,
+  });
+
+  res.status(200).json({ success: true, data: scaled });
+});
+
+// @desc    Get the cost change log of a recipe (recalculations triggered by ingredient or sub-recipe changes)
+// @route   GET /api/v1/recipes/:id/cost-changes
+// @access  Private
+exports.getRecipeCostChanges = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return next(
+      new ErrorResponse(`Recipe not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const changes = await RecipeCostChange.find({ recipe: recipe._id })
+    .sort({ createdAt: -1 })
+    .populate("ingredients", "ingredientName")
+    .populate("subRecipes", "pieName variant")
+    .populate("changedBy", "username");
+
+  res
+    .status(200)
+    .json({ success: true, count: changes.length, data: changes });
+});
+
+// @desc    List the revisions of a recipe, newest first (without their fields)
+// @route   GET /api/v1/recipes/:id/revisions
+// @access  Private
+exports.getRecipeRevisions = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return next(
+      new ErrorResponse(`Recipe not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const revisions = await RecipeRevision.find({ recipe: recipe._id })
+    .sort({ revisionNumber: -1 })
+    .select("-fields")
+    .populate("createdBy", "username");
+
+  res
+    .status(200)
+    .json({ success: true, count: revisions.length, data: revisions });
+});
+
+// @desc    Get one revision of a recipe
+// @route   GET /api/v1/recipes/:id/revisions/:revisionNumber
+// @access  Private
+exports.getRecipeRevision = asyncHandler(async (req, res, next) => {
+  const revision = await RecipeRevision.findOne({
+    recipe: req.params.id,
+    revisionNumber: req.params.revisionNumber,
+  }).populate("createdBy", "username");
+
+  if (!revision) {
+    return next(
+      new ErrorResponse(
+        `Revision ${req.params.revisionNumber} not found for recipe ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  res.status(200).json({ success: true, data: revision });
+});
+
+// @desc    Compare two revisions of a recipe
+// @route   GET /api/v1/recipes/:id/revisions/diff?from=1&to=2
+// @access  Private
+exports.diffRecipeRevisions = asyncHandler(async (req, res, next) => {
+  const from = parseInt(req.query.from, 10);
+  const to = parseInt(req.query.to, 10);
+
+  const revisions = await RecipeRevision.find({
+    recipe: req.params.id,
+    revisionNumber: { $in: [from, to] },
+  });
+  const fromRevision = revisions.find((rev) => rev.revisionNumber === from);
+  const toRevision = revisions.find((rev) => rev.revisionNumber === to);
+
+  if (!fromRevision || !toRevision) {
+    const missing = !fromRevision ? from : to;
+    return next(
+      new ErrorResponse(
+        `Revision ${missing} not found for recipe ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  res
+    .status(200)
+    .json({ success: true, data: diffRevisions(fromRevision, toRevision) });
+});
+
+// @desc    Restore a recipe to an earlier revision (recorded as a new revision)
+// @route   POST /api/v1/recipes/:id/revisions/:revisionNumber/restore
+// @access  Private/Admin/Manager
+exports.restoreRecipeRevision = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return next(
+      new ErrorResponse(`Recipe not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const revision = await RecipeRevision.findOne({
+    recipe: recipe._id,
+    revisionNumber: req.params.revisionNumber,
+  });
+  if (!revision) {
+    return next(
+      new ErrorResponse(
+        `Revision ${req.params.revisionNumber} not found for recipe ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  // Costs are recalculated at today's prices; the revision keeps the costs it had
+  const previousAllergens = recipe.allergens?.toObject();
+  await applyRevisionFields(recipe, revision.fields, req.user.id);
+  await recipe.updateCalculatedCostsAndPrice();
+  await recipe.save();
+  const restored = await recordRevision(recipe, {
+    action: "restore",
+    userId: req.user.id,
+    restoredFrom: revision.revisionNumber,
+  });
+
+  // Recipes that use this one as a sub-recipe follow its restored costs
+  const recipeImpact = await recalculateDependentRecipes(
+    { recipeIds: [recipe._id] },
+    { trigger: "sub_recipe_update", userId: req.user.id }
+  );
+
+  const populatedRecipe = await Recipe.findById(recipe._id)
+    .populate("ingredients.ingredient")
+    .populate("ingredients.subRecipe", SUB_RECIPE_FIELDS)
+    .populate("packaging.overhead utilityInputs.overhead")
+    .populate("laborInputs.laborStandard laborInputs.workerRole");
+
+  res.status(200).json({
+    success: true,
+    data: populatedRecipe,
+    revision: restored.revisionNumber,
+    recipeImpact,
+    allergenChange:
+      previousAllergens &&
+      compareAllergens(previousAllergens, populatedRecipe.allergens),
+  });
+});
@@ -0,0 +1,47 @@
+const Settings = require("../models/Settings");
+const asyncHandler = require("../middleware/asyncHandler");
+const {
+  recalculateDependentRecipes,
+} = require("../services/recipeRecalculationService");
+
+// Settings that change recipe costs or prices when they change
+const COSTING_FIELDS = [
+  "projectedMonthlyVolume",
+  "vatRate",
+  "pricesIncludeVat",
+  "roundingRule",
+  "minimumMarginPercentage",
+];
+
+// @desc    Get the costing and pricing settings
+// @route   GET /api/v1/settings
+// @access  Private
+exports.getSettings = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+
+  res.status(200).json({ success: true, data: settings });
+});
+
+// @desc    Update the costing and pricing settings
+// @route   PUT /api/v1/settings
+// @access  Private/Admin/Manager
+exports.updateSettings = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+  const previous = settings.toObject();
+
+  const updates = { ...req.body };
+  delete updates._id; // There is only one settings document
+  Object.assign(settings, updates, { updatedBy: req.user.id });
+  await settings.save();
+
+  // Settings apply to every recipe
+  let recipeImpact;
+  if (COSTING_FIELDS.some((field) => previous[field] !== settings[field])) {
+    recipeImpact = await recalculateDependentRecipes(
+      { allRecipes: true },
+      { trigger: "settings_update", userId: req.user.id }
+    );
+  }
+
+  res.status(200).json({ success: true, data: settings, recipeImpact });
+});
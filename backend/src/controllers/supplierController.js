@@ -0,0 +1,169 @@
+const Supplier = require("../models/Supplier");
+const Ingredient = require("../models/Ingredient");
+const SupplierQuote = require("../models/SupplierQuote");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  cleanSupplierName,
+  findSupplierByName,
+} = require("../services/supplierService");
+
+// Fields a user can set on a supplier
+const SUPPLIER_FIELDS = [
+  "name",
+  "aliases",
+  "contactName",
+  "email",
+  "phone",
+  "address",
+  "leadTimeDays",
+  "minimumOrderValue",
+  "paymentTerms",
+  "notes",
+];
+
+// Picks the supplier fields present in a request body
+const pickSupplierFields = (body) =>
+  Object.fromEntries(
+    SUPPLIER_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  );
+
+// Returns an error if another supplier already has this name (or alias)
+const checkNameAvailable = async (name, supplierId) => {
+  const existing = await findSupplierByName(name);
+  if (existing && !existing._id.equals(supplierId)) {
+    return new ErrorResponse(
+      `Supplier "${existing.name}" already exists (matches "${cleanSupplierName(
+        name
+      )}")`,
+      409
+    );
+  }
+  return null;
+};
+
+// @desc    Get all suppliers, with how many ingredients each supplies
+// @route   GET /api/v1/suppliers
+// @access  Private
+exports.getSuppliers = asyncHandler(async (req, res, next) => {
+  const suppliers = await Supplier.find()
+    .collation(Supplier.NAME_COLLATION)
+    .sort({ name: 1 })
+    .lean();
+
+  const counts = await Ingredient.aggregate([
+    { $match: { supplier: { $ne: null }, isArchived: { $ne: true } } },
+    { $group: { _id: "$supplier", count: { $sum: 1 } } },
+  ]);
+  const countBySupplier = new Map(
+    counts.map(({ _id, count }) => [_id.toString(), count])
+  );
+  for (const supplier of suppliers) {
+    supplier.ingredientCount =
+      countBySupplier.get(supplier._id.toString()) || 0;
+  }
+
+  res
+    .status(200)
+    .json({ success: true, count: suppliers.length, data: suppliers });
+});
+
+// @desc    Get single supplier by ID
+// @route   GET /api/v1/suppliers/:id
+// @access  Private
+exports.getSupplierById = asyncHandler(async (req, res, next) => {
+  const supplier = await Supplier.findById(req.params.id);
+
+  if (!supplier) {
+    return next(
+      new ErrorResponse(`Supplier not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({ success: true, data: supplier });
+});
+
+// @desc    Create new supplier
+// @route   POST /api/v1/suppliers
+// @access  Private/Admin/Manager
+exports.createSupplier = asyncHandler(async (req, res, next) => {
+  const nameTaken = await checkNameAvailable(req.body.name);
+  if (nameTaken) return next(nameTaken);
+
+  const supplier = await Supplier.create({
+    ...pickSupplierFields(req.body),
+    name: cleanSupplierName(req.body.name),
+    createdBy: req.user.id,
+    updatedBy: req.user.id,
+  });
+
+  res.status(201).json({ success: true, data: supplier });
+});
+
+// @desc    Update supplier
+// @route   PUT /api/v1/suppliers/:id
+// @access  Private/Admin/Manager
+exports.updateSupplier = asyncHandler(async (req, res, next) => {
+  let supplier = await Supplier.findById(req.params.id);
+
+  if (!supplier) {
+    return next(
+      new ErrorResponse(`Supplier not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const updates = pickSupplierFields(req.body);
+  if (updates.name !== undefined) {
+    const nameTaken = await checkNameAvailable(updates.name, supplier._id);
+    if (nameTaken) return next(nameTaken);
+    updates.name = cleanSupplierName(updates.name);
+  }
+
+  supplier = await Supplier.findByIdAndUpdate(
+    req.params.id,
+    { ...updates, updatedBy: req.user.id },
+    { new: true, runValidators: true }
+  );
+
+  res.status(200).json({ success: true, data: supplier });
+});
+
+// @desc    Delete supplier
+// @route   DELETE /api/v1/suppliers/:id
+// @access  Private/Admin/Manager
+exports.deleteSupplier = asyncHandler(async (req, res, next) => {
+  const supplier = await Supplier.findById(req.params.id);
+
+  if (!supplier) {
+    return next(
+      new ErrorResponse(`Supplier not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Ingredients linked to the supplier or holding a quote from it
+  const quotedIngredientIds = await SupplierQuote.distinct("ingredient", {
+    supplier: supplier._id,
+  });
+  const ingredients = await Ingredient.find({
+    $or: [{ supplier: supplier._id }, { _id: { $in: quotedIngredientIds } }],
+  })
+    .select("ingredientName")
+    .sort({ ingredientName: 1 });
+  if (ingredients.length > 0) {
+    const names = ingredients
+      .map((ingredient) => ingredient.ingredientName)
+      .join(", ");
+    return next(
+      new ErrorResponse(
+        `Cannot delete supplier "${supplier.name}": it supplies ${names}`,
+        409
+      )
+    );
+  }
+
+  await supplier.deleteOne();
+
+  res.status(200).json({ success: true, data: {} });
+});
@@ -0,0 +1,226 @@
+const Ingredient = require("../models/Ingredient");
+const Supplier = require("../models/Supplier");
+const SupplierQuote = require("../models/SupplierQuote");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  isQuoteValid,
+  applySelectedQuote,
+} = require("../services/supplierQuoteService");
+const { derivePackCostPerUnit } = require("../services/unitConversionService");
+const {
+  estimateIngredientCostChange,
+} = require("../services/ingredientUsageService");
+const {
+  recalculateRecipesForIngredients,
+} = require("../services/recipeRecalculationService");
+
+// Fields a user can set on a quote (costPerUnit is derived)
+const QUOTE_FIELDS = [
+  "supplier",
+  "packSize",
+  "packUnit",
+  "packPrice",
+  "validUntil",
+  "isPreferred",
+  "notes",
+];
+
+// Loads the ingredient named in the route, or returns a 404 error
+const findIngredient = async (id) => {
+  const ingredient = await Ingredient.findById(id);
+  if (!ingredient) {
+    return {
+      error: new ErrorResponse(`Ingredient not found with id of ${id}`, 404),
+    };
+  }
+  return { ingredient };
+};
+
+// Loads a quote of the ingredient named in the route, or returns a 404 error
+const findQuote = async (ingredientId, quoteId) => {
+  const quote = await SupplierQuote.findOne({
+    _id: quoteId,
+    ingredient: ingredientId,
+  });
+  if (!quote) {
+    return {
+      error: new ErrorResponse(`Quote not found with id of ${quoteId}`, 404),
+    };
+  }
+  return { quote };
+};
+
+// Re-selects the ingredient's costing quote and recalculates its recipes if the cost moved
+const applyQuotesToIngredient = async (ingredient, userId) => {
+  const result = await applySelectedQuote(ingredient, { userId });
+  let recipeImpact;
+  if (result.costChanged) {
+    recipeImpact = await recalculateRecipesForIngredients([ingredient._id], {
+      trigger: "supplier_quote",
+      userId,
+    });
+  }
+  return { ingredient: result.ingredient, recipeImpact };
+};
+
+// Makes a quote the ingredient's only preferred quote
+const clearOtherPreferredQuotes = (quote) =>
+  SupplierQuote.updateMany(
+    {
+      ingredient: quote.ingredient,
+      _id: { $ne: quote._id },
+      isPreferred: true,
+    },
+    { isPreferred: false }
+  );
+
+// @desc    Get an ingredient's supplier quotes, cheapest first, marking the one its cost comes from
+// @route   GET /api/v1/ingredients/:id/quotes
+// @access  Private
+exports.getIngredientQuotes = asyncHandler(async (req, res, next) => {
+  const { ingredient, error } = await findIngredient(req.params.id);
+  if (error) return next(error);
+
+  const quotes = await SupplierQuote.find({ ingredient: ingredient._id })
+    .populate("supplier", "name leadTimeDays minimumOrderValue")
+    .sort({ costPerUnit: 1, createdAt: 1 })
+    .lean();
+
+  const pricedFrom = ingredient.pricedFromQuote?.toString();
+  const data = quotes.map((quote) => ({
+    ...quote,
+    isValid: isQuoteValid(quote),
+    isSelected: quote._id.toString() === pricedFrom,
+  }));
+
+  res.status(200).json({ success: true, count: data.length, data });
+});
+
+// @desc    Add a supplier quote to an ingredient
+// @route   POST /api/v1/ingredients/:id/quotes
+// @access  Private/Admin or Manager
+exports.createQuote = asyncHandler(async (req, res, next) => {
+  const { ingredient, error } = await findIngredient(req.params.id);
+  if (error) return next(error);
+
+  if (!(await Supplier.exists({ _id: req.body.supplier }))) {
+    return next(
+      new ErrorResponse(
+        `Supplier not found with id of ${req.body.supplier}`,
+        400
+      )
+    );
+  }
+
+  const fields = Object.fromEntries(
+    QUOTE_FIELDS.filter((field) => req.body[field] !== undefined).map(
+      (field) => [field, req.body[field]]
+    )
+  );
+  // Packs are in the ingredient's own unit unless stated
+  fields.packUnit = fields.packUnit || ingredient.unit;
+
+  const quote = await SupplierQuote.create({
+    ...fields,
+    ingredient: ingredient._id,
+    costPerUnit: derivePackCostPerUnit(fields, ingredient),
+    createdBy: req.user.id,
+    updatedBy: req.user.id,
+  });
+  if (quote.isPreferred) await clearOtherPreferredQuotes(quote);
+
+  const result = await applyQuotesToIngredient(ingredient, req.user.id);
+  await quote.populate("supplier", "name");
+
+  res.status(201).json({ success: true, data: quote, ...result });
+});
+
+// @desc    Update a supplier quote
+// @route   PUT /api/v1/ingredients/:id/quotes/:quoteId
+// @access  Private/Admin or Manager
+exports.updateQuote = asyncHandler(async (req, res, next) => {
+  const { ingredient, error } = await findIngredient(req.params.id);
+  if (error) return next(error);
+  const { quote, error: quoteError } = await findQuote(
+    ingredient._id,
+    req.params.quoteId
+  );
+  if (quoteError) return next(quoteError);
+
+  if (
+    req.body.supplier !== undefined &&
+    !(await Supplier.exists({ _id: req.body.supplier }))
+  ) {
+    return next(
+      new ErrorResponse(
+        `Supplier not found with id of ${req.body.supplier}`,
+        400
+      )
+    );
+  }
+
+  for (const field of QUOTE_FIELDS) {
+    if (req.body[field] !== undefined) quote[field] = req.body[field];
+  }
+  quote.costPerUnit = derivePackCostPerUnit(quote, ingredient);
+  quote.updatedBy = req.user.id;
+  await quote.save();
+  if (quote.isPreferred) await clearOtherPreferredQuotes(quote);
+
+  const result = await applyQuotesToIngredient(ingredient, req.user.id);
+  await quote.populate("supplier", "name");
+
+  res.status(200).json({ success: true, data: quote, ...result });
+});
+
+// @desc    Delete a supplier quote (the next preferred or cheapest valid quote then sets the cost)
+// @route   DELETE /api/v1/ingredients/:id/quotes/:quoteId
+// @access  Private/Admin or Manager
+exports.deleteQuote = asyncHandler(async (req, res, next) => {
+  const { ingredient, error } = await findIngredient(req.params.id);
+  if (error) return next(error);
+  const { quote, error: quoteError } = await findQuote(
+    ingredient._id,
+    req.params.quoteId
+  );
+  if (quoteError) return next(quoteError);
+
+  await quote.deleteOne();
+
+  const result = await applyQuotesToIngredient(ingredient, req.user.id);
+
+  res.status(200).json({ success: true, data: {}, ...result });
+});
+
+// @desc    Estimate how recipe costs and margins would change if the ingredient were
+//          costed from this quote (e.g. switching supplier); nothing is saved
+// @route   GET /api/v1/ingredients/:id/quotes/:quoteId/impact
+// @access  Private
+exports.getQuoteSwitchImpact = asyncHandler(async (req, res, next) => {
+  const { ingredient, error } = await findIngredient(req.params.id);
+  if (error) return next(error);
+  const { quote, error: quoteError } = await findQuote(
+    ingredient._id,
+    req.params.quoteId
+  );
+  if (quoteError) return next(quoteError);
+  await quote.populate("supplier", "name");
+
+  const recipes = await estimateIngredientCostChange(
+    ingredient,
+    quote.costPerUnit,
+    { includeArchived: req.query.includeArchived === "true" }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      quote,
+      unit: ingredient.unit,
+      currentCostPerUnit: ingredient.costPerUnit,
+      newCostPerUnit: quote.costPerUnit,
+      recipes,
+    },
+  });
+});
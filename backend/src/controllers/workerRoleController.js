@@ -0,0 +1,127 @@
+const WorkerRole = require("../models/WorkerRole");
+const Recipe = require("../models/Recipe");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  recalculateDependentRecipes,
+} = require("../services/recipeRecalculationService");
+
+// @desc    Get all worker roles
+// @route   GET /api/v1/worker-roles
+// @access  Private
+exports.getWorkerRoles = asyncHandler(async (req, res, next) => {
+  const roles = await WorkerRole.find().sort({ name: 1 });
+  res.status(200).json({ success: true, count: roles.length, data: roles });
+});
+
+// @desc    Get single worker role by ID
+// @route   GET /api/v1/worker-roles/:id
+// @access  Private
+exports.getWorkerRoleById = asyncHandler(async (req, res, next) => {
+  const role = await WorkerRole.findById(req.params.id);
+
+  if (!role) {
+    return next(
+      new ErrorResponse(
+        `Worker role not found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  res.status(200).json({ success: true, data: role });
+});
+
+// @desc    Create new worker role
+// @route   POST /api/v1/worker-roles
+// @access  Private/Admin/Manager
+exports.createWorkerRole = asyncHandler(async (req, res, next) => {
+  const { name, hourlyRate, onCostPercentage, description } = req.body;
+
+  const role = await WorkerRole.create({
+    name,
+    hourlyRate,
+    onCostPercentage,
+    description,
+    createdBy: req.user.id,
+    updatedBy: req.user.id,
+  });
+
+  res.status(201).json({ success: true, data: role });
+});
+
+// @desc    Update worker role
+// @route   PUT /api/v1/worker-roles/:id
+// @access  Private/Admin/Manager
+exports.updateWorkerRole = asyncHandler(async (req, res, next) => {
+  let role = await WorkerRole.findById(req.params.id);
+
+  if (!role) {
+    return next(
+      new ErrorResponse(
+        `Worker role not found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  const previous = {
+    hourlyRate: role.hourlyRate,
+    onCostPercentage: role.onCostPercentage,
+  };
+
+  role = await WorkerRole.findByIdAndUpdate(
+    req.params.id,
+    { ...req.body, updatedBy: req.user.id },
+    { new: true, runValidators: true }
+  );
+
+  // A wage or on-cost change re-costs every recipe using this role
+  let recipeImpact;
+  if (
+    role.hourlyRate !== previous.hourlyRate ||
+    role.onCostPercentage !== previous.onCostPercentage
+  ) {
+    recipeImpact = await recalculateDependentRecipes(
+      { workerRoleIds: [role._id] },
+      { trigger: "labor_update", userId: req.user.id }
+    );
+  }
+
+  res.status(200).json({ success: true, data: role, recipeImpact });
+});
+
+// @desc    Delete worker role
+// @route   DELETE /api/v1/worker-roles/:id
+// @access  Private/Admin/Manager
+exports.deleteWorkerRole = asyncHandler(async (req, res, next) => {
+  const role = await WorkerRole.findById(req.params.id);
+
+  if (!role) {
+    return next(
+      new ErrorResponse(
+        `Worker role not found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  const recipesUsingRole = await Recipe.find({
+    "laborInputs.workerRole": role._id,
+  }).select("pieName variant");
+  if (recipesUsingRole.length > 0) {
+    const names = recipesUsingRole
+      .map((recipe) => `${recipe.pieName} (${recipe.variant})`)
+      .join(", ");
+    return next(
+      new ErrorResponse(
+        `Cannot delete worker role "${role.name}": it is used in ${names}`,
+        409
+      )
+    );
+  }
+
+  await role.deleteOne();
+
+  res.status(200).json({ success: true, data: {} });
+});
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// A named sequence (e.g. purchase order numbers). Taking the next number is a
+// single atomic $inc, so requests running at the same time never share one.
+const CounterSchema = new mongoose.Schema(
+  {
+    // Name of the sequence
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model("Counter", CounterSchema);
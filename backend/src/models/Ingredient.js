@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const { isKnownUnit } = require("../services/unitConversionService");
+const { ALLERGEN_KEYS } = require("../services/allergenService");
+const { NUTRIENTS } = require("../services/nutritionService");
 
 const IngredientSchema = new mongoose.Schema(
   {
@@ -12,20 +15,118 @@ const IngredientSchema = new mongoose.Schema(
       type: String,
       required: [true, "Please provide a unit"],
       trim: true,
+      validate: {
+        validator: isKnownUnit,
+        message: (props) => `'${props.value}' is not a supported unit`,
+      },
     },
     costPerUnit: {
       type: Number,
       required: [true, "Please provide the cost per unit"],
     },
-    supplier: {
+    // How the ingredient is bought (e.g. R189 per 12.5 kg bag). When a pack size
+    // and pack price are set, costPerUnit is derived from them on every update.
+    packSize: {
+      type: Number,
+      min: [0.0001, "Pack size must be greater than 0"],
+    },
+    packUnit: {
+      // Unit of the pack size; the ingredient's own unit when not set
       type: String,
       trim: true,
+      validate: {
+        validator: (value) => value == null || isKnownUnit(value),
+        message: (props) => `'${props.value}' is not a supported unit`,
+      },
+    },
+    packPrice: {
+      type: Number,
+      min: [0, "Pack price cannot be negative"],
+    },
+    // Conversion properties used when a recipe measures this ingredient in a
+    // unit of a different kind (e.g. ml of oil against a price per kg)
+    density: {
+      // Kilograms per litre
+      type: Number,
+      min: [0, "Density cannot be negative"],
+    },
+    eachWeight: {
+      // Kilograms per unit/each (e.g. one egg ~ 0.05 kg)
+      type: Number,
+      min: [0, "Weight per unit cannot be negative"],
+    },
+    // Usable share (%) of what is bought, after trimming/peeling (e.g. 82 for
+    // meat that loses 18% to trim). Recipe quantities are usable quantities, so
+    // the cost of a recipe line is divided by this yield.
+    yieldPercentage: {
+      type: Number,
+      default: 100,
+      min: [1, "Yield percentage must be at least 1"],
+      max: [100, "Yield percentage cannot exceed 100"],
+    },
+    // Free-text supplier names from before suppliers were managed are converted
+    // by `npm run migrate:suppliers`
+    supplier: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Supplier",
+      index: true,
+    },
+    // The supplier quote that set costPerUnit and supplier (preferred, or else the
+    // cheapest valid quote); unset while the cost is entered by hand
+    pricedFromQuote: {
+      type: mongoose.Schema.ObjectId,
+      ref: "SupplierQuote",
     },
     category: {
       type: String,
       enum: ["Produce", "Meat", "Dairy", "Pantry", "Spices", "Other"],
       default: "Other",
     },
+    // Allergens declared on labels: those the ingredient contains, and those it
+    // may contain through cross-contact. Rolled up onto the recipes that use it.
+    allergens: {
+      contains: {
+        type: [{ type: String, enum: ALLERGEN_KEYS }],
+        default: [],
+      },
+      mayContain: {
+        type: [{ type: String, enum: ALLERGEN_KEYS }],
+        default: [],
+      },
+    },
+    // Nutrients per 100 g (energy in kJ, sodium in mg, the rest in g), used for
+    // the nutrition panels of the recipes that use the ingredient
+    nutrition: Object.fromEntries(
+      NUTRIENTS.map(({ key, label }) => [
+        key,
+        { type: Number, min: [0, `${label} cannot be negative`] },
+      ])
+    ),
+    // Quantity in stock, in the ingredient's unit. Only changed through stock
+    // movements (receipts and counts), which keep the ledger in step.
+    stockOnHand: {
+      type: Number,
+      default: 0,
+    },
+    reorderLevel: {
+      // Stock at or below this level is shown as low; no warning when not set
+      type: Number,
+      min: [0, "Reorder level cannot be negative"],
+    },
+    // Archived ingredients are hidden from lists but stay readable by the
+    // recipes and history that reference them, and can be restored
+    isArchived: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    archivedAt: {
+      type: Date,
+    },
+    archivedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
     createdAt: {
       type: Date,
       default: Date.now,
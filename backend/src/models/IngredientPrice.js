@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// One record per price change of an ingredient. Records are never updated,
+// so together they form the ingredient's price history.
+const IngredientPriceSchema = new mongoose.Schema(
+  {
+    ingredient: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Ingredient",
+      required: true,
+      index: true,
+    },
+    costPerUnit: {
+      type: Number,
+      required: [true, "Please provide the cost per unit"],
+      min: [0, "Cost per unit cannot be negative"],
+    },
+    // Unit the cost applies to at the time of the change (e.g. per kg)
+    unit: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    previousCostPerUnit: {
+      // Null for the first recorded price
+      type: Number,
+      default: null,
+    },
+    effectiveDate: {
+      // When the new price applies from (defaults to when it was recorded)
+      type: Date,
+      default: Date.now,
+    },
+    source: {
+      type: String,
+      enum: ["manual", "import", "quote"],
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+IngredientPriceSchema.index({ ingredient: 1, effectiveDate: 1 });
+
+module.exports = mongoose.model("IngredientPrice", IngredientPriceSchema);
@@ -1,40 +1,36 @@
 const mongoose = require("mongoose");
 
-const LaborSchema = new mongoose.Schema({
-  pieName: {
-    // Link labor cost to a specific pie type
-    type: String,
-    required: [true, "Please provide the associated pie name"],
-    unique: true, // Assuming one labor cost entry per pie type for now
-    trim: true,
+// A labor standard: one kind of work on the production line (e.g. "Pie filling
+// line", "Pastry rolling") and what an hour of it costs. Recipes reference
+// standards in their labor inputs, so changing a wage here re-costs every pie
+// that uses it.
+const LaborSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please provide a labor standard name"],
+      unique: true,
+      trim: true,
+    },
+    hourlyRate: {
+      type: Number,
+      required: [true, "Please provide the hourly rate"],
+      min: [0, "Hourly rate cannot be negative"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
   },
-  costPerHour: {
-    type: Number,
-    required: [true, "Please provide the labor cost per hour"],
-  },
-  minutesPerPie: {
-    // Time taken for this specific pie type
-    type: Number,
-    required: [true, "Please provide the minutes per pie"],
-  },
-  laborCostPerPie: {
-    // Calculated cost per pie (costPerHour * (minutesPerPie / 60))
-    type: Number,
-    required: true,
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now,
-  },
-});
-
-// Optional: Pre-save hook to calculate laborCostPerPie if needed,
-// although this was likely calculated during migration.
-// LaborSchema.pre('save', function(next) {
-//   if (this.isModified('costPerHour') || this.isModified('minutesPerPie')) {
-//     this.laborCostPerPie = (this.costPerHour * (this.minutesPerPie / 60));
-//   }
-//   next();
-// });
+  { timestamps: true }
+);
 
 module.exports = mongoose.model("Labor", LaborSchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// A cost that is not an ingredient or labor. What `cost` means depends on the type:
+// - packaging: cost per item (e.g. one foil tray, box or label)
+// - utility:   cost per minute of use (e.g. oven electricity)
+// - fixed:     cost per month (e.g. stall rent), spread over the projected
+//              monthly volume from the settings
+const OverheadSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please provide an overhead name"],
+      unique: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["packaging", "utility", "fixed"],
+      required: [true, "Please provide the overhead type"],
+    },
+    cost: {
+      type: Number,
+      required: [true, "Please provide the cost"],
+      min: [0, "Cost cannot be negative"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Overhead", OverheadSchema);
@@ -0,0 +1,140 @@
+const mongoose = require("mongoose");
+
+// Ingredient taken out of stock by a production run, in the ingredient's unit.
+// Sub-recipes are made in-house, so their ingredients are listed instead.
+const productionIngredientSchema = new mongoose.Schema(
+  {
+    ingredient: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Ingredient",
+      required: true,
+    },
+    ingredientName: {
+      type: String,
+      required: true,
+    },
+    unit: {
+      type: String,
+      required: true,
+    },
+    // Purchased quantity the recipe calls for (trim yield included)
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    costPerUnit: {
+      type: Number,
+      required: true,
+    },
+    cost: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Labor of a production run as costed under the labor rate rules for its day
+const productionLaborRatesSchema = new mongoose.Schema(
+  {
+    date: { type: String }, // YYYY-MM-DD
+    dayType: {
+      type: String,
+      enum: ["weekday", "saturday", "sunday", "public_holiday"],
+    },
+    holidayName: { type: String },
+    ordinaryHours: { type: Number, default: 0 },
+    overtimeHours: { type: Number, default: 0 },
+    // Labor at the plain hourly rates, as costed for the recipe
+    standardLaborCost: { type: Number, default: 0 },
+    // What weekend, public holiday and overtime rates added
+    premium: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// A bake of one recipe: the stock it used and what it cost at the time.
+// The cost figures are a snapshot, so later price changes do not rewrite them.
+const ProductionRunSchema = new mongoose.Schema(
+  {
+    recipe: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Recipe",
+      required: [true, "Please select the recipe baked"],
+      index: true,
+    },
+    // Recipe name at the time, kept for reports if the recipe is renamed or deleted
+    pieName: {
+      type: String,
+      required: true,
+    },
+    variant: {
+      type: String,
+    },
+    batches: {
+      type: Number,
+      required: [true, "Please provide the number of batches"],
+      min: [0.01, "Number of batches must be greater than 0"],
+    },
+    producedAt: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+    // Who baked (free text, e.g. "Thandi and Pieter")
+    bakedBy: {
+      type: String,
+      trim: true,
+    },
+    // Pies expected: batch size x batches, less the recipe's reject rate
+    expectedPies: {
+      type: Number,
+      required: true,
+    },
+    // Good pies actually produced, when counted
+    piesProduced: {
+      type: Number,
+      min: [0, "Pies produced cannot be negative"],
+    },
+    ingredients: [productionIngredientSchema],
+    costs: {
+      totalIngredientCost: { type: Number, default: 0 },
+      totalLaborCost: { type: Number, default: 0 },
+      totalPackagingCost: { type: Number, default: 0 },
+      totalUtilityCost: { type: Number, default: 0 },
+      totalFixedOverheadCost: { type: Number, default: 0 },
+      totalCost: { type: Number, default: 0 },
+      // Over the expected pies (labor at the rates for the day baked)
+      costPerPie: { type: Number, default: 0 },
+    },
+    laborRates: productionLaborRatesSchema,
+    // Labor hours the recipe's standard allows for the run (all batches), kept
+    // to compare with the time actually worked
+    standardLaborHours: {
+      type: Number,
+    },
+    // Time actually worked on the run: when the crew started and finished, and
+    // how many people worked on it (all three, or none)
+    laborStartedAt: {
+      type: Date,
+    },
+    laborEndedAt: {
+      type: Date,
+    },
+    headcount: {
+      type: Number,
+      min: [1, "Headcount must be at least 1"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ProductionRun", ProductionRunSchema);
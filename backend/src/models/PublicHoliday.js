@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// A day in the public holiday calendar. Labor on a public holiday is paid at the
+// public holiday rate (see the labor rate rules in Settings). The South African
+// holidays for a year can be loaded in one go and then edited locally, e.g. for
+// a once-off holiday declared by the President.
+const PublicHolidaySchema = new mongoose.Schema(
+  {
+    // Midnight UTC of the day
+    date: {
+      type: Date,
+      required: [true, "Please provide the date"],
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Please provide the holiday name"],
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("PublicHoliday", PublicHolidaySchema);
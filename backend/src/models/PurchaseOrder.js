@@ -0,0 +1,158 @@
+const mongoose = require("mongoose");
+
+// An ingredient ordered from the supplier, rounded up to whole packs. Quantities
+// are in the ingredient's unit; the pack is as the ingredient was bought when
+// the order was generated.
+const purchaseOrderLineSchema = new mongoose.Schema(
+  {
+    ingredient: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Ingredient",
+      required: true,
+    },
+    ingredientName: {
+      type: String,
+      required: true,
+    },
+    unit: {
+      type: String,
+      required: true,
+    },
+    // What the planned production needs, what was in stock and already on order
+    // when the order was generated, and the shortfall left to buy
+    requiredQuantity: {
+      type: Number,
+      required: true,
+    },
+    stockOnHand: {
+      type: Number,
+      default: 0,
+    },
+    onOrderQuantity: {
+      type: Number,
+      default: 0,
+    },
+    shortfall: {
+      type: Number,
+      required: true,
+    },
+    packSize: {
+      // In packUnit; not set when the ingredient is not bought in packs
+      type: Number,
+    },
+    packUnit: {
+      type: String,
+    },
+    packPrice: {
+      type: Number,
+    },
+    packs: {
+      // Whole packs ordered; not set when the ingredient is not bought in packs
+      type: Number,
+      min: [1, "At least one pack must be ordered"],
+    },
+    orderQuantity: {
+      // Quantity ordered, in the ingredient's unit (packs * pack size)
+      type: Number,
+      required: true,
+    },
+    lineTotal: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Recipe and number of batches in the production plan an order was generated for
+const plannedRunSchema = new mongoose.Schema(
+  {
+    recipe: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Recipe",
+      required: true,
+    },
+    pieName: {
+      type: String,
+      required: true,
+    },
+    variant: {
+      type: String,
+    },
+    batches: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// A purchase order to one supplier, generated as a draft from a production plan.
+// Status moves forward only: draft -> sent -> received. Receiving the order books
+// its lines into stock.
+const PurchaseOrderSchema = new mongoose.Schema(
+  {
+    orderNumber: {
+      // Sequential, e.g. PO-00042
+      type: String,
+      required: true,
+      unique: true,
+    },
+    supplier: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Supplier",
+      required: [true, "Please provide the supplier"],
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["draft", "sent", "received"],
+      default: "draft",
+      index: true,
+    },
+    plan: {
+      type: [plannedRunSchema],
+      default: [],
+    },
+    neededBy: {
+      // When the goods are needed for production
+      type: Date,
+    },
+    orderBy: {
+      // Latest day to send the order: neededBy less the supplier's lead time
+      type: Date,
+    },
+    lines: {
+      type: [purchaseOrderLineSchema],
+      validate: {
+        validator: (lines) => lines.length > 0,
+        message: "A purchase order needs at least one line",
+      },
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    sentAt: {
+      type: Date,
+    },
+    receivedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("PurchaseOrder", PurchaseOrderSchema);
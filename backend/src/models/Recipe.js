@@ -1,23 +1,74 @@
 const mongoose = require("mongoose");
 const ErrorResponse = require("../utils/errorResponse");
+const Overhead = require("./Overhead");
+require("./Labor");
+require("./WorkerRole");
+const Settings = require("./Settings");
+const {
+  isKnownUnit,
+  getUnitDimension,
+  convertQuantity,
+  canConvert,
+} = require("../services/unitConversionService");
+const {
+  calculatePublishedPrice,
+  describeFixedPrice,
+} = require("../services/priceRoundingService");
+const {
+  markupFromMargin,
+  calculateMargin,
+} = require("../services/pricingService");
+const { rollUpAllergens } = require("../services/allergenService");
+const {
+  laborInputHours,
+  loadedHourlyRate,
+  isValidLaborInput,
+} = require("../services/laborService");
 
-// Subdocument for ingredients within a recipe
+// Subdocument for ingredients within a recipe.
+// A line references either a bought Ingredient or another Recipe made in-house
+// (a sub-recipe such as puff pastry or a gravy base).
 const RecipeIngredientSchema = new mongoose.Schema(
   {
+    itemType: {
+      type: String,
+      enum: ["ingredient", "recipe"],
+      default: "ingredient",
+    },
     ingredient: {
       type: mongoose.Schema.ObjectId,
       ref: "Ingredient",
-      required: true,
+      required: [
+        function () {
+          return this.itemType !== "recipe";
+        },
+        "Please select an ingredient",
+      ],
+    },
+    subRecipe: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Recipe",
+      required: [
+        function () {
+          return this.itemType === "recipe";
+        },
+        "Please select a sub-recipe",
+      ],
     },
     quantity: {
       type: Number,
       required: [true, "Please specify the quantity"],
       min: [0, "Quantity cannot be negative"],
     },
-    // Unit here should ideally match the Ingredient's unit or be convertible
+    // Unit the quantity is measured in; converted to the Ingredient's unit
+    // (or the sub-recipe's yield) when costing
     unit: {
       type: String,
       required: [true, "Please specify the unit for this recipe ingredient"],
+      validate: {
+        validator: isKnownUnit,
+        message: (props) => `'${props.value}' is not a supported unit`,
+      },
     },
   },
   {
@@ -25,15 +76,82 @@ const RecipeIngredientSchema = new mongoose.Schema(
   }
 );
 
-// Sub-schema for detailed labor inputs
+// Allergens a recipe contains / may contain (keys from allergenService)
+const allergenSetSchema = new mongoose.Schema(
+  {
+    contains: { type: [String], default: [] },
+    mayContain: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+// Work on one labor standard for the batch, measured either in minutes per pie
+// or in workers times hours per worker. Naming the worker role doing it costs
+// the work at that role's loaded rate rather than the standard's.
 const laborInputSchema = new mongoose.Schema(
   {
+    laborStandard: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Labor",
+      required: true,
+    },
+    workerRole: {
+      type: mongoose.Schema.ObjectId,
+      ref: "WorkerRole",
+    },
+    minutesPerPie: {
+      type: Number,
+      min: 0,
+    },
     workers: {
       type: Number,
-      required: true,
       min: 1,
     },
     hoursPerWorker: {
+      type: Number,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+laborInputSchema.pre("validate", function (next) {
+  if (!isValidLaborInput(this)) {
+    this.invalidate(
+      "minutesPerPie",
+      "Give either minutes per pie or workers and hours per worker"
+    );
+  }
+  next();
+});
+
+// Packaging used for every pie of the batch (e.g. 1 foil tray, 1 box, 2 labels)
+const packagingItemSchema = new mongoose.Schema(
+  {
+    overhead: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Overhead",
+      required: true,
+    },
+    quantity: {
+      // Items per pie
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Utility use for the whole batch (e.g. 45 oven minutes)
+const utilityInputSchema = new mongoose.Schema(
+  {
+    overhead: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Overhead",
+      required: true,
+    },
+    minutes: {
       type: Number,
       required: true,
       min: 0,
@@ -60,30 +178,113 @@ const RecipeSchema = new mongoose.Schema({
     required: true,
     min: 1,
   },
-  ingredients: [RecipeIngredientSchema],
-  laborInputs: [laborInputSchema],
-  laborHourlyRate: {
+  // Total weight (kg) one batch yields before baking loss and rejects. Needed
+  // to use this recipe by weight as a sub-recipe of another recipe.
+  yieldWeight: {
     type: Number,
-    required: true,
-    min: 0,
+    min: [0, "Yield weight cannot be negative"],
   },
+  // Share (%) of the batch weight lost as moisture while baking/cooking
+  bakingLossPercentage: {
+    type: Number,
+    default: 0,
+    min: [0, "Baking loss cannot be negative"],
+    max: [99, "Baking loss must be below 100%"],
+  },
+  // Share (%) of the pies in a batch that are rejected (burnt, broken, misshapen)
+  rejectRate: {
+    type: Number,
+    default: 0,
+    min: [0, "Reject rate cannot be negative"],
+    max: [99, "Reject rate must be below 100%"],
+  },
+  // Days from packing to the best-before date printed on labels; the
+  // organisation's default shelf life applies when not set
+  shelfLifeDays: {
+    type: Number,
+    min: [1, "Shelf life must be at least 1 day"],
+  },
+  ingredients: [RecipeIngredientSchema],
+  laborInputs: [laborInputSchema],
+  packaging: [packagingItemSchema],
+  utilityInputs: [utilityInputSchema],
   // Store calculated costs for efficiency
+  // Adjusted figures include ingredient trim yields and are spread over the
+  // usable batch size; the unadjusted ones assume 100% yield and no rejects.
+  // totalBatchCost = ingredients + labor + packaging + utilities + fixed overhead share.
   calculatedCosts: {
     totalIngredientCost: { type: Number, default: 0 },
     totalLaborCost: { type: Number, default: 0 },
+    totalPackagingCost: { type: Number, default: 0 },
+    totalUtilityCost: { type: Number, default: 0 },
+    totalFixedOverheadCost: { type: Number, default: 0 },
     totalBatchCost: { type: Number, default: 0 },
     costPerPie: { type: Number, default: 0 },
+    usableBatchSize: { type: Number, default: 0 },
+    unadjustedIngredientCost: { type: Number, default: 0 },
+    unadjustedBatchCost: { type: Number, default: 0 },
+    unadjustedCostPerPie: { type: Number, default: 0 },
+  },
+  // Allergens of the ingredients used, directly or through sub-recipes; rolled up
+  // whenever the costs are recalculated (see allergenService). Not set on recipes
+  // last costed before allergens were tracked.
+  allergens: allergenSetSchema,
+  // How the selling price is set: a markup on cost, a target gross margin, or a
+  // fixed target price. In margin and target price modes the markup is back-calculated
+  // (a target price below cost gives a negative markup).
+  pricingMode: {
+    type: String,
+    enum: ["markup", "margin", "target_price"],
+    default: "markup",
   },
   markupPercentage: {
     type: Number,
     required: true,
     default: 0,
-    min: 0,
   },
+  // Gross margin on the selling price, in percent (margin mode)
+  targetMarginPercentage: {
+    type: Number,
+    min: [0, "Target margin cannot be negative"],
+    max: [99, "Target margin must be below 100%"],
+    required: [
+      function () {
+        return this.pricingMode === "margin";
+      },
+      "A target margin is required in margin pricing mode",
+    ],
+  },
+  // Published price per pie, in the organisation's VAT basis (target price mode)
+  targetPrice: {
+    type: Number,
+    min: [0, "Target price cannot be negative"],
+    required: [
+      function () {
+        return this.pricingMode === "target_price";
+      },
+      "A target price is required in target price pricing mode",
+    ],
+  },
+  // Cost per pie plus markup, excluding VAT
   sellingPrice: {
     type: Number,
     default: 0,
   },
+  // The price customers see, worked out from sellingPrice with the organisation's
+  // VAT and rounding settings. computedPrice is before rounding, publishedPrice after;
+  // the settings used are kept so the published price can be explained later.
+  pricing: {
+    computedPrice: { type: Number, default: 0 },
+    publishedPrice: { type: Number, default: 0 },
+    publishedPriceExclVat: { type: Number, default: 0 },
+    vatAmount: { type: Number, default: 0 },
+    vatRate: { type: Number, default: 0 },
+    includesVat: { type: Boolean, default: false },
+    roundingRule: { type: String, default: "none" },
+    // Gross margin earned by the published price (excl. VAT) over the cost per pie
+    marginPercentage: { type: Number, default: 0 },
+    belowMinimumMargin: { type: Boolean, default: false },
+  },
   createdBy: {
     type: mongoose.Schema.ObjectId,
     ref: "User",
@@ -96,27 +297,24 @@ const RecipeSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
-  labor: {
-    // Reference to the specific labor cost for this pie
-    type: mongoose.Schema.Types.ObjectId,
-    ref: "Labor",
-  },
-  // Calculated fields (likely populated by a service/controller)
-  totalIngredientCost: {
-    type: Number,
-  },
-  totalLaborCost: {
-    // Should match the laborCostPerPie from the referenced Labor doc
-    type: Number,
-  },
-  totalCost: {
-    // totalIngredientCost + totalLaborCost
-    type: Number,
-  },
   notes: {
     type: String,
     trim: true,
   },
+  // Archived recipes are hidden from lists but keep their costs and history,
+  // and can be restored
+  isArchived: {
+    type: Boolean,
+    default: false,
+    index: true,
+  },
+  archivedAt: {
+    type: Date,
+  },
+  archivedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+  },
 });
 
 // Compound unique index to ensure only one recipe per name/variant combination
@@ -129,13 +327,154 @@ RecipeSchema.pre("save", function (next) {
   next();
 });
 
-// Method to calculate total ingredient cost for the batch
-RecipeSchema.methods.calculateIngredientCost = async function () {
-  let totalCost = 0;
-  // Ensure ingredients are populated
-  await this.populate({ path: "ingredients.ingredient", model: "Ingredient" });
+// Rounds a cost to sensible precision (4 decimal places) during calculation
+const roundCost = (value) => Math.round(value * 10000) / 10000;
+
+// Scales a breakdown line (and its nested components) to a fraction of its quantity
+const scaleBreakdownLine = (line, factor) => ({
+  ...line,
+  quantity: line.quantity * factor,
+  baseQuantity: line.baseQuantity * factor,
+  ...(line.purchasedQuantity !== undefined && {
+    purchasedQuantity: line.purchasedQuantity * factor,
+  }),
+  ...(line.weight !== undefined && { weight: line.weight * factor }),
+  cost: line.cost * factor,
+  unadjustedCost: line.unadjustedCost * factor,
+  ...(line.laborCost !== undefined && { laborCost: line.laborCost * factor }),
+  ...(line.overheadCost !== undefined && {
+    overheadCost: line.overheadCost * factor,
+  }),
+  ...(line.components && {
+    components: line.components.map((component) =>
+      scaleBreakdownLine(component, factor)
+    ),
+  }),
+});
 
+// What one batch actually delivers once rejects (and, for weight, baking loss)
+// are taken out
+RecipeSchema.methods.getUsableOutput = function () {
+  const keptShare = 1 - (this.rejectRate || 0) / 100;
+  const retainedWeightShare = 1 - (this.bakingLossPercentage || 0) / 100;
+  return {
+    usableBatchSize: this.batchSize * keptShare,
+    usableYieldWeight:
+      this.yieldWeight > 0
+        ? this.yieldWeight * retainedWeightShare * keptShare
+        : undefined,
+  };
+};
+
+// Describes what one "base unit" of this recipe is when used as a sub-recipe:
+// a kg of its yield if the yield weight is known, otherwise one piece of the batch.
+// `quantity` is the usable output of a batch, `nominalQuantity` the output before losses.
+RecipeSchema.methods.getYieldUnit = function () {
+  const { usableBatchSize, usableYieldWeight } = this.getUsableOutput();
+  if (this.yieldWeight > 0) {
+    return {
+      unit: "kg",
+      quantity: usableYieldWeight,
+      nominalQuantity: this.yieldWeight,
+      eachWeight: usableYieldWeight / usableBatchSize,
+    };
+  }
+  return {
+    unit: "unit",
+    quantity: usableBatchSize,
+    nominalQuantity: this.batchSize,
+  };
+};
+
+// Throws if costing this recipe would loop back into one of its ancestors
+const assertNoCycle = (recipe, ancestry) => {
+  const id = recipe._id.toString();
+  const index = ancestry.findIndex((ancestor) => ancestor.id === id);
+  if (index !== -1) {
+    const path = [...ancestry.slice(index), { id, name: recipe.pieName }]
+      .map((ancestor) => ancestor.name)
+      .join(" -> ");
+    throw new ErrorResponse(`Circular sub-recipe reference: ${path}`, 400);
+  }
+};
+
+/**
+ * Builds the costed line items of the batch. Sub-recipe lines are costed
+ * recursively (ingredients and labor of the sub-recipe) and carry their own
+ * ingredient lines, scaled to the quantity used, under `components`.
+ * @param {Array<{id: string, name: string}>} [ancestry] - Recipes already being costed above this one (for cycle detection).
+ * Ingredient lines are costed on the purchased quantity (usable quantity / trim yield);
+ * `unadjustedCost` is the cost ignoring trim yields, baking loss and rejects.
+ * `weight` is the usable weight (kg) of an ingredient line, when it can be worked out.
+ * @returns {Promise<Array<Object>>} Lines: { itemType, item, name, quantity, unit, baseQuantity, baseUnit, purchasedQuantity?, yieldPercentage?, weight?, unitCost, cost, unadjustedCost, allergens?, nutrition?, laborCost?, overheadCost?, components? }
+ */
+RecipeSchema.methods.buildIngredientBreakdown = async function (
+  ancestry = []
+) {
+  assertNoCycle(this, ancestry);
+  const chain = [...ancestry, { id: this._id.toString(), name: this.pieName }];
+
+  // Ensure ingredients and sub-recipes are populated
+  await this.populate([
+    { path: "ingredients.ingredient", model: "Ingredient" },
+    { path: "ingredients.subRecipe", model: "Recipe" },
+  ]);
+
+  const lines = [];
   for (const item of this.ingredients) {
+    if (item.itemType === "recipe") {
+      const subRecipe = item.subRecipe;
+      if (!subRecipe || !subRecipe._id) {
+        throw new ErrorResponse(
+          `Sub-recipe not found for ID: ${
+            item.subRecipe || "[provided ID is missing/invalid]"
+          }`,
+          400
+        );
+      }
+      assertNoCycle(subRecipe, chain);
+
+      const yieldUnit = subRecipe.getYieldUnit();
+      if (yieldUnit.unit === "unit" && getUnitDimension(item.unit) !== "count") {
+        throw new ErrorResponse(
+          `Sub-recipe "${subRecipe.pieName}" needs a yield weight (kg) before it can be used by ${item.unit}`,
+          400
+        );
+      }
+      // Quantity used, expressed in the sub-recipe's yield unit
+      const baseQuantity = convertQuantity(
+        item.quantity,
+        item.unit,
+        yieldUnit.unit,
+        { ingredientName: subRecipe.pieName, eachWeight: yieldUnit.eachWeight }
+      );
+      const summary = await subRecipe.calculateCostSummary(chain);
+      const fraction = baseQuantity / yieldUnit.quantity;
+
+      lines.push({
+        itemType: "recipe",
+        item: subRecipe._id,
+        name: subRecipe.pieName,
+        variant: subRecipe.variant,
+        quantity: item.quantity,
+        unit: item.unit,
+        baseQuantity,
+        baseUnit: yieldUnit.unit,
+        unitCost: summary.totalBatchCost / yieldUnit.quantity,
+        cost: summary.totalBatchCost * fraction,
+        unadjustedCost:
+          (summary.unadjustedBatchCost * baseQuantity) /
+          yieldUnit.nominalQuantity,
+        laborCost: summary.totalLaborCost * fraction,
+        overheadCost:
+          (summary.totalPackagingCost + summary.totalUtilityCost) * fraction,
+        components: summary.breakdown.map((line) =>
+          scaleBreakdownLine(line, fraction)
+        ),
+      });
+      continue;
+    }
+
     if (!item.ingredient || typeof item.ingredient.costPerUnit !== "number") {
       console.error(
         `Ingredient data missing or invalid cost for recipe "${this.pieName} - ${this.variant}". Ingredient ID: ${item.ingredient?._id}`
@@ -147,56 +486,310 @@ RecipeSchema.methods.calculateIngredientCost = async function () {
         400
       );
     }
-    // Calculation: quantity (in kg/L) * costPerUnit (cost per kg/L)
-    totalCost += item.quantity * item.ingredient.costPerUnit;
+    // Convert the recipe quantity into the unit the ingredient is priced in.
+    // Throws a 400 ErrorResponse if the units are incompatible for this ingredient.
+    const quantityInIngredientUnit = convertQuantity(
+      item.quantity,
+      item.unit,
+      item.ingredient.unit,
+      item.ingredient
+    );
+    const yieldPercentage = item.ingredient.yieldPercentage || 100;
+    const yieldShare = yieldPercentage / 100;
+    const unadjustedCost = quantityInIngredientUnit * item.ingredient.costPerUnit;
+    lines.push({
+      itemType: "ingredient",
+      item: item.ingredient._id,
+      name: item.ingredient.ingredientName,
+      quantity: item.quantity,
+      unit: item.unit,
+      baseQuantity: quantityInIngredientUnit,
+      baseUnit: item.ingredient.unit,
+      // More has to be bought than the recipe uses when part of it is trimmed away
+      purchasedQuantity: quantityInIngredientUnit / yieldShare,
+      yieldPercentage,
+      unitCost: item.ingredient.costPerUnit,
+      cost: unadjustedCost / yieldShare,
+      unadjustedCost,
+      allergens: {
+        contains: item.ingredient.allergens?.contains || [],
+        mayContain: item.ingredient.allergens?.mayContain || [],
+      },
+      // For the nutrition panel (nutrients are per 100 g)
+      weight: canConvert(item.ingredient.unit, "kg", item.ingredient)
+        ? convertQuantity(
+            quantityInIngredientUnit,
+            item.ingredient.unit,
+            "kg",
+            item.ingredient
+          )
+        : undefined,
+      nutrition: item.ingredient.nutrition,
+    });
+  }
+  return lines;
+};
+
+// Returns the fixed monthly overheads spread over each pie of the projected monthly volume
+// (0 when no volume has been projected)
+const getFixedOverheadPerPie = async () => {
+  const settings = await Settings.findOne();
+  const projectedMonthlyVolume = settings?.projectedMonthlyVolume || 0;
+  if (projectedMonthlyVolume <= 0) return 0;
+  const fixedOverheads = await Overhead.find({ type: "fixed" });
+  const monthlyTotal = fixedOverheads.reduce((sum, item) => sum + item.cost, 0);
+  return monthlyTotal / projectedMonthlyVolume;
+};
+
+// Looks up a packaging/utility line's overhead, checking it is of the expected type
+const getOverheadOfType = (line, type, recipeName) => {
+  if (!line.overhead || typeof line.overhead.cost !== "number") {
+    throw new ErrorResponse(
+      `Overhead not found for ID: ${
+        line.overhead?._id || "[provided ID is missing/invalid]"
+      }`,
+      400
+    );
   }
-  // Round to sensible precision (e.g., 4 decimal places) during calculation
-  return Math.round(totalCost * 10000) / 10000;
+  if (line.overhead.type !== type) {
+    throw new ErrorResponse(
+      `Overhead "${line.overhead.name}" is a ${line.overhead.type} overhead and cannot be used as ${type} in recipe "${recipeName}"`,
+      400
+    );
+  }
+  return line.overhead;
 };
 
-// Method to calculate total labor cost for the batch
-RecipeSchema.methods.calculateLaborCost = function () {
-  let totalLaborHours = 0;
-  for (const input of this.laborInputs) {
-    totalLaborHours += input.workers * input.hoursPerWorker;
+/**
+ * Calculates the packaging and utility costs of one batch.
+ * Packaging is needed for every pie baked (rejects included).
+ * @returns {Promise<{totalPackagingCost: number, totalUtilityCost: number}>}
+ */
+RecipeSchema.methods.calculateOverheadCosts = async function () {
+  await this.populate([
+    { path: "packaging.overhead", model: "Overhead" },
+    { path: "utilityInputs.overhead", model: "Overhead" },
+  ]);
+
+  let packagingPerPie = 0;
+  for (const item of this.packaging) {
+    const overhead = getOverheadOfType(item, "packaging", this.pieName);
+    packagingPerPie += overhead.cost * item.quantity;
   }
-  const totalCost = totalLaborHours * this.laborHourlyRate;
-  // Round to sensible precision
-  return Math.round(totalCost * 10000) / 10000;
+
+  let totalUtilityCost = 0;
+  for (const input of this.utilityInputs) {
+    const overhead = getOverheadOfType(input, "utility", this.pieName);
+    totalUtilityCost += overhead.cost * input.minutes;
+  }
+
+  return {
+    totalPackagingCost: roundCost(packagingPerPie * this.batchSize),
+    totalUtilityCost: roundCost(totalUtilityCost),
+  };
+};
+
+/**
+ * Calculates the unrounded cost figures of one batch without touching the document.
+ * Fixed overheads are only allocated to the recipe being costed, not to its
+ * sub-recipes, so a pie carries its share of e.g. stall rent exactly once.
+ * @param {Array<{id: string, name: string}>} [ancestry] - See buildIngredientBreakdown.
+ * @returns {Promise<Object>} { breakdown, laborBreakdown, totalIngredientCost, unadjustedIngredientCost, totalLaborCost, totalPackagingCost, totalUtilityCost, totalFixedOverheadCost, totalBatchCost, unadjustedBatchCost, usableBatchSize, usableYieldWeight }
+ */
+RecipeSchema.methods.calculateCostSummary = async function (ancestry = []) {
+  const breakdown = await this.buildIngredientBreakdown(ancestry);
+  const totalIngredientCost = roundCost(
+    breakdown.reduce((sum, line) => sum + line.cost, 0)
+  );
+  const unadjustedIngredientCost = roundCost(
+    breakdown.reduce((sum, line) => sum + line.unadjustedCost, 0)
+  );
+  const { totalLaborCost, laborBreakdown } = await this.calculateLaborCost();
+  const { totalPackagingCost, totalUtilityCost } =
+    await this.calculateOverheadCosts();
+  const usableOutput = this.getUsableOutput();
+
+  const fixedOverheadPerPie =
+    ancestry.length === 0 ? await getFixedOverheadPerPie() : 0;
+  const totalFixedOverheadCost = roundCost(
+    fixedOverheadPerPie * usableOutput.usableBatchSize
+  );
+  const sharedCosts = totalLaborCost + totalPackagingCost + totalUtilityCost;
+
+  return {
+    breakdown,
+    laborBreakdown,
+    totalIngredientCost,
+    unadjustedIngredientCost,
+    totalLaborCost,
+    totalPackagingCost,
+    totalUtilityCost,
+    totalFixedOverheadCost,
+    totalBatchCost: totalIngredientCost + sharedCosts + totalFixedOverheadCost,
+    unadjustedBatchCost:
+      unadjustedIngredientCost +
+      sharedCosts +
+      fixedOverheadPerPie * this.batchSize,
+    ...usableOutput,
+  };
+};
+
+// Method to calculate total ingredient cost for the batch (sub-recipes included)
+RecipeSchema.methods.calculateIngredientCost = async function (ancestry = []) {
+  const breakdown = await this.buildIngredientBreakdown(ancestry);
+  return roundCost(breakdown.reduce((sum, line) => sum + line.cost, 0));
 };
 
-// Method to calculate all costs AND the final selling price, then update the document fields
+/**
+ * Calculates the labor cost of one batch at the current rates of the labor
+ * standards it uses, or of the worker roles where an input names one.
+ * @returns {Promise<{totalLaborCost: number, laborBreakdown: Array<Object>}>}
+ *   Lines: { laborStandard, name, workerRole, roleName, workers, hourlyRate, hours, cost }
+ *   (workers is null for work measured in minutes per pie;
+ *   hourlyRate is the loaded rate the line was costed at)
+ */
+RecipeSchema.methods.calculateLaborCost = async function () {
+  await this.populate([
+    { path: "laborInputs.laborStandard", model: "Labor" },
+    { path: "laborInputs.workerRole", model: "WorkerRole" },
+  ]);
+
+  const laborBreakdown = this.laborInputs.map((input) => {
+    const standard = input.laborStandard;
+    if (!standard || typeof standard.hourlyRate !== "number") {
+      throw new ErrorResponse(
+        `Labor standard not found for ID: ${
+          standard?._id || standard || "[provided ID is missing/invalid]"
+        }`,
+        400
+      );
+    }
+    const role = input.workerRole;
+    const hourlyRate = role ? loadedHourlyRate(role) : standard.hourlyRate;
+    const hours = laborInputHours(input, this.batchSize);
+    return {
+      laborStandard: standard._id,
+      name: standard.name,
+      workerRole: role ? role._id : null,
+      roleName: role ? role.name : null,
+      workers: input.workers ?? null,
+      hourlyRate: roundCost(hourlyRate),
+      hours: roundCost(hours),
+      cost: roundCost(hours * hourlyRate),
+    };
+  });
+
+  return {
+    totalLaborCost: roundCost(
+      laborBreakdown.reduce((sum, line) => sum + line.cost, 0)
+    ),
+    laborBreakdown,
+  };
+};
+
+// Method to calculate all costs AND the final selling price (and roll up the allergens),
+// then update the document fields
 // IMPORTANT: This method *does not* save the document. Call .save() after calling this.
 RecipeSchema.methods.updateCalculatedCostsAndPrice = async function () {
   try {
-    this.calculatedCosts.totalIngredientCost =
-      await this.calculateIngredientCost();
-    this.calculatedCosts.totalLaborCost = this.calculateLaborCost();
-    this.calculatedCosts.totalBatchCost =
-      (this.calculatedCosts.totalIngredientCost || 0) +
-      (this.calculatedCosts.totalLaborCost || 0);
+    const summary = await this.calculateCostSummary();
+    this.calculatedCosts.totalIngredientCost = summary.totalIngredientCost;
+    this.calculatedCosts.totalLaborCost = summary.totalLaborCost;
+    this.calculatedCosts.totalPackagingCost = summary.totalPackagingCost;
+    this.calculatedCosts.totalUtilityCost = summary.totalUtilityCost;
+    this.calculatedCosts.totalFixedOverheadCost = summary.totalFixedOverheadCost;
+    this.calculatedCosts.totalBatchCost = summary.totalBatchCost;
+    this.calculatedCosts.usableBatchSize = summary.usableBatchSize;
+    this.calculatedCosts.unadjustedIngredientCost =
+      summary.unadjustedIngredientCost;
+    this.calculatedCosts.unadjustedBatchCost = summary.unadjustedBatchCost;
+    this.allergens = rollUpAllergens(summary.breakdown);
 
-    if (this.batchSize > 0) {
+    // The batch cost is carried by the pies that survive rejects
+    if (summary.usableBatchSize > 0) {
       this.calculatedCosts.costPerPie =
-        this.calculatedCosts.totalBatchCost / this.batchSize;
+        this.calculatedCosts.totalBatchCost / summary.usableBatchSize;
+      this.calculatedCosts.unadjustedCostPerPie =
+        this.calculatedCosts.unadjustedBatchCost / this.batchSize;
     } else {
       this.calculatedCosts.costPerPie = 0; // Avoid division by zero
+      this.calculatedCosts.unadjustedCostPerPie = 0;
     }
 
-    // Calculate selling price based on costPerPie and markupPercentage
-    const markupMultiplier = 1 + this.markupPercentage / 100;
-    this.sellingPrice = this.calculatedCosts.costPerPie * markupMultiplier;
+    const settings = await Settings.getSettings();
+    const vatSettings = {
+      vatRate: settings.vatRate,
+      pricesIncludeVat: settings.pricesIncludeVat,
+    };
+
+    // Calculate selling price (excl. VAT) based on costPerPie and the pricing mode.
+    // Margin and target price modes back-calculate the markup.
+    let fixedPricing;
+    if (this.pricingMode === "target_price") {
+      fixedPricing = describeFixedPrice(this.targetPrice, vatSettings);
+      this.sellingPrice = fixedPricing.publishedPriceExclVat;
+      this.markupPercentage =
+        this.calculatedCosts.costPerPie > 0
+          ? (this.sellingPrice / this.calculatedCosts.costPerPie - 1) * 100
+          : 0;
+    } else {
+      if (this.pricingMode === "margin") {
+        this.markupPercentage = markupFromMargin(this.targetMarginPercentage);
+      }
+      const markupMultiplier = 1 + this.markupPercentage / 100;
+      this.sellingPrice = this.calculatedCosts.costPerPie * markupMultiplier;
+    }
+    this.markupPercentage = Math.round(this.markupPercentage * 100) / 100;
 
     // Optional: Round final costs and prices to 2 decimal places for display/storage
     this.calculatedCosts.totalIngredientCost =
       Math.round(this.calculatedCosts.totalIngredientCost * 100) / 100;
     this.calculatedCosts.totalLaborCost =
       Math.round(this.calculatedCosts.totalLaborCost * 100) / 100;
+    this.calculatedCosts.totalPackagingCost =
+      Math.round(this.calculatedCosts.totalPackagingCost * 100) / 100;
+    this.calculatedCosts.totalUtilityCost =
+      Math.round(this.calculatedCosts.totalUtilityCost * 100) / 100;
+    this.calculatedCosts.totalFixedOverheadCost =
+      Math.round(this.calculatedCosts.totalFixedOverheadCost * 100) / 100;
     this.calculatedCosts.totalBatchCost =
       Math.round(this.calculatedCosts.totalBatchCost * 100) / 100;
     this.calculatedCosts.costPerPie =
       Math.round(this.calculatedCosts.costPerPie * 100) / 100;
+    this.calculatedCosts.usableBatchSize =
+      Math.round(this.calculatedCosts.usableBatchSize * 100) / 100;
+    this.calculatedCosts.unadjustedIngredientCost =
+      Math.round(this.calculatedCosts.unadjustedIngredientCost * 100) / 100;
+    this.calculatedCosts.unadjustedBatchCost =
+      Math.round(this.calculatedCosts.unadjustedBatchCost * 100) / 100;
+    this.calculatedCosts.unadjustedCostPerPie =
+      Math.round(this.calculatedCosts.unadjustedCostPerPie * 100) / 100;
     this.sellingPrice = Math.round(this.sellingPrice * 100) / 100;
+
+    // Publish the price with VAT and rounding applied (a target price is published as set)
+    const pricing =
+      fixedPricing ||
+      calculatePublishedPrice(this.sellingPrice, {
+        ...vatSettings,
+        roundingRule: settings.roundingRule,
+      });
+
+    // Margin actually earned once the price is rounded, checked against the minimum.
+    // Kept to one decimal so cent rounding does not flag a recipe priced at the minimum.
+    const marginPercentage =
+      Math.round(
+        calculateMargin(
+          this.calculatedCosts.costPerPie,
+          pricing.publishedPriceExclVat
+        ) * 10
+      ) / 10;
+    this.pricing = {
+      ...pricing,
+      marginPercentage,
+      belowMinimumMargin:
+        settings.minimumMarginPercentage > 0 &&
+        marginPercentage < settings.minimumMarginPercentage,
+    };
   } catch (error) {
     console.error(
       `Error calculating costs for recipe "${this.pieName} - ${this.variant}":`,
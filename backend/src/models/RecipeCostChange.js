@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+// Snapshot of the stored cost figures of a recipe
+const CostFiguresSchema = new mongoose.Schema(
+  {
+    totalBatchCost: { type: Number, default: 0 },
+    costPerPie: { type: Number, default: 0 },
+    sellingPrice: { type: Number, default: 0 },
+    publishedPrice: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Records how a recipe's costs moved when it was recalculated because
+// something it depends on (e.g. an ingredient price, a sub-recipe, an
+// overhead, a labor or worker role rate or the costing settings) changed.
+const RecipeCostChangeSchema = new mongoose.Schema(
+  {
+    recipe: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Recipe",
+      required: true,
+      index: true,
+    },
+    trigger: {
+      type: String,
+      enum: [
+        "ingredient_update",
+        "ingredient_import",
+        "ingredient_delete",
+        "sub_recipe_update",
+        "overhead_update",
+        "labor_update",
+        "settings_update",
+        "supplier_quote",
+      ],
+      required: true,
+    },
+    // The changed ingredients that caused the recalculation
+    ingredients: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: "Ingredient",
+      },
+    ],
+    // The changed sub-recipes that caused the recalculation
+    subRecipes: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: "Recipe",
+      },
+    ],
+    // The changed overheads that caused the recalculation
+    overheads: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: "Overhead",
+      },
+    ],
+    // The changed labor standards that caused the recalculation
+    laborStandards: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: "Labor",
+      },
+    ],
+    // The changed worker roles that caused the recalculation
+    workerRoles: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: "WorkerRole",
+      },
+    ],
+    previous: CostFiguresSchema,
+    current: CostFiguresSchema,
+    costPerPieChange: {
+      type: Number,
+      default: 0,
+    },
+    sellingPriceChange: {
+      type: Number,
+      default: 0,
+    },
+    changedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+module.exports = mongoose.model("RecipeCostChange", RecipeCostChangeSchema);
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// One record per save of a recipe. Revisions are never updated, so together they
+// form the recipe's version history; restoring an old revision creates a new one.
+// `fields` holds the recipe as entered (see recipeRevisionService for its shape,
+// with item names kept so old revisions stay readable after renames or deletions);
+// the computed figures are kept alongside as they were at the time.
+const RecipeRevisionSchema = new mongoose.Schema(
+  {
+    recipe: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Recipe",
+      required: true,
+      index: true,
+    },
+    revisionNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    action: {
+      // baseline: state of a recipe saved before revisions were recorded
+      type: String,
+      enum: ["create", "update", "restore", "baseline"],
+      required: true,
+    },
+    // Revision number this revision restored (restore only)
+    restoredFrom: {
+      type: Number,
+    },
+    fields: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    calculatedCosts: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    sellingPrice: {
+      type: Number,
+      default: 0,
+    },
+    pricing: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+RecipeRevisionSchema.index({ recipe: 1, revisionNumber: 1 }, { unique: true });
+
+// Revisions are immutable once recorded
+RecipeRevisionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Recipe revisions cannot be modified"));
+  }
+  next();
+});
+
+module.exports = mongoose.model("RecipeRevision", RecipeRevisionSchema);
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+const { ROUNDING_RULES } = require("../services/priceRoundingService");
+
+// Organisation-wide costing and pricing settings. There is a single settings document;
+// use Settings.getSettings() to read it (it is created with defaults on first use).
+const SettingsSchema = new mongoose.Schema(
+  {
+    // Pies expected to be sold per month; fixed monthly overheads are spread over this
+    projectedMonthlyVolume: {
+      type: Number,
+      default: 0,
+      min: [0, "Projected monthly volume cannot be negative"],
+    },
+    // VAT rate in percent (South African standard rate by default)
+    vatRate: {
+      type: Number,
+      default: 15,
+      min: [0, "VAT rate cannot be negative"],
+      max: [100, "VAT rate cannot exceed 100%"],
+    },
+    // Whether published prices include VAT (customers see the VAT-inclusive price)
+    pricesIncludeVat: {
+      type: Boolean,
+      default: true,
+    },
+    // How published prices are rounded (see priceRoundingService)
+    roundingRule: {
+      type: String,
+      enum: ROUNDING_RULES,
+      default: "none",
+    },
+    // Recipes whose published price earns a lower gross margin are flagged (0 = no threshold)
+    minimumMarginPercentage: {
+      type: Number,
+      default: 0,
+      min: [0, "Minimum margin cannot be negative"],
+      max: [99, "Minimum margin must be below 100%"],
+    },
+    // Days from packing to the best-before date on labels, for recipes without
+    // a shelf life of their own
+    defaultShelfLifeDays: {
+      type: Number,
+      min: [1, "Shelf life must be at least 1 day"],
+    },
+    // Labor rate rules, applied when a production run or scenario is costed for
+    // a date: hours on a Saturday, Sunday or public holiday are paid at a multiple
+    // of the hourly rate, as are a worker's hours beyond the daily threshold
+    // (whichever multiplier is higher applies)
+    saturdayRateMultiplier: {
+      type: Number,
+      default: 1.5,
+      min: [1, "Rate multipliers must be at least 1"],
+    },
+    sundayRateMultiplier: {
+      type: Number,
+      default: 2,
+      min: [1, "Rate multipliers must be at least 1"],
+    },
+    publicHolidayRateMultiplier: {
+      type: Number,
+      default: 2,
+      min: [1, "Rate multipliers must be at least 1"],
+    },
+    overtimeRateMultiplier: {
+      type: Number,
+      default: 1.5,
+      min: [1, "Rate multipliers must be at least 1"],
+    },
+    // Hours a worker may work in a day before overtime is paid (0 = no overtime rule)
+    overtimeAfterHours: {
+      type: Number,
+      default: 9,
+      min: [0, "Overtime threshold cannot be negative"],
+      max: [24, "Overtime threshold cannot exceed 24 hours"],
+    },
+    updatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+// Returns the settings document, creating it with defaults if it does not exist yet
+SettingsSchema.statics.getSettings = async function () {
+  const settings = await this.findOne();
+  if (settings) return settings;
+  return this.create({});
+};
+
+module.exports = mongoose.model("Settings", SettingsSchema);
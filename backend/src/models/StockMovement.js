@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+// One record per change to an ingredient's stock on hand. Records are never
+// updated, so together they form the ingredient's stock ledger; the balance
+// after each movement is kept so the ledger can be read without replaying it.
+const StockMovementSchema = new mongoose.Schema(
+  {
+    ingredient: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Ingredient",
+      required: true,
+      index: true,
+    },
+    type: {
+      // receipt: goods received from a supplier
+      // count: a stock count setting the stock to what was counted
+      // production: ingredients used by a production run (or given back when
+      // the run is deleted)
+      type: String,
+      enum: ["receipt", "count", "production"],
+      required: true,
+    },
+    quantity: {
+      // Signed change in the ingredient's unit; for a count, the variance
+      type: Number,
+      required: true,
+    },
+    unit: {
+      // The ingredient's unit at the time of the movement
+      type: String,
+      required: true,
+      trim: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    unitCost: {
+      // Cost per ingredient unit the movement is valued at
+      type: Number,
+      min: [0, "Unit cost cannot be negative"],
+    },
+    // Receipts: who delivered and their delivery note or invoice number
+    supplier: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Supplier",
+    },
+    reference: {
+      type: String,
+      trim: true,
+    },
+    // Production: the run that used the ingredient
+    productionRun: {
+      type: mongoose.Schema.ObjectId,
+      ref: "ProductionRun",
+      index: true,
+    },
+    // Counts: the stock expected before the count and what was counted
+    expectedQuantity: {
+      type: Number,
+    },
+    countedQuantity: {
+      type: Number,
+    },
+    occurredAt: {
+      // When the goods arrived or the count was taken
+      type: Date,
+      default: Date.now,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+StockMovementSchema.index({ ingredient: 1, occurredAt: 1 });
+
+module.exports = mongoose.model("StockMovement", StockMovementSchema);
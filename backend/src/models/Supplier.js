@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// Supplier names are unique regardless of case ("Makro" and "MAKRO" are one supplier)
+const NAME_COLLATION = { locale: "en", strength: 2 };
+
+const SupplierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please provide a supplier name"],
+      trim: true,
+    },
+    // Other spellings of the name (e.g. from old free-text entries or imports),
+    // matched case-insensitively when linking ingredients by name
+    aliases: {
+      type: [String],
+      default: [],
+    },
+    contactName: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,})+$/,
+        "Please provide a valid email",
+      ],
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    leadTimeDays: {
+      // Days from placing an order to delivery
+      type: Number,
+      min: [0, "Lead time cannot be negative"],
+    },
+    minimumOrderValue: {
+      // Smallest order the supplier accepts, in Rand
+      type: Number,
+      min: [0, "Minimum order value cannot be negative"],
+    },
+    paymentTerms: {
+      // e.g. "COD", "30 days from statement"
+      type: String,
+      trim: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+SupplierSchema.index({ name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+SupplierSchema.statics.NAME_COLLATION = NAME_COLLATION;
+
+module.exports = mongoose.model("Supplier", SupplierSchema);
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const { isKnownUnit } = require("../services/unitConversionService");
+
+// A supplier's price for an ingredient, e.g. "Makro: 2 kg for R179.90 until 31 March".
+// An ingredient can have quotes from several suppliers; the preferred (or else the
+// cheapest) quote that is still valid sets the ingredient's cost per unit.
+const SupplierQuoteSchema = new mongoose.Schema(
+  {
+    ingredient: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Ingredient",
+      required: true,
+      index: true,
+    },
+    supplier: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Supplier",
+      required: [true, "Please provide the supplier"],
+      index: true,
+    },
+    packSize: {
+      // Quantity in one pack, measured in packUnit
+      type: Number,
+      required: [true, "Please provide the pack size"],
+      min: [0.0001, "Pack size must be greater than 0"],
+    },
+    packUnit: {
+      type: String,
+      required: [true, "Please provide the pack unit"],
+      trim: true,
+      validate: {
+        validator: isKnownUnit,
+        message: (props) => `'${props.value}' is not a supported unit`,
+      },
+    },
+    packPrice: {
+      type: Number,
+      required: [true, "Please provide the pack price"],
+      min: [0, "Pack price cannot be negative"],
+    },
+    costPerUnit: {
+      // Derived: pack price per unit the ingredient is costed in (e.g. per kg)
+      type: Number,
+      required: true,
+    },
+    validUntil: {
+      // Last day the price applies; open-ended when not set
+      type: Date,
+    },
+    isPreferred: {
+      // Used ahead of cheaper quotes while valid (at most one per ingredient)
+      type: Boolean,
+      default: false,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("SupplierQuote", SupplierQuoteSchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// A worker role on the production floor (e.g. "Baker", "Helper", "Packer") and
+// what an hour of that person's time costs. The employer on-cost (UIF, SDL and
+// the like) is a percentage added on top of the hourly wage. Labor inputs that
+// name a role are costed at its loaded rate instead of the labor standard's.
+const WorkerRoleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please provide a worker role name"],
+      unique: true,
+      trim: true,
+    },
+    hourlyRate: {
+      type: Number,
+      required: [true, "Please provide the hourly rate"],
+      min: [0, "Hourly rate cannot be negative"],
+    },
+    // Employer contributions on top of the wage, in percent (e.g. 1 UIF + 1 SDL = 2)
+    onCostPercentage: {
+      type: Number,
+      default: 0,
+      min: [0, "On-cost percentage cannot be negative"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("WorkerRole", WorkerRoleSchema);
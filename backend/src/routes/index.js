@@ -12,12 +12,28 @@ const authRoutes = require("./authRoutes"); // Import auth routes
 const recipeRoutes = require("./recipeRoutes"); // Import recipe routes
 const ingredientRoutes = require("./ingredientRoutes"); // Import ingredient routes
 const laborRoutes = require("./laborRoutes"); // Import labor routes
+const workerRoleRoutes = require("./workerRoleRoutes"); // Import worker role routes
+const publicHolidayRoutes = require("./publicHolidayRoutes"); // Import public holiday routes
 const userRoutes = require("./userRoutes"); // Import user routes
+const overheadRoutes = require("./overheadRoutes"); // Import overhead routes
+const settingsRoutes = require("./settingsRoutes"); // Import settings routes
+const supplierRoutes = require("./supplierRoutes"); // Import supplier routes
+const inventoryRoutes = require("./inventoryRoutes"); // Import inventory routes
+const productionRoutes = require("./productionRoutes"); // Import production run routes
+const purchaseOrderRoutes = require("./purchaseOrderRoutes"); // Import purchase order routes
 
 router.use("/auth", authRoutes); // Mount auth routes under /auth
 router.use("/recipes", recipeRoutes); // Mount recipe routes under /recipes
 router.use("/ingredients", ingredientRoutes); // Mount ingredient routes under /ingredients
 router.use("/labor", laborRoutes); // Mount labor routes under /labor
+router.use("/worker-roles", workerRoleRoutes); // Mount worker role routes under /worker-roles
+router.use("/public-holidays", publicHolidayRoutes); // Mount public holiday routes under /public-holidays
 router.use("/users", userRoutes); // Mount user routes under /users
+router.use("/overheads", overheadRoutes); // Mount overhead routes under /overheads
+router.use("/settings", settingsRoutes); // Mount settings routes under /settings
+router.use("/suppliers", supplierRoutes); // Mount supplier routes under /suppliers
+router.use("/inventory", inventoryRoutes); // Mount inventory routes under /inventory
+router.use("/production-runs", productionRoutes); // Mount production run routes under /production-runs
+router.use("/purchase-orders", purchaseOrderRoutes); // Mount purchase order routes under /purchase-orders
 
 module.exports = router;
@@ -7,10 +7,29 @@ const {
   deleteIngredient,
   importIngredients,
   bulkDeleteIngredients,
+  getIngredientPrices,
+  restoreIngredient,
+  getIngredientUsage,
 } = require("../controllers/ingredientController");
-const { check, param, body, validationResult } = require("express-validator");
+const {
+  getIngredientQuotes,
+  createQuote,
+  updateQuote,
+  deleteQuote,
+  getQuoteSwitchImpact,
+} = require("../controllers/supplierQuoteController");
+const {
+  check,
+  param,
+  body,
+  query,
+  validationResult,
+} = require("express-validator");
 const mongoose = require("mongoose");
 const ErrorResponse = require("../utils/errorResponse");
+const { isKnownUnit } = require("../services/unitConversionService");
+const { ALLERGEN_KEYS } = require("../services/allergenService");
+const { NUTRIENT_KEYS } = require("../services/nutritionService");
 const { protect, authorize } = require("../middleware/authMiddleware");
 
 const router = express.Router();
@@ -31,17 +50,90 @@ const validateRequest = (req, res, next) => {
 // Validation helper for ObjectId
 const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
 
+// Stock is only changed through receipts and counts (see inventoryRoutes), so the
+// ledger always explains it; the reorder level can be set directly
+const stockValidationRules = (field) => [
+  field(
+    "stockOnHand",
+    "Stock on hand is changed through receipts and stock counts"
+  )
+    .not()
+    .exists(),
+  field("reorderLevel", "Reorder level must be a non-negative number")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 }),
+];
+
+// Pack size, unit and price (null clears the pack); shared by create and update
+const packValidationRules = (field) => [
+  field("packSize", "Pack size must be a positive number")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 }),
+  field("packUnit", "Pack unit must be a supported unit")
+    .optional({ values: "null" })
+    .custom(isKnownUnit),
+  field("packPrice", "Pack price must be a non-negative number")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 }),
+];
+
+// Allergens the ingredient contains / may contain; shared by create and update
+const allergenValidationRules = (field) => [
+  field("allergens", "Allergens must be an object").optional().isObject(),
+  field("allergens.contains", "Contains must be a list of allergens")
+    .optional()
+    .isArray(),
+  field("allergens.mayContain", "May contain must be a list of allergens")
+    .optional()
+    .isArray(),
+  field(
+    ["allergens.contains.*", "allergens.mayContain.*"],
+    `Allergen must be one of: ${ALLERGEN_KEYS.join(", ")}`
+  ).isIn(ALLERGEN_KEYS),
+];
+
+// Nutrients per 100 g; null clears a value. Shared by create and update
+const nutritionValidationRules = (field) => [
+  field("nutrition", "Nutrition must be an object").optional().isObject(),
+  field(
+    NUTRIENT_KEYS.map((key) => `nutrition.${key}`),
+    "Nutrient values must be non-negative numbers (per 100 g)"
+  )
+    .optional({ values: "null" })
+    .isFloat({ min: 0 }),
+];
+
 // Validation rules for creating an ingredient
 const createIngredientValidationRules = [
   check("ingredientName", "Ingredient name is required").not().isEmpty(),
   check("unit", "Unit is required").not().isEmpty(),
-  check("costPerUnit", "Cost per unit must be a non-negative number").isFloat({
-    min: 0,
-  }),
-  check("supplier", "Supplier must be a string").optional().isString(),
+  check("unit", "Unit is not supported").optional().custom(isKnownUnit),
+  // Not needed when the cost is derived from a pack size and pack price
+  check("costPerUnit", "Cost per unit must be a non-negative number")
+    .if((value, { req }) => req.body.packPrice == null)
+    .isFloat({ min: 0 }),
+  ...packValidationRules(check),
+  ...stockValidationRules(check),
+  check("density", "Density must be a positive number (kg per L)")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 }),
+  check("eachWeight", "Weight per unit must be a positive number (kg)")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 }),
+  check("yieldPercentage", "Yield percentage must be between 1 and 100")
+    .optional()
+    .isFloat({ min: 1, max: 100 }),
+  check("supplier", "Supplier must be a valid supplier ID")
+    .optional({ values: "null" })
+    .custom(isValidObjectId),
   check("category", "Invalid category value")
     .optional()
     .isIn(["Produce", "Meat", "Dairy", "Pantry", "Spices", "Other"]),
+  ...allergenValidationRules(check),
+  ...nutritionValidationRules(check),
+  check("effectiveDate", "Effective date must be a valid date")
+    .optional()
+    .isISO8601(),
 ];
 
 // Validation rules for updating an ingredient
@@ -51,14 +143,32 @@ const updateIngredientValidationRules = [
     .optional()
     .not()
     .isEmpty(),
-  body("unit", "Unit must be a non-empty string").optional().not().isEmpty(),
+  body("unit", "Unit must be a supported unit").optional().custom(isKnownUnit),
   body("costPerUnit", "Cost per unit must be a non-negative number")
     .optional()
     .isFloat({ min: 0 }),
-  body("supplier", "Supplier must be a string").optional().isString(),
+  ...packValidationRules(body),
+  ...stockValidationRules(body),
+  body("density", "Density must be a positive number (kg per L)")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 }),
+  body("eachWeight", "Weight per unit must be a positive number (kg)")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 }),
+  body("yieldPercentage", "Yield percentage must be between 1 and 100")
+    .optional()
+    .isFloat({ min: 1, max: 100 }),
+  body("supplier", "Supplier must be a valid supplier ID")
+    .optional({ values: "null" })
+    .custom(isValidObjectId),
   body("category", "Invalid category value")
     .optional()
     .isIn(["Produce", "Meat", "Dairy", "Pantry", "Spices", "Other"]),
+  ...allergenValidationRules(body),
+  ...nutritionValidationRules(body),
+  body("effectiveDate", "Effective date must be a valid date")
+    .optional()
+    .isISO8601(),
 ];
 
 // Validation rules for routes requiring just an ID param
@@ -66,12 +176,92 @@ const idParamValidationRules = [
   param("id", "Invalid ID format").custom(isValidObjectId),
 ];
 
+// Validation rules for the price history route
+const priceHistoryValidationRules = [
+  param("id", "Invalid ID format").custom(isValidObjectId),
+  query("from", "From must be a valid date").optional().isISO8601(),
+  query("to", "To must be a valid date").optional().isISO8601(),
+];
+
+// Validation rules for listing ingredients
+const listIngredientsValidationRules = [
+  query("includeArchived", "includeArchived must be true or false")
+    .optional()
+    .isBoolean(),
+  query("supplier", "Supplier must be a supplier ID or 'none'")
+    .optional()
+    .custom((value) => value === "none" || isValidObjectId(value)),
+];
+
+// Validation rules for the usage route
+const usageValidationRules = [
+  ...idParamValidationRules,
+  ...listIngredientsValidationRules,
+];
+
+// Validation rules for archiving or permanently deleting one ingredient
+const deleteIngredientValidationRules = [
+  ...idParamValidationRules,
+  query("permanent", "permanent must be true or false").optional().isBoolean(),
+];
+
+// Validation rules for archiving or permanently deleting several ingredients
+const bulkDeleteValidationRules = [
+  body("ids", "ids must be a non-empty array of ingredient IDs").isArray({
+    min: 1,
+  }),
+  body("ids.*", "Invalid ID format").custom(isValidObjectId),
+  body("permanent", "permanent must be a boolean")
+    .optional()
+    .isBoolean({ strict: true }),
+];
+
+// Validation rules for the pack and price of a supplier quote (shared by create and update)
+const quoteDetailRules = (required) => {
+  const presence = (chain) => (required ? chain : chain.optional());
+  return [
+    presence(body("supplier", "Supplier must be a valid supplier ID")).custom(
+      isValidObjectId
+    ),
+    presence(
+      body("packSize", "Pack size must be a number greater than 0")
+    ).isFloat({ gt: 0 }),
+    body("packUnit", "Pack unit must be a supported unit")
+      .optional()
+      .custom(isKnownUnit),
+    presence(
+      body("packPrice", "Pack price must be a non-negative number")
+    ).isFloat({ min: 0 }),
+    body("validUntil", "Valid until must be a valid date")
+      .optional({ values: "null" })
+      .isISO8601(),
+    body("isPreferred", "isPreferred must be a boolean")
+      .optional()
+      .isBoolean({ strict: true }),
+    body("notes", "Notes must be a string").optional().isString(),
+  ];
+};
+
+// Validation rules for routes on one quote of an ingredient
+const quoteParamValidationRules = [
+  ...idParamValidationRules,
+  param("quoteId", "Invalid quote ID format").custom(isValidObjectId),
+];
+
+// Validation rules for the switch impact of a quote
+const quoteImpactValidationRules = [
+  ...quoteParamValidationRules,
+  query("includeArchived", "includeArchived must be true or false")
+    .optional()
+    .isBoolean(),
+];
+
 // Apply protect middleware to all routes below
 router.use(protect);
 
 router
   .route("/")
-  .get(getAllIngredients) // Any logged-in user can view ingredients
+  .get(listIngredientsValidationRules, validateRequest, getAllIngredients) // Any logged-in user can view ingredients
   .post(
     authorize("admin", "manager"), // Allow admin and manager
     createIngredientValidationRules,
@@ -79,6 +269,15 @@ router
     createIngredient
   );
 
+// Must come before /:id
+router.delete(
+  "/bulk-delete",
+  authorize("admin", "manager"),
+  bulkDeleteValidationRules,
+  validateRequest,
+  bulkDeleteIngredients
+);
+
 router
   .route("/:id")
   .get(idParamValidationRules, validateRequest, getIngredientById) // Any logged-in user
@@ -90,17 +289,67 @@ router
   )
   .delete(
     authorize("admin", "manager"), // Allow admin and manager
-    idParamValidationRules,
+    deleteIngredientValidationRules,
     validateRequest,
     deleteIngredient
   );
 
-router.delete(
-  "/bulk-delete",
+router.post(
+  "/:id/restore",
   authorize("admin", "manager"),
-  bulkDeleteIngredients
+  idParamValidationRules,
+  validateRequest,
+  restoreIngredient
 );
 
+router.get(
+  "/:id/prices",
+  priceHistoryValidationRules,
+  validateRequest,
+  getIngredientPrices
+); // Any logged-in user
+
+router.get(
+  "/:id/usage",
+  usageValidationRules,
+  validateRequest,
+  getIngredientUsage
+); // Any logged-in user
+
+router
+  .route("/:id/quotes")
+  .get(idParamValidationRules, validateRequest, getIngredientQuotes) // Any logged-in user
+  .post(
+    authorize("admin", "manager"),
+    idParamValidationRules,
+    quoteDetailRules(true),
+    validateRequest,
+    createQuote
+  );
+
+router
+  .route("/:id/quotes/:quoteId")
+  .put(
+    authorize("admin", "manager"),
+    quoteParamValidationRules,
+    quoteDetailRules(false),
+    validateRequest,
+    updateQuote
+  )
+  .delete(
+    authorize("admin", "manager"),
+    quoteParamValidationRules,
+    validateRequest,
+    deleteQuote
+  );
+
+router.get(
+  "/:id/quotes/:quoteId/impact",
+  quoteImpactValidationRules,
+  validateRequest,
+  getQuoteSwitchImpact
+); // Any logged-in user
+
 router.post("/import", authorize("admin", "manager"), importIngredients);
 
 module.exports = router;
@@ -0,0 +1,121 @@
+const express = require("express");
+const {
+  getStockLevels,
+  getStockMovements,
+  receiveStock,
+  recordStockCount,
+} = require("../controllers/inventoryController");
+const { check, query, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+const ErrorResponse = require("../utils/errorResponse");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { isKnownUnit } = require("../services/unitConversionService");
+
+const router = express.Router();
+
+// Middleware to handle validation errors
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors
+      .array()
+      .map((err) => `${err.path}: ${err.msg}`)
+      .join("; ");
+    return next(new ErrorResponse(`Validation Error: ${errorMessages}`, 400));
+  }
+  next();
+};
+
+// Validation helper for ObjectId
+const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+// Validation rules for the ingredient and unit of each line (shared by receipts and counts)
+const lineRules = [
+  check("lines", "At least one line is required").isArray({ min: 1 }),
+  check("lines.*.ingredient", "Each line needs a valid ingredient ID").custom(
+    isValidObjectId
+  ),
+  check("lines.*.unit", "Unit must be a supported unit")
+    .optional()
+    .custom(isKnownUnit),
+  check("notes", "Notes must be a string").optional().isString(),
+];
+
+// Validation rules for booking a receipt
+const receiptValidationRules = [
+  ...lineRules,
+  check(
+    "lines.*.quantity",
+    "Received quantity must be a positive number"
+  ).isFloat({ gt: 0 }),
+  check("lines.*.totalCost", "Line cost must be a non-negative number")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 }),
+  check("supplier", "Supplier must be a valid supplier ID")
+    .optional({ values: "null" })
+    .custom(isValidObjectId),
+  check("reference", "Reference must be a string").optional().isString(),
+  check("receivedAt", "Received date must be a valid date")
+    .optional()
+    .isISO8601(),
+];
+
+// Validation rules for recording a stock count
+const countValidationRules = [
+  ...lineRules,
+  check(
+    "lines.*.countedQuantity",
+    "Counted quantity must be a non-negative number"
+  ).isFloat({ min: 0 }),
+  check("countedAt", "Count date must be a valid date").optional().isISO8601(),
+];
+
+// Validation rules for the stock movement ledger query
+const movementsValidationRules = [
+  query("ingredient", "Ingredient must be a valid ingredient ID")
+    .optional()
+    .custom(isValidObjectId),
+  query("type", "Type must be receipt, count or production")
+    .optional()
+    .isIn(["receipt", "count", "production"]),
+  query("from", "From must be a valid date").optional().isISO8601(),
+  query("to", "To must be a valid date").optional().isISO8601(),
+  query("limit", "Limit must be between 1 and 1000")
+    .optional()
+    .isInt({ min: 1, max: 1000 }),
+];
+
+// Apply protect middleware to all routes below
+router.use(protect);
+
+router.get(
+  "/",
+  query("lowStock", "lowStock must be true or false").optional().isBoolean(),
+  validateRequest,
+  getStockLevels
+); // Any logged-in user
+
+router.get(
+  "/movements",
+  movementsValidationRules,
+  validateRequest,
+  getStockMovements
+); // Any logged-in user
+
+router.post(
+  "/receipts",
+  authorize("admin", "manager"),
+  receiptValidationRules,
+  validateRequest,
+  receiveStock
+);
+
+router.post(
+  "/counts",
+  authorize("admin", "manager"),
+  countValidationRules,
+  validateRequest,
+  recordStockCount
+);
+
+module.exports = router;
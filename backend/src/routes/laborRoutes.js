@@ -29,34 +29,27 @@ const validateRequest = (req, res, next) => {
 // Validation helper for ObjectId
 const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
 
-// Validation rules for creating labor data
+// Validation rules for creating a labor standard
 const createLaborValidationRules = [
-  check("pieName", "Pie name is required").not().isEmpty().isString(),
-  check("costPerHour", "Cost per hour must be a non-negative number").isFloat({
-    min: 0,
-  }),
-  check(
-    "minutesPerPie",
-    "Minutes per pie must be a non-negative number"
-  ).isFloat({
+  check("name", "Labor standard name is required").not().isEmpty().isString(),
+  check("hourlyRate", "Hourly rate must be a non-negative number").isFloat({
     min: 0,
   }),
+  check("description", "Description must be a string").optional().isString(),
 ];
 
-// Validation rules for updating labor data
+// Validation rules for updating a labor standard
 const updateLaborValidationRules = [
   param("id", "Invalid Labor ID format").custom(isValidObjectId),
-  body("pieName", "Pie name must be a non-empty string")
+  body("name", "Labor standard name must be a non-empty string")
     .optional()
     .not()
     .isEmpty()
     .isString(),
-  body("costPerHour", "Cost per hour must be a non-negative number")
-    .optional()
-    .isFloat({ min: 0 }),
-  body("minutesPerPie", "Minutes per pie must be a non-negative number")
+  body("hourlyRate", "Hourly rate must be a non-negative number")
     .optional()
     .isFloat({ min: 0 }),
+  body("description", "Description must be a string").optional().isString(),
 ];
 
 // Validation rules for routes requiring just an ID param
@@ -69,7 +62,7 @@ router.use(protect);
 
 router
   .route("/")
-  .get(getAllLabor) // Any logged-in user can view labor data
+  .get(getAllLabor) // Any logged-in user can view labor standards
   .post(
     authorize("admin", "manager"), // Allow admin and manager
     createLaborValidationRules,
@@ -0,0 +1,108 @@
+const express = require("express");
+const {
+  getOverheads,
+  getOverheadById,
+  createOverhead,
+  updateOverhead,
+  deleteOverhead,
+} = require("../controllers/overheadController");
+const {
+  check,
+  param,
+  body,
+  query,
+  validationResult,
+} = require("express-validator");
+const mongoose = require("mongoose");
+const ErrorResponse = require("../utils/errorResponse");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+// Middleware to handle validation errors
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors
+      .array()
+      .map((err) => `${err.path}: ${err.msg}`)
+      .join("; ");
+    return next(new ErrorResponse(`Validation Error: ${errorMessages}`, 400));
+  }
+  next();
+};
+
+// Validation helper for ObjectId
+const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+const OVERHEAD_TYPES = ["packaging", "utility", "fixed"];
+
+// Validation rules for listing overheads
+const getOverheadsValidationRules = [
+  query("type", "Type must be packaging, utility or fixed")
+    .optional()
+    .isIn(OVERHEAD_TYPES),
+];
+
+// Validation rules for creating an overhead
+const createOverheadValidationRules = [
+  check("name", "Overhead name is required").not().isEmpty().isString(),
+  check("type", "Type must be packaging, utility or fixed").isIn(
+    OVERHEAD_TYPES
+  ),
+  check("cost", "Cost must be a non-negative number").isFloat({ min: 0 }),
+  check("notes", "Notes must be a string").optional().isString(),
+];
+
+// Validation rules for updating an overhead
+const updateOverheadValidationRules = [
+  param("id", "Invalid Overhead ID format").custom(isValidObjectId),
+  body("name", "Overhead name must be a non-empty string")
+    .optional()
+    .not()
+    .isEmpty()
+    .isString(),
+  body("type", "Type must be packaging, utility or fixed")
+    .optional()
+    .isIn(OVERHEAD_TYPES),
+  body("cost", "Cost must be a non-negative number")
+    .optional()
+    .isFloat({ min: 0 }),
+  body("notes", "Notes must be a string").optional().isString(),
+];
+
+// Validation rules for routes requiring just an ID param
+const idParamValidationRules = [
+  param("id", "Invalid ID format").custom(isValidObjectId),
+];
+
+// Apply protect middleware to all routes below
+router.use(protect);
+
+router
+  .route("/")
+  .get(getOverheadsValidationRules, validateRequest, getOverheads) // Any logged-in user
+  .post(
+    authorize("admin", "manager"),
+    createOverheadValidationRules,
+    validateRequest,
+    createOverhead
+  );
+
+router
+  .route("/:id")
+  .get(idParamValidationRules, validateRequest, getOverheadById) // Any logged-in user
+  .put(
+    authorize("admin", "manager"),
+    updateOverheadValidationRules,
+    validateRequest,
+    updateOverhead
+  )
+  .delete(
+    authorize("admin", "manager"),
+    idParamValidationRules,
+    validateRequest,
+    deleteOverhead
+  );
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require("express");
+const {
+  getProductionRuns,
+  getProductionRun,
+  createProductionRun,
+  deleteProductionRun,
+  getUsageReport,
+  updateProductionRunLabor,
+  getLaborTimeReport,
+} = require("../controllers/productionController");
+const { check, param, query, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+const ErrorResponse = require("../utils/errorResponse");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+// Middleware to handle validation errors
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors
+      .array()
+      .map((err) => `${err.path}: ${err.msg}`)
+      .join("; ");
+    return next(new ErrorResponse(`Validation Error: ${errorMessages}`, 400));
+  }
+  next();
+};
+
+// Validation helper for ObjectId
+const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+// Validation rules for an optional from/to date range
+const dateRangeRules = [
+  query("from", "From must be a valid date").optional().isISO8601(),
+  query("to", "To must be a valid date").optional().isISO8601(),
+];
+
+// Validation rules for listing production runs
+const listValidationRules = [
+  ...dateRangeRules,
+  query("recipe", "Recipe must be a valid recipe ID")
+    .optional()
+    .custom(isValidObjectId),
+];
+
+// Validation rules for recording a production run
+const createValidationRules = [
+  check("recipe", "A valid recipe ID is required").custom(isValidObjectId),
+  check("batches", "Number of batches must be greater than 0").isFloat({
+    gt: 0,
+  }),
+  check("producedAt", "Production date must be a valid date")
+    .optional()
+    .isISO8601(),
+  check("bakedBy", "Baked by must be a string").optional().isString(),
+  check("piesProduced", "Pies produced must be a whole number (0 or more)")
+    .optional({ values: "null" })
+    .isInt({ min: 0 }),
+  check("notes", "Notes must be a string").optional().isString(),
+  check("laborStartedAt", "Labor start time must be a valid date and time")
+    .optional({ values: "null" })
+    .isISO8601(),
+  check("laborEndedAt", "Labor finish time must be a valid date and time")
+    .optional({ values: "null" })
+    .isISO8601(),
+  check("headcount", "Headcount must be a whole number (1 or more)")
+    .optional({ values: "null" })
+    .isInt({ min: 1 }),
+];
+
+// Validation rules for recording the labor time of a production run
+const laborValidationRules = [
+  param("id", "Invalid ID format").custom(isValidObjectId),
+  check(
+    "laborStartedAt",
+    "Labor start time must be a valid date and time"
+  ).isISO8601(),
+  check(
+    "laborEndedAt",
+    "Labor finish time must be a valid date and time"
+  ).isISO8601(),
+  check("headcount", "Headcount must be a whole number (1 or more)").isInt({
+    min: 1,
+  }),
+];
+
+// Validation rules for the labor time report
+const laborReportValidationRules = [
+  ...dateRangeRules,
+  query("tolerance", "Tolerance must be a percentage of 0 or more")
+    .optional()
+    .isFloat({ min: 0 }),
+];
+
+// Validation rules for routes requiring just an ID param
+const idParamValidationRules = [
+  param("id", "Invalid ID format").custom(isValidObjectId),
+];
+
+// Apply protect middleware to all routes below
+router.use(protect);
+
+// Report routes come before /:id so "usage-report" is not taken for an ID
+router.get("/usage-report", dateRangeRules, validateRequest, getUsageReport); // Any logged-in user
+router.get(
+  "/labor-report",
+  laborReportValidationRules,
+  validateRequest,
+  getLaborTimeReport
+); // Any logged-in user
+
+router
+  .route("/")
+  .get(listValidationRules, validateRequest, getProductionRuns) // Any logged-in user
+  .post(
+    authorize("admin", "manager"),
+    createValidationRules,
+    validateRequest,
+    createProductionRun
+  );
+
+router
+  .route("/:id")
+  .get(idParamValidationRules, validateRequest, getProductionRun) // Any logged-in user
+  .delete(
+    authorize("admin", "manager"),
+    idParamValidationRules,
+    validateRequest,
+    deleteProductionRun
+  );
+
+router.put(
+  "/:id/labor",
+  authorize("admin", "manager"),
+  laborValidationRules,
+  validateRequest,
+  updateProductionRunLabor
+);
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require("express");
+const {
+  getPublicHolidays,
+  createPublicHoliday,
+  loadPublicHolidayYear,
+  updatePublicHoliday,
+  deletePublicHoliday,
+} = require("../controllers/publicHolidayController");
+const {
+  check,
+  param,
+  body,
+  query,
+  validationResult,
+} = require("express-validator");
+const mongoose = require("mongoose");
+const ErrorResponse = require("../utils/errorResponse");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+// Middleware to handle validation errors
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors
+      .array()
+      .map((err) => `${err.path}: ${err.msg}`)
+      .join("; ");
+    return next(new ErrorResponse(`Validation Error: ${errorMessages}`, 400));
+  }
+  next();
+};
+
+// Validation helper for ObjectId
+const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+// Validation rules for listing the calendar
+const listValidationRules = [
+  query("year", "Year must be between 2000 and 2100")
+    .optional()
+    .isInt({ min: 2000, max: 2100 }),
+];
+
+// Validation rules for adding a public holiday
+const createValidationRules = [
+  check("date", "Date must be a valid date (YYYY-MM-DD)").isISO8601(),
+  check("name", "Holiday name is required").not().isEmpty().isString(),
+];
+
+// Validation rules for loading a year of South African public holidays
+const loadYearValidationRules = [
+  check("year", "Year must be between 2000 and 2100").isInt({
+    min: 2000,
+    max: 2100,
+  }),
+];
+
+// Validation rules for updating a public holiday
+const updateValidationRules = [
+  param("id", "Invalid Public Holiday ID format").custom(isValidObjectId),
+  body("date", "Date must be a valid date (YYYY-MM-DD)").optional().isISO8601(),
+  body("name", "Holiday name must be a non-empty string")
+    .optional()
+    .not()
+    .isEmpty()
+    .isString(),
+];
+
+// Validation rules for routes requiring just an ID param
+const idParamValidationRules = [
+  param("id", "Invalid ID format").custom(isValidObjectId),
+];
+
+// Apply protect middleware to all routes below
+router.use(protect);
+
+router
+  .route("/")
+  .get(listValidationRules, validateRequest, getPublicHolidays) // Any logged-in user
+  .post(
+    authorize("admin", "manager"),
+    createValidationRules,
+    validateRequest,
+    createPublicHoliday
+  );
+
+// Comes before /:id so "load-year" is not taken for an ID
+router.post(
+  "/load-year",
+  authorize("admin", "manager"),
+  loadYearValidationRules,
+  validateRequest,
+  loadPublicHolidayYear
+);
+
+router
+  .route("/:id")
+  .put(
+    authorize("admin", "manager"),
+    updateValidationRules,
+    validateRequest,
+    updatePublicHoliday
+  )
+  .delete(
+    authorize("admin", "manager"),
+    idParamValidationRules,
+    validateRequest,
+    deletePublicHoliday
+  );
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require("express");
+const {
+  getPurchaseOrders,
+  getPurchaseOrder,
+  planPurchaseOrders,
+  generatePurchaseOrders,
+  updatePurchaseOrderStatus,
+  deletePurchaseOrder,
+} = require("../controllers/purchaseOrderController");
+const { check, param, query, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+const ErrorResponse = require("../utils/errorResponse");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+// Middleware to handle validation errors
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors
+      .array()
+      .map((err) => `${err.path}: ${err.msg}`)
+      .join("; ");
+    return next(new ErrorResponse(`Validation Error: ${errorMessages}`, 400));
+  }
+  next();
+};
+
+// Validation helper for ObjectId
+const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+const STATUSES = ["draft", "sent", "received"];
+
+// Validation rules for listing purchase orders
+const listValidationRules = [
+  query("status", `Status must be one of: ${STATUSES.join(", ")}`)
+    .optional()
+    .isIn(STATUSES),
+  query("supplier", "Supplier must be a valid supplier ID")
+    .optional()
+    .custom(isValidObjectId),
+];
+
+// Validation rules for a production plan
+const planValidationRules = [
+  check("plan", "Plan must list at least one recipe").isArray({ min: 1 }),
+  check("plan.*.recipe", "Each planned run needs a valid recipe ID").custom(
+    isValidObjectId
+  ),
+  check(
+    "plan.*.batches",
+    "Each planned run needs a number of batches greater than 0"
+  ).isFloat({ gt: 0 }),
+  check("neededBy", "Needed by must be a valid date").optional().isISO8601(),
+];
+
+// Validation rules for generating purchase orders
+const generateValidationRules = [
+  ...planValidationRules,
+  check("notes", "Notes must be a string").optional().isString(),
+];
+
+// Validation rules for moving an order on
+const statusValidationRules = [
+  check("status", "Status must be sent or received").isIn(["sent", "received"]),
+  check("receivedAt", "Received date must be a valid date")
+    .optional()
+    .isISO8601(),
+];
+
+// Validation rules for routes requiring just an ID param
+const idParamValidationRules = [
+  param("id", "Invalid ID format").custom(isValidObjectId),
+];
+
+// All routes below this middleware are protected; purchasing is for admins and managers
+router.use(protect);
+router.use(authorize("admin", "manager"));
+
+router.get("/", listValidationRules, validateRequest, getPurchaseOrders);
+router.post("/plan", planValidationRules, validateRequest, planPurchaseOrders);
+router.post(
+  "/generate",
+  generateValidationRules,
+  validateRequest,
+  generatePurchaseOrders
+);
+
+router
+  .route("/:id")
+  .get(idParamValidationRules, validateRequest, getPurchaseOrder)
+  .delete(idParamValidationRules, validateRequest, deletePurchaseOrder);
+
+router.put(
+  "/:id/status",
+  idParamValidationRules,
+  statusValidationRules,
+  validateRequest,
+  updatePurchaseOrderStatus
+);
+
+module.exports = router;
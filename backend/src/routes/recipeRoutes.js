@@ -5,10 +5,29 @@ const {
   createRecipe,
   updateRecipe,
   deleteRecipe,
+  restoreRecipe,
+  getRecipeCostChanges,
+  getRecipeBreakdown,
+  getRecipeNutrition,
+  getRecipeLabel,
+  getRecipeDatedCost,
+  getRecipeScale,
+  getRecipeRevisions,
+  getRecipeRevision,
+  diffRecipeRevisions,
+  restoreRecipeRevision,
 } = require("../controllers/recipeController");
-const { check, body, param, validationResult } = require("express-validator");
+const {
+  check,
+  body,
+  param,
+  query,
+  validationResult,
+} = require("express-validator");
 const ErrorResponse = require("../utils/errorResponse");
 const mongoose = require("mongoose");
+const { isKnownUnit } = require("../services/unitConversionService");
+const { isValidLaborInput } = require("../services/laborService");
 
 const router = express.Router();
 
@@ -30,6 +49,14 @@ const validateRequest = (req, res, next) => {
 // Validation helper for ObjectId
 const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
 
+// Each ingredient line must reference the kind of item it says it is
+const hasValidItemReference = (item) =>
+  item && item.itemType === "recipe"
+    ? isValidObjectId(item.subRecipe)
+    : isValidObjectId(item?.ingredient);
+
+const PRICING_MODES = ["markup", "margin", "target_price"];
+
 // Validation rules for creating a recipe
 const createRecipeValidationRules = [
   check("pieName", "Pie name is required and must be a string")
@@ -37,13 +64,34 @@ const createRecipeValidationRules = [
     .isEmpty()
     .isString(),
   check("batchSize", "Batch size must be a positive integer").isInt({ gt: 0 }),
+  check("yieldWeight", "Yield weight must be a positive number (kg)")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 }),
+  check("bakingLossPercentage", "Baking loss must be between 0 and 99%")
+    .optional()
+    .isFloat({ min: 0, max: 99 }),
+  check("rejectRate", "Reject rate must be between 0 and 99%")
+    .optional()
+    .isFloat({ min: 0, max: 99 }),
+  check(
+    "shelfLifeDays",
+    "Shelf life must be a whole number of days (1 or more)"
+  )
+    .optional({ values: "null" })
+    .isInt({ min: 1 }),
   check("ingredients", "Ingredients must be a non-empty array").isArray({
     min: 1,
   }),
   check(
-    "ingredients.*.ingredient",
-    "Each ingredient must have a valid ingredient ID"
-  ).custom(isValidObjectId),
+    "ingredients.*.itemType",
+    "Each ingredient item type must be 'ingredient' or 'recipe'"
+  )
+    .optional()
+    .isIn(["ingredient", "recipe"]),
+  check(
+    "ingredients.*",
+    "Each ingredient must have a valid ingredient ID (or sub-recipe ID for sub-recipes)"
+  ).custom(hasValidItemReference),
   check(
     "ingredients.*.quantity",
     "Each ingredient quantity must be a positive number"
@@ -55,25 +103,90 @@ const createRecipeValidationRules = [
     .not()
     .isEmpty()
     .isString(),
+  check(
+    "ingredients.*.unit",
+    "Each ingredient unit must be a supported unit"
+  )
+    .optional()
+    .custom(isKnownUnit),
   check("laborInputs", "Labor inputs must be a non-empty array").isArray({
     min: 1,
   }),
+  check(
+    "laborInputs.*.laborStandard",
+    "Each labor input must have a valid labor standard ID"
+  ).custom(isValidObjectId),
+  check(
+    "laborInputs.*.workerRole",
+    "Each labor input's worker role must be a valid ID"
+  )
+    .optional({ values: "falsy" })
+    .custom(isValidObjectId),
+  check(
+    "laborInputs.*",
+    "Each labor input must give either minutes per pie or workers and hours per worker"
+  ).custom(isValidLaborInput),
+  check(
+    "laborInputs.*.minutesPerPie",
+    "Each labor input's minutes per pie must be a non-negative number"
+  )
+    .optional({ values: "null" })
+    .isFloat({ min: 0 }),
   check(
     "laborInputs.*.workers",
     "Each labor input must specify workers as a positive integer"
-  ).isInt({ gt: 0 }),
+  )
+    .optional({ values: "null" })
+    .isInt({ gt: 0 }),
   check(
     "laborInputs.*.hoursPerWorker",
     "Each labor input must specify hours per worker as a non-negative number"
-  ).isFloat({ min: 0 }),
+  )
+    .optional({ values: "null" })
+    .isFloat({ min: 0 }),
+  check("packaging", "Packaging must be an array").optional().isArray(),
+  check(
+    "packaging.*.overhead",
+    "Each packaging item must have a valid overhead ID"
+  ).custom(isValidObjectId),
+  check(
+    "packaging.*.quantity",
+    "Each packaging quantity must be a non-negative number"
+  )
+    .optional()
+    .isFloat({ min: 0 }),
+  check("utilityInputs", "Utility inputs must be an array")
+    .optional()
+    .isArray(),
+  check(
+    "utilityInputs.*.overhead",
+    "Each utility input must have a valid overhead ID"
+  ).custom(isValidObjectId),
   check(
-    "laborHourlyRate",
-    "Labor hourly rate must be a non-negative number"
+    "utilityInputs.*.minutes",
+    "Each utility input must specify minutes as a non-negative number"
   ).isFloat({ min: 0 }),
+  check(
+    "pricingMode",
+    "Pricing mode must be 'markup', 'margin' or 'target_price'"
+  )
+    .optional()
+    .isIn(PRICING_MODES),
   check(
     "markupPercentage",
     "Markup percentage must be a non-negative number"
-  ).isFloat({ min: 0 }),
+  )
+    .if((value, { req }) => (req.body.pricingMode || "markup") === "markup")
+    .isFloat({ min: 0 }),
+  check(
+    "targetMarginPercentage",
+    "Target margin must be between 0 and 99%"
+  )
+    .if((value, { req }) => req.body.pricingMode === "margin")
+    .isFloat({ min: 0, max: 99 }),
+  check("targetPrice", "Target price must be a positive number")
+    .if((value, { req }) => req.body.pricingMode === "target_price")
+    .isFloat({ gt: 0 }),
   check("notes", "Notes must be a string").optional().isString(),
 ];
 
@@ -88,15 +201,31 @@ const updateRecipeValidationRules = [
   body("batchSize", "Batch size must be a positive integer")
     .optional()
     .isInt({ gt: 0 }),
+  body("yieldWeight", "Yield weight must be a positive number (kg)")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 }),
+  body("bakingLossPercentage", "Baking loss must be between 0 and 99%")
+    .optional()
+    .isFloat({ min: 0, max: 99 }),
+  body("rejectRate", "Reject rate must be between 0 and 99%")
+    .optional()
+    .isFloat({ min: 0, max: 99 }),
+  body("shelfLifeDays", "Shelf life must be a whole number of days (1 or more)")
+    .optional({ values: "null" })
+    .isInt({ min: 1 }),
   body("ingredients", "Ingredients must be a non-empty array")
     .optional()
     .isArray({ min: 1 }),
   body(
-    "ingredients.*.ingredient",
-    "Each ingredient must have a valid ingredient ID"
+    "ingredients.*.itemType",
+    "Each ingredient item type must be 'ingredient' or 'recipe'"
   )
     .optional()
-    .custom(isValidObjectId),
+    .isIn(["ingredient", "recipe"]),
+  body(
+    "ingredients.*",
+    "Each ingredient must have a valid ingredient ID (or sub-recipe ID for sub-recipes)"
+  ).custom(hasValidItemReference),
   body(
     "ingredients.*.quantity",
     "Each ingredient quantity must be a positive number"
@@ -108,27 +237,81 @@ const updateRecipeValidationRules = [
     .not()
     .isEmpty()
     .isString(),
+  body("ingredients.*.unit", "Each ingredient unit must be a supported unit")
+    .optional()
+    .custom(isKnownUnit),
   body("laborInputs", "Labor inputs must be a non-empty array")
     .optional()
     .isArray({ min: 1 }),
+  body(
+    "laborInputs.*.laborStandard",
+    "Each labor input must have a valid labor standard ID"
+  ).custom(isValidObjectId),
+  body(
+    "laborInputs.*.workerRole",
+    "Each labor input's worker role must be a valid ID"
+  )
+    .optional({ values: "falsy" })
+    .custom(isValidObjectId),
+  body(
+    "laborInputs.*",
+    "Each labor input must give either minutes per pie or workers and hours per worker"
+  ).custom(isValidLaborInput),
+  body(
+    "laborInputs.*.minutesPerPie",
+    "Each labor input's minutes per pie must be a non-negative number"
+  )
+    .optional({ values: "null" })
+    .isFloat({ min: 0 }),
   body(
     "laborInputs.*.workers",
     "Each labor input must specify workers as a positive integer"
   )
-    .optional()
+    .optional({ values: "null" })
     .isInt({ gt: 0 }),
   body(
     "laborInputs.*.hoursPerWorker",
     "Each labor input must specify hours per worker as a non-negative number"
   )
-    .optional()
+    .optional({ values: "null" })
     .isFloat({ min: 0 }),
-  body("laborHourlyRate", "Labor hourly rate must be a non-negative number")
+  body("packaging", "Packaging must be an array").optional().isArray(),
+  body(
+    "packaging.*.overhead",
+    "Each packaging item must have a valid overhead ID"
+  ).custom(isValidObjectId),
+  body(
+    "packaging.*.quantity",
+    "Each packaging quantity must be a non-negative number"
+  )
     .optional()
     .isFloat({ min: 0 }),
+  body("utilityInputs", "Utility inputs must be an array")
+    .optional()
+    .isArray(),
+  body(
+    "utilityInputs.*.overhead",
+    "Each utility input must have a valid overhead ID"
+  ).custom(isValidObjectId),
+  body(
+    "utilityInputs.*.minutes",
+    "Each utility input must specify minutes as a non-negative number"
+  ).isFloat({ min: 0 }),
+  body(
+    "pricingMode",
+    "Pricing mode must be 'markup', 'margin' or 'target_price'"
+  )
+    .optional()
+    .isIn(PRICING_MODES),
   body("markupPercentage", "Markup percentage must be a non-negative number")
     .optional()
     .isFloat({ min: 0 }),
+  body("targetMarginPercentage", "Target margin must be between 0 and 99%")
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 99 }),
+  body("targetPrice", "Target price must be a positive number")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 }),
   body("notes", "Notes must be a string").optional().isString(),
 ];
 
@@ -137,6 +320,66 @@ const idParamValidationRules = [
   param("id", "Invalid ID format").custom(isValidObjectId),
 ];
 
+// Validation rules for routes addressing one revision of a recipe
+const revisionParamValidationRules = [
+  ...idParamValidationRules,
+  param("revisionNumber", "Revision number must be a positive integer").isInt({
+    gt: 0,
+  }),
+];
+
+// Validation rules for comparing two revisions
+const diffRevisionsValidationRules = [
+  ...idParamValidationRules,
+  query("from", "'from' must be a positive revision number").isInt({ gt: 0 }),
+  query("to", "'to' must be a positive revision number").isInt({ gt: 0 }),
+];
+
+// Validation rules for a recipe's product label
+const labelValidationRules = [
+  ...idParamValidationRules,
+  query("packedOn", "Packing date must be a valid date (YYYY-MM-DD)")
+    .optional()
+    .isISO8601(),
+];
+
+// Validation rules for costing a recipe on a date
+const datedCostValidationRules = [
+  ...idParamValidationRules,
+  query("date", "Date must be a valid date (YYYY-MM-DD)").isISO8601(),
+  query("batches", "Number of batches must be greater than 0")
+    .optional()
+    .isFloat({ gt: 0 }),
+];
+
+// Validation rules for scaling a recipe
+const scaleValidationRules = [
+  ...idParamValidationRules,
+  query("pies", "Number of pies must be greater than 0")
+    .optional()
+    .isFloat({ gt: 0 }),
+  query("ingredient", "Ingredient must be a valid ID")
+    .optional()
+    .custom(isValidObjectId),
+  query("quantity", "Ingredient quantity must be greater than 0")
+    .optional()
+    .isFloat({ gt: 0 }),
+  query("unit", "Unit is not supported").optional().custom(isKnownUnit),
+];
+
+// Validation rules for listing recipes
+const listRecipesValidationRules = [
+  query("includeArchived", "includeArchived must be true or false")
+    .optional()
+    .isBoolean(),
+];
+
+// Validation rules for archiving or permanently deleting a recipe
+const deleteRecipeValidationRules = [
+  ...idParamValidationRules,
+  query("permanent", "permanent must be true or false").optional().isBoolean(),
+];
+
 // Apply protect middleware to all routes below
 // For more granular control, apply middleware individually
 router.use(protect);
@@ -146,7 +389,7 @@ router.use(protect);
 
 router
   .route("/")
-  .get(getAllRecipes) // Anyone logged in can view
+  .get(listRecipesValidationRules, validateRequest, getAllRecipes) // Anyone logged in can view
   .post(
     authorize("admin", "manager"),
     createRecipeValidationRules,
@@ -165,9 +408,79 @@ router
   )
   .delete(
     authorize("admin", "manager"),
-    idParamValidationRules,
+    deleteRecipeValidationRules,
     validateRequest,
     deleteRecipe
   );
 
+router.post(
+  "/:id/restore",
+  authorize("admin", "manager"),
+  idParamValidationRules,
+  validateRequest,
+  restoreRecipe
+);
+
+router.get(
+  "/:id/breakdown",
+  idParamValidationRules,
+  validateRequest,
+  getRecipeBreakdown
+);
+
+router.get(
+  "/:id/nutrition",
+  idParamValidationRules,
+  validateRequest,
+  getRecipeNutrition
+);
+
+router.get("/:id/label", labelValidationRules, validateRequest, getRecipeLabel);
+
+router.get(
+  "/:id/dated-cost",
+  datedCostValidationRules,
+  validateRequest,
+  getRecipeDatedCost
+);
+
+router.get("/:id/scale", scaleValidationRules, validateRequest, getRecipeScale);
+
+router.get(
+  "/:id/cost-changes",
+  idParamValidationRules,
+  validateRequest,
+  getRecipeCostChanges
+);
+
+router.get(
+  "/:id/revisions",
+  idParamValidationRules,
+  validateRequest,
+  getRecipeRevisions
+);
+
+// Must come before /:id/revisions/:revisionNumber
+router.get(
+  "/:id/revisions/diff",
+  diffRevisionsValidationRules,
+  validateRequest,
+  diffRecipeRevisions
+);
+
+router.get(
+  "/:id/revisions/:revisionNumber",
+  revisionParamValidationRules,
+  validateRequest,
+  getRecipeRevision
+);
+
+router.post(
+  "/:id/revisions/:revisionNumber/restore",
+  authorize("admin", "manager"),
+  revisionParamValidationRules,
+  validateRequest,
+  restoreRecipeRevision
+);
+
 module.exports = router;
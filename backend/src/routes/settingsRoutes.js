@@ -0,0 +1,87 @@
+const express = require("express");
+const {
+  getSettings,
+  updateSettings,
+} = require("../controllers/settingsController");
+const { body, validationResult } = require("express-validator");
+const ErrorResponse = require("../utils/errorResponse");
+const { ROUNDING_RULES } = require("../services/priceRoundingService");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+// Middleware to handle validation errors
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors
+      .array()
+      .map((err) => `${err.path}: ${err.msg}`)
+      .join("; ");
+    return next(new ErrorResponse(`Validation Error: ${errorMessages}`, 400));
+  }
+  next();
+};
+
+// Validation rules for updating the settings
+const updateSettingsValidationRules = [
+  body(
+    "projectedMonthlyVolume",
+    "Projected monthly volume must be a non-negative integer"
+  )
+    .optional()
+    .isInt({ min: 0 }),
+  body("vatRate", "VAT rate must be between 0 and 100%")
+    .optional()
+    .isFloat({ min: 0, max: 100 }),
+  body("pricesIncludeVat", "Prices include VAT must be true or false")
+    .optional()
+    .isBoolean({ strict: true }),
+  body(
+    "roundingRule",
+    `Rounding rule must be one of: ${ROUNDING_RULES.join(", ")}`
+  )
+    .optional()
+    .isIn(ROUNDING_RULES),
+  body("minimumMarginPercentage", "Minimum margin must be between 0 and 99%")
+    .optional()
+    .isFloat({ min: 0, max: 99 }),
+  body(
+    "defaultShelfLifeDays",
+    "Default shelf life must be a whole number of days (1 or more)"
+  )
+    .optional({ values: "null" })
+    .isInt({ min: 1 }),
+  body(
+    [
+      "saturdayRateMultiplier",
+      "sundayRateMultiplier",
+      "publicHolidayRateMultiplier",
+      "overtimeRateMultiplier",
+    ],
+    "Rate multipliers must be at least 1"
+  )
+    .optional()
+    .isFloat({ min: 1 }),
+  body(
+    "overtimeAfterHours",
+    "Overtime threshold must be between 0 and 24 hours"
+  )
+    .optional()
+    .isFloat({ min: 0, max: 24 }),
+];
+
+// Apply protect middleware to all routes below
+router.use(protect);
+
+router
+  .route("/")
+  .get(getSettings) // Any logged-in user
+  .put(
+    authorize("admin", "manager"),
+    updateSettingsValidationRules,
+    validateRequest,
+    updateSettings
+  );
+
+module.exports = router;
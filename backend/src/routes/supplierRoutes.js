@@ -0,0 +1,109 @@
+const express = require("express");
+const {
+  getSuppliers,
+  getSupplierById,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+} = require("../controllers/supplierController");
+const { check, param, body, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+const ErrorResponse = require("../utils/errorResponse");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+// Middleware to handle validation errors
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors
+      .array()
+      .map((err) => `${err.path}: ${err.msg}`)
+      .join("; ");
+    return next(new ErrorResponse(`Validation Error: ${errorMessages}`, 400));
+  }
+  next();
+};
+
+// Validation helper for ObjectId
+const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+// Validation rules for the optional supplier details (shared by create and update)
+const supplierDetailRules = (field) => [
+  field("aliases", "Aliases must be a list of names").optional().isArray(),
+  field("aliases.*", "Each alias must be a non-empty string")
+    .isString()
+    .trim()
+    .notEmpty(),
+  field("contactName", "Contact name must be a string").optional().isString(),
+  field("email", "Email must be a valid email address")
+    .optional({ values: "falsy" })
+    .isEmail(),
+  field("phone", "Phone must be a string").optional().isString(),
+  field("address", "Address must be a string").optional().isString(),
+  field("leadTimeDays", "Lead time must be a whole number of days (0 or more)")
+    .optional({ values: "null" })
+    .isInt({ min: 0 }),
+  field(
+    "minimumOrderValue",
+    "Minimum order value must be a non-negative number"
+  )
+    .optional({ values: "null" })
+    .isFloat({ min: 0 }),
+  field("paymentTerms", "Payment terms must be a string").optional().isString(),
+  field("notes", "Notes must be a string").optional().isString(),
+];
+
+// Validation rules for creating a supplier
+const createSupplierValidationRules = [
+  check("name", "Supplier name is required").isString().trim().notEmpty(),
+  ...supplierDetailRules(check),
+];
+
+// Validation rules for updating a supplier
+const updateSupplierValidationRules = [
+  param("id", "Invalid Supplier ID format").custom(isValidObjectId),
+  body("name", "Supplier name must be a non-empty string")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty(),
+  ...supplierDetailRules(body),
+];
+
+// Validation rules for routes requiring just an ID param
+const idParamValidationRules = [
+  param("id", "Invalid ID format").custom(isValidObjectId),
+];
+
+// Apply protect middleware to all routes below
+router.use(protect);
+
+router
+  .route("/")
+  .get(getSuppliers) // Any logged-in user
+  .post(
+    authorize("admin", "manager"),
+    createSupplierValidationRules,
+    validateRequest,
+    createSupplier
+  );
+
+router
+  .route("/:id")
+  .get(idParamValidationRules, validateRequest, getSupplierById) // Any logged-in user
+  .put(
+    authorize("admin", "manager"),
+    updateSupplierValidationRules,
+    validateRequest,
+    updateSupplier
+  )
+  .delete(
+    authorize("admin", "manager"),
+    idParamValidationRules,
+    validateRequest,
+    deleteSupplier
+  );
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require("express");
+const {
+  getWorkerRoles,
+  getWorkerRoleById,
+  createWorkerRole,
+  updateWorkerRole,
+  deleteWorkerRole,
+} = require("../controllers/workerRoleController");
+const { check, param, body, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+const ErrorResponse = require("../utils/errorResponse");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+// Middleware to handle validation errors
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors
+      .array()
+      .map((err) => `${err.path}: ${err.msg}`)
+      .join("; ");
+    return next(new ErrorResponse(`Validation Error: ${errorMessages}`, 400));
+  }
+  next();
+};
+
+// Validation helper for ObjectId
+const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+// Validation rules for creating a worker role
+const createWorkerRoleValidationRules = [
+  check("name", "Worker role name is required").not().isEmpty().isString(),
+  check("hourlyRate", "Hourly rate must be a non-negative number").isFloat({
+    min: 0,
+  }),
+  check("onCostPercentage", "On-cost percentage must be a non-negative number")
+    .optional()
+    .isFloat({ min: 0 }),
+  check("description", "Description must be a string").optional().isString(),
+];
+
+// Validation rules for updating a worker role
+const updateWorkerRoleValidationRules = [
+  param("id", "Invalid Worker Role ID format").custom(isValidObjectId),
+  body("name", "Worker role name must be a non-empty string")
+    .optional()
+    .not()
+    .isEmpty()
+    .isString(),
+  body("hourlyRate", "Hourly rate must be a non-negative number")
+    .optional()
+    .isFloat({ min: 0 }),
+  body("onCostPercentage", "On-cost percentage must be a non-negative number")
+    .optional()
+    .isFloat({ min: 0 }),
+  body("description", "Description must be a string").optional().isString(),
+];
+
+// Validation rules for routes requiring just an ID param
+const idParamValidationRules = [
+  param("id", "Invalid ID format").custom(isValidObjectId),
+];
+
+// Apply protect middleware to all routes below
+router.use(protect);
+
+router
+  .route("/")
+  .get(getWorkerRoles) // Any logged-in user can view worker roles
+  .post(
+    authorize("admin", "manager"), // Allow admin and manager
+    createWorkerRoleValidationRules,
+    validateRequest,
+    createWorkerRole
+  );
+
+router
+  .route("/:id")
+  .get(idParamValidationRules, validateRequest, getWorkerRoleById) // Any logged-in user
+  .put(
+    authorize("admin", "manager"), // Allow admin and manager
+    updateWorkerRoleValidationRules,
+    validateRequest,
+    updateWorkerRole
+  )
+  .delete(
+    authorize("admin", "manager"), // Allow admin and manager
+    idParamValidationRules,
+    validateRequest,
+    deleteWorkerRole
+  );
+
+module.exports = router;
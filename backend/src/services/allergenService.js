@@ -0,0 +1,133 @@
+// Allergens declared on labels, in the order they are listed
+const ALLERGENS = [
+  { key: "gluten", label: "Gluten (wheat, rye, barley, oats)" },
+  { key: "crustaceans", label: "Crustaceans" },
+  { key: "molluscs", label: "Molluscs" },
+  { key: "egg", label: "Egg" },
+  { key: "fish", label: "Fish" },
+  { key: "peanuts", label: "Peanuts" },
+  { key: "tree_nuts", label: "Tree nuts" },
+  { key: "soy", label: "Soy" },
+  { key: "dairy", label: "Dairy (milk)" },
+  { key: "celery", label: "Celery" },
+  { key: "mustard", label: "Mustard" },
+  { key: "sesame", label: "Sesame" },
+  { key: "sulphites", label: "Sulphites" },
+  { key: "lupin", label: "Lupin" },
+];
+
+const ALLERGEN_KEYS = ALLERGENS.map((allergen) => allergen.key);
+
+// Sorts allergen keys into label order, dropping duplicates
+const sortAllergens = (keys) =>
+  ALLERGEN_KEYS.filter((key) => keys.includes(key));
+
+/**
+ * Tidies an allergen declaration: known allergens only, in label order, and an
+ * allergen the product contains is not also listed as "may contain".
+ * @param {{contains?: Array<string>, mayContain?: Array<string>}} [allergens]
+ * @returns {{contains: Array<string>, mayContain: Array<string>}}
+ */
+const normalizeAllergens = ({ contains = [], mayContain = [] } = {}) => {
+  const containsKeys = sortAllergens(contains || []);
+  return {
+    contains: containsKeys,
+    mayContain: sortAllergens(mayContain || []).filter(
+      (key) => !containsKeys.includes(key)
+    ),
+  };
+};
+
+// Name without any explanation in brackets, e.g. "Dairy (milk)" -> "dairy"
+const shortName = (label) => label.replace(/\s*\(.*\)$/, "").toLowerCase();
+
+/**
+ * Reads a comma-separated list of allergens (e.g. "Gluten, Tree nuts, egg") as
+ * typed in a spreadsheet. Keys, labels and labels without the bracketed part are
+ * recognised, ignoring case.
+ * @param {string} [text]
+ * @returns {{keys: Array<string>, unknown: Array<string>}}
+ */
+const parseAllergenList = (text) => {
+  const keys = [];
+  const unknown = [];
+  for (const name of String(text ?? "").split(",")) {
+    const wanted = name.trim().toLowerCase();
+    if (!wanted) continue;
+    const allergen = ALLERGENS.find(
+      ({ key, label }) =>
+        key === wanted.replace(/\s+/g, "_") ||
+        label.toLowerCase() === wanted ||
+        shortName(label) === wanted
+    );
+    if (allergen) keys.push(allergen.key);
+    else unknown.push(name.trim());
+  }
+  return { keys, unknown };
+};
+
+/**
+ * Rolls the allergens of every bought ingredient in a cost breakdown up to the
+ * recipe, following sub-recipe lines down to the ingredients they are made of.
+ * Lines with no quantity are skipped.
+ * @param {Array<Object>} breakdown - Lines from Recipe.calculateCostSummary.
+ * @returns {{contains: Array<string>, mayContain: Array<string>}}
+ */
+const rollUpAllergens = (breakdown) => {
+  const contains = new Set();
+  const mayContain = new Set();
+  const addLines = (lines) => {
+    for (const line of lines) {
+      if (line.itemType === "recipe") {
+        addLines(line.components || []);
+        continue;
+      }
+      if (!(line.baseQuantity > 0)) continue;
+      (line.allergens?.contains || []).forEach((key) => contains.add(key));
+      (line.allergens?.mayContain || []).forEach((key) => mayContain.add(key));
+    }
+  };
+  addLines(breakdown);
+  return normalizeAllergens({
+    contains: [...contains],
+    mayContain: [...mayContain],
+  });
+};
+
+/**
+ * Compares two allergen declarations.
+ * @param {Object} [before] - { contains, mayContain }
+ * @param {Object} [after] - { contains, mayContain }
+ * @returns {Object|null} null when they declare the same allergens, otherwise
+ *   { added: { contains, mayContain }, removed: { contains, mayContain } }
+ */
+const compareAllergens = (before, after) => {
+  const previous = normalizeAllergens(before);
+  const current = normalizeAllergens(after);
+  const missingFrom = (list, other) =>
+    list.filter((key) => !other.includes(key));
+
+  const change = {
+    added: {
+      contains: missingFrom(current.contains, previous.contains),
+      mayContain: missingFrom(current.mayContain, previous.mayContain),
+    },
+    removed: {
+      contains: missingFrom(previous.contains, current.contains),
+      mayContain: missingFrom(previous.mayContain, current.mayContain),
+    },
+  };
+  const changed = [change.added, change.removed].some(
+    (side) => side.contains.length > 0 || side.mayContain.length > 0
+  );
+  return changed ? change : null;
+};
+
+module.exports = {
+  ALLERGENS,
+  ALLERGEN_KEYS,
+  normalizeAllergens,
+  parseAllergenList,
+  rollUpAllergens,
+  compareAllergens,
+};
@@ -0,0 +1,246 @@
+const Recipe = require("../models/Recipe");
+const Settings = require("../models/Settings");
+const { findDependentRecipes } = require("./recipeRecalculationService");
+const { calculateMargin } = require("./pricingService");
+
+// Rounds quantities and small per-pie costs to 4 decimal places
+const round4 = (value) => Math.round(value * 10000) / 10000;
+// Rounds a currency amount to cents
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Finds the recipes that use any of the given ingredients directly.
+ * @param {Array<mongoose.Types.ObjectId|string>} ingredientIds
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false] - Also list archived recipes.
+ * @returns {Promise<Map<string, Array<Object>>>} Ingredient ID -> the recipes
+ *   using it ({ _id, pieName, variant, isArchived }); ingredients not in use are left out.
+ */
+const findRecipesUsingIngredients = async (
+  ingredientIds,
+  { includeArchived = false } = {}
+) => {
+  const filter = { "ingredients.ingredient": { $in: ingredientIds } };
+  if (!includeArchived) filter.isArchived = { $ne: true };
+
+  const recipes = await Recipe.find(filter).select(
+    "pieName variant isArchived ingredients.ingredient"
+  );
+  const wanted = new Set(ingredientIds.map((id) => id.toString()));
+
+  const usage = new Map();
+  for (const recipe of recipes) {
+    const summary = {
+      _id: recipe._id,
+      pieName: recipe.pieName,
+      variant: recipe.variant,
+      isArchived: recipe.isArchived,
+    };
+    const used = new Set(
+      recipe.ingredients
+        .map((line) => line.ingredient?.toString())
+        .filter((id) => id && wanted.has(id))
+    );
+    for (const id of used) {
+      if (!usage.has(id)) usage.set(id, []);
+      usage.get(id).push(summary);
+    }
+  }
+  return usage;
+};
+
+// Collects the breakdown lines costing an ingredient, with the sub-recipes they
+// were reached through (outermost first)
+const collectIngredientLines = (lines, ingredientId, via = []) =>
+  lines.flatMap((line) => {
+    if (line.itemType === "ingredient") {
+      return line.item.toString() === ingredientId ? [{ line, via }] : [];
+    }
+    return collectIngredientLines(line.components || [], ingredientId, [
+      ...via,
+      `${line.name} (${line.variant})`,
+    ]);
+  });
+
+/**
+ * Costs every recipe using an ingredient, directly or through sub-recipes, and
+ * totals the breakdown lines of the ingredient in each (unrounded).
+ * @param {Object} ingredient - The ingredient document.
+ * @param {boolean} includeArchived - Also measure archived recipes.
+ * @returns {Promise<Array<Object>>} Per recipe: { recipe, entry, summary, found, quantityPerBatch,
+ *   purchasedQuantityPerBatch, costPerBatch }, or { recipe, entry, error } when it cannot be costed.
+ */
+const measureIngredientUse = async (ingredient, includeArchived) => {
+  const ingredientId = ingredient._id.toString();
+  const recipes = (
+    await findDependentRecipes({ ingredientIds: [ingredient._id] })
+  ).filter((recipe) => includeArchived || !recipe.isArchived);
+
+  const measured = [];
+  for (const recipe of recipes) {
+    const entry = {
+      recipe: recipe._id,
+      pieName: recipe.pieName,
+      variant: recipe.variant,
+      isArchived: recipe.isArchived,
+    };
+
+    let summary;
+    try {
+      summary = await recipe.calculateCostSummary();
+    } catch (error) {
+      measured.push({ recipe, entry, error: error.message });
+      continue;
+    }
+
+    const found = collectIngredientLines(summary.breakdown, ingredientId);
+    const total = (field) =>
+      found.reduce((sum, { line }) => sum + line[field], 0);
+    measured.push({
+      recipe,
+      entry,
+      summary,
+      found,
+      quantityPerBatch: total("baseQuantity"),
+      purchasedQuantityPerBatch: total("purchasedQuantity"),
+      costPerBatch: total("cost"),
+    });
+  }
+  return measured;
+};
+
+/**
+ * Lists every recipe using an ingredient, directly or through sub-recipes, with
+ * how much of it goes into a batch and a pie and the share of the recipe's cost
+ * it accounts for. Quantities are usable quantities in the ingredient's unit;
+ * costs include trim yield. Sorted by cost share, largest first.
+ * @param {Object} ingredient - The ingredient document.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false] - Also list archived recipes.
+ * @returns {Promise<Array<Object>>} Entries: { recipe, pieName, variant, isArchived, direct,
+ *   viaSubRecipes, unit, quantityPerBatch, purchasedQuantityPerBatch, quantityPerPie,
+ *   costPerBatch, costPerPie, costSharePercentage }, or { recipe, pieName, variant, isArchived, error }
+ *   for a recipe that cannot currently be costed.
+ */
+const listIngredientUsage = async (
+  ingredient,
+  { includeArchived = false } = {}
+) => {
+  const measured = await measureIngredientUse(ingredient, includeArchived);
+
+  const usage = measured.map((use) => {
+    if (use.error) return { ...use.entry, error: use.error };
+
+    const { summary, found, quantityPerBatch, costPerBatch } = use;
+    const pies = summary.usableBatchSize;
+    return {
+      ...use.entry,
+      direct: found.some(({ via }) => via.length === 0),
+      viaSubRecipes: [
+        ...new Set(
+          found.filter(({ via }) => via.length > 0).map(({ via }) => via[0])
+        ),
+      ],
+      unit: ingredient.unit,
+      quantityPerBatch: round4(quantityPerBatch),
+      purchasedQuantityPerBatch: round4(use.purchasedQuantityPerBatch),
+      quantityPerPie: pies > 0 ? round4(quantityPerBatch / pies) : 0,
+      costPerBatch: roundCurrency(costPerBatch),
+      costPerPie: pies > 0 ? round4(costPerBatch / pies) : 0,
+      costSharePercentage:
+        summary.totalBatchCost > 0
+          ? Math.round((costPerBatch / summary.totalBatchCost) * 1000) / 10
+          : 0,
+    };
+  });
+
+  return usage.sort(
+    (a, b) => (b.costSharePercentage ?? -1) - (a.costSharePercentage ?? -1)
+  );
+};
+
+/**
+ * Estimates how the recipes using an ingredient would change if it cost a different
+ * amount per unit (e.g. bought from another supplier), without saving anything.
+ * A recipe's cost moves by the purchased quantity times the price difference; the
+ * margin is worked out against the recipe's current published price.
+ * Sorted by the change in cost per pie, largest first.
+ * @param {Object} ingredient - The ingredient document.
+ * @param {number} newCostPerUnit - The cost per ingredient unit to compare with.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false] - Also include archived recipes.
+ * @returns {Promise<Array<Object>>} Entries: { recipe, pieName, variant, isArchived, unit,
+ *   purchasedQuantityPerBatch, currentIngredientCostPerBatch, newIngredientCostPerBatch,
+ *   currentCostPerPie, newCostPerPie, costPerPieChange, costPerPieChangePercentage,
+ *   publishedPriceExclVat, currentMarginPercentage, newMarginPercentage, belowMinimumMargin },
+ *   or { recipe, pieName, variant, isArchived, error } for a recipe that cannot currently be costed.
+ */
+const estimateIngredientCostChange = async (
+  ingredient,
+  newCostPerUnit,
+  { includeArchived = false } = {}
+) => {
+  const measured = await measureIngredientUse(ingredient, includeArchived);
+  const { minimumMarginPercentage } = await Settings.getSettings();
+  const roundMargin = (value) => Math.round(value * 10) / 10;
+
+  const estimates = measured.map((use) => {
+    if (use.error) return { ...use.entry, error: use.error };
+
+    const { recipe, summary, purchasedQuantityPerBatch, costPerBatch } = use;
+    const pies = summary.usableBatchSize;
+    const newCostPerBatch = purchasedQuantityPerBatch * newCostPerUnit;
+    const currentCostPerPie = pies > 0 ? summary.totalBatchCost / pies : 0;
+    const newCostPerPie =
+      pies > 0
+        ? (summary.totalBatchCost - costPerBatch + newCostPerBatch) / pies
+        : 0;
+    const price = recipe.pricing?.publishedPriceExclVat || 0;
+    const newMarginPercentage = roundMargin(
+      calculateMargin(newCostPerPie, price)
+    );
+
+    return {
+      ...use.entry,
+      unit: ingredient.unit,
+      purchasedQuantityPerBatch: round4(purchasedQuantityPerBatch),
+      currentIngredientCostPerBatch: roundCurrency(costPerBatch),
+      newIngredientCostPerBatch: roundCurrency(newCostPerBatch),
+      currentCostPerPie: round4(currentCostPerPie),
+      newCostPerPie: round4(newCostPerPie),
+      costPerPieChange: round4(newCostPerPie - currentCostPerPie),
+      costPerPieChangePercentage:
+        currentCostPerPie > 0
+          ? roundMargin(
+              ((newCostPerPie - currentCostPerPie) / currentCostPerPie) * 100
+            )
+          : 0,
+      publishedPriceExclVat: price,
+      currentMarginPercentage: roundMargin(
+        calculateMargin(currentCostPerPie, price)
+      ),
+      newMarginPercentage,
+      belowMinimumMargin:
+        minimumMarginPercentage > 0 &&
+        newMarginPercentage < minimumMarginPercentage,
+    };
+  });
+
+  // Biggest change first; recipes that could not be costed last
+  return estimates.sort(
+    (a, b) =>
+      (a.error ? 1 : 0) - (b.error ? 1 : 0) ||
+      Math.abs(b.costPerPieChange) - Math.abs(a.costPerPieChange)
+  );
+};
+
+// Lists recipes as "Pie (Variant), Pie (Variant)" for messages
+const formatRecipeNames = (recipes) =>
+  recipes.map((recipe) => `${recipe.pieName} (${recipe.variant})`).join(", ");
+
+module.exports = {
+  findRecipesUsingIngredients,
+  listIngredientUsage,
+  estimateIngredientCostChange,
+  formatRecipeNames,
+};
@@ -0,0 +1,267 @@
+const Ingredient = require("../models/Ingredient");
+const StockMovement = require("../models/StockMovement");
+const ErrorResponse = require("../utils/errorResponse");
+const { convertQuantity } = require("./unitConversionService");
+
+// Quantities keep 6 decimal places so unit conversions do not leave float noise
+const roundQuantity = (value) => Math.round(value * 1e6) / 1e6;
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Checks whether an ingredient's stock is at or below its reorder level.
+ * @param {{stockOnHand?: number, reorderLevel?: number|null}} ingredient
+ * @returns {boolean} False when no reorder level is set.
+ */
+const isLowStock = (ingredient) =>
+  ingredient.reorderLevel != null &&
+  (ingredient.stockOnHand || 0) <= ingredient.reorderLevel;
+
+/**
+ * Converts a quantity to an ingredient's unit (e.g. 500 g received of flour priced per kg).
+ * @param {number} quantity
+ * @param {string} [unit] - The unit the quantity is in; the ingredient's unit when not given.
+ * @param {Object} ingredient
+ * @returns {number}
+ * @throws {ErrorResponse} If the unit cannot be converted to the ingredient's unit.
+ */
+const toIngredientUnit = (quantity, unit, ingredient) =>
+  roundQuantity(
+    unit && unit !== ingredient.unit
+      ? convertQuantity(quantity, unit, ingredient.unit, ingredient)
+      : quantity
+  );
+
+// Loads the ingredients named on the lines, keyed by id (400 for an unknown id)
+const loadLineIngredients = async (lines) => {
+  const ids = [...new Set(lines.map((line) => line.ingredient.toString()))];
+  const ingredients = await Ingredient.find({ _id: { $in: ids } });
+  const byId = new Map(
+    ingredients.map((ingredient) => [ingredient._id.toString(), ingredient])
+  );
+  const missing = ids.find((id) => !byId.has(id));
+  if (missing) {
+    throw new ErrorResponse(`Ingredient not found with id of ${missing}`, 400);
+  }
+  return byId;
+};
+
+// Adds to an ingredient's stock in one atomic update, returning the ingredient after it
+const addToStock = (ingredientId, quantity) =>
+  Ingredient.findByIdAndUpdate(
+    ingredientId,
+    [
+      {
+        $set: {
+          stockOnHand: {
+            $round: [{ $add: [{ $ifNull: ["$stockOnHand", 0] }, quantity] }, 6],
+          },
+        },
+      },
+    ],
+    { new: true }
+  );
+
+/**
+ * Books goods received from a supplier into stock, one receipt movement per line.
+ * Every line is checked and converted before any stock changes.
+ * @param {Object} receipt
+ * @param {mongoose.Types.ObjectId|string} [receipt.supplier]
+ * @param {string} [receipt.reference] - Delivery note or invoice number.
+ * @param {Date|string} [receipt.receivedAt] - Defaults to now.
+ * @param {string} [receipt.notes]
+ * @param {Array<{ingredient: string, quantity: number, unit?: string, totalCost?: number}>} receipt.lines -
+ *   totalCost is what the line cost; without it the line is valued at the ingredient's cost per unit.
+ * @param {Object} [options]
+ * @param {mongoose.Types.ObjectId|string} [options.userId]
+ * @returns {Promise<Array<Object>>} The receipt movements.
+ */
+const receiveStock = async (
+  { supplier, reference, receivedAt, notes, lines },
+  { userId } = {}
+) => {
+  const ingredients = await loadLineIngredients(lines);
+  const prepared = lines.map((line) => {
+    const ingredient = ingredients.get(line.ingredient.toString());
+    const quantity = toIngredientUnit(line.quantity, line.unit, ingredient);
+    const unitCost =
+      line.totalCost != null && quantity > 0
+        ? roundQuantity(line.totalCost / quantity)
+        : ingredient.costPerUnit;
+    return { ingredient, quantity, unitCost };
+  });
+
+  const movements = [];
+  for (const { ingredient, quantity, unitCost } of prepared) {
+    const updated = await addToStock(ingredient._id, quantity);
+    movements.push(
+      await StockMovement.create({
+        ingredient: ingredient._id,
+        type: "receipt",
+        quantity,
+        unit: ingredient.unit,
+        balanceAfter: updated.stockOnHand,
+        unitCost,
+        supplier,
+        reference,
+        occurredAt: receivedAt,
+        notes,
+        createdBy: userId,
+      })
+    );
+  }
+  return movements;
+};
+
+/**
+ * Takes the ingredients used by a production run out of stock (or, with negative
+ * quantities, gives them back when the run is deleted). Stock may go below zero,
+ * which shows that a receipt has not been booked.
+ * @param {Array<{ingredient: mongoose.Types.ObjectId, unit: string, quantity: number, costPerUnit?: number}>} lines -
+ *   Quantities used, in each ingredient's unit.
+ * @param {Object} options
+ * @param {mongoose.Types.ObjectId} options.productionRun
+ * @param {Date} [options.occurredAt] - Defaults to now.
+ * @param {string} [options.notes]
+ * @param {mongoose.Types.ObjectId|string} [options.userId]
+ * @returns {Promise<Array<Object>>} The production movements.
+ */
+const consumeStock = async (
+  lines,
+  { productionRun, occurredAt, notes, userId }
+) => {
+  const movements = [];
+  for (const line of lines) {
+    const quantity = -roundQuantity(line.quantity);
+    const updated = await addToStock(line.ingredient, quantity);
+    movements.push(
+      await StockMovement.create({
+        ingredient: line.ingredient,
+        type: "production",
+        quantity,
+        unit: line.unit,
+        balanceAfter: updated.stockOnHand,
+        unitCost: line.costPerUnit,
+        productionRun,
+        occurredAt,
+        notes,
+        createdBy: userId,
+      })
+    );
+  }
+  return movements;
+};
+
+/**
+ * Records a stock count: each counted ingredient's stock is set to what was counted,
+ * and the difference from the expected stock is booked as a count movement.
+ * @param {Object} count
+ * @param {Date|string} [count.countedAt] - Defaults to now.
+ * @param {string} [count.notes]
+ * @param {Array<{ingredient: string, countedQuantity: number, unit?: string}>} count.lines
+ * @param {Object} [options]
+ * @param {mongoose.Types.ObjectId|string} [options.userId]
+ * @returns {Promise<Object>} { lines: [{ ingredient, ingredientName, unit, expectedQuantity, countedQuantity, variance, varianceValue }], totalVarianceValue }
+ * @throws {ErrorResponse} If an ingredient is counted twice or a unit does not convert.
+ */
+const recordStockCount = async (
+  { countedAt, notes, lines },
+  { userId } = {}
+) => {
+  const counted = new Set(lines.map((line) => line.ingredient.toString()));
+  if (counted.size < lines.length) {
+    throw new ErrorResponse("Each ingredient can only be counted once", 400);
+  }
+  const ingredients = await loadLineIngredients(lines);
+  const prepared = lines.map((line) => {
+    const ingredient = ingredients.get(line.ingredient.toString());
+    return {
+      ingredient,
+      countedQuantity: toIngredientUnit(
+        line.countedQuantity,
+        line.unit,
+        ingredient
+      ),
+    };
+  });
+
+  const results = [];
+  for (const { ingredient, countedQuantity } of prepared) {
+    // The stock just before the count is what the count is measured against
+    const previous = await Ingredient.findByIdAndUpdate(ingredient._id, {
+      stockOnHand: countedQuantity,
+    });
+    const expectedQuantity = previous.stockOnHand || 0;
+    const variance = roundQuantity(countedQuantity - expectedQuantity);
+    await StockMovement.create({
+      ingredient: ingredient._id,
+      type: "count",
+      quantity: variance,
+      unit: ingredient.unit,
+      balanceAfter: countedQuantity,
+      unitCost: ingredient.costPerUnit,
+      expectedQuantity,
+      countedQuantity,
+      occurredAt: countedAt,
+      notes,
+      createdBy: userId,
+    });
+    results.push({
+      ingredient: ingredient._id,
+      ingredientName: ingredient.ingredientName,
+      unit: ingredient.unit,
+      expectedQuantity,
+      countedQuantity,
+      variance,
+      varianceValue: roundCurrency(variance * ingredient.costPerUnit),
+    });
+  }
+
+  return {
+    lines: results,
+    totalVarianceValue: roundCurrency(
+      results.reduce((sum, line) => sum + line.varianceValue, 0)
+    ),
+  };
+};
+
+/**
+ * Returns stock movements, newest first.
+ * @param {Object} [filter]
+ * @param {string} [filter.ingredient]
+ * @param {string} [filter.type]
+ * @param {Date} [filter.from] - Inclusive.
+ * @param {Date} [filter.to] - Inclusive.
+ * @param {number} [filter.limit=200]
+ * @returns {Promise<Array<Object>>}
+ */
+const getStockMovements = ({
+  ingredient,
+  type,
+  from,
+  to,
+  limit = 200,
+} = {}) => {
+  const query = {};
+  if (ingredient) query.ingredient = ingredient;
+  if (type) query.type = type;
+  if (from || to) {
+    query.occurredAt = {};
+    if (from) query.occurredAt.$gte = from;
+    if (to) query.occurredAt.$lte = to;
+  }
+  return StockMovement.find(query)
+    .sort({ occurredAt: -1, createdAt: -1 })
+    .limit(limit)
+    .populate("ingredient", "ingredientName unit")
+    .populate("supplier", "name")
+    .populate("createdBy", "username");
+};
+
+module.exports = {
+  isLowStock,
+  toIngredientUnit,
+  receiveStock,
+  consumeStock,
+  recordStockCount,
+  getStockMovements,
+};
@@ -0,0 +1,125 @@
+const { rollUpAllergens } = require("./allergenService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weight (kg) of a breakdown line, or undefined when it cannot be worked out.
+// A sub-recipe used by count weighs what its ingredients weigh.
+const lineWeight = (line) => {
+  if (line.itemType !== "recipe") return line.weight;
+  if (line.baseUnit === "kg") return line.baseQuantity;
+  const weights = (line.components || []).map(lineWeight);
+  return weights.every((weight) => typeof weight === "number")
+    ? weights.reduce((sum, weight) => sum + weight, 0)
+    : undefined;
+};
+
+/**
+ * Builds the ingredient list of a label from a cost breakdown, heaviest first.
+ * An ingredient used on several lines is listed once with the weights added up;
+ * a sub-recipe is listed as a compound ingredient with its own ingredients.
+ * Lines whose weight is unknown go last, in recipe order.
+ * @param {Array<Object>} breakdown - Lines from Recipe.calculateCostSummary.
+ * @returns {Array<{name: string, weight?: number, components?: Array<Object>}>}
+ */
+const buildLabelIngredients = (breakdown) => {
+  const items = [];
+  for (const line of breakdown) {
+    if (!(line.baseQuantity > 0)) continue;
+    const weight = lineWeight(line);
+    const components =
+      line.itemType === "recipe"
+        ? buildLabelIngredients(line.components || [])
+        : undefined;
+    const existing =
+      !components &&
+      items.find((item) => item.name === line.name && !item.components);
+    if (existing) {
+      existing.weight =
+        typeof existing.weight === "number" && typeof weight === "number"
+          ? existing.weight + weight
+          : undefined;
+      continue;
+    }
+    items.push({ name: line.name, weight, ...(components && { components }) });
+  }
+  // Stable sort: equal weights and unknown weights keep their recipe order
+  return items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => {
+      const weightA = a.item.weight ?? -1;
+      const weightB = b.item.weight ?? -1;
+      return weightB - weightA || a.index - b.index;
+    })
+    .map(({ item }) => item);
+};
+
+/**
+ * Writes a label ingredient list as text, e.g.
+ * "Beef Mince, Puff Pastry (Flour, Butter), Onion".
+ * @param {Array<Object>} items - From buildLabelIngredients.
+ * @returns {string}
+ */
+const formatIngredientList = (items) =>
+  items
+    .map((item) =>
+      item.components?.length > 0
+        ? `${item.name} (${formatIngredientList(item.components)})`
+        : item.name
+    )
+    .join(", ");
+
+/**
+ * Works out the best-before date of a product packed on a given day.
+ * @param {Date|string} packedOn - Packing date (a date-only string is read as UTC).
+ * @param {number} [shelfLifeDays]
+ * @returns {Date|null} null when no shelf life is set.
+ */
+const bestBeforeDate = (packedOn, shelfLifeDays) => {
+  if (!(shelfLifeDays > 0)) return null;
+  return new Date(new Date(packedOn).getTime() + shelfLifeDays * DAY_MS);
+};
+
+/**
+ * Gathers what goes on a product label: ingredients in descending weight order,
+ * allergens, price per pie, net weight and best-before date.
+ * @param {Object} recipe - The recipe document (costed, so its pricing is current).
+ * @param {Array<Object>} breakdown - Lines from Recipe.calculateCostSummary.
+ * @param {Object} options
+ * @param {Date|string} options.packedOn - Packing date.
+ * @param {number} [options.defaultShelfLifeDays] - Used when the recipe has no shelf life of its own.
+ * @returns {Object} { pieName, variant, ingredients, ingredientList, allergens,
+ *   price, priceIncludesVat, netWeight (g, when the yield weight is known),
+ *   packedOn, shelfLifeDays, bestBefore }
+ */
+const buildLabel = (recipe, breakdown, { packedOn, defaultShelfLifeDays }) => {
+  const ingredients = buildLabelIngredients(breakdown);
+  const shelfLifeDays = recipe.shelfLifeDays || defaultShelfLifeDays || null;
+  const published = recipe.pricing?.publishedPrice > 0;
+  const retainedWeightShare = 1 - (recipe.bakingLossPercentage || 0) / 100;
+
+  return {
+    pieName: recipe.pieName,
+    variant: recipe.variant,
+    ingredients,
+    ingredientList: formatIngredientList(ingredients),
+    allergens: rollUpAllergens(breakdown),
+    price: published ? recipe.pricing.publishedPrice : recipe.sellingPrice,
+    priceIncludesVat: published ? recipe.pricing.includesVat : false,
+    netWeight:
+      recipe.yieldWeight > 0
+        ? Math.round(
+            (recipe.yieldWeight * retainedWeightShare * 1000) / recipe.batchSize
+          )
+        : null,
+    packedOn: new Date(packedOn),
+    shelfLifeDays,
+    bestBefore: bestBeforeDate(packedOn, shelfLifeDays),
+  };
+};
+
+module.exports = {
+  buildLabelIngredients,
+  formatIngredientList,
+  bestBeforeDate,
+  buildLabel,
+};
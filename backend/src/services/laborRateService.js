@@ -0,0 +1,246 @@
+const PublicHoliday = require("../models/PublicHoliday");
+const Settings = require("../models/Settings");
+
+const DAY_TYPES = ["weekday", "saturday", "sunday", "public_holiday"];
+
+// South African public holidays on a fixed date: [month, day, name]
+const FIXED_HOLIDAYS = [
+  [1, 1, "New Year's Day"],
+  [3, 21, "Human Rights Day"],
+  [4, 27, "Freedom Day"],
+  [5, 1, "Workers' Day"],
+  [6, 16, "Youth Day"],
+  [8, 9, "National Women's Day"],
+  [9, 24, "Heritage Day"],
+  [12, 16, "Day of Reconciliation"],
+  [12, 25, "Christmas Day"],
+  [12, 26, "Day of Goodwill"],
+];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Gives the calendar day of a date as YYYY-MM-DD (in UTC, like the rest of the
+ * app's day-based dates).
+ * @param {Date|string} date
+ * @returns {string}
+ */
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Midnight UTC of the day of a date
+const startOfDay = (date) => new Date(`${toDateKey(date)}T00:00:00.000Z`);
+
+// Adds days to a date (UTC)
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+};
+
+/**
+ * Works out Easter Sunday of a year (Gregorian calendar, anonymous algorithm).
+ * @param {number} year
+ * @returns {Date} Midnight UTC.
+ */
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Lists the South African public holidays of a year under the Public Holidays
+ * Act: the fixed holidays, Good Friday and Family Day, and the Monday after any
+ * holiday that falls on a Sunday. Once-off holidays (e.g. election days) are not
+ * included; add them to the calendar by hand.
+ * @param {number} year
+ * @returns {Array<{date: string, name: string}>} By date (YYYY-MM-DD).
+ */
+const southAfricanPublicHolidays = (year) => {
+  const easter = easterSunday(year);
+  const holidays = [
+    ...FIXED_HOLIDAYS.map(([month, day, name]) => ({
+      date: new Date(Date.UTC(year, month - 1, day)),
+      name,
+    })),
+    { date: addDays(easter, -2), name: "Good Friday" },
+    { date: addDays(easter, 1), name: "Family Day" },
+  ];
+
+  const taken = new Set(holidays.map((holiday) => toDateKey(holiday.date)));
+  for (const holiday of [...holidays]) {
+    if (holiday.date.getUTCDay() !== 0) continue;
+    const monday = addDays(holiday.date, 1);
+    if (taken.has(toDateKey(monday))) continue;
+    taken.add(toDateKey(monday));
+    holidays.push({ date: monday, name: `${holiday.name} (observed)` });
+  }
+
+  return holidays
+    .map((holiday) => ({ date: toDateKey(holiday.date), name: holiday.name }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Tells what kind of day a date is for labor rates.
+ * @param {Date|string} date
+ * @param {{name: string}|null} [holiday] - The public holiday on that day, if any.
+ * @returns {{dayType: string, holidayName: string|null}} dayType: one of DAY_TYPES.
+ */
+const getDayType = (date, holiday = null) => {
+  if (holiday) return { dayType: "public_holiday", holidayName: holiday.name };
+  const weekday = new Date(date).getUTCDay();
+  if (weekday === 6) return { dayType: "saturday", holidayName: null };
+  if (weekday === 0) return { dayType: "sunday", holidayName: null };
+  return { dayType: "weekday", holidayName: null };
+};
+
+/**
+ * Picks the labor rate rules out of the settings.
+ * @param {Object} settings - The settings document.
+ * @returns {Object} { saturdayRateMultiplier, sundayRateMultiplier,
+ *   publicHolidayRateMultiplier, overtimeRateMultiplier, overtimeAfterHours }
+ */
+const getLaborRateRules = (settings) => ({
+  saturdayRateMultiplier: settings.saturdayRateMultiplier ?? 1,
+  sundayRateMultiplier: settings.sundayRateMultiplier ?? 1,
+  publicHolidayRateMultiplier: settings.publicHolidayRateMultiplier ?? 1,
+  overtimeRateMultiplier: settings.overtimeRateMultiplier ?? 1,
+  overtimeAfterHours: settings.overtimeAfterHours ?? 0,
+});
+
+// The multiplier for ordinary hours on a type of day
+const dayRateMultiplier = (dayType, rules) =>
+  ({
+    saturday: rules.saturdayRateMultiplier,
+    sunday: rules.sundayRateMultiplier,
+    public_holiday: rules.publicHolidayRateMultiplier,
+  })[dayType] || 1;
+
+/**
+ * Costs the labor of a number of batches worked on one day under the rate rules.
+ * Each line measured in workers is worked by its own crew, and a worker's hours
+ * beyond the daily threshold are overtime. Work measured in minutes per pie has
+ * no headcount to spread it over, so it is never counted as overtime. Ordinary
+ * hours are paid at the day's multiplier, overtime hours at the higher of the
+ * day's and the overtime multiplier.
+ * @param {Array<Object>} laborLines - One batch's lines from Recipe.calculateLaborCost:
+ *   { laborStandard, name, workerRole, roleName, workers, hourlyRate, hours, cost }
+ * @param {Object} options
+ * @param {number} options.batches
+ * @param {string} options.dayType - One of DAY_TYPES.
+ * @param {Object} options.rules - See getLaborRateRules.
+ * @returns {Object} { lines: [{ ...line, hours, ordinaryHours, overtimeHours, standardCost, cost }],
+ *   ordinaryHours, overtimeHours, standardLaborCost, laborCost, premium } (for all the batches)
+ */
+const applyLaborRateRules = (laborLines, { batches, dayType, rules }) => {
+  const dayMultiplier = dayRateMultiplier(dayType, rules);
+  const overtimeMultiplier = Math.max(
+    dayMultiplier,
+    rules.overtimeRateMultiplier
+  );
+
+  const lines = laborLines.map((line) => {
+    const hours = line.hours * batches;
+    const people = line.workers;
+    const overtimeHours =
+      rules.overtimeAfterHours > 0 && people > 0
+        ? Math.max(0, hours / people - rules.overtimeAfterHours) * people
+        : 0;
+    const ordinaryHours = hours - overtimeHours;
+    return {
+      ...line,
+      hours: round4(hours),
+      ordinaryHours: round4(ordinaryHours),
+      overtimeHours: round4(overtimeHours),
+      standardCost: roundCurrency(line.cost * batches),
+      cost: roundCurrency(
+        line.hourlyRate *
+          (ordinaryHours * dayMultiplier + overtimeHours * overtimeMultiplier)
+      ),
+    };
+  });
+
+  const total = (field) => lines.reduce((sum, line) => sum + line[field], 0);
+  const standardLaborCost = roundCurrency(total("standardCost"));
+  const laborCost = roundCurrency(total("cost"));
+  return {
+    lines,
+    ordinaryHours: round4(total("ordinaryHours")),
+    overtimeHours: round4(total("overtimeHours")),
+    standardLaborCost,
+    laborCost,
+    premium: roundCurrency(laborCost - standardLaborCost),
+  };
+};
+
+/**
+ * Looks up the kind of day a date is (public holidays from the calendar) and the
+ * labor rate rules in force.
+ * @param {Date|string} date
+ * @returns {Promise<Object>} { date (YYYY-MM-DD), dayType, holidayName, rules }
+ */
+const getLaborRatesForDate = async (date) => {
+  const [holiday, settings] = await Promise.all([
+    PublicHoliday.findOne({ date: startOfDay(date) }),
+    Settings.getSettings(),
+  ]);
+  return {
+    date: toDateKey(date),
+    ...getDayType(date, holiday),
+    rules: getLaborRateRules(settings),
+  };
+};
+
+/**
+ * Adds the South African public holidays of a year to the calendar, leaving days
+ * already in it alone (so local edits are kept).
+ * @param {number} year
+ * @param {Object} [options]
+ * @param {mongoose.Types.ObjectId|string} [options.userId]
+ * @returns {Promise<{added: Array<Object>, skipped: number}>} The holidays added.
+ */
+const loadSouthAfricanPublicHolidays = async (year, { userId } = {}) => {
+  const holidays = southAfricanPublicHolidays(year);
+  const existing = await PublicHoliday.find({
+    date: { $in: holidays.map((holiday) => startOfDay(holiday.date)) },
+  });
+  const taken = new Set(existing.map((holiday) => toDateKey(holiday.date)));
+
+  const added = await PublicHoliday.insertMany(
+    holidays
+      .filter((holiday) => !taken.has(holiday.date))
+      .map((holiday) => ({
+        date: startOfDay(holiday.date),
+        name: holiday.name,
+        createdBy: userId,
+      }))
+  );
+  return { added, skipped: taken.size };
+};
+
+module.exports = {
+  DAY_TYPES,
+  toDateKey,
+  startOfDay,
+  easterSunday,
+  southAfricanPublicHolidays,
+  getDayType,
+  getLaborRateRules,
+  applyLaborRateRules,
+  getLaborRatesForDate,
+  loadSouthAfricanPublicHolidays,
+};
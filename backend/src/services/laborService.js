@@ -0,0 +1,198 @@
+const mongoose = require("mongoose");
+const Labor = require("../models/Labor");
+
+/**
+ * Works out the hours of work a labor input takes for one batch. An input is
+ * either minutes of work per pie (for every pie baked, rejects included) or a
+ * number of workers each working a number of hours on the batch.
+ * @param {{minutesPerPie?: number, workers?: number, hoursPerWorker?: number}} input
+ * @param {number} batchSize - Pies baked per batch.
+ * @returns {number} Hours for the batch.
+ */
+const laborInputHours = (input, batchSize) => {
+  if (typeof input.minutesPerPie === "number") {
+    return (input.minutesPerPie * batchSize) / 60;
+  }
+  return (input.workers || 0) * (input.hoursPerWorker || 0);
+};
+
+/**
+ * Works out what an hour of a worker role costs the employer: the hourly wage
+ * plus the on-cost percentage (UIF, SDL and the like).
+ * @param {{hourlyRate: number, onCostPercentage?: number}} role
+ * @returns {number} Loaded hourly rate (unrounded).
+ */
+const loadedHourlyRate = (role) =>
+  role.hourlyRate * (1 + (role.onCostPercentage || 0) / 100);
+
+/**
+ * Totals the labor lines of a recipe by worker role. Lines without a role are
+ * costed at their labor standard's rate and grouped under "No role".
+ * @param {Array<{workerRole?: Object, roleName?: string, hours: number, cost: number}>} laborLines
+ *   See Recipe.calculateLaborCost.
+ * @returns {Array<{workerRole: Object|null, name: string, hours: number, cost: number}>}
+ *   One entry per role, in the order the roles first appear.
+ */
+const groupLaborByRole = (laborLines) => {
+  const groups = new Map();
+  for (const line of laborLines) {
+    const key = line.workerRole ? line.workerRole.toString() : "";
+    if (!groups.has(key)) {
+      groups.set(key, {
+        workerRole: line.workerRole || null,
+        name: line.workerRole ? line.roleName : "No role",
+        hours: 0,
+        cost: 0,
+      });
+    }
+    const group = groups.get(key);
+    group.hours += line.hours;
+    group.cost += line.cost;
+  }
+  return [...groups.values()].map((group) => ({
+    ...group,
+    hours: Math.round(group.hours * 10000) / 10000,
+    cost: Math.round(group.cost * 10000) / 10000,
+  }));
+};
+
+/**
+ * Tells whether a labor input uses exactly one way of measuring the work:
+ * minutes per pie, or workers and hours per worker.
+ * @param {Object} input
+ * @returns {boolean}
+ */
+const isValidLaborInput = (input) => {
+  const hasMinutes =
+    input.minutesPerPie !== undefined && input.minutesPerPie !== null;
+  const hasWorkerHours =
+    input.workers !== undefined &&
+    input.workers !== null &&
+    input.hoursPerWorker !== undefined &&
+    input.hoursPerWorker !== null;
+  return hasMinutes !== hasWorkerHours;
+};
+
+/**
+ * Finds the labor standard for a wage that recipes used to carry themselves
+ * (a single hourly rate per recipe), creating it if needed. Used to migrate
+ * old recipes and to restore revisions recorded before labor standards.
+ * @param {number} hourlyRate
+ * @param {mongoose.Types.ObjectId|string} [userId] - Recorded as the creator.
+ * @returns {Promise<Object>} The labor standard.
+ */
+const findOrCreateLegacyStandard = async (hourlyRate, userId) => {
+  const rate = hourlyRate || 0;
+  const name = `General labor @ R${rate.toFixed(2)}/hour`;
+  const existing = await Labor.findOne({ name });
+  if (existing) return existing;
+  return Labor.create({
+    name,
+    hourlyRate: rate,
+    description: "Created from a recipe's own labor rate",
+    createdBy: userId,
+    updatedBy: userId,
+  });
+};
+
+/**
+ * Moves labor data kept the old ways onto labor standards:
+ * - per-pie Labor entries ({ pieName, costPerHour, minutesPerPie }) become
+ *   standards named after the pie, at the same hourly rate (named
+ *   "<pie> (converted)" when a standard already has the pie's name);
+ * - recipes that carried their own `laborHourlyRate` get their labor inputs
+ *   put on the standard for that rate (see findOrCreateLegacyStandard), so
+ *   their costs do not change.
+ * Reads and writes the raw collections, as the models no longer accept the old fields.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Count what would change without writing anything.
+ * @returns {Promise<Object>} { dryRun, standardsConverted, standardsRenamed, recipesMigrated }
+ */
+const migrateLegacyLabor = async ({ dryRun = false } = {}) => {
+  // Looked up here, as the Recipe model itself uses this service
+  const Recipe = mongoose.model("Recipe");
+  const result = {
+    dryRun,
+    standardsConverted: 0,
+    standardsRenamed: 0,
+    recipesMigrated: 0,
+  };
+
+  const entries = await Labor.collection
+    .find({ pieName: { $exists: true } })
+    .toArray();
+  if (!dryRun && entries.length > 0) {
+    // The old unique pie name index would clash once the field is removed
+    await Labor.collection.dropIndex("pieName_1").catch(() => {});
+  }
+  // Standard names are unique, so an entry never takes a name already in use
+  const takenNames = new Set(
+    await Labor.collection.distinct("name", { name: { $exists: true } })
+  );
+  for (const entry of entries) {
+    let name = entry.pieName;
+    for (let copy = 1; takenNames.has(name); copy++) {
+      name = `${entry.pieName} (converted${copy > 1 ? ` ${copy}` : ""})`;
+    }
+    takenNames.add(name);
+    result.standardsConverted++;
+    if (name !== entry.pieName) result.standardsRenamed++;
+    if (dryRun) continue;
+    await Labor.collection.updateOne(
+      { _id: entry._id },
+      {
+        $set: {
+          name,
+          hourlyRate: entry.costPerHour || 0,
+          description: `Converted from the per-pie labor entry (${entry.minutesPerPie} minutes per pie)`,
+        },
+        $unset: {
+          pieName: 1,
+          costPerHour: 1,
+          minutesPerPie: 1,
+          laborCostPerPie: 1,
+        },
+      }
+    );
+  }
+  if (!dryRun) await Labor.syncIndexes();
+
+  const recipes = await Recipe.collection
+    .find({ laborHourlyRate: { $exists: true } })
+    .project({ laborHourlyRate: 1, laborInputs: 1 })
+    .toArray();
+  for (const recipe of recipes) {
+    result.recipesMigrated++;
+    if (dryRun) continue;
+    const standard = await findOrCreateLegacyStandard(recipe.laborHourlyRate);
+    await Recipe.collection.updateOne(
+      { _id: recipe._id },
+      {
+        $set: {
+          laborInputs: (recipe.laborInputs || []).map((input) => ({
+            ...input,
+            laborStandard: input.laborStandard || standard._id,
+          })),
+        },
+        $unset: {
+          laborHourlyRate: 1,
+          labor: 1,
+          totalIngredientCost: 1,
+          totalLaborCost: 1,
+          totalCost: 1,
+        },
+      }
+    );
+  }
+
+  return result;
+};
+
+module.exports = {
+  laborInputHours,
+  loadedHourlyRate,
+  groupLaborByRole,
+  isValidLaborInput,
+  findOrCreateLegacyStandard,
+  migrateLegacyLabor,
+};
@@ -0,0 +1,114 @@
+// Nutrients on the nutrition panel, in the order they are listed. Ingredients
+// hold each of them per 100 g.
+const NUTRIENTS = [
+  { key: "energyKj", label: "Energy", unit: "kJ" },
+  { key: "protein", label: "Protein", unit: "g" },
+  { key: "fat", label: "Total fat", unit: "g" },
+  { key: "saturatedFat", label: "Saturated fat", unit: "g" },
+  { key: "carbohydrate", label: "Carbohydrate", unit: "g" },
+  { key: "sugar", label: "Total sugar", unit: "g" },
+  { key: "sodium", label: "Sodium", unit: "mg" },
+];
+
+const NUTRIENT_KEYS = NUTRIENTS.map((nutrient) => nutrient.key);
+
+// Rounds a nutrient amount to one decimal place, as printed on the panel
+const roundNutrient = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Adds up the nutrients of every bought ingredient in a cost breakdown,
+ * following sub-recipe lines down to the ingredients they are made of. Uses
+ * the usable (trimmed) weight of each line. Missing nutrient values count as
+ * zero, and the ingredients concerned are listed so the panel can be flagged
+ * as incomplete.
+ * @param {Array<Object>} breakdown - Lines from Recipe.calculateCostSummary.
+ * @returns {{totals: Object, weight: number, missingNutrition: Array<string>, missingWeight: Array<string>}}
+ *   Totals per nutrient, total ingredient weight (kg) and the names of
+ *   ingredients without nutrient values or without a known weight.
+ */
+const sumBreakdownNutrition = (breakdown) => {
+  const totals = Object.fromEntries(NUTRIENT_KEYS.map((key) => [key, 0]));
+  let weight = 0;
+  const missingNutrition = new Set();
+  const missingWeight = new Set();
+
+  const addLines = (lines) => {
+    for (const line of lines) {
+      if (line.itemType === "recipe") {
+        addLines(line.components || []);
+        continue;
+      }
+      if (!(line.baseQuantity > 0)) continue;
+      if (typeof line.weight !== "number") {
+        missingWeight.add(line.name);
+        continue;
+      }
+      weight += line.weight;
+      // Values are per 100 g; 1 kg is ten times that
+      for (const key of NUTRIENT_KEYS) {
+        const per100g = line.nutrition?.[key];
+        if (typeof per100g === "number") {
+          totals[key] += per100g * line.weight * 10;
+        } else {
+          missingNutrition.add(line.name);
+        }
+      }
+    }
+  };
+  addLines(breakdown);
+
+  return {
+    totals,
+    weight,
+    missingNutrition: [...missingNutrition],
+    missingWeight: [...missingWeight],
+  };
+};
+
+/**
+ * Works out the nutrition panel of a recipe: nutrients per pie and per 100 g
+ * of baked product. The baked weight of a batch is its yield weight less the
+ * baking loss; without a yield weight it is estimated from the weight of the
+ * ingredients.
+ * @param {Object} recipe - { batchSize, yieldWeight?, bakingLossPercentage? }
+ * @param {Array<Object>} breakdown - Lines from Recipe.calculateCostSummary.
+ * @returns {Object} { nutrients, perPie, per100g, pieWeight (g),
+ *   bakedBatchWeight (kg), bakedWeightSource ("yield" | "ingredients"),
+ *   missingNutrition, missingWeight }. per100g is null when the baked weight
+ *   is unknown.
+ */
+const calculateNutritionPanel = (recipe, breakdown) => {
+  const { totals, weight, missingNutrition, missingWeight } =
+    sumBreakdownNutrition(breakdown);
+  const retainedWeightShare = 1 - (recipe.bakingLossPercentage || 0) / 100;
+  const bakedWeightSource = recipe.yieldWeight > 0 ? "yield" : "ingredients";
+  const bakedBatchWeight =
+    (bakedWeightSource === "yield" ? recipe.yieldWeight : weight) *
+    retainedWeightShare;
+
+  const perPie = {};
+  const per100g = bakedBatchWeight > 0 ? {} : null;
+  for (const key of NUTRIENT_KEYS) {
+    perPie[key] = roundNutrient(totals[key] / recipe.batchSize);
+    if (per100g) {
+      per100g[key] = roundNutrient(totals[key] / (bakedBatchWeight * 10));
+    }
+  }
+
+  return {
+    nutrients: NUTRIENTS,
+    perPie,
+    per100g,
+    pieWeight: roundNutrient((bakedBatchWeight * 1000) / recipe.batchSize),
+    bakedBatchWeight: Math.round(bakedBatchWeight * 1000) / 1000,
+    bakedWeightSource,
+    missingNutrition,
+    missingWeight,
+  };
+};
+
+module.exports = {
+  NUTRIENTS,
+  NUTRIENT_KEYS,
+  calculateNutritionPanel,
+};
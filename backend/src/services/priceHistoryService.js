@@ -0,0 +1,60 @@
+const IngredientPrice = require("../models/IngredientPrice");
+
+/**
+ * Records a dated price record for an ingredient if its price has changed.
+ * @param {Object} ingredient - The ingredient document after the change.
+ * @param {Object} options
+ * @param {number|null} [options.previousCostPerUnit] - The cost before the change (null/undefined for a new ingredient).
+ * @param {string} [options.previousUnit] - The unit before the change.
+ * @param {"manual"|"import"|"quote"} options.source - Where the change came from.
+ * @param {mongoose.Types.ObjectId|string} [options.userId] - The user who made the change.
+ * @param {Date|string} [options.effectiveDate] - When the new price applies from (defaults to now).
+ * @returns {Promise<Object|null>} The created price record, or null if the price did not change.
+ */
+const recordPriceChange = async (
+  ingredient,
+  { previousCostPerUnit, previousUnit, source, userId, effectiveDate }
+) => {
+  const hasPrevious =
+    previousCostPerUnit !== null && typeof previousCostPerUnit !== "undefined";
+  if (
+    hasPrevious &&
+    previousCostPerUnit === ingredient.costPerUnit &&
+    (!previousUnit || previousUnit === ingredient.unit)
+  ) {
+    return null; // Nothing to record
+  }
+
+  return IngredientPrice.create({
+    ingredient: ingredient._id,
+    costPerUnit: ingredient.costPerUnit,
+    unit: ingredient.unit,
+    previousCostPerUnit: hasPrevious ? previousCostPerUnit : null,
+    effectiveDate: effectiveDate || Date.now(),
+    source,
+    changedBy: userId,
+  });
+};
+
+/**
+ * Returns an ingredient's price history, oldest first.
+ * @param {mongoose.Types.ObjectId|string} ingredientId
+ * @param {{from?: Date, to?: Date}} [range] - Optional effective date range (inclusive).
+ * @returns {Promise<Array<Object>>}
+ */
+const getPriceHistory = async (ingredientId, { from, to } = {}) => {
+  const filter = { ingredient: ingredientId };
+  if (from || to) {
+    filter.effectiveDate = {};
+    if (from) filter.effectiveDate.$gte = from;
+    if (to) filter.effectiveDate.$lte = to;
+  }
+  return IngredientPrice.find(filter)
+    .sort({ effectiveDate: 1, createdAt: 1 })
+    .populate("changedBy", "username");
+};
+
+module.exports = {
+  recordPriceChange,
+  getPriceHistory,
+};
@@ -0,0 +1,110 @@
+/**
+ * Rounding rules for published prices:
+ * - none:          round to the cent only
+ * - nearest_0.50:  nearest 50c (R23.74 -> R23.50, R23.75 -> R24.00)
+ * - end_0.90:      up to the next price ending in .90 (R23.47 -> R23.90, R23.95 -> R24.90)
+ * - round_up:      up to the next whole rand (R23.01 -> R24.00)
+ */
+const ROUNDING_RULES = ["none", "nearest_0.50", "end_0.90", "round_up"];
+
+// Rounds a currency amount to cents
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Applies a rounding rule to a price. Works in whole cents to avoid floating point drift.
+ * @param {number} price - The price to round.
+ * @param {string} [rule="none"] - One of ROUNDING_RULES.
+ * @returns {number} The rounded price.
+ * @throws {Error} If the rule is unknown.
+ */
+const roundPrice = (price, rule = "none") => {
+  const cents = Math.round(price * 100);
+  switch (rule) {
+    case "none":
+      return cents / 100;
+    case "nearest_0.50":
+      return (Math.round(cents / 50) * 50) / 100;
+    case "end_0.90":
+      return (Math.ceil((cents - 90) / 100) * 100 + 90) / 100;
+    case "round_up":
+      return Math.ceil(cents / 100);
+    default:
+      throw new Error(`Unknown price rounding rule: ${rule}`);
+  }
+};
+
+// Splits a published price into its VAT-exclusive part and the VAT on it
+const splitVat = (publishedPrice, vatRate, pricesIncludeVat) => {
+  const publishedPriceExclVat = pricesIncludeVat
+    ? publishedPrice / (1 + vatRate / 100)
+    : publishedPrice;
+  return {
+    publishedPriceExclVat: roundCurrency(publishedPriceExclVat),
+    vatAmount: roundCurrency(
+      pricesIncludeVat
+        ? publishedPrice - publishedPriceExclVat
+        : publishedPrice * (vatRate / 100)
+    ),
+  };
+};
+
+/**
+ * Works out the price to publish for a computed (VAT-exclusive) selling price.
+ * With VAT-inclusive pricing, VAT is added before rounding so the price on the
+ * board is the rounded one; otherwise the VAT-exclusive price is rounded.
+ * @param {number} sellingPrice - Cost per pie plus markup, excluding VAT.
+ * @param {Object} settings
+ * @param {number} [settings.vatRate=0] - VAT rate in percent.
+ * @param {boolean} [settings.pricesIncludeVat=false] - Whether published prices include VAT.
+ * @param {string} [settings.roundingRule="none"] - One of ROUNDING_RULES.
+ * @returns {{ computedPrice: number, publishedPrice: number, publishedPriceExclVat: number, vatAmount: number, vatRate: number, includesVat: boolean, roundingRule: string }}
+ *   computedPrice is the price before rounding (including VAT if prices include VAT);
+ *   publishedPriceExclVat and vatAmount split the published price for margin reporting.
+ */
+const calculatePublishedPrice = (
+  sellingPrice,
+  { vatRate = 0, pricesIncludeVat = false, roundingRule = "none" } = {}
+) => {
+  const computedPrice = pricesIncludeVat
+    ? sellingPrice * (1 + vatRate / 100)
+    : sellingPrice;
+  const publishedPrice = roundPrice(computedPrice, roundingRule);
+
+  return {
+    computedPrice: roundCurrency(computedPrice),
+    publishedPrice,
+    ...splitVat(publishedPrice, vatRate, pricesIncludeVat),
+    vatRate,
+    includesVat: pricesIncludeVat,
+    roundingRule,
+  };
+};
+
+/**
+ * Describes a price that is published as set (e.g. a fixed target price) in the
+ * same shape as calculatePublishedPrice. The price is not rounded.
+ * @param {number} publishedPrice - The price to publish, in the organisation's VAT basis.
+ * @param {Object} settings - { vatRate, pricesIncludeVat } as for calculatePublishedPrice.
+ * @returns {Object} As calculatePublishedPrice, with roundingRule "none".
+ */
+const describeFixedPrice = (
+  publishedPrice,
+  { vatRate = 0, pricesIncludeVat = false } = {}
+) => {
+  const price = roundCurrency(publishedPrice);
+  return {
+    computedPrice: price,
+    publishedPrice: price,
+    ...splitVat(price, vatRate, pricesIncludeVat),
+    vatRate,
+    includesVat: pricesIncludeVat,
+    roundingRule: "none",
+  };
+};
+
+module.exports = {
+  ROUNDING_RULES,
+  roundPrice,
+  calculatePublishedPrice,
+  describeFixedPrice,
+};
@@ -0,0 +1,506 @@
+const Recipe = require("../models/Recipe");
+const Ingredient = require("../models/Ingredient");
+const ProductionRun = require("../models/ProductionRun");
+const StockMovement = require("../models/StockMovement");
+const ErrorResponse = require("../utils/errorResponse");
+const { consumeStock, toIngredientUnit } = require("./inventoryService");
+const {
+  applyLaborRateRules,
+  getLaborRatesForDate,
+} = require("./laborRateService");
+
+// Quantities keep 6 decimal places, like stock on hand
+const roundQuantity = (value) => Math.round(value * 1e6) / 1e6;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Totals the purchased quantity and cost of each bought ingredient in a cost
+ * breakdown, following sub-recipe lines down to the ingredients they are made of.
+ * @param {Array<Object>} breakdown - Lines from Recipe.calculateCostSummary.
+ * @returns {Array<Object>} Per ingredient, in order of first use (unrounded):
+ *   { ingredient, ingredientName, unit, quantity, costPerUnit, cost }
+ */
+const totalIngredientQuantities = (breakdown) => {
+  const totals = new Map();
+  const addLines = (lines) => {
+    for (const line of lines) {
+      if (line.itemType === "recipe") {
+        addLines(line.components || []);
+        continue;
+      }
+      const id = line.item.toString();
+      if (!totals.has(id)) {
+        totals.set(id, {
+          ingredient: line.item,
+          ingredientName: line.name,
+          unit: line.baseUnit,
+          quantity: 0,
+          costPerUnit: line.unitCost,
+          cost: 0,
+        });
+      }
+      const total = totals.get(id);
+      total.quantity += line.purchasedQuantity;
+      total.cost += line.cost;
+    }
+  };
+  addLines(breakdown);
+  return [...totals.values()];
+};
+
+/**
+ * Works out the ingredients and costs of baking a number of batches of a recipe
+ * at today's prices. Given the day of baking, labor is costed under the labor
+ * rate rules for that day (weekend, public holiday and overtime rates) and the
+ * rates applied are returned as `laborRates`.
+ * @param {Object} recipe - The recipe document.
+ * @param {number} batches
+ * @param {Object} [options]
+ * @param {Date|string} [options.date] - The day the batches are baked.
+ * @returns {Promise<Object>} { ingredients: [{ ingredient, ingredientName, unit, quantity,
+ *   costPerUnit, cost }], expectedPies, costs: { totalIngredientCost, totalLaborCost,
+ *   totalPackagingCost, totalUtilityCost, totalFixedOverheadCost, totalCost, costPerPie },
+ *   standardLaborHours, laborRates?: { date, dayType, holidayName, ordinaryHours, overtimeHours,
+ *   standardLaborCost, premium, lines } }
+ * @throws {ErrorResponse} If the recipe cannot be costed.
+ */
+const explodeRecipe = async (recipe, batches, { date } = {}) => {
+  const summary = await recipe.calculateCostSummary();
+  const scale = (value) => roundCurrency(value * batches);
+
+  let laborRates;
+  let laborCost = summary.totalLaborCost * batches;
+  if (date) {
+    const { rules, ...day } = await getLaborRatesForDate(date);
+    const { laborCost: datedLaborCost, ...dayCosts } = applyLaborRateRules(
+      summary.laborBreakdown,
+      { batches, dayType: day.dayType, rules }
+    );
+    laborRates = { ...day, ...dayCosts };
+    laborCost = datedLaborCost;
+  }
+  const totalCost =
+    (summary.totalBatchCost - summary.totalLaborCost) * batches + laborCost;
+  const expectedPies = summary.usableBatchSize * batches;
+
+  return {
+    ingredients: totalIngredientQuantities(summary.breakdown).map((line) => ({
+      ...line,
+      quantity: roundQuantity(line.quantity * batches),
+      cost: scale(line.cost),
+    })),
+    expectedPies: round4(expectedPies),
+    standardLaborHours: round4(
+      summary.laborBreakdown.reduce((sum, line) => sum + line.hours, 0) *
+        batches
+    ),
+    costs: {
+      totalIngredientCost: scale(summary.totalIngredientCost),
+      totalLaborCost: roundCurrency(laborCost),
+      totalPackagingCost: scale(summary.totalPackagingCost),
+      totalUtilityCost: scale(summary.totalUtilityCost),
+      totalFixedOverheadCost: scale(summary.totalFixedOverheadCost),
+      totalCost: roundCurrency(totalCost),
+      costPerPie: expectedPies > 0 ? round4(totalCost / expectedPies) : 0,
+    },
+    ...(laborRates && { laborRates }),
+  };
+};
+
+/**
+ * Checks the actual labor time given for a production run: start, finish and
+ * headcount go together, and the crew must finish after starting.
+ * @param {Object} labor - { laborStartedAt?, laborEndedAt?, headcount? }
+ * @returns {Object} The labor fields to store ({} when none are given).
+ * @throws {ErrorResponse} 400 if the time is incomplete or ends before it starts.
+ */
+const checkLaborTime = ({ laborStartedAt, laborEndedAt, headcount }) => {
+  const given = [laborStartedAt, laborEndedAt, headcount].filter(
+    (value) => value !== undefined && value !== null && value !== ""
+  );
+  if (given.length === 0) return {};
+  if (given.length < 3) {
+    throw new ErrorResponse(
+      "Give the start time, finish time and headcount together",
+      400
+    );
+  }
+  const startedAt = new Date(laborStartedAt);
+  const endedAt = new Date(laborEndedAt);
+  if (endedAt <= startedAt) {
+    throw new ErrorResponse(
+      "The finish time must be after the start time",
+      400
+    );
+  }
+  return { laborStartedAt: startedAt, laborEndedAt: endedAt, headcount };
+};
+
+/**
+ * Works out the labor hours actually worked on a production run: the time from
+ * start to finish times the headcount.
+ * @param {Object} run - { laborStartedAt?, laborEndedAt?, headcount? }
+ * @returns {number|null} Hours, or null if the time was not recorded.
+ */
+const actualLaborHours = (run) => {
+  if (!run.laborStartedAt || !run.laborEndedAt || !run.headcount) return null;
+  const elapsedHours =
+    (new Date(run.laborEndedAt) - new Date(run.laborStartedAt)) / 3600000;
+  return elapsedHours * run.headcount;
+};
+
+/**
+ * Records a production run: snapshots what the batches cost today (labor at the
+ * rates for the day they were baked) and takes the ingredients they use out of stock.
+ * @param {Object} details - { recipe, batches, producedAt?, bakedBy?, piesProduced?, notes?,
+ *   laborStartedAt?, laborEndedAt?, headcount? } (see checkLaborTime)
+ * @param {Object} [options]
+ * @param {mongoose.Types.ObjectId|string} [options.userId]
+ * @returns {Promise<Object>} The production run.
+ * @throws {ErrorResponse} If the recipe is missing (404), archived or cannot be costed,
+ *   or the labor time is invalid (400).
+ */
+const recordProductionRun = async (
+  {
+    recipe: recipeId,
+    batches,
+    producedAt,
+    bakedBy,
+    piesProduced,
+    notes,
+    laborStartedAt,
+    laborEndedAt,
+    headcount,
+  },
+  { userId } = {}
+) => {
+  const laborTime = checkLaborTime({ laborStartedAt, laborEndedAt, headcount });
+  const recipe = await Recipe.findById(recipeId);
+  if (!recipe) {
+    throw new ErrorResponse(`Recipe not found with id of ${recipeId}`, 404);
+  }
+  if (recipe.isArchived) {
+    throw new ErrorResponse(
+      `Recipe "${recipe.pieName}" is archived and cannot be produced`,
+      400
+    );
+  }
+
+  const plan = await explodeRecipe(recipe, batches, {
+    date: producedAt || new Date(),
+  });
+  const run = await ProductionRun.create({
+    recipe: recipe._id,
+    pieName: recipe.pieName,
+    variant: recipe.variant,
+    batches,
+    producedAt,
+    bakedBy,
+    piesProduced,
+    notes,
+    ...laborTime,
+    createdBy: userId,
+    ...plan,
+  });
+
+  await consumeStock(run.ingredients, {
+    productionRun: run._id,
+    occurredAt: run.producedAt,
+    userId,
+  });
+  return run;
+};
+
+/**
+ * Deletes a production run recorded by mistake, giving its ingredients back to
+ * stock. The ledger keeps both movements. Ingredients deleted since are skipped.
+ * @param {Object} run - The production run document.
+ * @param {Object} [options]
+ * @param {mongoose.Types.ObjectId|string} [options.userId]
+ * @returns {Promise<void>}
+ */
+const deleteProductionRun = async (run, { userId } = {}) => {
+  const ingredients = await Ingredient.find({
+    _id: { $in: run.ingredients.map((line) => line.ingredient) },
+  });
+  const byId = new Map(
+    ingredients.map((ingredient) => [ingredient._id.toString(), ingredient])
+  );
+
+  // Given back in the ingredient's current unit, in case it has changed
+  const lines = run.ingredients
+    .filter((line) => byId.has(line.ingredient.toString()))
+    .map((line) => {
+      const ingredient = byId.get(line.ingredient.toString());
+      return {
+        ingredient: ingredient._id,
+        unit: ingredient.unit,
+        quantity: -toIngredientUnit(line.quantity, line.unit, ingredient),
+        costPerUnit:
+          line.unit === ingredient.unit
+            ? line.costPerUnit
+            : ingredient.costPerUnit,
+      };
+    });
+
+  await consumeStock(lines, {
+    productionRun: run._id,
+    notes: `Production run of ${run.pieName} (${run.variant}) deleted`,
+    userId,
+  });
+  await run.deleteOne();
+};
+
+/**
+ * Totals production and count movements per ingredient into theoretical and actual
+ * usage. Production takes the theoretical quantity out of stock, so what a count
+ * then finds missing (or extra) is the difference: actual = theoretical - count variance.
+ * @param {Array<Object>} movements - Production and count movements, with the
+ *   ingredient populated (ingredientName, unit, costPerUnit, density, eachWeight).
+ * @returns {Array<Object>} Per ingredient, largest overuse (by value) first:
+ *   { ingredient, ingredientName, unit, theoreticalQuantity, actualQuantity,
+ *   varianceQuantity, variancePercentage, theoreticalCost, actualCost, varianceValue }
+ */
+const summarizeUsage = (movements) => {
+  const totals = new Map();
+  for (const movement of movements) {
+    const ingredient = movement.ingredient;
+    if (!ingredient) continue; // Deleted since
+    const id = ingredient._id.toString();
+    if (!totals.has(id)) {
+      totals.set(id, { ingredient, theoretical: 0, countVariance: 0 });
+    }
+    const total = totals.get(id);
+    const quantity = toIngredientUnit(
+      movement.quantity,
+      movement.unit,
+      ingredient
+    );
+    if (movement.type === "production") total.theoretical -= quantity;
+    if (movement.type === "count") total.countVariance += quantity;
+  }
+
+  return [...totals.values()]
+    .map(({ ingredient, theoretical, countVariance }) => {
+      const actual = theoretical - countVariance;
+      const variance = actual - theoretical;
+      return {
+        ingredient: ingredient._id,
+        ingredientName: ingredient.ingredientName,
+        unit: ingredient.unit,
+        theoreticalQuantity: round4(theoretical),
+        actualQuantity: round4(actual),
+        varianceQuantity: round4(variance),
+        variancePercentage:
+          theoretical > 0
+            ? Math.round((variance / theoretical) * 1000) / 10
+            : null,
+        theoreticalCost: roundCurrency(theoretical * ingredient.costPerUnit),
+        actualCost: roundCurrency(actual * ingredient.costPerUnit),
+        varianceValue: roundCurrency(variance * ingredient.costPerUnit),
+      };
+    })
+    .sort((a, b) => b.varianceValue - a.varianceValue);
+};
+
+/**
+ * Compares the ingredients production runs should have used with what stock counts
+ * show was used over a period, valued at today's costs. For complete actual figures
+ * the period should start just after one stock count and end with the next.
+ * @param {Object} [range]
+ * @param {Date} [range.from] - Inclusive.
+ * @param {Date} [range.to] - Inclusive.
+ * @returns {Promise<Object>} { runCount, lines (see summarizeUsage), totals: { theoreticalCost, actualCost, varianceValue } }
+ */
+const getUsageReport = async ({ from, to } = {}) => {
+  const dateRange = {};
+  if (from) dateRange.$gte = from;
+  if (to) dateRange.$lte = to;
+  const hasRange = Object.keys(dateRange).length > 0;
+
+  const movements = await StockMovement.find({
+    type: { $in: ["production", "count"] },
+    ...(hasRange && { occurredAt: dateRange }),
+  })
+    .populate(
+      "ingredient",
+      "ingredientName unit costPerUnit density eachWeight"
+    )
+    .lean();
+  const runCount = await ProductionRun.countDocuments(
+    hasRange ? { producedAt: dateRange } : {}
+  );
+
+  const lines = summarizeUsage(movements);
+  const total = (field) =>
+    roundCurrency(lines.reduce((sum, line) => sum + line[field], 0));
+  return {
+    runCount,
+    lines,
+    totals: {
+      theoreticalCost: total("theoreticalCost"),
+      actualCost: total("actualCost"),
+      varianceValue: total("varianceValue"),
+    },
+  };
+};
+
+/**
+ * Records the labor time actually worked on a production run after the fact,
+ * replacing any time recorded before.
+ * @param {Object} run - ProductionRun document.
+ * @param {Object} labor - { laborStartedAt, laborEndedAt, headcount }
+ * @returns {Promise<Object>} The updated production run.
+ * @throws {ErrorResponse} 400 if the time is incomplete or ends before it starts.
+ */
+const recordRunLabor = async (run, labor) => {
+  const laborTime = checkLaborTime(labor);
+  if (Object.keys(laborTime).length === 0) {
+    throw new ErrorResponse(
+      "Give the start time, finish time and headcount together",
+      400
+    );
+  }
+  run.set(laborTime);
+  await run.save();
+  return run;
+};
+
+/**
+ * Compares the labor time actually worked on production runs with the standard
+ * the recipes were costed with, per recipe, in minutes per pie. The standard is
+ * spread over the pies it was costed for (expected pies), the time actually
+ * worked over the good pies (where counted, otherwise expected), so rejects
+ * beyond the recipe's reject rate show up as labor the costing leaves out.
+ * Time is valued at the standard rates of each run. Runs without recorded time
+ * or a standard are left out.
+ * @param {Array<Object>} runs - Production runs (plain objects or documents).
+ * @param {Object} [options]
+ * @param {number} [options.tolerancePercentage=10] - Actual time may exceed the
+ *   standard by this much before the recipe's labor cost counts as understated.
+ * @returns {Array<Object>} Per recipe, most understated (by value) first:
+ *   { recipe, pieName, variant, runCount, expectedPies, goodPies, standardHours, actualHours,
+ *   standardMinutesPerPie, actualMinutesPerPie, variancePercentage,
+ *   standardLaborCostPerPie, actualLaborCostPerPie, understatedValue, understated }
+ *   (understatedValue is the labor cost the standard leaves out of the good pies)
+ */
+const summarizeLaborTime = (runs, { tolerancePercentage = 10 } = {}) => {
+  const totals = new Map();
+  for (const run of runs) {
+    const actualHours = actualLaborHours(run);
+    if (actualHours === null || !run.standardLaborHours) continue;
+    const id = run.recipe.toString();
+    if (!totals.has(id)) {
+      totals.set(id, {
+        recipe: run.recipe,
+        pieName: run.pieName,
+        variant: run.variant,
+        runCount: 0,
+        expectedPies: 0,
+        goodPies: 0,
+        standardHours: 0,
+        actualHours: 0,
+        standardCost: 0,
+        actualCost: 0,
+      });
+    }
+    const total = totals.get(id);
+    // Standard hourly rate of the run's labor (before weekend or overtime rates)
+    const standardCost =
+      run.laborRates?.standardLaborCost ?? run.costs.totalLaborCost;
+    const hourlyRate = standardCost / run.standardLaborHours;
+    total.runCount++;
+    total.expectedPies += run.expectedPies;
+    total.goodPies += run.piesProduced ?? run.expectedPies;
+    total.standardHours += run.standardLaborHours;
+    total.actualHours += actualHours;
+    total.standardCost += standardCost;
+    total.actualCost += actualHours * hourlyRate;
+  }
+
+  return [...totals.values()]
+    .map(({ standardCost, actualCost, ...total }) => {
+      const perExpectedPie = (value) =>
+        total.expectedPies > 0 ? value / total.expectedPies : 0;
+      const perGoodPie = (value) =>
+        total.goodPies > 0 ? value / total.goodPies : 0;
+      const standardMinutesPerPie = perExpectedPie(total.standardHours * 60);
+      const actualMinutesPerPie = perGoodPie(total.actualHours * 60);
+      const standardLaborCostPerPie = perExpectedPie(standardCost);
+      const actualLaborCostPerPie = perGoodPie(actualCost);
+      const variancePercentage =
+        standardMinutesPerPie > 0
+          ? Math.round(
+              ((actualMinutesPerPie - standardMinutesPerPie) /
+                standardMinutesPerPie) *
+                1000
+            ) / 10
+          : 0;
+      return {
+        ...total,
+        expectedPies: round4(total.expectedPies),
+        goodPies: round4(total.goodPies),
+        standardHours: round4(total.standardHours),
+        actualHours: round4(total.actualHours),
+        standardMinutesPerPie: round4(standardMinutesPerPie),
+        actualMinutesPerPie: round4(actualMinutesPerPie),
+        variancePercentage,
+        standardLaborCostPerPie: round4(standardLaborCostPerPie),
+        actualLaborCostPerPie: round4(actualLaborCostPerPie),
+        understatedValue: roundCurrency(
+          (actualLaborCostPerPie - standardLaborCostPerPie) * total.goodPies
+        ),
+        understated: variancePercentage > tolerancePercentage,
+      };
+    })
+    .sort((a, b) => b.understatedValue - a.understatedValue);
+};
+
+/**
+ * Builds the actual vs standard labor time report over production runs baked in
+ * a period (see summarizeLaborTime).
+ * @param {Object} [range]
+ * @param {Date} [range.from] - Inclusive.
+ * @param {Date} [range.to] - Inclusive.
+ * @param {number} [range.tolerancePercentage]
+ * @returns {Promise<Object>} { runCount, lines, totals: { standardHours, actualHours, understatedValue } }
+ */
+const getLaborTimeReport = async ({ from, to, tolerancePercentage } = {}) => {
+  const dateRange = {};
+  if (from) dateRange.$gte = from;
+  if (to) dateRange.$lte = to;
+
+  const runs = await ProductionRun.find({
+    laborStartedAt: { $exists: true },
+    ...(Object.keys(dateRange).length > 0 && { producedAt: dateRange }),
+  })
+    .select("-ingredients")
+    .lean();
+
+  const lines = summarizeLaborTime(runs, { tolerancePercentage });
+  const total = (field) => lines.reduce((sum, line) => sum + line[field], 0);
+  return {
+    runCount: lines.reduce((sum, line) => sum + line.runCount, 0),
+    lines,
+    totals: {
+      standardHours: round4(total("standardHours")),
+      actualHours: round4(total("actualHours")),
+      understatedValue: roundCurrency(total("understatedValue")),
+    },
+  };
+};
+
+module.exports = {
+  totalIngredientQuantities,
+  explodeRecipe,
+  checkLaborTime,
+  actualLaborHours,
+  recordProductionRun,
+  recordRunLabor,
+  deleteProductionRun,
+  summarizeUsage,
+  getUsageReport,
+  summarizeLaborTime,
+  getLaborTimeReport,
+};
@@ -0,0 +1,332 @@
+const Recipe = require("../models/Recipe");
+const Ingredient = require("../models/Ingredient");
+const Supplier = require("../models/Supplier");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const Counter = require("../models/Counter");
+const ErrorResponse = require("../utils/errorResponse");
+const { explodeRecipe } = require("./productionService");
+const { receiveStock, toIngredientUnit } = require("./inventoryService");
+
+const roundQuantity = (value) => Math.round(value * 1e6) / 1e6;
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Status an order moves on to from each status
+const NEXT_STATUS = { draft: "sent", sent: "received" };
+
+/**
+ * Works out what to order of an ingredient: the shortfall after stock on hand and
+ * open orders, rounded up to whole packs when the ingredient is bought in packs.
+ * @param {Object} ingredient - With unit, costPerUnit, stockOnHand and the pack
+ *   fields (packSize, packUnit, packPrice).
+ * @param {number} requiredQuantity - What the plan needs, in the ingredient's unit.
+ * @param {number} [onOrderQuantity=0] - Already on draft or sent orders.
+ * @returns {Object} { ingredient, ingredientName, unit, requiredQuantity, stockOnHand,
+ *   onOrderQuantity, shortfall, packSize, packUnit, packPrice, packs, orderQuantity,
+ *   lineTotal }; packs and orderQuantity are 0 when nothing needs ordering.
+ * @throws {ErrorResponse} If the pack unit does not convert to the ingredient's unit.
+ */
+const buildOrderLine = (ingredient, requiredQuantity, onOrderQuantity = 0) => {
+  const stockOnHand = Math.max(ingredient.stockOnHand || 0, 0);
+  const shortfall = Math.max(
+    roundQuantity(requiredQuantity - stockOnHand - onOrderQuantity),
+    0
+  );
+  const line = {
+    ingredient: ingredient._id,
+    ingredientName: ingredient.ingredientName,
+    unit: ingredient.unit,
+    requiredQuantity: roundQuantity(requiredQuantity),
+    stockOnHand,
+    onOrderQuantity: roundQuantity(onOrderQuantity),
+    shortfall,
+  };
+
+  if (!ingredient.packSize) {
+    return {
+      ...line,
+      orderQuantity: shortfall,
+      lineTotal: roundCurrency(shortfall * ingredient.costPerUnit),
+    };
+  }
+
+  const packQuantity = toIngredientUnit(
+    ingredient.packSize,
+    ingredient.packUnit || ingredient.unit,
+    ingredient
+  );
+  // Rounded first so 2.0000000001 packs is 2 packs, not 3
+  const packs = Math.ceil(roundQuantity(shortfall / packQuantity));
+  return {
+    ...line,
+    packSize: ingredient.packSize,
+    packUnit: ingredient.packUnit || ingredient.unit,
+    packPrice: ingredient.packPrice,
+    packs,
+    orderQuantity: roundQuantity(packs * packQuantity),
+    lineTotal: roundCurrency(
+      ingredient.packPrice != null
+        ? packs * ingredient.packPrice
+        : packs * packQuantity * ingredient.costPerUnit
+    ),
+  };
+};
+
+/**
+ * Totals the ingredients a production plan needs, through sub-recipes.
+ * @param {Array<{recipe: string, batches: number}>} plan
+ * @returns {Promise<Object>} { runs: [{ recipe, pieName, variant, batches }],
+ *   requirements: Map of ingredient id -> quantity in the ingredient's unit }
+ * @throws {ErrorResponse} If a recipe is missing, archived or cannot be costed (400).
+ */
+const explodePlan = async (plan) => {
+  const recipes = await Recipe.find({
+    _id: { $in: plan.map((entry) => entry.recipe) },
+  });
+  const byId = new Map(
+    recipes.map((recipe) => [recipe._id.toString(), recipe])
+  );
+
+  const runs = [];
+  const requirements = new Map();
+  for (const { recipe: recipeId, batches } of plan) {
+    const recipe = byId.get(recipeId.toString());
+    if (!recipe) {
+      throw new ErrorResponse(`Recipe not found with id of ${recipeId}`, 400);
+    }
+    if (recipe.isArchived) {
+      throw new ErrorResponse(
+        `Recipe "${recipe.pieName}" is archived and cannot be planned`,
+        400
+      );
+    }
+    runs.push({
+      recipe: recipe._id,
+      pieName: recipe.pieName,
+      variant: recipe.variant,
+      batches,
+    });
+    const { ingredients } = await explodeRecipe(recipe, batches);
+    for (const line of ingredients) {
+      const id = line.ingredient.toString();
+      requirements.set(id, (requirements.get(id) || 0) + line.quantity);
+    }
+  }
+  return { runs, requirements };
+};
+
+// Totals what is on draft and sent orders per ingredient, in each ingredient's unit
+const loadOnOrder = async (ingredientsById) => {
+  const openOrders = await PurchaseOrder.find({
+    status: { $in: ["draft", "sent"] },
+    "lines.ingredient": { $in: [...ingredientsById.keys()] },
+  }).lean();
+
+  const onOrder = new Map();
+  for (const order of openOrders) {
+    for (const line of order.lines) {
+      const id = line.ingredient.toString();
+      const ingredient = ingredientsById.get(id);
+      if (!ingredient) continue;
+      const quantity = toIngredientUnit(
+        line.orderQuantity,
+        line.unit,
+        ingredient
+      );
+      onOrder.set(id, (onOrder.get(id) || 0) + quantity);
+    }
+  }
+  return onOrder;
+};
+
+/**
+ * Works out the purchase orders a production plan calls for: the recipes are
+ * exploded into ingredients, stock on hand and open orders are subtracted, and
+ * what is left is rounded up to the packs the ingredient is bought in and
+ * grouped by the ingredient's supplier. Nothing is saved.
+ * @param {Array<{recipe: string, batches: number}>} plan
+ * @param {Object} [options]
+ * @param {Date} [options.neededBy] - When the goods are needed; sets each order's order-by date.
+ * @returns {Promise<Object>} { plan: runs, orders: [{ supplier, orderBy, lines, total }],
+ *   unassigned: lines of ingredients without a supplier, inStock: lines needing no order }
+ * @throws {ErrorResponse} If a recipe cannot be planned or a pack unit does not convert (400).
+ */
+const planPurchaseOrders = async (plan, { neededBy } = {}) => {
+  const { runs, requirements } = await explodePlan(plan);
+
+  const ingredients = await Ingredient.find({
+    _id: { $in: [...requirements.keys()] },
+  });
+  const ingredientsById = new Map(
+    ingredients.map((ingredient) => [ingredient._id.toString(), ingredient])
+  );
+  const onOrder = await loadOnOrder(ingredientsById);
+  const suppliers = await Supplier.find({
+    _id: { $in: ingredients.map((ingredient) => ingredient.supplier) },
+  });
+  const suppliersById = new Map(
+    suppliers.map((supplier) => [supplier._id.toString(), supplier])
+  );
+
+  const ordersBySupplier = new Map();
+  const unassigned = [];
+  const inStock = [];
+  for (const [id, requiredQuantity] of requirements) {
+    const ingredient = ingredientsById.get(id);
+    if (!ingredient) continue; // Deleted since the recipe was costed
+    const line = buildOrderLine(ingredient, requiredQuantity, onOrder.get(id));
+    if (line.shortfall === 0) {
+      inStock.push(line);
+      continue;
+    }
+    const supplier = suppliersById.get(ingredient.supplier?.toString());
+    if (!supplier) {
+      unassigned.push(line);
+      continue;
+    }
+    const supplierId = supplier._id.toString();
+    if (!ordersBySupplier.has(supplierId)) {
+      ordersBySupplier.set(supplierId, { supplier, lines: [] });
+    }
+    ordersBySupplier.get(supplierId).lines.push(line);
+  }
+
+  const orders = [...ordersBySupplier.values()].map(({ supplier, lines }) => {
+    let orderBy;
+    if (neededBy) {
+      orderBy = new Date(neededBy);
+      orderBy.setUTCDate(orderBy.getUTCDate() - (supplier.leadTimeDays || 0));
+    }
+    return {
+      supplier,
+      orderBy,
+      lines,
+      total: roundCurrency(
+        lines.reduce((sum, line) => sum + line.lineTotal, 0)
+      ),
+    };
+  });
+  return { plan: runs, orders, unassigned, inStock };
+};
+
+// Counter the purchase order numbers are taken from
+const ORDER_NUMBER_COUNTER = "purchaseOrder";
+
+// Next sequential order number, e.g. PO-00042 after PO-00041. Numbers come from
+// an atomic counter, which starts after the highest number already used.
+const nextOrderNumber = async () => {
+  if (!(await Counter.exists({ _id: ORDER_NUMBER_COUNTER }))) {
+    const orders = await PurchaseOrder.find().select("orderNumber").lean();
+    const highest = orders.reduce(
+      (max, order) => Math.max(max, parseInt(order.orderNumber.slice(3), 10)),
+      0
+    );
+    // $max keeps a counter another request has started meanwhile
+    await Counter.updateOne(
+      { _id: ORDER_NUMBER_COUNTER },
+      { $max: { seq: highest } },
+      { upsert: true }
+    );
+  }
+  const counter = await Counter.findOneAndUpdate(
+    { _id: ORDER_NUMBER_COUNTER },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `PO-${String(counter.seq).padStart(5, "0")}`;
+};
+
+/**
+ * Generates draft purchase orders, one per supplier, for a production plan (see
+ * planPurchaseOrders).
+ * @param {Object} details - { plan: [{ recipe, batches }], neededBy?, notes? }
+ * @param {Object} [options]
+ * @param {mongoose.Types.ObjectId|string} [options.userId]
+ * @returns {Promise<Object>} { orders: the draft orders, unassigned, inStock }
+ */
+const generatePurchaseOrders = async (
+  { plan, neededBy, notes },
+  { userId } = {}
+) => {
+  const planned = await planPurchaseOrders(plan, { neededBy });
+
+  const orders = [];
+  for (const order of planned.orders) {
+    orders.push(
+      await PurchaseOrder.create({
+        orderNumber: await nextOrderNumber(),
+        supplier: order.supplier._id,
+        plan: planned.plan,
+        neededBy,
+        orderBy: order.orderBy,
+        lines: order.lines,
+        total: order.total,
+        notes,
+        createdBy: userId,
+      })
+    );
+  }
+  return { orders, unassigned: planned.unassigned, inStock: planned.inStock };
+};
+
+/**
+ * Moves a purchase order on to its next status. Receiving the order books its
+ * lines into stock as a receipt from the supplier, referenced by the order
+ * number; ingredients deleted since the order was generated are skipped.
+ * @param {Object} order - The purchase order document.
+ * @param {Object} change - { status, receivedAt? }
+ * @param {Object} [options]
+ * @param {mongoose.Types.ObjectId|string} [options.userId]
+ * @returns {Promise<Object>} The updated order.
+ * @throws {ErrorResponse} If the status is not the order's next status (400).
+ */
+const updatePurchaseOrderStatus = async (
+  order,
+  { status, receivedAt },
+  { userId } = {}
+) => {
+  if (NEXT_STATUS[order.status] !== status) {
+    throw new ErrorResponse(
+      `A ${order.status} purchase order cannot be marked as ${status}`,
+      400
+    );
+  }
+
+  if (status === "sent") {
+    order.sentAt = new Date();
+  }
+  if (status === "received") {
+    order.receivedAt = receivedAt || new Date();
+    const existing = await Ingredient.find({
+      _id: { $in: order.lines.map((line) => line.ingredient) },
+    }).select("_id");
+    const existingIds = new Set(existing.map((doc) => doc._id.toString()));
+    await receiveStock(
+      {
+        supplier: order.supplier,
+        reference: order.orderNumber,
+        receivedAt: order.receivedAt,
+        lines: order.lines
+          .filter((line) => existingIds.has(line.ingredient.toString()))
+          .map((line) => ({
+            ingredient: line.ingredient,
+            quantity: line.orderQuantity,
+            unit: line.unit,
+            totalCost: line.lineTotal,
+          })),
+      },
+      { userId }
+    );
+  }
+
+  order.status = status;
+  order.updatedBy = userId;
+  await order.save();
+  return order;
+};
+
+module.exports = {
+  buildOrderLine,
+  planPurchaseOrders,
+  generatePurchaseOrders,
+  updatePurchaseOrderStatus,
+};
@@ -0,0 +1,240 @@
+const Recipe = require("../models/Recipe");
+const RecipeCostChange = require("../models/RecipeCostChange");
+const { logger } = require("../utils/logger");
+const { compareAllergens } = require("./allergenService");
+
+// Rounds a currency difference to cents
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Picks the stored cost figures of a recipe for before/after comparison
+const getCostFigures = (recipe) => ({
+  totalBatchCost: recipe.calculatedCosts?.totalBatchCost || 0,
+  costPerPie: recipe.calculatedCosts?.costPerPie || 0,
+  sellingPrice: recipe.sellingPrice || 0,
+  publishedPrice: recipe.pricing?.publishedPrice || 0,
+});
+
+/**
+ * Finds every recipe that depends on the given ingredients, recipes, overheads,
+ * labor standards or worker roles,
+ * directly or through any depth of sub-recipes.
+ * @param {Object} sources
+ * @param {Array<mongoose.Types.ObjectId|string>} [sources.ingredientIds]
+ * @param {Array<mongoose.Types.ObjectId|string>} [sources.recipeIds] - Changed recipes (not included in the result themselves).
+ * @param {Array<mongoose.Types.ObjectId|string>} [sources.overheadIds] - Changed packaging/utility overheads.
+ * @param {Array<mongoose.Types.ObjectId|string>} [sources.laborStandardIds] - Changed labor standards.
+ * @param {Array<mongoose.Types.ObjectId|string>} [sources.workerRoleIds] - Changed worker roles.
+ * @param {boolean} [sources.allRecipes] - Every active recipe is affected (e.g. fixed overheads or settings changed);
+ *   archived recipes are brought up to date when they are restored.
+ * @returns {Promise<Array<Object>>} The dependent recipe documents.
+ */
+const findDependentRecipes = async ({
+  ingredientIds = [],
+  recipeIds = [],
+  overheadIds = [],
+  laborStandardIds = [],
+  workerRoleIds = [],
+  allRecipes = false,
+}) => {
+  if (allRecipes) return Recipe.find({ isArchived: { $ne: true } });
+
+  const seen = new Set(recipeIds.map((id) => id.toString()));
+  const dependents = [];
+
+  const directFilters = [];
+  if (ingredientIds.length > 0) {
+    directFilters.push({ "ingredients.ingredient": { $in: ingredientIds } });
+  }
+  if (overheadIds.length > 0) {
+    directFilters.push(
+      { "packaging.overhead": { $in: overheadIds } },
+      { "utilityInputs.overhead": { $in: overheadIds } }
+    );
+  }
+  if (laborStandardIds.length > 0) {
+    directFilters.push({
+      "laborInputs.laborStandard": { $in: laborStandardIds },
+    });
+  }
+  if (workerRoleIds.length > 0) {
+    directFilters.push({ "laborInputs.workerRole": { $in: workerRoleIds } });
+  }
+  let frontier =
+    directFilters.length > 0 ? await Recipe.find({ $or: directFilters }) : [];
+  let parentsOf = [...recipeIds];
+
+  while (frontier.length > 0 || parentsOf.length > 0) {
+    if (parentsOf.length > 0) {
+      frontier = frontier.concat(
+        await Recipe.find({ "ingredients.subRecipe": { $in: parentsOf } })
+      );
+    }
+    parentsOf = [];
+    for (const recipe of frontier) {
+      const id = recipe._id.toString();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      dependents.push(recipe);
+      parentsOf.push(recipe._id);
+    }
+    frontier = [];
+  }
+
+  return dependents;
+};
+
+/**
+ * Recalculates and saves every recipe that uses any of the given ingredients or
+ * sub-recipes (directly or nested), recording a RecipeCostChange for each recipe
+ * whose costs moved. Recipes whose allergens changed are listed too, so labels can
+ * be checked.
+ * A recipe that cannot be recalculated (e.g. it references a deleted ingredient)
+ * keeps its previous figures and is reported under `failed`.
+ * @param {Object} sources
+ * @param {Array<mongoose.Types.ObjectId|string>} [sources.ingredientIds] - The changed ingredients.
+ * @param {Array<mongoose.Types.ObjectId|string>} [sources.recipeIds] - The changed recipes (already saved).
+ * @param {Array<mongoose.Types.ObjectId|string>} [sources.overheadIds] - The changed packaging/utility overheads.
+ * @param {Array<mongoose.Types.ObjectId|string>} [sources.laborStandardIds] - The changed labor standards.
+ * @param {Array<mongoose.Types.ObjectId|string>} [sources.workerRoleIds] - The changed worker roles.
+ * @param {boolean} [sources.allRecipes] - Recalculate every recipe.
+ * @param {Object} options
+ * @param {"ingredient_update"|"ingredient_import"|"ingredient_delete"|"sub_recipe_update"|"overhead_update"|"labor_update"|"settings_update"|"supplier_quote"} options.trigger - What caused the change.
+ * @param {mongoose.Types.ObjectId|string} [options.userId] - The user who made the change.
+ * @returns {Promise<Object>} Impact summary: { recalculatedCount, changed: [...], failed: [...],
+ *   allergensChanged: [{ recipe, pieName, variant, change }] } (change: see compareAllergens).
+ */
+const recalculateDependentRecipes = async (
+  {
+    ingredientIds = [],
+    recipeIds = [],
+    overheadIds = [],
+    laborStandardIds = [],
+    workerRoleIds = [],
+    allRecipes = false,
+  },
+  { trigger, userId }
+) => {
+  const summary = {
+    recalculatedCount: 0,
+    changed: [],
+    failed: [],
+    allergensChanged: [],
+  };
+  if (
+    !allRecipes &&
+    ingredientIds.length === 0 &&
+    recipeIds.length === 0 &&
+    overheadIds.length === 0 &&
+    laborStandardIds.length === 0 &&
+    workerRoleIds.length === 0
+  ) {
+    return summary;
+  }
+
+  const recipes = await findDependentRecipes({
+    ingredientIds,
+    recipeIds,
+    overheadIds,
+    laborStandardIds,
+    workerRoleIds,
+    allRecipes,
+  });
+
+  for (const recipe of recipes) {
+    const previous = getCostFigures(recipe);
+    const previousAllergens = recipe.allergens?.toObject();
+
+    try {
+      await recipe.updateCalculatedCostsAndPrice();
+      await recipe.save();
+    } catch (error) {
+      logger.warn(
+        `Cost cascade could not recalculate recipe "${recipe.pieName} - ${recipe.variant}" (ID: ${recipe._id}): ${error.message}`
+      );
+      summary.failed.push({
+        recipe: recipe._id,
+        pieName: recipe.pieName,
+        variant: recipe.variant,
+        error: error.message,
+      });
+      continue;
+    }
+
+    summary.recalculatedCount++;
+    // Recipes costed before allergens were tracked have nothing to compare with
+    const allergenChange =
+      previousAllergens &&
+      compareAllergens(previousAllergens, recipe.allergens);
+    if (allergenChange) {
+      summary.allergensChanged.push({
+        recipe: recipe._id,
+        pieName: recipe.pieName,
+        variant: recipe.variant,
+        change: allergenChange,
+      });
+    }
+
+    const current = getCostFigures(recipe);
+    const costPerPieChange = roundCurrency(
+      current.costPerPie - previous.costPerPie
+    );
+    const sellingPriceChange = roundCurrency(
+      current.sellingPrice - previous.sellingPrice
+    );
+    if (
+      costPerPieChange === 0 &&
+      sellingPriceChange === 0 &&
+      current.totalBatchCost === previous.totalBatchCost &&
+      current.publishedPrice === previous.publishedPrice
+    ) {
+      continue; // Recipe did not move
+    }
+
+    await RecipeCostChange.create({
+      recipe: recipe._id,
+      trigger,
+      ingredients: ingredientIds,
+      subRecipes: recipeIds,
+      overheads: overheadIds,
+      laborStandards: laborStandardIds,
+      workerRoles: workerRoleIds,
+      previous,
+      current,
+      costPerPieChange,
+      sellingPriceChange,
+      changedBy: userId,
+    });
+
+    summary.changed.push({
+      recipe: recipe._id,
+      pieName: recipe.pieName,
+      variant: recipe.variant,
+      previous,
+      current,
+      costPerPieChange,
+      sellingPriceChange,
+    });
+  }
+
+  logger.info(
+    `Cost cascade (${trigger}) for ${ingredientIds.length} ingredient(s), ${recipeIds.length} recipe(s), ${overheadIds.length} overhead(s), ${laborStandardIds.length} labor standard(s) and ${workerRoleIds.length} worker role(s)${allRecipes ? " (all recipes)" : ""}: ${summary.recalculatedCount} recipe(s) recalculated, ${summary.changed.length} changed, ${summary.failed.length} failed`
+  );
+
+  return summary;
+};
+
+/**
+ * Recalculates every recipe that uses any of the given ingredients.
+ * See recalculateDependentRecipes.
+ * @param {Array<mongoose.Types.ObjectId|string>} ingredientIds - The changed ingredients.
+ * @param {Object} options - { trigger, userId }
+ * @returns {Promise<Object>} Impact summary.
+ */
+const recalculateRecipesForIngredients = (ingredientIds, options) =>
+  recalculateDependentRecipes({ ingredientIds: ingredientIds || [] }, options);
+
+module.exports = {
+  findDependentRecipes,
+  recalculateDependentRecipes,
+  recalculateRecipesForIngredients,
+};
@@ -0,0 +1,313 @@
+const RecipeRevision = require("../models/RecipeRevision");
+const { findOrCreateLegacyStandard } = require("./laborService");
+
+// Recipe fields kept in a revision besides the item lists
+const SCALAR_FIELDS = [
+  "pieName",
+  "variant",
+  "batchSize",
+  "yieldWeight",
+  "bakingLossPercentage",
+  "rejectRate",
+  "shelfLifeDays",
+  "pricingMode",
+  "markupPercentage",
+  "targetMarginPercentage",
+  "targetPrice",
+  "notes",
+];
+
+// Computed figures compared between revisions
+const COST_FIGURES = [
+  ["costPerPie", (revision) => revision.calculatedCosts?.costPerPie],
+  ["totalBatchCost", (revision) => revision.calculatedCosts?.totalBatchCost],
+  ["sellingPrice", (revision) => revision.sellingPrice],
+  ["publishedPrice", (revision) => revision.pricing?.publishedPrice],
+];
+
+// Returns the ID of a reference whether or not it is populated
+const refId = (value) => (value && value._id ? value._id : value);
+
+// Rounds a currency difference to cents
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Captures the entered fields of a recipe, with the names of the items it uses.
+ * Shape: { ...SCALAR_FIELDS, ingredients: [{ itemType, ingredient?, subRecipe?, name, quantity, unit }],
+ *   laborInputs: [{ laborStandard, name, workerRole?, roleName?, minutesPerPie?, workers?, hoursPerWorker? }], packaging: [{ overhead, name, quantity }],
+ *   utilityInputs: [{ overhead, name, minutes }] }
+ * @param {Object} recipe - The recipe document.
+ * @returns {Promise<Object>}
+ */
+const buildRevisionFields = async (recipe) => {
+  await recipe.populate([
+    { path: "ingredients.ingredient", model: "Ingredient" },
+    { path: "ingredients.subRecipe", model: "Recipe" },
+    { path: "laborInputs.laborStandard", model: "Labor" },
+    { path: "laborInputs.workerRole", model: "WorkerRole" },
+    { path: "packaging.overhead", model: "Overhead" },
+    { path: "utilityInputs.overhead", model: "Overhead" },
+  ]);
+
+  const fields = {};
+  for (const field of SCALAR_FIELDS) {
+    fields[field] = recipe[field] ?? null;
+  }
+
+  fields.ingredients = recipe.ingredients.map((line) =>
+    line.itemType === "recipe"
+      ? {
+          itemType: "recipe",
+          subRecipe: refId(line.subRecipe),
+          name: line.subRecipe?.pieName
+            ? `${line.subRecipe.pieName} (${line.subRecipe.variant})`
+            : "Unknown sub-recipe",
+          quantity: line.quantity,
+          unit: line.unit,
+        }
+      : {
+          itemType: "ingredient",
+          ingredient: refId(line.ingredient),
+          name: line.ingredient?.ingredientName || "Unknown ingredient",
+          quantity: line.quantity,
+          unit: line.unit,
+        }
+  );
+  fields.laborInputs = recipe.laborInputs.map((input) => ({
+    laborStandard: refId(input.laborStandard),
+    name: input.laborStandard?.name || "Unknown labor standard",
+    ...(input.workerRole && {
+      workerRole: refId(input.workerRole),
+      roleName: input.workerRole.name || "Unknown worker role",
+    }),
+    minutesPerPie: input.minutesPerPie,
+    workers: input.workers,
+    hoursPerWorker: input.hoursPerWorker,
+  }));
+  fields.packaging = recipe.packaging.map((item) => ({
+    overhead: refId(item.overhead),
+    name: item.overhead?.name || "Unknown packaging",
+    quantity: item.quantity,
+  }));
+  fields.utilityInputs = recipe.utilityInputs.map((input) => ({
+    overhead: refId(input.overhead),
+    name: input.overhead?.name || "Unknown utility",
+    minutes: input.minutes,
+  }));
+
+  return fields;
+};
+
+/**
+ * Records a new revision of a recipe as it is now (after it has been saved).
+ * @param {Object} recipe - The saved recipe document.
+ * @param {Object} options
+ * @param {"create"|"update"|"restore"|"baseline"} options.action - What produced this state.
+ * @param {mongoose.Types.ObjectId|string} [options.userId] - The author of the change.
+ * @param {number} [options.restoredFrom] - The revision number that was restored.
+ * @returns {Promise<Object>} The created revision.
+ */
+const recordRevision = async (recipe, { action, userId, restoredFrom }) => {
+  const latest = await RecipeRevision.findOne({ recipe: recipe._id })
+    .sort({ revisionNumber: -1 })
+    .select("revisionNumber");
+  const fields = await buildRevisionFields(recipe);
+  const { calculatedCosts, pricing } = recipe.toObject();
+
+  return RecipeRevision.create({
+    recipe: recipe._id,
+    revisionNumber: (latest?.revisionNumber || 0) + 1,
+    action,
+    restoredFrom,
+    fields,
+    calculatedCosts,
+    sellingPrice: recipe.sellingPrice,
+    pricing,
+    createdBy: userId,
+  });
+};
+
+/**
+ * Records the current state of a recipe saved before revisions were recorded,
+ * so its first tracked change can still be diffed and undone.
+ * Does nothing if the recipe already has revisions.
+ * @param {Object} recipe - The recipe document, before any changes are applied.
+ * @returns {Promise<Object|null>} The baseline revision, or null if none was needed.
+ */
+const ensureBaselineRevision = async (recipe) => {
+  if (await RecipeRevision.exists({ recipe: recipe._id })) return null;
+  return recordRevision(recipe, {
+    action: "baseline",
+    userId: recipe.createdBy,
+  });
+};
+
+/**
+ * Copies the fields of a revision back onto a recipe (without saving or recalculating).
+ * Revisions recorded before labor standards kept an hourly rate on the recipe;
+ * their labor inputs are put on the standard for that rate.
+ * @param {Object} recipe - The recipe document.
+ * @param {Object} fields - The `fields` of a revision.
+ * @param {mongoose.Types.ObjectId|string} [userId] - Creator of any standard needed.
+ * @returns {Promise<void>}
+ */
+const applyRevisionFields = async (recipe, fields, userId) => {
+  for (const field of SCALAR_FIELDS) {
+    recipe[field] = fields[field] ?? undefined;
+  }
+  recipe.ingredients = fields.ingredients.map(({ name, ...line }) => line);
+  const legacyStandard = fields.laborInputs.some(
+    (input) => !input.laborStandard
+  )
+    ? await findOrCreateLegacyStandard(fields.laborHourlyRate, userId)
+    : null;
+  recipe.laborInputs = fields.laborInputs.map(
+    ({ name, roleName, ...input }) => ({
+      ...input,
+      laborStandard: input.laborStandard || legacyStandard._id,
+    })
+  );
+  recipe.packaging = fields.packaging.map(({ name, ...item }) => item);
+  recipe.utilityInputs = fields.utilityInputs.map(
+    ({ name, ...input }) => input
+  );
+};
+
+// Serialises a value for comparison (ObjectIds and numbers alike)
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Keys the lines of an item list, numbering repeats of the same item
+const keyLines = (lines, getKey) => {
+  const counts = {};
+  return new Map(
+    lines.map((line) => {
+      const key = getKey(line);
+      counts[key] = (counts[key] || 0) + 1;
+      return [`${key}#${counts[key]}`, line];
+    })
+  );
+};
+
+// Names the labor inputs of revisions recorded before labor standards, which
+// had no item of their own
+const nameLaborInputs = (inputs) =>
+  inputs.map((input, index) => ({
+    ...input,
+    name: input.name || `Labor input ${index + 1}`,
+  }));
+
+// Compares two versions of an item list line by line
+const diffItemList = (list, fromLines, toLines, getKey, valueFields) => {
+  const from = keyLines(fromLines, getKey);
+  const to = keyLines(toLines, getKey);
+  const pick = (line) =>
+    Object.fromEntries(valueFields.map((field) => [field, line[field]]));
+
+  const changes = [];
+  for (const [key, line] of from) {
+    if (!to.has(key)) {
+      changes.push({
+        list,
+        change: "removed",
+        name: line.name,
+        from: pick(line),
+        to: null,
+      });
+    } else if (!same(pick(line), pick(to.get(key)))) {
+      changes.push({
+        list,
+        change: "changed",
+        name: to.get(key).name || line.name,
+        from: pick(line),
+        to: pick(to.get(key)),
+      });
+    }
+  }
+  for (const [key, line] of to) {
+    if (!from.has(key)) {
+      changes.push({
+        list,
+        change: "added",
+        name: line.name,
+        from: null,
+        to: pick(line),
+      });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Lists the differences between two revisions of a recipe.
+ * @param {Object} from - The older revision.
+ * @param {Object} to - The newer revision.
+ * @returns {{ from: number, to: number, fieldChanges: Array<Object>, itemChanges: Array<Object>, costChanges: Array<Object> }}
+ *   fieldChanges: { field, from, to }; itemChanges: { list, change: "added"|"removed"|"changed", name, from, to };
+ *   costChanges: { figure, from, to, change }.
+ */
+const diffRevisions = (from, to) => {
+  const fieldChanges = SCALAR_FIELDS.filter(
+    (field) => !same(from.fields[field], to.fields[field])
+  ).map((field) => ({
+    field,
+    from: from.fields[field] ?? null,
+    to: to.fields[field] ?? null,
+  }));
+
+  const itemChanges = [
+    ...diffItemList(
+      "ingredients",
+      from.fields.ingredients,
+      to.fields.ingredients,
+      (line) => `${line.itemType}:${refId(line.subRecipe || line.ingredient)}`,
+      ["quantity", "unit"]
+    ),
+    ...diffItemList(
+      "laborInputs",
+      nameLaborInputs(from.fields.laborInputs),
+      nameLaborInputs(to.fields.laborInputs),
+      (input) => `${input.laborStandard || input.name}`,
+      ["roleName", "minutesPerPie", "workers", "hoursPerWorker"]
+    ),
+    ...diffItemList(
+      "packaging",
+      from.fields.packaging,
+      to.fields.packaging,
+      (item) => `${item.overhead}`,
+      ["quantity"]
+    ),
+    ...diffItemList(
+      "utilityInputs",
+      from.fields.utilityInputs,
+      to.fields.utilityInputs,
+      (input) => `${input.overhead}`,
+      ["minutes"]
+    ),
+  ];
+
+  const costChanges = COST_FIGURES.map(([figure, get]) => ({
+    figure,
+    from: get(from) ?? 0,
+    to: get(to) ?? 0,
+  }))
+    .filter(({ from: before, to: after }) => before !== after)
+    .map((figure) => ({
+      ...figure,
+      change: roundCurrency(figure.to - figure.from),
+    }));
+
+  return {
+    from: from.revisionNumber,
+    to: to.revisionNumber,
+    fieldChanges,
+    itemChanges,
+    costChanges,
+  };
+};
+
+module.exports = {
+  recordRevision,
+  ensureBaselineRevision,
+  applyRevisionFields,
+  diffRevisions,
+};
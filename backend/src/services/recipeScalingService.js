@@ -0,0 +1,135 @@
+const ErrorResponse = require("../utils/errorResponse");
+const { convertQuantity, toSensibleUnit } = require("./unitConversionService");
+const { explodeRecipe } = require("./productionService");
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Works out how many batches of a recipe it takes to use up a quantity of one
+ * of its ingredients (or sub-recipes). Bought ingredients are measured as
+ * bought, before trimming.
+ * @param {Object} recipe - The recipe document, with its ingredients populated.
+ * @param {Array<Object>} breakdown - The recipe's lines (Recipe.buildIngredientBreakdown).
+ * @param {Object} limit - { ingredient, quantity, unit? } (unit defaults to the
+ *   ingredient's own unit).
+ * @returns {{batches: number, name: string, unit: string}}
+ * @throws {ErrorResponse} 400 if the recipe does not use the ingredient or the
+ *   unit cannot be converted.
+ */
+const batchesForIngredient = (
+  recipe,
+  breakdown,
+  { ingredient, quantity, unit }
+) => {
+  const lines = breakdown.filter((line) => line.item.toString() === ingredient);
+  if (lines.length === 0) {
+    throw new ErrorResponse(
+      `Recipe "${recipe.pieName}" does not use ingredient ${ingredient}`,
+      400
+    );
+  }
+  const [line] = lines;
+  const perBatch = lines.reduce(
+    (sum, item) => sum + (item.purchasedQuantity ?? item.baseQuantity),
+    0
+  );
+  if (!(perBatch > 0)) {
+    throw new ErrorResponse(
+      `Recipe "${recipe.pieName}" uses no ${line.name}, so it cannot be scaled to it`,
+      400
+    );
+  }
+  // Conversion properties (density, weight per unit) of a bought ingredient
+  const properties =
+    line.itemType === "ingredient"
+      ? recipe.ingredients.find((item) =>
+          item.ingredient?._id?.equals(line.item)
+        )?.ingredient
+      : { ingredientName: line.name };
+  const givenUnit = unit || line.baseUnit;
+  const available = convertQuantity(
+    quantity,
+    givenUnit,
+    line.baseUnit,
+    properties
+  );
+  return { batches: available / perBatch, name: line.name, unit: givenUnit };
+};
+
+/**
+ * Scales a recipe to a number of good pies (rejects allowed for) or to the
+ * quantity of a limiting ingredient on hand, at today's prices. Quantities are
+ * given in units that read well at the new size (see toSensibleUnit).
+ * @param {Object} recipe - The recipe document.
+ * @param {Object} target - { pies } or { ingredient, quantity, unit? }.
+ * @returns {Promise<Object>} { recipe, pieName, variant, batchSize, batches, piesToBake,
+ *   expectedPies, target, lines: [{ itemType, item, name, quantity, unit, cost }],
+ *   ingredients: [{ ingredient, ingredientName, quantity, unit, cost }],
+ *   standardLaborHours, costs } - `lines` are the recipe's own lines, `ingredients`
+ *   the bought ingredients to get out, sub-recipes included.
+ * @throws {ErrorResponse} 400 if the target is missing or ambiguous, or the recipe
+ *   cannot be costed.
+ */
+const scaleRecipe = async (recipe, { pies, ingredient, quantity, unit }) => {
+  if ((pies === undefined) === (ingredient === undefined)) {
+    throw new ErrorResponse(
+      "Scale to either a number of pies or a quantity of one ingredient",
+      400
+    );
+  }
+  if (ingredient !== undefined && quantity === undefined) {
+    throw new ErrorResponse(
+      "Give the quantity of the ingredient to scale to",
+      400
+    );
+  }
+
+  const breakdown = await recipe.buildIngredientBreakdown();
+  let batches;
+  let target;
+  if (pies !== undefined) {
+    batches = pies / recipe.getUsableOutput().usableBatchSize;
+    target = { pies };
+  } else {
+    const limit = batchesForIngredient(recipe, breakdown, {
+      ingredient,
+      quantity,
+      unit,
+    });
+    batches = limit.batches;
+    target = { ingredient, name: limit.name, quantity, unit: limit.unit };
+  }
+
+  const plan = await explodeRecipe(recipe, batches);
+
+  return {
+    recipe: recipe._id,
+    pieName: recipe.pieName,
+    variant: recipe.variant,
+    batchSize: recipe.batchSize,
+    batches: round4(batches),
+    piesToBake: round4(recipe.batchSize * batches),
+    expectedPies: plan.expectedPies,
+    target,
+    lines: breakdown.map((line) => ({
+      itemType: line.itemType,
+      item: line.item,
+      name: line.name,
+      ...toSensibleUnit(line.quantity * batches, line.unit),
+      cost: roundCurrency(line.cost * batches),
+    })),
+    ingredients: plan.ingredients.map((line) => ({
+      ingredient: line.ingredient,
+      ingredientName: line.ingredientName,
+      ...toSensibleUnit(line.quantity, line.unit),
+      cost: line.cost,
+    })),
+    standardLaborHours: plan.standardLaborHours,
+    costs: plan.costs,
+  };
+};
+
+module.exports = {
+  scaleRecipe,
+};
@@ -0,0 +1,149 @@
+const Ingredient = require("../models/Ingredient");
+const SupplierQuote = require("../models/SupplierQuote");
+const { derivePackCostPerUnit } = require("./unitConversionService");
+const { recordPriceChange } = require("./priceHistoryService");
+const { startOfDay } = require("./laborRateService");
+const {
+  recalculateRecipesForIngredients,
+} = require("./recipeRecalculationService");
+
+/**
+ * Checks whether a quote still applies on a date. A quote is valid up to and
+ * including its valid-until day (a UTC calendar day, like the app's other
+ * date-only fields), and always when it has none.
+ * @param {Object} quote
+ * @param {Date} [asOf=new Date()]
+ * @returns {boolean}
+ */
+const isQuoteValid = (quote, asOf = new Date()) => {
+  if (!quote.validUntil) return true;
+  return new Date(quote.validUntil) >= startOfDay(asOf);
+};
+
+/**
+ * Picks the quote that sets an ingredient's cost: the preferred quote while it is
+ * valid, otherwise the cheapest valid quote (the oldest on a tie).
+ * @param {Array<Object>} quotes - The ingredient's quotes.
+ * @param {Date} [asOf=new Date()]
+ * @returns {Object|null} The quote, or null when none is valid.
+ */
+const selectQuote = (quotes, asOf = new Date()) => {
+  const valid = quotes.filter((quote) => isQuoteValid(quote, asOf));
+  const preferred = valid.find((quote) => quote.isPreferred);
+  if (preferred) return preferred;
+  return valid.reduce(
+    (cheapest, quote) =>
+      !cheapest || quote.costPerUnit < cheapest.costPerUnit ? quote : cheapest,
+    null
+  );
+};
+
+/**
+ * Sets an ingredient's cost per unit and supplier from its selected quote (see
+ * selectQuote), recording the price change. Quote costs are first re-derived from
+ * the ingredient's current unit and conversions; quotes whose pack unit no longer
+ * converts are passed over. Without a valid quote the ingredient keeps its last cost.
+ * Recipes are not recalculated here.
+ * @param {Object} ingredient - The ingredient document.
+ * @param {Object} [options]
+ * @param {mongoose.Types.ObjectId|string} [options.userId] - Recorded on the price change.
+ * @returns {Promise<{ingredient: Object, quote: Object|null, costChanged: boolean}>}
+ */
+const applySelectedQuote = async (ingredient, { userId } = {}) => {
+  const quotes = await SupplierQuote.find({ ingredient: ingredient._id }).sort({
+    createdAt: 1,
+  });
+
+  const usable = [];
+  for (const quote of quotes) {
+    let costPerUnit;
+    try {
+      costPerUnit = derivePackCostPerUnit(quote, ingredient);
+    } catch (error) {
+      continue;
+    }
+    if (costPerUnit !== quote.costPerUnit) {
+      quote.costPerUnit = costPerUnit;
+      await quote.save();
+    }
+    usable.push(quote);
+  }
+
+  const quote = selectQuote(usable);
+  const pricedFrom = ingredient.pricedFromQuote?.toString() || null;
+  const alreadyApplied = quote
+    ? quote._id.toString() === pricedFrom &&
+      quote.supplier.equals(ingredient.supplier) &&
+      ["costPerUnit", "packSize", "packUnit", "packPrice"].every(
+        (field) => quote[field] === ingredient[field]
+      )
+    : !pricedFrom;
+  if (alreadyApplied) {
+    return { ingredient, quote, costChanged: false };
+  }
+
+  const update = quote
+    ? {
+        costPerUnit: quote.costPerUnit,
+        // The ingredient is bought in the quote's pack
+        packSize: quote.packSize,
+        packUnit: quote.packUnit,
+        packPrice: quote.packPrice,
+        supplier: quote.supplier,
+        pricedFromQuote: quote._id,
+        updatedBy: userId,
+      }
+    : { $unset: { pricedFromQuote: 1 } };
+  const updated = await Ingredient.findByIdAndUpdate(ingredient._id, update, {
+    new: true,
+  });
+  await recordPriceChange(updated, {
+    previousCostPerUnit: ingredient.costPerUnit,
+    source: "quote",
+    userId,
+  });
+
+  return {
+    ingredient: updated,
+    quote,
+    costChanged: updated.costPerUnit !== ingredient.costPerUnit,
+  };
+};
+
+/**
+ * Re-selects the quote of every ingredient that has quotes, so costs move on when
+ * a quote expires, and recalculates the recipes whose ingredients changed cost.
+ * @param {Object} [options]
+ * @param {mongoose.Types.ObjectId|string} [options.userId]
+ * @returns {Promise<Object>} { checkedCount, changed: [{ ingredient, ingredientName, previousCostPerUnit, costPerUnit }], recipeImpact }
+ */
+const refreshQuotedCosts = async ({ userId } = {}) => {
+  const ingredientIds = await SupplierQuote.distinct("ingredient");
+  const ingredients = await Ingredient.find({ _id: { $in: ingredientIds } });
+
+  const changed = [];
+  for (const ingredient of ingredients) {
+    const result = await applySelectedQuote(ingredient, { userId });
+    if (result.costChanged) {
+      changed.push({
+        ingredient: ingredient._id,
+        ingredientName: ingredient.ingredientName,
+        previousCostPerUnit: ingredient.costPerUnit,
+        costPerUnit: result.ingredient.costPerUnit,
+      });
+    }
+  }
+
+  const recipeImpact = await recalculateRecipesForIngredients(
+    changed.map((change) => change.ingredient),
+    { trigger: "supplier_quote", userId }
+  );
+  return { checkedCount: ingredients.length, changed, recipeImpact };
+};
+
+module.exports = {
+  isQuoteValid,
+  selectQuote,
+  applySelectedQuote,
+  refreshQuotedCosts,
+};
@@ -0,0 +1,206 @@
+const Supplier = require("../models/Supplier");
+const Ingredient = require("../models/Ingredient");
+
+// Tidies a supplier name as typed: trimmed, with single spaces
+const cleanSupplierName = (name) => name.trim().replace(/\s+/g, " ");
+
+// Key used to match supplier names: tidied and lower case
+const normaliseSupplierName = (name) => cleanSupplierName(name).toLowerCase();
+
+// Escapes a string for use inside a regular expression
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Groups free-text supplier names that refer to the same supplier:
+ * - names differing only in case or spacing ("Makro", "makro ", "MAKRO");
+ * - names given in `aliases` (normalised name -> name it belongs to);
+ * - branch names starting with another supplier's full name ("MAKRO Centurion" -> "Makro").
+ * Each group is named after the most common spelling of its shortest name (the
+ * first seen on a tie).
+ * @param {Array<string>} names - The names as entered, repeats included (e.g. one per ingredient).
+ * @param {Object<string, string>} [aliases] - Extra merges, e.g. { "mkro": "makro" }.
+ * @returns {Array<{ name: string, variants: Array<string> }>} One entry per supplier;
+ *   `variants` lists every distinct tidied spelling in the group.
+ */
+const groupSupplierNames = (names, aliases = {}) => {
+  const aliasMap = new Map(
+    Object.entries(aliases).map(([alias, target]) => [
+      normaliseSupplierName(alias),
+      normaliseSupplierName(target),
+    ])
+  );
+
+  // Spellings per normalised key, with how often each was used
+  const byKey = new Map();
+  for (const raw of names) {
+    if (typeof raw !== "string" || !raw.trim()) continue;
+    const spelling = cleanSupplierName(raw);
+    const normalised = normaliseSupplierName(raw);
+    const key = aliasMap.get(normalised) || normalised;
+    if (!byKey.has(key)) byKey.set(key, new Map());
+    const spellings = byKey.get(key);
+    spellings.set(spelling, (spellings.get(spelling) || 0) + 1);
+  }
+
+  // Shorter names first, so a branch finds its parent supplier already grouped
+  const keys = [...byKey.keys()].sort((a, b) => a.length - b.length);
+  const rootOf = new Map();
+  for (const key of keys) {
+    const parent = keys.find(
+      (other) => other.length < key.length && key.startsWith(`${other} `)
+    );
+    rootOf.set(key, parent ? rootOf.get(parent) : key);
+  }
+
+  // Groups come out in the order their names were first seen
+  const groups = new Map();
+  for (const key of byKey.keys()) {
+    const root = rootOf.get(key);
+    if (!groups.has(root)) groups.set(root, new Map());
+    const spellings = groups.get(root);
+    for (const [spelling, count] of byKey.get(key)) {
+      // Branch spellings count towards the group but do not name it
+      spellings.set(spelling, (spellings.get(spelling) || 0) + count);
+    }
+  }
+
+  return [...groups.entries()].map(([root, spellings]) => {
+    const rootSpellings = [...byKey.get(root)].sort((a, b) => b[1] - a[1]);
+    return {
+      name: rootSpellings[0][0],
+      variants: [...spellings.keys()],
+    };
+  });
+};
+
+/**
+ * Finds the supplier with the given name or alias, ignoring case and spacing.
+ * @param {string} name
+ * @returns {Promise<Object|null>} The supplier document, or null.
+ */
+const findSupplierByName = (name) => {
+  const pattern = new RegExp(
+    `^\\s*${escapeRegExp(cleanSupplierName(name)).replace(/ /g, "\\s+")}\\s*$`,
+    "i"
+  );
+  return Supplier.findOne({ $or: [{ name: pattern }, { aliases: pattern }] });
+};
+
+/**
+ * Finds a supplier by name or alias, creating it if there is none.
+ * @param {string} name - The supplier name as entered.
+ * @param {mongoose.Types.ObjectId|string} [userId] - Recorded as the creator of a new supplier.
+ * @returns {Promise<{ supplier: Object, created: boolean }>}
+ */
+const findOrCreateSupplier = async (name, userId) => {
+  const existing = await findSupplierByName(name);
+  if (existing) return { supplier: existing, created: false };
+
+  const supplier = await Supplier.create({
+    name: cleanSupplierName(name),
+    createdBy: userId,
+    updatedBy: userId,
+  });
+  return { supplier, created: true };
+};
+
+/**
+ * Replaces the free-text supplier names stored on ingredients with references to
+ * Supplier records, merging spellings of the same supplier (see groupSupplierNames).
+ * Existing suppliers are reused when their name or an alias matches; the other
+ * spellings are kept as aliases. Reads and writes the raw collection, as the
+ * Ingredient model no longer accepts text in `supplier`.
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.aliases] - Extra merges for groupSupplierNames.
+ * @param {boolean} [options.dryRun=false] - Work out the plan without writing anything.
+ * @returns {Promise<Object>} { dryRun, suppliersCreated, suppliersMatched, ingredientsLinked, ingredientsCleared,
+ *   groups: [{ name, variants, ingredientCount, supplier? }] }
+ */
+const migrateSupplierStrings = async ({
+  aliases = {},
+  dryRun = false,
+} = {}) => {
+  const ingredients = await Ingredient.collection
+    .find({ supplier: { $type: "string" } })
+    .project({ supplier: 1 })
+    .toArray();
+
+  const groups = groupSupplierNames(
+    ingredients.map((ingredient) => ingredient.supplier),
+    aliases
+  );
+  const groupOf = new Map();
+  for (const group of groups) {
+    group.ingredientCount = 0;
+    for (const variant of group.variants) {
+      groupOf.set(normaliseSupplierName(variant), group);
+    }
+  }
+
+  const result = {
+    dryRun,
+    suppliersCreated: 0,
+    suppliersMatched: 0,
+    ingredientsLinked: 0,
+    ingredientsCleared: 0,
+    groups,
+  };
+
+  for (const group of groups) {
+    let supplier = await findSupplierByName(group.name);
+    for (const variant of group.variants) {
+      if (supplier) break;
+      supplier = await findSupplierByName(variant);
+    }
+    if (supplier) {
+      result.suppliersMatched++;
+    } else {
+      result.suppliersCreated++;
+      if (!dryRun) supplier = await Supplier.create({ name: group.name });
+    }
+    if (!supplier) continue; // Dry run of a new supplier
+
+    group.supplier = supplier._id;
+    const newAliases = group.variants.filter(
+      (variant) =>
+        normaliseSupplierName(variant) !== normaliseSupplierName(supplier.name)
+    );
+    if (!dryRun && newAliases.length > 0) {
+      await Supplier.updateOne(
+        { _id: supplier._id },
+        { $addToSet: { aliases: { $each: newAliases } } }
+      );
+    }
+  }
+
+  for (const ingredient of ingredients) {
+    const group = ingredient.supplier.trim()
+      ? groupOf.get(normaliseSupplierName(ingredient.supplier))
+      : null;
+    if (group) {
+      group.ingredientCount++;
+      result.ingredientsLinked++;
+    } else {
+      result.ingredientsCleared++; // Blank name
+    }
+    if (dryRun) continue;
+
+    await Ingredient.collection.updateOne(
+      { _id: ingredient._id },
+      group
+        ? { $set: { supplier: group.supplier } }
+        : { $unset: { supplier: 1 } }
+    );
+  }
+
+  return result;
+};
+
+module.exports = {
+  cleanSupplierName,
+  normaliseSupplierName,
+  groupSupplierNames,
+  findSupplierByName,
+  findOrCreateSupplier,
+  migrateSupplierStrings,
+};
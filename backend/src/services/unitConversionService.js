@@ -0,0 +1,264 @@
+const ErrorResponse = require("../utils/errorResponse");
+
+// Every unit belongs to a dimension and is expressed as a factor of that
+// dimension's base unit: mass -> kg, volume -> L, count -> unit (each).
+const UNITS = {
+  kg: { dimension: "mass", factor: 1 },
+  g: { dimension: "mass", factor: 0.001 },
+  mg: { dimension: "mass", factor: 0.000001 },
+  lb: { dimension: "mass", factor: 0.45359237 },
+  oz: { dimension: "mass", factor: 0.028349523125 },
+  L: { dimension: "volume", factor: 1 },
+  ml: { dimension: "volume", factor: 0.001 },
+  tsp: { dimension: "volume", factor: 0.005 }, // Metric teaspoon
+  tbsp: { dimension: "volume", factor: 0.015 }, // Metric tablespoon
+  cup: { dimension: "volume", factor: 0.25 }, // Metric cup
+  unit: { dimension: "count", factor: 1 },
+  dozen: { dimension: "count", factor: 12 },
+};
+
+const BASE_UNITS = { mass: "kg", volume: "L", count: "unit" };
+
+// Units a quantity can be shown in, smallest first: metric weight, imperial
+// weight, metric volume, and kitchen measures (which go to litres past 4 cups)
+const DISPLAY_FAMILIES = [
+  ["mg", "g", "kg"],
+  ["oz", "lb"],
+  ["ml", "L"],
+  ["tsp", "tbsp", "cup", "L"],
+];
+
+// Alternative spellings accepted on input (matched case-insensitively)
+const UNIT_ALIASES = {
+  kg: "kg",
+  kgs: "kg",
+  kilo: "kg",
+  kilos: "kg",
+  kilogram: "kg",
+  kilograms: "kg",
+  g: "g",
+  gr: "g",
+  gram: "g",
+  grams: "g",
+  mg: "mg",
+  milligram: "mg",
+  milligrams: "mg",
+  lb: "lb",
+  lbs: "lb",
+  pound: "lb",
+  pounds: "lb",
+  oz: "oz",
+  ounce: "oz",
+  ounces: "oz",
+  l: "L",
+  lt: "L",
+  ltr: "L",
+  litre: "L",
+  litres: "L",
+  liter: "L",
+  liters: "L",
+  ml: "ml",
+  millilitre: "ml",
+  millilitres: "ml",
+  milliliter: "ml",
+  milliliters: "ml",
+  tsp: "tsp",
+  teaspoon: "tsp",
+  teaspoons: "tsp",
+  tbsp: "tbsp",
+  tablespoon: "tbsp",
+  tablespoons: "tbsp",
+  cup: "cup",
+  cups: "cup",
+  unit: "unit",
+  units: "unit",
+  each: "unit",
+  ea: "unit",
+  pc: "unit",
+  pcs: "unit",
+  piece: "unit",
+  pieces: "unit",
+  dozen: "dozen",
+  doz: "dozen",
+};
+
+/**
+ * Resolves a unit string to its canonical key (e.g. "Grams" -> "g").
+ * @param {string} unit - The unit as entered.
+ * @returns {string|null} The canonical unit key, or null if the unit is unknown.
+ */
+const normalizeUnit = (unit) => {
+  if (typeof unit !== "string") return null;
+  return UNIT_ALIASES[unit.trim().toLowerCase()] || null;
+};
+
+/**
+ * Checks whether a unit string is recognised by the conversion engine.
+ * @param {string} unit
+ * @returns {boolean}
+ */
+const isKnownUnit = (unit) => normalizeUnit(unit) !== null;
+
+/**
+ * Returns the dimension ("mass", "volume" or "count") of a unit.
+ * @param {string} unit
+ * @returns {string|null} The dimension, or null if the unit is unknown.
+ */
+const getUnitDimension = (unit) => {
+  const key = normalizeUnit(unit);
+  return key ? UNITS[key].dimension : null;
+};
+
+// Builds a readable label for error messages
+const describeIngredient = (ingredient) =>
+  ingredient && ingredient.ingredientName
+    ? `"${ingredient.ingredientName}"`
+    : "this ingredient";
+
+// Converts a quantity in the base unit of one dimension into kg.
+// Requires density (kg per L) for volumes and eachWeight (kg per unit) for counts.
+const baseQuantityToKg = (baseQuantity, dimension, ingredient, context) => {
+  if (dimension === "mass") return baseQuantity;
+  if (dimension === "volume") {
+    if (!(ingredient?.density > 0)) {
+      throw new ErrorResponse(
+        `${context}: a density (kg per L) is required for ${describeIngredient(
+          ingredient
+        )} to convert between volume and weight`,
+        400
+      );
+    }
+    return baseQuantity * ingredient.density;
+  }
+  if (!(ingredient?.eachWeight > 0)) {
+    throw new ErrorResponse(
+      `${context}: a weight per unit (kg) is required for ${describeIngredient(
+        ingredient
+      )} to convert between counts and weight or volume`,
+      400
+    );
+  }
+  return baseQuantity * ingredient.eachWeight;
+};
+
+// Inverse of baseQuantityToKg
+const kgToBaseQuantity = (kg, dimension, ingredient, context) =>
+  kg / baseQuantityToKg(1, dimension, ingredient, context);
+
+/**
+ * Converts a quantity from one unit to another.
+ * Conversions within a dimension (g -> kg, tsp -> L) always work. Conversions
+ * across dimensions go through weight and use the ingredient's `density`
+ * (kg per L) and/or `eachWeight` (kg per unit).
+ * @param {number} quantity - The quantity to convert.
+ * @param {string} fromUnit - The unit the quantity is expressed in.
+ * @param {string} toUnit - The unit to convert to.
+ * @param {{ingredientName?: string, density?: number, eachWeight?: number}} [ingredient] - Conversion properties of the ingredient.
+ * @returns {number} The converted quantity.
+ * @throws {ErrorResponse} If a unit is unknown or the units are incompatible for this ingredient.
+ */
+const convertQuantity = (quantity, fromUnit, toUnit, ingredient = {}) => {
+  const fromKey = normalizeUnit(fromUnit);
+  const toKey = normalizeUnit(toUnit);
+  if (!fromKey || !toKey) {
+    throw new ErrorResponse(
+      `Unknown unit '${
+        fromKey ? toUnit : fromUnit
+      }' for ${describeIngredient(ingredient)}`,
+      400
+    );
+  }
+  if (fromKey === toKey) return quantity;
+
+  const from = UNITS[fromKey];
+  const to = UNITS[toKey];
+  const baseQuantity = quantity * from.factor;
+
+  if (from.dimension === to.dimension) {
+    return baseQuantity / to.factor;
+  }
+
+  const context = `Cannot convert ${fromKey} to ${toKey}`;
+  const kg = baseQuantityToKg(baseQuantity, from.dimension, ingredient, context);
+  return kgToBaseQuantity(kg, to.dimension, ingredient, context) / to.factor;
+};
+
+/**
+ * Works out the cost per unit an ingredient is costed in from the price of a pack
+ * (e.g. R189 per 12.5 kg bag -> R15.12 per kg), rounded to 6 decimal places so
+ * per-gram costs keep their precision.
+ * @param {{packSize: number, packUnit?: string, packPrice: number}} pack - The pack unit defaults to the ingredient's unit.
+ * @param {{unit: string, ingredientName?: string, density?: number, eachWeight?: number}} ingredient
+ * @returns {number} Cost per ingredient unit.
+ * @throws {ErrorResponse} If the pack unit cannot be converted to the ingredient's unit.
+ */
+const derivePackCostPerUnit = (
+  { packSize, packUnit, packPrice },
+  ingredient
+) => {
+  const quantity = convertQuantity(
+    packSize,
+    packUnit || ingredient.unit,
+    ingredient.unit,
+    ingredient
+  );
+  return Math.round((packPrice / quantity) * 1e6) / 1e6;
+};
+
+/**
+ * Expresses a quantity in the unit it reads best in: the largest unit of its
+ * family that it makes at least one of (e.g. 0.25 kg -> 250 g, 1500 ml -> 1.5 L,
+ * 6 tsp -> 2 tbsp). Counts, unknown units and zero are kept in their unit.
+ * @param {number} quantity
+ * @param {string} unit
+ * @returns {{quantity: number, unit: string}} Quantity rounded to 3 decimal places.
+ */
+const toSensibleUnit = (quantity, unit) => {
+  const key = normalizeUnit(unit);
+  const family = DISPLAY_FAMILIES.find((units) => units.includes(key));
+  let displayUnit = key || unit;
+  let displayQuantity = quantity;
+  if (family && quantity > 0) {
+    const baseQuantity = quantity * UNITS[key].factor;
+    displayUnit = family[0];
+    for (const candidate of family) {
+      // Tolerance for floating point (1000 g is 1 kg)
+      if (baseQuantity >= UNITS[candidate].factor * (1 - 1e-9)) {
+        displayUnit = candidate;
+      }
+    }
+    displayQuantity = baseQuantity / UNITS[displayUnit].factor;
+  }
+  return {
+    quantity: Math.round(displayQuantity * 1000) / 1000,
+    unit: displayUnit,
+  };
+};
+
+/**
+ * Checks whether a quantity in `fromUnit` can be converted to `toUnit` for an ingredient.
+ * @param {string} fromUnit
+ * @param {string} toUnit
+ * @param {Object} [ingredient]
+ * @returns {boolean}
+ */
+const canConvert = (fromUnit, toUnit, ingredient = {}) => {
+  try {
+    convertQuantity(1, fromUnit, toUnit, ingredient);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  SUPPORTED_UNITS: Object.keys(UNITS),
+  BASE_UNITS,
+  normalizeUnit,
+  isKnownUnit,
+  getUnitDimension,
+  convertQuantity,
+  derivePackCostPerUnit,
+  toSensibleUnit,
+  canConvert,
+};
@@ -0,0 +1,87 @@
+const {
+  normalizeAllergens,
+  parseAllergenList,
+  rollUpAllergens,
+  compareAllergens,
+} = require("../services/allergenService");
+
+// --- Test Suite for rolling ingredient allergens up to a recipe ---
+describe("rollUpAllergens", () => {
+  const line = (name, allergens, baseQuantity = 1) => ({
+    itemType: "ingredient",
+    name,
+    baseQuantity,
+    allergens,
+  });
+
+  it("should collect allergens from ingredients and sub-recipe components", () => {
+    const breakdown = [
+      line("Flour", { contains: ["gluten"], mayContain: ["sesame"] }),
+      {
+        itemType: "recipe",
+        name: "Puff Pastry",
+        components: [
+          line("Butter", { contains: ["dairy"], mayContain: [] }),
+          line("Egg Wash", { contains: ["egg"], mayContain: ["gluten"] }),
+        ],
+      },
+    ];
+
+    expect(rollUpAllergens(breakdown)).toEqual({
+      contains: ["gluten", "egg", "dairy"],
+      mayContain: ["sesame"],
+    });
+  });
+
+  it("should skip lines with no quantity", () => {
+    expect(
+      rollUpAllergens([line("Walnuts", { contains: ["tree_nuts"] }, 0)])
+    ).toEqual({ contains: [], mayContain: [] });
+  });
+});
+
+// --- Test Suite for tidying and comparing allergen declarations ---
+describe("normalizeAllergens", () => {
+  it("should drop duplicates and may-contain entries that are contained", () => {
+    expect(
+      normalizeAllergens({
+        contains: ["soy", "gluten", "soy"],
+        mayContain: ["gluten", "mustard"],
+      })
+    ).toEqual({ contains: ["gluten", "soy"], mayContain: ["mustard"] });
+  });
+});
+
+describe("compareAllergens", () => {
+  it("should return null when the allergens are the same", () => {
+    expect(
+      compareAllergens(
+        { contains: ["gluten", "egg"] },
+        { contains: ["egg", "gluten"], mayContain: [] }
+      )
+    ).toBeNull();
+  });
+
+  it("should list what was added and removed", () => {
+    expect(
+      compareAllergens(
+        { contains: ["gluten"], mayContain: ["tree_nuts"] },
+        { contains: ["tree_nuts"], mayContain: [] }
+      )
+    ).toEqual({
+      added: { contains: ["tree_nuts"], mayContain: [] },
+      removed: { contains: ["gluten"], mayContain: ["tree_nuts"] },
+    });
+  });
+});
+
+describe("parseAllergenList", () => {
+  it("should recognise keys and labels and report the rest", () => {
+    expect(
+      parseAllergenList("Gluten, tree nuts, Dairy (milk), chocolate")
+    ).toEqual({
+      keys: ["gluten", "tree_nuts", "dairy"],
+      unknown: ["chocolate"],
+    });
+  });
+});
@@ -0,0 +1,311 @@
+const request = require("supertest");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const User = require("../models/User");
+const Ingredient = require("../models/Ingredient");
+const Supplier = require("../models/Supplier");
+const StockMovement = require("../models/StockMovement");
+const authRoutes = require("../routes/authRoutes");
+const ingredientRoutes = require("../routes/ingredientRoutes");
+const supplierRoutes = require("../routes/supplierRoutes");
+const inventoryRoutes = require("../routes/inventoryRoutes");
+const { errorHandler } = require("../middleware/errorHandler");
+
+// Setup Express app for testing
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use("/api/v1/auth", authRoutes);
+app.use("/api/v1/ingredients", ingredientRoutes);
+app.use("/api/v1/suppliers", supplierRoutes);
+app.use("/api/v1/inventory", inventoryRoutes);
+app.use(errorHandler);
+
+// --- Test Suite for Inventory Routes ---
+describe("Inventory API (/api/v1/inventory)", () => {
+  let adminToken;
+  let userToken;
+  let supplierId;
+  let flourId;
+  let butterId;
+
+  const adminUser = {
+    username: "stockadmin",
+    email: "stockadmin@example.com",
+    password: "password123",
+    role: "admin",
+  };
+  const regularUser = {
+    username: "stockuser",
+    email: "stockuser@example.com",
+    password: "password123",
+    role: "user",
+  };
+
+  const createIngredient = async (data) => {
+    const res = await request(app)
+      .post("/api/v1/ingredients")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ unit: "kg", ...data });
+    return res.body.data._id;
+  };
+
+  const receive = (body, token = adminToken) =>
+    request(app)
+      .post("/api/v1/inventory/receipts")
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+
+  const count = (body) =>
+    request(app)
+      .post("/api/v1/inventory/counts")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body);
+
+  beforeEach(async () => {
+    // Clean up DB
+    await User.deleteMany({});
+    await Ingredient.deleteMany({});
+    await Supplier.deleteMany({});
+    await StockMovement.deleteMany({});
+
+    // Register & Login Admin
+    await request(app).post("/api/v1/auth/register").send(adminUser);
+    const adminLoginRes = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: adminUser.email, password: adminUser.password });
+    adminToken = adminLoginRes.body.token;
+
+    // Register & Login User
+    await request(app).post("/api/v1/auth/register").send(regularUser);
+    const userLoginRes = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: regularUser.email, password: regularUser.password });
+    userToken = userLoginRes.body.token;
+
+    const supplierRes = await request(app)
+      .post("/api/v1/suppliers")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "Makro" });
+    supplierId = supplierRes.body.data._id;
+
+    flourId = await createIngredient({
+      ingredientName: "Flour",
+      costPerUnit: 15,
+      reorderLevel: 10,
+    });
+    butterId = await createIngredient({
+      ingredientName: "Butter",
+      costPerUnit: 120,
+    });
+  });
+
+  describe("POST /receipts", () => {
+    it("should add received goods to stock, converting units", async () => {
+      const res = await receive({
+        supplier: supplierId,
+        reference: "INV-1042",
+        lines: [
+          { ingredient: flourId, quantity: 25 },
+          { ingredient: butterId, quantity: 2500, unit: "g", totalCost: 275 },
+        ],
+      });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.count).toEqual(2);
+      const butterMovement = res.body.data[1];
+      expect(butterMovement.quantity).toBe(2.5);
+      expect(butterMovement.unitCost).toBe(110);
+      expect(butterMovement.balanceAfter).toBe(2.5);
+      expect(butterMovement.reference).toBe("INV-1042");
+
+      const flour = await Ingredient.findById(flourId);
+      expect(flour.stockOnHand).toBe(25);
+    });
+
+    it("should change nothing when a line cannot be converted", async () => {
+      const res = await receive({
+        lines: [
+          { ingredient: flourId, quantity: 25 },
+          { ingredient: butterId, quantity: 2, unit: "L" },
+        ],
+      });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain("Cannot convert");
+      const flour = await Ingredient.findById(flourId);
+      expect(flour.stockOnHand).toBe(0);
+      expect(await StockMovement.countDocuments()).toBe(0);
+    });
+
+    it("should prevent a regular user from booking a receipt", async () => {
+      const res = await receive(
+        { lines: [{ ingredient: flourId, quantity: 25 }] },
+        userToken
+      );
+
+      expect(res.statusCode).toEqual(403);
+    });
+  });
+
+  describe("POST /counts", () => {
+    it("should set stock to the counted quantity and report the variance", async () => {
+      await receive({ lines: [{ ingredient: flourId, quantity: 25 }] });
+
+      const res = await count({
+        lines: [
+          { ingredient: flourId, countedQuantity: 22.5 },
+          { ingredient: butterId, countedQuantity: 500, unit: "g" },
+        ],
+      });
+
+      expect(res.statusCode).toEqual(201);
+      const [flourLine, butterLine] = res.body.data.lines;
+      expect(flourLine.expectedQuantity).toBe(25);
+      expect(flourLine.variance).toBe(-2.5);
+      expect(flourLine.varianceValue).toBe(-37.5);
+      expect(butterLine.variance).toBe(0.5);
+      expect(butterLine.varianceValue).toBe(60);
+      expect(res.body.data.totalVarianceValue).toBe(22.5);
+
+      const flour = await Ingredient.findById(flourId);
+      expect(flour.stockOnHand).toBe(22.5);
+    });
+
+    it("should reject an ingredient counted twice", async () => {
+      const res = await count({
+        lines: [
+          { ingredient: flourId, countedQuantity: 1 },
+          { ingredient: flourId, countedQuantity: 2 },
+        ],
+      });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain("only be counted once");
+    });
+  });
+
+  describe("GET /", () => {
+    it("should list stock levels with value and low-stock flags", async () => {
+      await receive({
+        lines: [
+          { ingredient: flourId, quantity: 8 },
+          { ingredient: butterId, quantity: 3 },
+        ],
+      });
+
+      const res = await request(app)
+        .get("/api/v1/inventory")
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      const flour = res.body.data.find((i) => i.ingredientName === "Flour");
+      expect(flour.stockOnHand).toBe(8);
+      expect(flour.stockValue).toBe(120);
+      expect(flour.isLowStock).toBe(true);
+      expect(res.body.totalStockValue).toBe(480);
+
+      const lowRes = await request(app)
+        .get("/api/v1/inventory?lowStock=true")
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(lowRes.body.count).toEqual(1);
+    });
+  });
+
+  describe("GET /movements", () => {
+    it("should return the ledger for an ingredient, newest first", async () => {
+      await receive({
+        receivedAt: "2024-03-01",
+        lines: [{ ingredient: flourId, quantity: 25 }],
+      });
+      await count({
+        countedAt: "2024-03-08",
+        lines: [{ ingredient: flourId, countedQuantity: 20 }],
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/inventory/movements?ingredient=${flourId}`)
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.map((m) => m.type)).toEqual(["count", "receipt"]);
+      expect(res.body.data[0].quantity).toBe(-5);
+      expect(res.body.data[0].balanceAfter).toBe(20);
+    });
+  });
+
+  describe("Deleting ingredients with stock movements", () => {
+    it("should refuse to permanently delete an ingredient with movements", async () => {
+      await receive({ lines: [{ ingredient: flourId, quantity: 2.5 }] });
+
+      const res = await request(app)
+        .delete(`/api/v1/ingredients/${flourId}?permanent=true`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.message).toContain("Archive it instead");
+      expect(await Ingredient.findById(flourId)).not.toBeNull();
+      expect(await StockMovement.countDocuments({ ingredient: flourId })).toBe(
+        1
+      );
+    });
+
+    it("should refuse a bulk delete that includes an ingredient with movements", async () => {
+      await receive({ lines: [{ ingredient: flourId, quantity: 2.5 }] });
+
+      const res = await request(app)
+        .delete("/api/v1/ingredients/bulk-delete")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ids: [flourId, butterId], permanent: true });
+
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.message).toContain("stock movements: Flour.");
+      expect(await Ingredient.countDocuments()).toBe(2);
+    });
+  });
+
+  describe("Ingredient stock fields", () => {
+    it("should not allow stock to be set directly", async () => {
+      const res = await request(app)
+        .put(`/api/v1/ingredients/${flourId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ stockOnHand: 100 });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain("receipts and stock counts");
+    });
+
+    it("should convert stock and reorder level when the unit changes", async () => {
+      await receive({ lines: [{ ingredient: flourId, quantity: 2.5 }] });
+
+      const res = await request(app)
+        .put(`/api/v1/ingredients/${flourId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ unit: "g" });
+
+      expect(res.body.data.stockOnHand).toBe(2500);
+      expect(res.body.data.reorderLevel).toBe(10000);
+    });
+
+    it("should convert stock and reorder level when an import changes the unit", async () => {
+      await receive({ lines: [{ ingredient: flourId, quantity: 2.5 }] });
+
+      const res = await request(app)
+        .post("/api/v1/ingredients/import")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send([
+          {
+            "Ingredient Name": "Flour",
+            Unit: "g",
+            "Cost per Unit (R)": "0.015",
+          },
+        ]);
+
+      expect(res.body.updatedCount).toEqual(1);
+      const flour = await Ingredient.findById(flourId);
+      expect(flour.unit).toBe("g");
+      expect(flour.stockOnHand).toBe(2500);
+      expect(flour.reorderLevel).toBe(10000);
+    });
+  });
+});
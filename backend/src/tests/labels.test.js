@@ -0,0 +1,127 @@
+const {
+  buildLabelIngredients,
+  formatIngredientList,
+  bestBeforeDate,
+  buildLabel,
+} = require("../services/labelService");
+
+const ingredient = (name, weight, allergens) => ({
+  itemType: "ingredient",
+  name,
+  baseQuantity: weight ?? 1,
+  weight,
+  allergens,
+});
+
+const pastry = (baseQuantity, baseUnit, components) => ({
+  itemType: "recipe",
+  name: "Puff Pastry",
+  baseQuantity,
+  baseUnit,
+  components,
+});
+
+// --- Test Suite for label ingredient lists ---
+describe("buildLabelIngredients", () => {
+  it("should list ingredients heaviest first with sub-recipes as compound ingredients", () => {
+    const items = buildLabelIngredients([
+      ingredient("Onion", 0.5),
+      ingredient("Beef Mince", 3),
+      pastry(1.2, "kg", [ingredient("Butter", 0.4), ingredient("Flour", 0.8)]),
+    ]);
+
+    expect(formatIngredientList(items)).toBe(
+      "Beef Mince, Puff Pastry (Flour, Butter), Onion"
+    );
+  });
+
+  it("should add up an ingredient used on several lines", () => {
+    const items = buildLabelIngredients([
+      ingredient("Salt", 0.02),
+      ingredient("Chicken", 2),
+      ingredient("Water", 0.5),
+      ingredient("Salt", 0.6),
+    ]);
+
+    expect(items.map((item) => item.name)).toEqual([
+      "Chicken",
+      "Salt",
+      "Water",
+    ]);
+    expect(items[1].weight).toBeCloseTo(0.62);
+  });
+
+  it("should weigh a sub-recipe used by count by its ingredients and put unknown weights last", () => {
+    const items = buildLabelIngredients([
+      ingredient("Eggs", undefined),
+      ingredient("Cheese", 0.3),
+      pastry(10, "unit", [ingredient("Flour", 0.5)]),
+    ]);
+
+    expect(items.map((item) => [item.name, item.weight])).toEqual([
+      ["Puff Pastry", 0.5],
+      ["Cheese", 0.3],
+      ["Eggs", undefined],
+    ]);
+  });
+});
+
+// --- Test Suite for label dates and contents ---
+describe("bestBeforeDate", () => {
+  it("should add the shelf life to the packing date", () => {
+    expect(bestBeforeDate("2026-10-30", 3).toISOString().slice(0, 10)).toBe(
+      "2026-11-02"
+    );
+  });
+
+  it("should return null without a shelf life", () => {
+    expect(bestBeforeDate("2026-10-30", undefined)).toBeNull();
+  });
+});
+
+describe("buildLabel", () => {
+  const breakdown = [
+    ingredient("Flour", 2, { contains: ["gluten"], mayContain: ["sesame"] }),
+  ];
+
+  it("should use the recipe's shelf life and published price", () => {
+    const label = buildLabel(
+      {
+        pieName: "Steak Pie",
+        variant: "Standard",
+        batchSize: 10,
+        yieldWeight: 2.5,
+        bakingLossPercentage: 20,
+        shelfLifeDays: 4,
+        sellingPrice: 20,
+        pricing: { publishedPrice: 22.9, includesVat: true },
+      },
+      breakdown,
+      { packedOn: "2026-10-19", defaultShelfLifeDays: 2 }
+    );
+
+    expect(label.ingredientList).toBe("Flour");
+    expect(label.allergens).toEqual({
+      contains: ["gluten"],
+      mayContain: ["sesame"],
+    });
+    expect(label.price).toBe(22.9);
+    expect(label.priceIncludesVat).toBe(true);
+    // 2.5 kg less 20% baking loss over 10 pies
+    expect(label.netWeight).toBe(200);
+    expect(label.bestBefore.toISOString().slice(0, 10)).toBe("2026-10-23");
+  });
+
+  it("should fall back to the default shelf life and the selling price", () => {
+    const label = buildLabel(
+      { pieName: "Steak Pie", batchSize: 10, sellingPrice: 20 },
+      breakdown,
+      { packedOn: "2026-10-19", defaultShelfLifeDays: 2 }
+    );
+
+    expect(label.shelfLifeDays).toBe(2);
+    expect(label.price).toBe(20);
+    expect(label.priceIncludesVat).toBe(false);
+    expect(label.netWeight).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+const {
+  laborInputHours,
+  loadedHourlyRate,
+  groupLaborByRole,
+  isValidLaborInput,
+} = require("../services/laborService");
+
+// --- Test Suite for measuring the labor of a batch ---
+describe("laborInputHours", () => {
+  it("should spread minutes per pie over every pie baked", () => {
+    expect(laborInputHours({ minutesPerPie: 3 }, 20)).toBe(1);
+  });
+
+  it("should multiply workers by hours per worker for the batch", () => {
+    expect(laborInputHours({ workers: 2, hoursPerWorker: 1.5 }, 20)).toBe(3);
+  });
+
+  it("should count zero minutes per pie as no work", () => {
+    expect(laborInputHours({ minutesPerPie: 0, workers: null }, 20)).toBe(0);
+  });
+});
+
+describe("isValidLaborInput", () => {
+  it("should accept minutes per pie or worker hours", () => {
+    expect(isValidLaborInput({ minutesPerPie: 4 })).toBe(true);
+    expect(isValidLaborInput({ workers: 1, hoursPerWorker: 2 })).toBe(true);
+  });
+
+  it("should reject an input with neither or both measures", () => {
+    expect(isValidLaborInput({})).toBe(false);
+    expect(isValidLaborInput({ workers: 1 })).toBe(false);
+    expect(
+      isValidLaborInput({ minutesPerPie: 4, workers: 1, hoursPerWorker: 2 })
+    ).toBe(false);
+  });
+});
+
+describe("loadedHourlyRate", () => {
+  it("should add the employer on-cost to the wage", () => {
+    expect(loadedHourlyRate({ hourlyRate: 50, onCostPercentage: 2 })).toBe(51);
+  });
+
+  it("should use the wage alone without an on-cost", () => {
+    expect(loadedHourlyRate({ hourlyRate: 30 })).toBe(30);
+  });
+});
+
+describe("groupLaborByRole", () => {
+  it("should total hours and cost per role, with unassigned lines together", () => {
+    const lines = [
+      { workerRole: "b1", roleName: "Baker", hours: 2, cost: 102 },
+      { workerRole: null, roleName: null, hours: 1, cost: 25 },
+      { workerRole: "p1", roleName: "Packer", hours: 0.5, cost: 15.3 },
+      { workerRole: "b1", roleName: "Baker", hours: 1, cost: 51 },
+      { workerRole: null, roleName: null, hours: 0.5, cost: 20 },
+    ];
+
+    expect(groupLaborByRole(lines)).toEqual([
+      { workerRole: "b1", name: "Baker", hours: 3, cost: 153 },
+      { workerRole: null, name: "No role", hours: 1.5, cost: 45 },
+      { workerRole: "p1", name: "Packer", hours: 0.5, cost: 15.3 },
+    ]);
+  });
+});
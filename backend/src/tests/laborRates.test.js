@@ -0,0 +1,154 @@
+const {
+  easterSunday,
+  southAfricanPublicHolidays,
+  getDayType,
+  applyLaborRateRules,
+} = require("../services/laborRateService");
+
+const rules = {
+  saturdayRateMultiplier: 1.5,
+  sundayRateMultiplier: 2,
+  publicHolidayRateMultiplier: 2,
+  overtimeRateMultiplier: 1.5,
+  overtimeAfterHours: 9,
+};
+
+// --- Test Suite for the public holiday calendar ---
+describe("southAfricanPublicHolidays", () => {
+  it("should find Easter Sunday", () => {
+    expect(easterSunday(2025).toISOString().slice(0, 10)).toBe("2025-04-20");
+    expect(easterSunday(2026).toISOString().slice(0, 10)).toBe("2026-04-05");
+  });
+
+  it("should list the fixed and Easter holidays of a year", () => {
+    const holidays = southAfricanPublicHolidays(2025);
+
+    // 12 holidays, and Freedom Day fell on a Sunday
+    expect(holidays).toHaveLength(13);
+    expect(holidays).toContainEqual({
+      date: "2025-04-18",
+      name: "Good Friday",
+    });
+    expect(holidays).toContainEqual({ date: "2025-04-21", name: "Family Day" });
+    expect(holidays).toContainEqual({
+      date: "2025-09-24",
+      name: "Heritage Day",
+    });
+  });
+
+  it("should make the Monday after a Sunday holiday a holiday", () => {
+    expect(southAfricanPublicHolidays(2026)).toContainEqual({
+      date: "2026-08-10",
+      name: "National Women's Day (observed)",
+    });
+  });
+
+  it("should not move a Sunday holiday onto a Monday that is already one", () => {
+    // Christmas 2022 was a Sunday; the Monday is the Day of Goodwill anyway
+    const december = southAfricanPublicHolidays(2022).filter((holiday) =>
+      holiday.date.startsWith("2022-12")
+    );
+
+    expect(december.map((holiday) => holiday.date)).toEqual([
+      "2022-12-16",
+      "2022-12-25",
+      "2022-12-26",
+    ]);
+  });
+});
+
+describe("getDayType", () => {
+  it("should tell weekdays, Saturdays and Sundays apart", () => {
+    expect(getDayType("2024-03-05").dayType).toBe("weekday");
+    expect(getDayType("2024-03-09").dayType).toBe("saturday");
+    expect(getDayType("2024-03-10").dayType).toBe("sunday");
+  });
+
+  it("should put a public holiday before the day of the week", () => {
+    expect(getDayType("2024-03-21", { name: "Human Rights Day" })).toEqual({
+      dayType: "public_holiday",
+      holidayName: "Human Rights Day",
+    });
+  });
+});
+
+// --- Test Suite for costing labor under the rate rules ---
+describe("applyLaborRateRules", () => {
+  // One batch: 2 workers * 3 hrs at 50; 6 minutes * 20 pies = 2 hrs at 30
+  const lines = [
+    { name: "Filling", workers: 2, hourlyRate: 50, hours: 6, cost: 300 },
+    { name: "Packing", workers: null, hourlyRate: 30, hours: 2, cost: 60 },
+  ];
+
+  it("should cost a weekday within the threshold at the plain rates", () => {
+    const result = applyLaborRateRules(lines, {
+      batches: 1,
+      dayType: "weekday",
+      rules,
+    });
+
+    expect(result.laborCost).toBe(360);
+    expect(result.premium).toBe(0);
+    expect(result.overtimeHours).toBe(0);
+  });
+
+  it("should apply the day's multiplier to every hour", () => {
+    const result = applyLaborRateRules(lines, {
+      batches: 1,
+      dayType: "saturday",
+      rules,
+    });
+
+    expect(result.laborCost).toBe(540);
+    expect(result.premium).toBe(180);
+  });
+
+  it("should pay each worker's hours beyond the threshold as overtime", () => {
+    // 4 batches: fillers work 12 hrs each (3 overtime each); the packer 8 hrs
+    const result = applyLaborRateRules(lines, {
+      batches: 4,
+      dayType: "weekday",
+      rules,
+    });
+
+    expect(result.lines[0].overtimeHours).toBe(6);
+    expect(result.lines[0].cost).toBe(18 * 50 + 6 * 75);
+    expect(result.lines[1].overtimeHours).toBe(0);
+    expect(result.standardLaborCost).toBe(1440);
+    expect(result.premium).toBe(150);
+  });
+
+  it("should not count work in minutes per pie as overtime, however many batches", () => {
+    // 10 batches: 20 hrs of packing, with no headcount to spread them over
+    const result = applyLaborRateRules(lines, {
+      batches: 10,
+      dayType: "weekday",
+      rules,
+    });
+
+    expect(result.lines[1].hours).toBe(20);
+    expect(result.lines[1].overtimeHours).toBe(0);
+    expect(result.lines[1].cost).toBe(600);
+  });
+
+  it("should pay overtime on a Sunday at the higher Sunday rate", () => {
+    const result = applyLaborRateRules(lines, {
+      batches: 4,
+      dayType: "sunday",
+      rules,
+    });
+
+    expect(result.laborCost).toBe(2880);
+  });
+
+  it("should not count overtime when the threshold is 0", () => {
+    const result = applyLaborRateRules(lines, {
+      batches: 4,
+      dayType: "weekday",
+      rules: { ...rules, overtimeAfterHours: 0 },
+    });
+
+    expect(result.overtimeHours).toBe(0);
+    expect(result.premium).toBe(0);
+  });
+});
@@ -0,0 +1,145 @@
+const {
+  checkLaborTime,
+  actualLaborHours,
+  summarizeLaborTime,
+} = require("../services/productionService");
+
+// A production run of 10 pies with 2 standard labor hours costed at 25.00 an hour
+const run = (overrides = {}) => ({
+  recipe: "steak",
+  pieName: "Pepper Steak Pie",
+  variant: "Standard",
+  expectedPies: 10,
+  standardLaborHours: 2,
+  costs: { totalLaborCost: 50 },
+  laborStartedAt: new Date("2024-03-05T08:00:00Z"),
+  laborEndedAt: new Date("2024-03-05T10:30:00Z"),
+  headcount: 1,
+  ...overrides,
+});
+
+// --- Test Suite for the actual labor time of a production run ---
+describe("checkLaborTime", () => {
+  it("should accept no labor time at all", () => {
+    expect(checkLaborTime({})).toEqual({});
+  });
+
+  it("should require the start, finish and headcount together", () => {
+    expect(() =>
+      checkLaborTime({ laborStartedAt: "2024-03-05T08:00:00Z", headcount: 2 })
+    ).toThrow("Give the start time, finish time and headcount together");
+  });
+
+  it("should reject a finish before the start", () => {
+    expect(() =>
+      checkLaborTime({
+        laborStartedAt: "2024-03-05T08:00:00Z",
+        laborEndedAt: "2024-03-05T07:00:00Z",
+        headcount: 2,
+      })
+    ).toThrow("The finish time must be after the start time");
+  });
+});
+
+describe("actualLaborHours", () => {
+  it("should multiply the time worked by the headcount", () => {
+    expect(actualLaborHours(run({ headcount: 3 }))).toBe(7.5);
+  });
+
+  it("should return null when the time was not recorded", () => {
+    expect(actualLaborHours(run({ laborStartedAt: undefined }))).toBeNull();
+  });
+});
+
+// --- Test Suite for comparing actual labor time with the standard ---
+describe("summarizeLaborTime", () => {
+  it("should flag a pie taking longer than its standard as understated", () => {
+    const [line] = summarizeLaborTime([run()]);
+
+    // 2.5 hrs worked against 2 hrs allowed over 10 pies
+    expect(line.standardMinutesPerPie).toBe(12);
+    expect(line.actualMinutesPerPie).toBe(15);
+    expect(line.variancePercentage).toBe(25);
+    expect(line.standardLaborCostPerPie).toBe(5);
+    expect(line.actualLaborCostPerPie).toBe(6.25);
+    expect(line.understatedValue).toBe(12.5);
+    expect(line.understated).toBe(true);
+  });
+
+  it("should value time at the standard rates, not weekend or overtime rates", () => {
+    const [line] = summarizeLaborTime([
+      run({
+        costs: { totalLaborCost: 100 },
+        laborRates: { dayType: "sunday", standardLaborCost: 50 },
+      }),
+    ]);
+
+    expect(line.understatedValue).toBe(12.5);
+  });
+
+  it("should spread the time worked over the good pies and the standard over the expected pies", () => {
+    const [line] = summarizeLaborTime([run({ piesProduced: 8 })]);
+
+    // 2.5 hrs over 8 good pies against the recipe's 12 minutes per pie
+    expect(line.expectedPies).toBe(10);
+    expect(line.goodPies).toBe(8);
+    expect(line.standardMinutesPerPie).toBe(12);
+    expect(line.actualMinutesPerPie).toBe(18.75);
+    expect(line.variancePercentage).toBe(56.3);
+    expect(line.standardLaborCostPerPie).toBe(5);
+    expect(line.actualLaborCostPerPie).toBe(7.8125);
+    expect(line.understatedValue).toBe(22.5);
+  });
+
+  it("should flag labor lost on rejects even when the hours match the standard", () => {
+    const [line] = summarizeLaborTime([
+      run({
+        piesProduced: 8,
+        laborEndedAt: new Date("2024-03-05T10:00:00Z"),
+      }),
+    ]);
+
+    expect(line.actualMinutesPerPie).toBe(15);
+    expect(line.variancePercentage).toBe(25);
+    expect(line.understated).toBe(true);
+  });
+
+  it("should allow time within the tolerance", () => {
+    // 2 hrs 12 min is 10% over the standard
+    const ended = new Date("2024-03-05T10:12:00Z");
+
+    expect(
+      summarizeLaborTime([run({ laborEndedAt: ended })])[0].understated
+    ).toBe(false);
+    expect(
+      summarizeLaborTime([run({ laborEndedAt: ended })], {
+        tolerancePercentage: 5,
+      })[0].understated
+    ).toBe(true);
+  });
+
+  it("should total runs of a recipe and put the most understated first", () => {
+    const lines = summarizeLaborTime([
+      run({ recipe: "chicken", pieName: "Chicken Pie" }),
+      run(),
+      run({ laborEndedAt: new Date("2024-03-05T12:00:00Z") }),
+    ]);
+
+    expect(lines.map((line) => line.pieName)).toEqual([
+      "Pepper Steak Pie",
+      "Chicken Pie",
+    ]);
+    expect(lines[0].runCount).toBe(2);
+    expect(lines[0].actualHours).toBe(6.5);
+    expect(lines[0].variancePercentage).toBe(62.5);
+  });
+
+  it("should skip runs without recorded time or a standard", () => {
+    expect(
+      summarizeLaborTime([
+        run({ headcount: undefined }),
+        run({ standardLaborHours: undefined }),
+      ])
+    ).toEqual([]);
+  });
+});
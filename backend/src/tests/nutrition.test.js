@@ -0,0 +1,87 @@
+const { calculateNutritionPanel } = require("../services/nutritionService");
+
+// Nutrients per 100 g
+const FLOUR = {
+  energyKj: 1450,
+  protein: 10,
+  fat: 1,
+  saturatedFat: 0.2,
+  carbohydrate: 72,
+  sugar: 0.5,
+  sodium: 2,
+};
+const BUTTER = {
+  energyKj: 3000,
+  protein: 1,
+  fat: 81,
+  saturatedFat: 51,
+  carbohydrate: 0.1,
+  sugar: 0.1,
+  sodium: 10,
+};
+
+const line = (name, weight, nutrition) => ({
+  itemType: "ingredient",
+  name,
+  baseQuantity: 1,
+  weight,
+  nutrition,
+});
+
+// --- Test Suite for the recipe nutrition panel ---
+describe("calculateNutritionPanel", () => {
+  it("should give nutrients per pie and per 100 g of baked weight", () => {
+    const breakdown = [
+      line("Flour", 2, FLOUR),
+      {
+        itemType: "recipe",
+        name: "Puff Pastry",
+        components: [line("Butter", 0.5, BUTTER)],
+      },
+    ];
+
+    const panel = calculateNutritionPanel(
+      { batchSize: 10, yieldWeight: 2.5, bakingLossPercentage: 20 },
+      breakdown
+    );
+
+    // 2.5 kg less 20% baking loss = 2 kg, 200 g a pie
+    expect(panel.bakedBatchWeight).toBe(2);
+    expect(panel.bakedWeightSource).toBe("yield");
+    expect(panel.pieWeight).toBe(200);
+    // Energy: 1450 x 20 + 3000 x 5 = 44000 kJ a batch
+    expect(panel.perPie.energyKj).toBe(4400);
+    expect(panel.per100g.energyKj).toBe(2200);
+    // Fat: 1 x 20 + 81 x 5 = 425 g a batch
+    expect(panel.perPie.fat).toBe(42.5);
+    expect(panel.per100g.fat).toBe(21.3);
+    expect(panel.missingNutrition).toEqual([]);
+    expect(panel.missingWeight).toEqual([]);
+  });
+
+  it("should estimate the baked weight from the ingredients and report gaps", () => {
+    const breakdown = [
+      line("Flour", 1, FLOUR),
+      line("Water", 1, undefined),
+      line("Eggs", undefined, undefined),
+    ];
+
+    const panel = calculateNutritionPanel({ batchSize: 4 }, breakdown);
+
+    expect(panel.bakedWeightSource).toBe("ingredients");
+    expect(panel.bakedBatchWeight).toBe(2);
+    expect(panel.pieWeight).toBe(500);
+    expect(panel.per100g.energyKj).toBe(725);
+    expect(panel.missingNutrition).toEqual(["Water"]);
+    expect(panel.missingWeight).toEqual(["Eggs"]);
+  });
+
+  it("should leave per 100 g empty when no weight is known", () => {
+    const panel = calculateNutritionPanel({ batchSize: 4 }, [
+      line("Eggs", undefined, undefined),
+    ]);
+
+    expect(panel.per100g).toBeNull();
+    expect(panel.perPie.energyKj).toBe(0);
+  });
+});
@@ -0,0 +1,307 @@
+const request = require("supertest");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const User = require("../models/User");
+const Recipe = require("../models/Recipe");
+const Labor = require("../models/Labor");
+const Ingredient = require("../models/Ingredient");
+const Overhead = require("../models/Overhead");
+const Settings = require("../models/Settings");
+const authRoutes = require("../routes/authRoutes");
+const recipeRoutes = require("../routes/recipeRoutes");
+const ingredientRoutes = require("../routes/ingredientRoutes"); // Needed for setup
+const overheadRoutes = require("../routes/overheadRoutes");
+const settingsRoutes = require("../routes/settingsRoutes");
+const { errorHandler } = require("../middleware/errorHandler");
+
+// Setup Express app for testing
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use("/api/v1/auth", authRoutes);
+app.use("/api/v1/recipes", recipeRoutes);
+app.use("/api/v1/ingredients", ingredientRoutes);
+app.use("/api/v1/overheads", overheadRoutes);
+app.use("/api/v1/settings", settingsRoutes);
+app.use(errorHandler);
+
+// --- Test Suite for Overhead & Settings Routes ---
+describe("Overheads API (/api/v1/overheads, /api/v1/settings)", () => {
+  let adminToken;
+  let userToken;
+  let testIngredientId;
+  let trayId;
+  let ovenId;
+  let recipeData;
+
+  const adminUser = {
+    username: "overheadadmin",
+    email: "overheadadmin@example.com",
+    password: "password123",
+    role: "admin",
+  };
+  const regularUser = {
+    username: "overheaduser",
+    email: "overheaduser@example.com",
+    password: "password123",
+    role: "user",
+  };
+
+  const createOverhead = (data) =>
+    request(app)
+      .post("/api/v1/overheads")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(data);
+
+  beforeEach(async () => {
+    // Clean up DB
+    await User.deleteMany({});
+    await Recipe.deleteMany({});
+    await Ingredient.deleteMany({});
+    await Overhead.deleteMany({});
+    await Settings.deleteMany({});
+
+    // Register & Login Admin
+    await request(app).post("/api/v1/auth/register").send(adminUser);
+    const adminLoginRes = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: adminUser.email, password: adminUser.password });
+    adminToken = adminLoginRes.body.token;
+
+    // Register & Login User
+    await request(app).post("/api/v1/auth/register").send(regularUser);
+    const userLoginRes = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: regularUser.email, password: regularUser.password });
+    userToken = userLoginRes.body.token;
+
+    const ingredientRes = await request(app)
+      .post("/api/v1/ingredients")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ ingredientName: "Test Flour", unit: "kg", costPerUnit: 1.5 });
+    testIngredientId = ingredientRes.body.data._id;
+
+    trayId = (
+      await createOverhead({ name: "Foil Tray", type: "packaging", cost: 1.5 })
+    ).body.data._id;
+    ovenId = (
+      await createOverhead({ name: "Oven Electricity", type: "utility", cost: 0.2 })
+    ).body.data._id;
+
+    const laborId = (await Labor.create({ name: "Pie line", hourlyRate: 25 }))
+      ._id;
+
+    recipeData = {
+      pieName: "Overhead Pie",
+      batchSize: 10,
+      ingredients: [{ ingredient: testIngredientId, quantity: 2, unit: "kg" }], // 3.00
+      laborInputs: [
+        { laborStandard: laborId, workers: 1, hoursPerWorker: 2.5 },
+      ], // 62.50
+      markupPercentage: 10,
+      packaging: [{ overhead: trayId, quantity: 1 }], // 1.50 * 10 pies = 15.00
+      utilityInputs: [{ overhead: ovenId, minutes: 60 }], // 0.20 * 60 = 12.00
+      // Batch = 3.00 + 62.50 + 15.00 + 12.00 = 92.50 -> Cost Per Pie = 9.25
+    };
+  });
+
+  describe("Overhead CRUD", () => {
+    it("should list overheads filtered by type", async () => {
+      const res = await request(app)
+        .get("/api/v1/overheads?type=packaging")
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.count).toEqual(1);
+      expect(res.body.data[0].name).toBe("Foil Tray");
+    });
+
+    it("should reject an unknown overhead type", async () => {
+      const res = await createOverhead({ name: "Mystery", type: "misc", cost: 1 });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain(
+        "type: Type must be packaging, utility or fixed"
+      );
+    });
+
+    it("should prevent regular user from creating an overhead", async () => {
+      const res = await request(app)
+        .post("/api/v1/overheads")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ name: "Box", type: "packaging", cost: 2 });
+
+      expect(res.statusCode).toEqual(403);
+    });
+  });
+
+  describe("Recipe overhead costs", () => {
+    it("should add packaging and utility costs to the batch cost", async () => {
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(recipeData);
+
+      expect(res.statusCode).toEqual(201);
+      const costs = res.body.data.calculatedCosts;
+      expect(costs.totalPackagingCost).toBe(15.0);
+      expect(costs.totalUtilityCost).toBe(12.0);
+      expect(costs.totalFixedOverheadCost).toBe(0);
+      expect(costs.totalBatchCost).toBe(92.5);
+      expect(costs.costPerPie).toBe(9.25);
+    });
+
+    it("should reject an overhead of the wrong type", async () => {
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...recipeData, packaging: [{ overhead: ovenId, quantity: 1 }] });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain(
+        'Overhead "Oven Electricity" is a utility overhead'
+      );
+    });
+
+    it("should recalculate recipes when a packaging cost changes", async () => {
+      const recipeRes = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(recipeData);
+
+      // Tray 1.50 -> 2.00: packaging = 20.00, Batch = 97.50 -> 9.75
+      const res = await request(app)
+        .put(`/api/v1/overheads/${trayId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ cost: 2.0 });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.recipeImpact.recalculatedCount).toEqual(1);
+
+      const recipe = await Recipe.findById(recipeRes.body.data._id);
+      expect(recipe.calculatedCosts.totalPackagingCost).toBe(20.0);
+      expect(recipe.calculatedCosts.costPerPie).toBe(9.75);
+    });
+
+    it("should spread fixed overheads over the projected monthly volume", async () => {
+      const recipeRes = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(recipeData);
+      await createOverhead({ name: "Stall Rent", type: "fixed", cost: 3000 });
+
+      // 3000 per month over 1000 pies = 3.00 per pie -> 30.00 per batch
+      const res = await request(app)
+        .put("/api/v1/settings")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ projectedMonthlyVolume: 1000 });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.projectedMonthlyVolume).toEqual(1000);
+      expect(res.body.recipeImpact.recalculatedCount).toEqual(1);
+
+      const recipe = await Recipe.findById(recipeRes.body.data._id);
+      expect(recipe.calculatedCosts.totalFixedOverheadCost).toBe(30.0);
+      expect(recipe.calculatedCosts.costPerPie).toBe(12.25);
+    });
+
+    it("should not delete an overhead used by a recipe", async () => {
+      await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(recipeData);
+
+      const res = await request(app)
+        .delete(`/api/v1/overheads/${trayId}`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.message).toContain("Overhead Pie");
+      expect(await Overhead.findById(trayId)).not.toBeNull();
+    });
+  });
+
+  describe("Settings", () => {
+    it("should return default settings", async () => {
+      const res = await request(app)
+        .get("/api/v1/settings")
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.projectedMonthlyVolume).toEqual(0);
+      expect(res.body.data.vatRate).toEqual(15);
+      expect(res.body.data.pricesIncludeVat).toBe(true);
+      expect(res.body.data.roundingRule).toBe("none");
+    });
+
+    it("should publish VAT-inclusive prices by default", async () => {
+      // Cost Per Pie 9.25, no markup -> 9.25 excl. VAT, 10.64 incl. 15% VAT
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...recipeData, markupPercentage: 0 });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.sellingPrice).toBe(9.25);
+      expect(res.body.data.pricing.computedPrice).toBe(10.64);
+      expect(res.body.data.pricing.publishedPrice).toBe(10.64);
+      expect(res.body.data.pricing.includesVat).toBe(true);
+    });
+
+    it("should republish prices when the rounding rule changes", async () => {
+      const recipeRes = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...recipeData, markupPercentage: 0 });
+
+      const res = await request(app)
+        .put("/api/v1/settings")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ roundingRule: "end_0.90" });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.recipeImpact.changed[0].current.publishedPrice).toBe(10.9);
+
+      const recipe = await Recipe.findById(recipeRes.body.data._id);
+      expect(recipe.sellingPrice).toBe(9.25); // Computed price is unchanged
+      expect(recipe.pricing.computedPrice).toBe(10.64);
+      expect(recipe.pricing.publishedPrice).toBe(10.9);
+    });
+
+    it("should round VAT-exclusive prices without adding VAT", async () => {
+      await request(app)
+        .put("/api/v1/settings")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ pricesIncludeVat: false, roundingRule: "nearest_0.50" });
+
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...recipeData, markupPercentage: 0 });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.pricing.computedPrice).toBe(9.25);
+      expect(res.body.data.pricing.publishedPrice).toBe(9.5);
+      expect(res.body.data.pricing.vatAmount).toBe(1.43); // Added at the till
+    });
+
+    it("should reject an unknown rounding rule", async () => {
+      const res = await request(app)
+        .put("/api/v1/settings")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ roundingRule: "nearest_5" });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain("roundingRule: Rounding rule must be one of");
+    });
+
+    it("should prevent regular user from updating settings", async () => {
+      const res = await request(app)
+        .put("/api/v1/settings")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ projectedMonthlyVolume: 500 });
+
+      expect(res.statusCode).toEqual(403);
+    });
+  });
+});
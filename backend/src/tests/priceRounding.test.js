@@ -0,0 +1,65 @@
+const {
+  roundPrice,
+  calculatePublishedPrice,
+} = require("../services/priceRoundingService");
+
+// --- Test Suite for published price rounding ---
+describe("Price rounding service", () => {
+  describe("roundPrice", () => {
+    it("should round to the nearest 50c", () => {
+      expect(roundPrice(23.74, "nearest_0.50")).toBe(23.5);
+      expect(roundPrice(23.75, "nearest_0.50")).toBe(24);
+      expect(roundPrice(24, "nearest_0.50")).toBe(24);
+    });
+
+    it("should round up to a price ending in .90", () => {
+      expect(roundPrice(23.47, "end_0.90")).toBe(23.9);
+      expect(roundPrice(23.9, "end_0.90")).toBe(23.9);
+      expect(roundPrice(23.95, "end_0.90")).toBe(24.9);
+      expect(roundPrice(24, "end_0.90")).toBe(24.9);
+    });
+
+    it("should always round up to the next rand", () => {
+      expect(roundPrice(23.01, "round_up")).toBe(24);
+      expect(roundPrice(24, "round_up")).toBe(24);
+    });
+
+    it("should only round to cents without a rule", () => {
+      expect(roundPrice(23.456)).toBe(23.46);
+    });
+
+    it("should throw for an unknown rule", () => {
+      expect(() => roundPrice(10, "nearest_5")).toThrow(
+        "Unknown price rounding rule: nearest_5"
+      );
+    });
+  });
+
+  describe("calculatePublishedPrice", () => {
+    it("should add VAT before rounding VAT-inclusive prices", () => {
+      const price = calculatePublishedPrice(20.41, {
+        vatRate: 15,
+        pricesIncludeVat: true,
+        roundingRule: "end_0.90",
+      });
+
+      expect(price.computedPrice).toBe(23.47);
+      expect(price.publishedPrice).toBe(23.9);
+      expect(price.publishedPriceExclVat).toBe(20.78);
+      expect(price.vatAmount).toBe(3.12);
+    });
+
+    it("should round VAT-exclusive prices as they are", () => {
+      const price = calculatePublishedPrice(20.41, {
+        vatRate: 15,
+        pricesIncludeVat: false,
+        roundingRule: "round_up",
+      });
+
+      expect(price.computedPrice).toBe(20.41);
+      expect(price.publishedPrice).toBe(21);
+      expect(price.publishedPriceExclVat).toBe(21);
+      expect(price.vatAmount).toBe(3.15);
+    });
+  });
+});
@@ -0,0 +1,338 @@
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const cookieParser = require("cookie-parser");
+const User = require("../models/User");
+const Ingredient = require("../models/Ingredient");
+const Recipe = require("../models/Recipe");
+const Labor = require("../models/Labor");
+const StockMovement = require("../models/StockMovement");
+const ProductionRun = require("../models/ProductionRun");
+const PublicHoliday = require("../models/PublicHoliday");
+const Settings = require("../models/Settings");
+const authRoutes = require("../routes/authRoutes");
+const ingredientRoutes = require("../routes/ingredientRoutes");
+const recipeRoutes = require("../routes/recipeRoutes");
+const inventoryRoutes = require("../routes/inventoryRoutes");
+const productionRoutes = require("../routes/productionRoutes");
+const { errorHandler } = require("../middleware/errorHandler");
+
+// Setup Express app for testing
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use("/api/v1/auth", authRoutes);
+app.use("/api/v1/ingredients", ingredientRoutes);
+app.use("/api/v1/recipes", recipeRoutes);
+app.use("/api/v1/inventory", inventoryRoutes);
+app.use("/api/v1/production-runs", productionRoutes);
+app.use(errorHandler);
+
+// --- Test Suite for Production Run Routes ---
+describe("Production Run API (/api/v1/production-runs)", () => {
+  let adminToken;
+  let userToken;
+  let beefId;
+  let flourId;
+  let pieId;
+
+  const adminUser = {
+    username: "bakeadmin",
+    email: "bakeadmin@example.com",
+    password: "password123",
+    role: "admin",
+  };
+  const regularUser = {
+    username: "bakeuser",
+    email: "bakeuser@example.com",
+    password: "password123",
+    role: "user",
+  };
+
+  const authed = (method, url, token = adminToken) =>
+    request(app)[method](url).set("Authorization", `Bearer ${token}`);
+
+  const produce = (body, token) =>
+    authed("post", "/api/v1/production-runs", token).send({
+      recipe: pieId,
+      ...body,
+    });
+
+  const stockOf = async (id) => (await Ingredient.findById(id)).stockOnHand;
+
+  beforeEach(async () => {
+    // Clean up DB
+    await User.deleteMany({});
+    await Ingredient.deleteMany({});
+    await Recipe.deleteMany({});
+    await StockMovement.deleteMany({});
+    await ProductionRun.deleteMany({});
+    await PublicHoliday.deleteMany({});
+    await Settings.deleteMany({}); // Default labor rate rules
+
+    // Register & Login Admin
+    await request(app).post("/api/v1/auth/register").send(adminUser);
+    const adminLoginRes = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: adminUser.email, password: adminUser.password });
+    adminToken = adminLoginRes.body.token;
+
+    // Register & Login User
+    await request(app).post("/api/v1/auth/register").send(regularUser);
+    const userLoginRes = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: regularUser.email, password: regularUser.password });
+    userToken = userLoginRes.body.token;
+
+    beefId = (
+      await authed("post", "/api/v1/ingredients").send({
+        ingredientName: "Beef Mince",
+        unit: "kg",
+        costPerUnit: 100,
+      })
+    ).body.data._id;
+    flourId = (
+      await authed("post", "/api/v1/ingredients").send({
+        ingredientName: "Flour",
+        unit: "kg",
+        costPerUnit: 15,
+      })
+    ).body.data._id;
+
+    const laborId = (await Labor.create({ name: "Pie line", hourlyRate: 25 }))
+      ._id;
+
+    // Pastry: 2 kg flour (30.00) per batch yielding 2 kg -> 15.00 per kg
+    const pastryId = (
+      await authed("post", "/api/v1/recipes").send({
+        pieName: "Pastry",
+        batchSize: 1,
+        yieldWeight: 2,
+        ingredients: [{ ingredient: flourId, quantity: 2, unit: "kg" }],
+        laborInputs: [{ laborStandard: laborId, minutesPerPie: 0 }],
+        markupPercentage: 0,
+      })
+    ).body.data._id;
+
+    // 2 kg beef (200.00) + 1 kg pastry (15.00) + 1 worker * 2 hrs * 25 (50.00)
+    // = 265.00 per batch of 10 -> 26.50 per pie
+    pieId = (
+      await authed("post", "/api/v1/recipes").send({
+        pieName: "Pepper Steak Pie",
+        batchSize: 10,
+        ingredients: [
+          { ingredient: beefId, quantity: 2, unit: "kg" },
+          { itemType: "recipe", subRecipe: pastryId, quantity: 1, unit: "kg" },
+        ],
+        laborInputs: [
+          { laborStandard: laborId, workers: 1, hoursPerWorker: 2 },
+        ],
+        markupPercentage: 100,
+      })
+    ).body.data._id;
+
+    await authed("post", "/api/v1/inventory/receipts").send({
+      lines: [
+        { ingredient: beefId, quantity: 10 },
+        { ingredient: flourId, quantity: 5 },
+      ],
+    });
+  });
+
+  describe("POST /", () => {
+    it("should snapshot the cost and take the ingredients out of stock", async () => {
+      // A Tuesday, so labor is at the ordinary rate
+      const res = await produce({
+        batches: 3,
+        bakedBy: "Thandi",
+        producedAt: "2024-03-05",
+      });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.expectedPies).toBe(30);
+      expect(res.body.data.costs.totalCost).toBe(795);
+      expect(res.body.data.costs.costPerPie).toBe(26.5);
+      const flour = res.body.data.ingredients.find(
+        (line) => line.ingredientName === "Flour"
+      );
+      expect(flour.quantity).toBe(3); // Through the pastry sub-recipe
+
+      expect(await stockOf(beefId)).toBe(4);
+      expect(await stockOf(flourId)).toBe(2);
+      expect(await StockMovement.countDocuments({ type: "production" })).toBe(
+        2
+      );
+    });
+
+    it("should keep the snapshot when prices change later", async () => {
+      const runId = (await produce({ batches: 1, producedAt: "2024-03-05" }))
+        .body.data._id;
+      await authed("put", `/api/v1/ingredients/${beefId}`).send({
+        costPerUnit: 150,
+      });
+
+      const res = await authed("get", `/api/v1/production-runs/${runId}`);
+      expect(res.body.data.costs.totalCost).toBe(265);
+    });
+
+    it("should return 404 for a recipe that does not exist", async () => {
+      const res = await produce({
+        recipe: new mongoose.Types.ObjectId(),
+        batches: 1,
+      });
+
+      expect(res.statusCode).toEqual(404);
+    });
+
+    it("should prevent a regular user from recording a run", async () => {
+      const res = await produce({ batches: 1 }, userToken);
+
+      expect(res.statusCode).toEqual(403);
+    });
+  });
+
+  describe("Labor rates for the day baked", () => {
+    it("should pay Sunday labor at the Sunday rate", async () => {
+      const res = await produce({ batches: 1, producedAt: "2024-03-10" });
+
+      // 2 hrs * 25 * 2 = 100.00 instead of 50.00
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.laborRates.dayType).toBe("sunday");
+      expect(res.body.data.laborRates.premium).toBe(50);
+      expect(res.body.data.costs.totalLaborCost).toBe(100);
+      expect(res.body.data.costs.totalCost).toBe(315);
+      expect(res.body.data.costs.costPerPie).toBe(31.5);
+    });
+
+    it("should pay public holidays in the calendar at the public holiday rate", async () => {
+      await PublicHoliday.create({
+        date: new Date("2024-03-21"),
+        name: "Human Rights Day",
+      });
+
+      const res = await produce({ batches: 1, producedAt: "2024-03-21" });
+
+      expect(res.body.data.laborRates.dayType).toBe("public_holiday");
+      expect(res.body.data.laborRates.holidayName).toBe("Human Rights Day");
+      expect(res.body.data.costs.totalLaborCost).toBe(100);
+    });
+
+    it("should pay a worker's hours beyond the daily threshold as overtime", async () => {
+      // 5 batches: the worker works 10 hours, 1 beyond the default 9
+      const res = await produce({ batches: 5, producedAt: "2024-03-05" });
+
+      // 9 * 25 + 1 * 25 * 1.5 = 262.50 instead of 250.00
+      expect(res.body.data.laborRates.overtimeHours).toBe(1);
+      expect(res.body.data.laborRates.standardLaborCost).toBe(250);
+      expect(res.body.data.costs.totalLaborCost).toBe(262.5);
+    });
+  });
+
+  describe("Actual labor time", () => {
+    const shift = {
+      laborStartedAt: "2024-03-05T08:00:00Z",
+      laborEndedAt: "2024-03-05T11:00:00Z",
+      headcount: 1,
+    };
+
+    it("should record the time worked with the standard hours of the run", async () => {
+      const res = await produce({
+        batches: 1,
+        producedAt: "2024-03-05",
+        ...shift,
+      });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.standardLaborHours).toBe(2);
+      expect(res.body.data.headcount).toBe(1);
+    });
+
+    it("should reject a finish before the start", async () => {
+      const res = await produce({
+        batches: 1,
+        ...shift,
+        laborEndedAt: "2024-03-05T07:00:00Z",
+      });
+
+      expect(res.statusCode).toEqual(400);
+      expect(await ProductionRun.countDocuments()).toBe(0);
+    });
+
+    it("should record the time of a run after the fact", async () => {
+      const runId = (await produce({ batches: 1, producedAt: "2024-03-05" }))
+        .body.data._id;
+
+      const res = await authed(
+        "put",
+        `/api/v1/production-runs/${runId}/labor`
+      ).send({ ...shift, headcount: 2 });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.headcount).toBe(2);
+    });
+
+    it("should report pies whose labor cost is understated", async () => {
+      // 3 hrs worked against the 2 hrs the recipe allows for 10 pies
+      await produce({ batches: 1, producedAt: "2024-03-05", ...shift });
+      await produce({ batches: 1, producedAt: "2024-03-06" }); // No time recorded
+
+      const res = await authed(
+        "get",
+        "/api/v1/production-runs/labor-report?from=2024-03-01&to=2024-03-31",
+        userToken
+      );
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.runCount).toEqual(1);
+      const [line] = res.body.data.lines;
+      expect(line.pieName).toBe("Pepper Steak Pie");
+      expect(line.standardMinutesPerPie).toBe(12);
+      expect(line.actualMinutesPerPie).toBe(18);
+      expect(line.variancePercentage).toBe(50);
+      expect(line.understatedValue).toBe(25);
+      expect(line.understated).toBe(true);
+    });
+  });
+
+  describe("DELETE /:id", () => {
+    it("should give the ingredients back to stock", async () => {
+      const runId = (await produce({ batches: 3 })).body.data._id;
+
+      const res = await authed("delete", `/api/v1/production-runs/${runId}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(await stockOf(beefId)).toBe(10);
+      expect(await stockOf(flourId)).toBe(5);
+      expect(await ProductionRun.countDocuments()).toBe(0);
+      expect(await StockMovement.countDocuments({ type: "production" })).toBe(
+        4
+      );
+    });
+  });
+
+  describe("GET /usage-report", () => {
+    it("should compare theoretical usage with the usage a count reveals", async () => {
+      await produce({ batches: 3, producedAt: "2024-03-05" });
+      // 4 kg beef expected, 3.4 kg found: 0.6 kg more was used than the recipe calls for
+      await authed("post", "/api/v1/inventory/counts").send({
+        countedAt: "2024-03-08",
+        lines: [{ ingredient: beefId, countedQuantity: 3.4 }],
+      });
+
+      const res = await authed(
+        "get",
+        "/api/v1/production-runs/usage-report?from=2024-03-01&to=2024-03-31",
+        userToken
+      );
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.runCount).toEqual(1);
+      const [beef] = res.body.data.lines;
+      expect(beef.ingredientName).toBe("Beef Mince");
+      expect(beef.theoreticalQuantity).toBe(6);
+      expect(beef.actualQuantity).toBe(6.6);
+      expect(beef.variancePercentage).toBe(10);
+      expect(beef.varianceValue).toBe(60);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const {
+  totalIngredientQuantities,
+  summarizeUsage,
+} = require("../services/productionService");
+
+// --- Test Suite for the ingredient quantities a production run uses ---
+describe("totalIngredientQuantities", () => {
+  const flourLine = (purchasedQuantity, cost) => ({
+    itemType: "ingredient",
+    item: "flour",
+    name: "Flour",
+    baseUnit: "kg",
+    purchasedQuantity,
+    unitCost: 15,
+    cost,
+  });
+
+  it("should total an ingredient used directly and through a sub-recipe", () => {
+    const breakdown = [
+      flourLine(1, 15),
+      {
+        itemType: "recipe",
+        item: "pastry",
+        name: "Puff Pastry",
+        components: [
+          flourLine(0.5, 7.5),
+          {
+            itemType: "ingredient",
+            item: "butter",
+            name: "Butter",
+            baseUnit: "kg",
+            purchasedQuantity: 0.25,
+            unitCost: 120,
+            cost: 30,
+          },
+        ],
+      },
+    ];
+
+    expect(totalIngredientQuantities(breakdown)).toEqual([
+      {
+        ingredient: "flour",
+        ingredientName: "Flour",
+        unit: "kg",
+        quantity: 1.5,
+        costPerUnit: 15,
+        cost: 22.5,
+      },
+      {
+        ingredient: "butter",
+        ingredientName: "Butter",
+        unit: "kg",
+        quantity: 0.25,
+        costPerUnit: 120,
+        cost: 30,
+      },
+    ]);
+  });
+});
+
+// --- Test Suite for comparing theoretical with actual usage ---
+describe("summarizeUsage", () => {
+  const beef = {
+    _id: "beef",
+    ingredientName: "Beef Mince",
+    unit: "kg",
+    costPerUnit: 100,
+  };
+
+  it("should treat a count shortfall after production as extra usage", () => {
+    const movements = [
+      { ingredient: beef, type: "production", quantity: -20, unit: "kg" },
+      { ingredient: beef, type: "production", quantity: -5, unit: "kg" },
+      { ingredient: beef, type: "count", quantity: -1.5, unit: "kg" },
+    ];
+
+    const [line] = summarizeUsage(movements);
+    expect(line.theoreticalQuantity).toBe(25);
+    expect(line.actualQuantity).toBe(26.5);
+    expect(line.varianceQuantity).toBe(1.5);
+    expect(line.variancePercentage).toBe(6);
+    expect(line.varianceValue).toBe(150);
+  });
+
+  it("should convert movements booked in an earlier unit", () => {
+    const movements = [
+      { ingredient: beef, type: "production", quantity: -2000, unit: "g" },
+    ];
+
+    expect(summarizeUsage(movements)[0].theoreticalQuantity).toBe(2);
+  });
+
+  it("should skip movements of deleted ingredients", () => {
+    expect(
+      summarizeUsage([
+        { ingredient: null, type: "production", quantity: -1, unit: "kg" },
+      ])
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,202 @@
+const request = require("supertest");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const User = require("../models/User");
+const Recipe = require("../models/Recipe");
+const Ingredient = require("../models/Ingredient");
+const Labor = require("../models/Labor");
+const PublicHoliday = require("../models/PublicHoliday");
+const Settings = require("../models/Settings");
+const authRoutes = require("../routes/authRoutes");
+const recipeRoutes = require("../routes/recipeRoutes");
+const ingredientRoutes = require("../routes/ingredientRoutes"); // Needed for setup
+const settingsRoutes = require("../routes/settingsRoutes");
+const publicHolidayRoutes = require("../routes/publicHolidayRoutes");
+const { errorHandler } = require("../middleware/errorHandler");
+
+// Setup Express app for testing
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use("/api/v1/auth", authRoutes);
+app.use("/api/v1/recipes", recipeRoutes);
+app.use("/api/v1/ingredients", ingredientRoutes);
+app.use("/api/v1/settings", settingsRoutes);
+app.use("/api/v1/public-holidays", publicHolidayRoutes);
+app.use(errorHandler);
+
+// --- Test Suite for the Public Holiday Calendar and dated labor costs ---
+describe("Public Holidays API (/api/v1/public-holidays)", () => {
+  let adminToken;
+  let userToken;
+  let recipeId;
+
+  const adminUser = {
+    username: "holidayadmin",
+    email: "holidayadmin@example.com",
+    password: "password123",
+    role: "admin",
+  };
+  const regularUser = {
+    username: "holidayuser",
+    email: "holidayuser@example.com",
+    password: "password123",
+    role: "user",
+  };
+
+  const authed = (method, url, token = adminToken) =>
+    request(app)[method](url).set("Authorization", `Bearer ${token}`);
+
+  beforeEach(async () => {
+    // Clean up DB
+    await User.deleteMany({});
+    await Recipe.deleteMany({});
+    await Ingredient.deleteMany({});
+    await Labor.deleteMany({});
+    await PublicHoliday.deleteMany({});
+    await Settings.deleteMany({}); // Default labor rate rules
+
+    // Register & Login Admin
+    await request(app).post("/api/v1/auth/register").send(adminUser);
+    const adminLoginRes = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: adminUser.email, password: adminUser.password });
+    adminToken = adminLoginRes.body.token;
+
+    // Register & Login User
+    await request(app).post("/api/v1/auth/register").send(regularUser);
+    const userLoginRes = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: regularUser.email, password: regularUser.password });
+    userToken = userLoginRes.body.token;
+
+    const flourId = (
+      await authed("post", "/api/v1/ingredients").send({
+        ingredientName: "Flour",
+        unit: "kg",
+        costPerUnit: 10,
+      })
+    ).body.data._id;
+    const laborId = (await Labor.create({ name: "Pie line", hourlyRate: 40 }))
+      ._id;
+
+    // 1 kg flour (10.00) + 2 workers * 2 hrs * 40 (160.00) per batch of 10
+    recipeId = (
+      await authed("post", "/api/v1/recipes").send({
+        pieName: "Fair Pie",
+        batchSize: 10,
+        ingredients: [{ ingredient: flourId, quantity: 1, unit: "kg" }],
+        laborInputs: [
+          { laborStandard: laborId, workers: 2, hoursPerWorker: 2 },
+        ],
+        markupPercentage: 0,
+      })
+    ).body.data._id;
+  });
+
+  describe("Calendar", () => {
+    it("should load a year of South African public holidays once", async () => {
+      const res = await authed(
+        "post",
+        "/api/v1/public-holidays/load-year"
+      ).send({ year: 2026 });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.count).toEqual(13);
+
+      const again = await authed(
+        "post",
+        "/api/v1/public-holidays/load-year"
+      ).send({ year: 2026 });
+      expect(again.body.count).toEqual(0);
+      expect(again.body.skipped).toEqual(13);
+
+      const list = await authed(
+        "get",
+        "/api/v1/public-holidays?year=2026",
+        userToken
+      );
+      expect(list.body.count).toEqual(13);
+      expect(list.body.data[0].name).toBe("New Year's Day");
+    });
+
+    it("should refuse a second holiday on the same day", async () => {
+      await authed("post", "/api/v1/public-holidays").send({
+        date: "2026-05-27",
+        name: "Election Day",
+      });
+
+      const res = await authed("post", "/api/v1/public-holidays").send({
+        date: "2026-05-27",
+        name: "Another Day",
+      });
+
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.message).toContain("Election Day");
+    });
+
+    it("should prevent a regular user from editing the calendar", async () => {
+      const res = await authed(
+        "post",
+        "/api/v1/public-holidays",
+        userToken
+      ).send({ date: "2026-05-27", name: "Election Day" });
+
+      expect(res.statusCode).toEqual(403);
+    });
+  });
+
+  describe("GET /api/v1/recipes/:id/dated-cost", () => {
+    it("should cost a weekday at the plain rates", async () => {
+      const res = await authed(
+        "get",
+        `/api/v1/recipes/${recipeId}/dated-cost?date=2026-10-20&batches=2`
+      );
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.laborRates.dayType).toBe("weekday");
+      expect(res.body.data.costs.totalLaborCost).toBe(320);
+      expect(res.body.data.costs.totalCost).toBe(340);
+      expect(res.body.data.costs.costPerPie).toBe(17);
+    });
+
+    it("should cost a Saturday at the Saturday rate from the settings", async () => {
+      await authed("put", "/api/v1/settings").send({
+        saturdayRateMultiplier: 1.25,
+      });
+
+      const res = await authed(
+        "get",
+        `/api/v1/recipes/${recipeId}/dated-cost?date=2026-10-24`
+      );
+
+      // 160.00 * 1.25 = 200.00
+      expect(res.body.data.laborRates.dayType).toBe("saturday");
+      expect(res.body.data.laborRates.premium).toBe(40);
+      expect(res.body.data.costs.totalCost).toBe(210);
+    });
+
+    it("should cost a day in the calendar at the public holiday rate", async () => {
+      await authed("post", "/api/v1/public-holidays").send({
+        date: "2026-12-16",
+        name: "Day of Reconciliation",
+      });
+
+      const res = await authed(
+        "get",
+        `/api/v1/recipes/${recipeId}/dated-cost?date=2026-12-16`
+      );
+
+      expect(res.body.data.laborRates.holidayName).toBe(
+        "Day of Reconciliation"
+      );
+      expect(res.body.data.costs.totalLaborCost).toBe(320);
+    });
+
+    it("should require a date", async () => {
+      const res = await authed("get", `/api/v1/recipes/${recipeId}/dated-cost`);
+
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+});
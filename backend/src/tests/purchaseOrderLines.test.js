@@ -0,0 +1,62 @@
+const { buildOrderLine } = require("../services/purchaseOrderService");
+
+// --- Test Suite for working out what to order of an ingredient ---
+describe("buildOrderLine", () => {
+  const flour = {
+    _id: "flour",
+    ingredientName: "Flour",
+    unit: "kg",
+    costPerUnit: 15.12,
+    stockOnHand: 2,
+    packSize: 12.5,
+    packUnit: "kg",
+    packPrice: 189,
+  };
+
+  it("should round the shortfall up to whole packs", () => {
+    const line = buildOrderLine(flour, 30, 5);
+
+    expect(line.shortfall).toBe(23);
+    expect(line.packs).toBe(2);
+    expect(line.orderQuantity).toBe(25);
+    expect(line.lineTotal).toBe(378);
+  });
+
+  it("should convert a pack measured in another unit", () => {
+    const line = buildOrderLine(
+      { ...flour, packSize: 500, packUnit: "g", packPrice: 9 },
+      3.2
+    );
+
+    expect(line.packs).toBe(3);
+    expect(line.orderQuantity).toBe(1.5);
+    expect(line.lineTotal).toBe(27);
+  });
+
+  it("should not order an extra pack for a rounding error", () => {
+    const line = buildOrderLine(
+      { ...flour, stockOnHand: 0, packSize: 0.3, packPrice: 2 },
+      2.1 // 2.1 / 0.3 is 7.000000000000001 in floating point
+    );
+
+    expect(line.packs).toBe(7);
+  });
+
+  it("should order the exact shortfall when not bought in packs", () => {
+    const line = buildOrderLine(
+      { ...flour, packSize: undefined, packPrice: undefined },
+      4.5
+    );
+
+    expect(line.packs).toBeUndefined();
+    expect(line.orderQuantity).toBe(2.5);
+    expect(line.lineTotal).toBe(37.8);
+  });
+
+  it("should order nothing when stock covers the need", () => {
+    const line = buildOrderLine(flour, 1.5);
+
+    expect(line.shortfall).toBe(0);
+    expect(line.orderQuantity).toBe(0);
+  });
+});
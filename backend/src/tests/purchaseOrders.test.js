@@ -0,0 +1,266 @@
+const request = require("supertest");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const User = require("../models/User");
+const Ingredient = require("../models/Ingredient");
+const Recipe = require("../models/Recipe");
+const Labor = require("../models/Labor");
+const Supplier = require("../models/Supplier");
+const StockMovement = require("../models/StockMovement");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const Counter = require("../models/Counter");
+const authRoutes = require("../routes/authRoutes");
+const ingredientRoutes = require("../routes/ingredientRoutes");
+const recipeRoutes = require("../routes/recipeRoutes");
+const supplierRoutes = require("../routes/supplierRoutes");
+const inventoryRoutes = require("../routes/inventoryRoutes");
+const purchaseOrderRoutes = require("../routes/purchaseOrderRoutes");
+const { errorHandler } = require("../middleware/errorHandler");
+
+// Setup Express app for testing
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use("/api/v1/auth", authRoutes);
+app.use("/api/v1/ingredients", ingredientRoutes);
+app.use("/api/v1/recipes", recipeRoutes);
+app.use("/api/v1/suppliers", supplierRoutes);
+app.use("/api/v1/inventory", inventoryRoutes);
+app.use("/api/v1/purchase-orders", purchaseOrderRoutes);
+app.use(errorHandler);
+
+// --- Test Suite for Purchase Order Routes ---
+describe("Purchase Order API (/api/v1/purchase-orders)", () => {
+  let adminToken;
+  let userToken;
+  let butcherId;
+  let millId;
+  let beefId;
+  let pieId;
+
+  const adminUser = {
+    username: "buyadmin",
+    email: "buyadmin@example.com",
+    password: "password123",
+    role: "admin",
+  };
+  const regularUser = {
+    username: "buyuser",
+    email: "buyuser@example.com",
+    password: "password123",
+    role: "user",
+  };
+
+  const authed = (method, url, token = adminToken) =>
+    request(app)[method](url).set("Authorization", `Bearer ${token}`);
+
+  const generate = (batches = 4) =>
+    authed("post", "/api/v1/purchase-orders/generate").send({
+      plan: [{ recipe: pieId, batches }],
+      neededBy: "2024-09-20",
+    });
+
+  const setStatus = (id, status) =>
+    authed("put", `/api/v1/purchase-orders/${id}/status`).send({ status });
+
+  beforeEach(async () => {
+    // Clean up DB
+    await User.deleteMany({});
+    await Ingredient.deleteMany({});
+    await Recipe.deleteMany({});
+    await Supplier.deleteMany({});
+    await StockMovement.deleteMany({});
+    await PurchaseOrder.deleteMany({});
+    await Counter.deleteMany({});
+
+    // Register & Login Admin
+    await request(app).post("/api/v1/auth/register").send(adminUser);
+    const adminLoginRes = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: adminUser.email, password: adminUser.password });
+    adminToken = adminLoginRes.body.token;
+
+    // Register & Login User
+    await request(app).post("/api/v1/auth/register").send(regularUser);
+    const userLoginRes = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: regularUser.email, password: regularUser.password });
+    userToken = userLoginRes.body.token;
+
+    butcherId = (
+      await authed("post", "/api/v1/suppliers").send({
+        name: "Butcher",
+        leadTimeDays: 2,
+      })
+    ).body.data._id;
+    millId = (await authed("post", "/api/v1/suppliers").send({ name: "Mill" }))
+      .body.data._id;
+
+    // Beef in 5 kg boxes, flour in 12.5 kg bags, salt from no particular supplier
+    beefId = (
+      await authed("post", "/api/v1/ingredients").send({
+        ingredientName: "Beef Mince",
+        unit: "kg",
+        packSize: 5,
+        packUnit: "kg",
+        packPrice: 500,
+        supplier: butcherId,
+      })
+    ).body.data._id;
+    const flourId = (
+      await authed("post", "/api/v1/ingredients").send({
+        ingredientName: "Flour",
+        unit: "kg",
+        packSize: 12.5,
+        packUnit: "kg",
+        packPrice: 187.5,
+        supplier: millId,
+      })
+    ).body.data._id;
+    const saltId = (
+      await authed("post", "/api/v1/ingredients").send({
+        ingredientName: "Salt",
+        unit: "kg",
+        costPerUnit: 10,
+      })
+    ).body.data._id;
+
+    const laborId = (await Labor.create({ name: "Pie line", hourlyRate: 0 }))
+      ._id;
+
+    pieId = (
+      await authed("post", "/api/v1/recipes").send({
+        pieName: "Steak Pie",
+        batchSize: 10,
+        ingredients: [
+          { ingredient: beefId, quantity: 2, unit: "kg" },
+          { ingredient: flourId, quantity: 1, unit: "kg" },
+          { ingredient: saltId, quantity: 100, unit: "g" },
+        ],
+        laborInputs: [{ laborStandard: laborId, minutesPerPie: 0 }],
+        markupPercentage: 0,
+      })
+    ).body.data._id;
+
+    await authed("post", "/api/v1/inventory/receipts").send({
+      lines: [{ ingredient: beefId, quantity: 3 }],
+    });
+  });
+
+  describe("POST /generate", () => {
+    it("should order the shortfall in whole packs, one draft per supplier", async () => {
+      const res = await generate();
+
+      expect(res.statusCode).toEqual(201);
+      const { orders, unassigned } = res.body.data;
+      expect(orders).toHaveLength(2);
+
+      // 8 kg beef needed, 3 kg in stock: one 5 kg box
+      const beefOrder = orders.find(
+        (order) => order.supplier._id === butcherId
+      );
+      expect(beefOrder.status).toBe("draft");
+      expect(beefOrder.orderNumber).toMatch(/^PO-\d{5}$/);
+      expect(beefOrder.lines[0].shortfall).toBe(5);
+      expect(beefOrder.lines[0].packs).toBe(1);
+      expect(beefOrder.total).toBe(500);
+      expect(new Date(beefOrder.orderBy).toISOString()).toBe(
+        "2024-09-18T00:00:00.000Z"
+      );
+
+      // 4 kg flour needed: one 12.5 kg bag
+      const flourOrder = orders.find((order) => order.supplier._id === millId);
+      expect(flourOrder.lines[0].orderQuantity).toBe(12.5);
+      expect(flourOrder.total).toBe(187.5);
+
+      expect(unassigned.map((line) => line.ingredientName)).toEqual(["Salt"]);
+    });
+
+    it("should count what is already on order", async () => {
+      await generate();
+
+      const res = await generate(5);
+
+      // 10 kg beef needed, 3 in stock, 5 on order: one more box; flour is covered
+      expect(res.body.data.orders).toHaveLength(1);
+      expect(res.body.data.orders[0].lines[0].onOrderQuantity).toBe(5);
+      expect(res.body.data.orders[0].lines[0].packs).toBe(1);
+      expect(
+        res.body.data.inStock.map((line) => line.ingredientName)
+      ).toContain("Flour");
+    });
+
+    it("should give orders generated at the same time their own numbers", async () => {
+      const responses = await Promise.all([generate(), generate()]);
+
+      expect(responses.map((res) => res.statusCode)).toEqual([201, 201]);
+      const numbers = responses.flatMap((res) =>
+        res.body.data.orders.map((order) => order.orderNumber)
+      );
+      expect(new Set(numbers).size).toBe(numbers.length);
+    });
+
+    it("should carry on from the highest order number already used", async () => {
+      // Orders numbered before the counter existed
+      const order = (await generate()).body.data.orders[0];
+      await PurchaseOrder.updateOne(
+        { _id: order._id },
+        { orderNumber: "PO-99999" }
+      );
+      await Counter.deleteMany({});
+
+      const res = await generate(5);
+
+      expect(res.body.data.orders[0].orderNumber).toBe("PO-100000");
+    });
+
+    it("should prevent a regular user from generating orders", async () => {
+      const res = await authed(
+        "post",
+        "/api/v1/purchase-orders/generate",
+        userToken
+      ).send({ plan: [{ recipe: pieId, batches: 1 }] });
+
+      expect(res.statusCode).toEqual(403);
+    });
+  });
+
+  describe("PUT /:id/status", () => {
+    let orderId;
+
+    beforeEach(async () => {
+      const { orders } = (await generate()).body.data;
+      orderId = orders.find((order) => order.supplier._id === butcherId)._id;
+    });
+
+    it("should not skip the sent status", async () => {
+      const res = await setStatus(orderId, "received");
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain("cannot be marked as received");
+    });
+
+    it("should book the order into stock when received", async () => {
+      await setStatus(orderId, "sent");
+      const res = await setStatus(orderId, "received");
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.status).toBe("received");
+      expect((await Ingredient.findById(beefId)).stockOnHand).toBe(8);
+      const receipt = await StockMovement.findOne({
+        reference: res.body.data.orderNumber,
+      });
+      expect(receipt.quantity).toBe(5);
+      expect(receipt.unitCost).toBe(100);
+    });
+
+    it("should only delete draft orders", async () => {
+      await setStatus(orderId, "sent");
+
+      const res = await authed("delete", `/api/v1/purchase-orders/${orderId}`);
+
+      expect(res.statusCode).toEqual(400);
+      expect(await PurchaseOrder.exists({ _id: orderId })).toBeTruthy();
+    });
+  });
+});
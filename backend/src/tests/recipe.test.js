@@ -6,10 +6,17 @@ const User = require("../models/User");
 const Recipe = require("../models/Recipe");
 const Ingredient = require("../models/Ingredient");
 const Labor = require("../models/Labor");
+const Settings = require("../models/Settings");
+const RecipeRevision = require("../models/RecipeRevision");
+const RecipeCostChange = require("../models/RecipeCostChange");
+const ProductionRun = require("../models/ProductionRun");
 const authRoutes = require("../routes/authRoutes");
 const recipeRoutes = require("../routes/recipeRoutes");
 const ingredientRoutes = require("../routes/ingredientRoutes"); // Needed for setup
 const laborRoutes = require("../routes/laborRoutes"); // Needed for setup
+const {
+  recalculateDependentRecipes,
+} = require("../services/recipeRecalculationService");
 const { errorHandler } = require("../middleware/errorHandler");
 
 // Setup Express app for testing
@@ -51,9 +58,8 @@ describe("Recipe API (/api/v1/recipes)", () => {
   };
 
   const laborData = {
-    pieName: "Test Pie Base", // Associated pie for labor cost
-    costPerHour: 25.0,
-    minutesPerPie: 15, // Labor cost per pie = 25 * (15/60) = 6.25
+    name: "Pie filling line", // Labor standard used by the test recipes
+    hourlyRate: 25.0,
   };
 
   let recipeData; // Define later, depends on ingredient/labor IDs
@@ -64,6 +70,8 @@ describe("Recipe API (/api/v1/recipes)", () => {
     await Recipe.deleteMany({});
     await Ingredient.deleteMany({});
     await Labor.deleteMany({});
+    await RecipeCostChange.deleteMany({});
+    await ProductionRun.deleteMany({});
 
     // Register & Login Admin
     await request(app).post("/api/v1/auth/register").send(adminUser);
@@ -88,7 +96,7 @@ describe("Recipe API (/api/v1/recipes)", () => {
       throw new Error("Failed to create test ingredient");
     testIngredientId = ingredientRes.body.data._id;
 
-    // Create necessary Labor using API (requires admin token)
+    // Create the labor standard using API (requires admin token)
     const laborRes = await request(app)
       .post("/api/v1/labor")
       .set("Authorization", `Bearer ${adminToken}`)
@@ -98,13 +106,14 @@ describe("Recipe API (/api/v1/recipes)", () => {
 
     // Now define recipeData using the obtained IDs
     // NOTE: Recipe model expects 'ingredients' array with unit.
-    // AND requires batchSize and laborHourlyRate for creation now.
+    // AND requires batchSize and labor inputs on a labor standard.
     recipeData = {
       pieName: "Test Recipe Pie",
       batchSize: 10, // Example batch size
       ingredients: [{ ingredient: testIngredientId, quantity: 2, unit: "kg" }], // 2kg of flour = 2 * 1.5 = 3
-      laborInputs: [{ workers: 1, hoursPerWorker: 2.5 }], // Example labor input: 1 worker * 2.5 hrs = 2.5 hrs
-      laborHourlyRate: laborData.costPerHour, // Use the rate from the setup: 25.0
+      laborInputs: [
+        { laborStandard: testLaborId, workers: 1, hoursPerWorker: 2.5 },
+      ], // Example labor input: 1 worker * 2.5 hrs = 2.5 hrs at the standard's 25.0
       markupPercentage: 10, // 10% markup
       notes: "Baseline test recipe",
       // Expected costs: Ingredient = 2 * 1.5 = 3.00
@@ -162,8 +171,11 @@ describe("Recipe API (/api/v1/recipes)", () => {
         "ingredientName",
         ingredientData.ingredientName
       );
-      // Labor is no longer directly populated, check laborInputs instead
-      expect(res.body.data.laborInputs).toEqual(newRecipe.laborInputs);
+      expect(res.body.data.laborInputs[0].laborStandard).toHaveProperty(
+        "name",
+        laborData.name
+      );
+      expect(res.body.data.laborInputs[0].hoursPerWorker).toBe(2.5);
 
       // Verify in DB
       const recipeInDb = await Recipe.findById(res.body.data._id);
@@ -197,8 +209,9 @@ describe("Recipe API (/api/v1/recipes)", () => {
         .send({
           pieName: "Incomplete Pie",
           // ingredients missing
-          laborInputs: [{ workers: 1, hoursPerWorker: 1 }],
-          laborHourlyRate: 20,
+          laborInputs: [
+            { laborStandard: testLaborId, workers: 1, hoursPerWorker: 1 },
+          ],
           batchSize: 5,
           markupPercentage: 10,
         });
@@ -210,7 +223,7 @@ describe("Recipe API (/api/v1/recipes)", () => {
       );
     });
 
-    it("should fail if required fields are missing (laborInputs or laborHourlyRate)", async () => {
+    it("should fail if required fields are missing (laborInputs)", async () => {
       const res = await request(app)
         .post("/api/v1/recipes")
         .set("Authorization", `Bearer ${adminToken}`)
@@ -219,7 +232,7 @@ describe("Recipe API (/api/v1/recipes)", () => {
           ingredients: [
             { ingredient: testIngredientId, quantity: 1, unit: "kg" },
           ],
-          // laborInputs/laborHourlyRate missing
+          // laborInputs missing
           batchSize: 5,
           markupPercentage: 10,
         });
@@ -230,11 +243,66 @@ describe("Recipe API (/api/v1/recipes)", () => {
       expect(res.body.message).toContain(
         "laborInputs: Labor inputs must be a non-empty array"
       );
+    });
+
+    it("should fail if a labor input gives both minutes per pie and worker hours", async () => {
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...recipeData,
+          pieName: "Double Counted Pie",
+          laborInputs: [
+            {
+              laborStandard: testLaborId,
+              minutesPerPie: 5,
+              workers: 1,
+              hoursPerWorker: 1,
+            },
+          ],
+        });
+
+      expect(res.statusCode).toEqual(400);
       expect(res.body.message).toContain(
-        "laborHourlyRate: Labor hourly rate must be a non-negative number"
+        "Each labor input must give either minutes per pie or workers and hours per worker"
       );
     });
 
+    it("should cost labor given in minutes per pie", async () => {
+      // 6 minutes per pie * 10 pies = 1 hour at 25.00
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...recipeData,
+          pieName: "Quick Pie",
+          laborInputs: [{ laborStandard: testLaborId, minutesPerPie: 6 }],
+        });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.calculatedCosts.totalLaborCost).toBe(25.0);
+      expect(res.body.data.calculatedCosts.totalBatchCost).toBe(28.0);
+    });
+
+    it("should fail if a labor standard does not exist", async () => {
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...recipeData,
+          pieName: "Unstaffed Pie",
+          laborInputs: [
+            {
+              laborStandard: new mongoose.Types.ObjectId(),
+              minutesPerPie: 6,
+            },
+          ],
+        });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain("Labor standard not found");
+    });
+
     it("should fail with invalid ingredient ID", async () => {
       const invalidIngredientId = new mongoose.Types.ObjectId();
       const res = await request(app)
@@ -256,6 +324,61 @@ describe("Recipe API (/api/v1/recipes)", () => {
       );
     });
 
+    it("should convert recipe quantities into the ingredient's priced unit", async () => {
+      // 500 g of flour priced at 1.50/kg = 0.75
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...recipeData,
+          pieName: "Grams Pie",
+          ingredients: [
+            { ingredient: testIngredientId, quantity: 500, unit: "g" },
+          ],
+        });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.ingredients[0].unit).toBe("g");
+      expect(res.body.data.calculatedCosts.totalIngredientCost).toBe(0.75);
+    });
+
+    it("should reject units that cannot be converted for the ingredient", async () => {
+      // Flour has no density, so a volume cannot be costed against a price per kg
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...recipeData,
+          pieName: "Cups Pie",
+          ingredients: [
+            { ingredient: testIngredientId, quantity: 2, unit: "cup" },
+          ],
+        });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.status).toBe("fail");
+      expect(res.body.message).toContain("Cannot convert cup to kg");
+      expect(await Recipe.findOne({ pieName: "Cups Pie" })).toBeNull();
+    });
+
+    it("should reject unknown units", async () => {
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...recipeData,
+          pieName: "Bucket Pie",
+          ingredients: [
+            { ingredient: testIngredientId, quantity: 1, unit: "bucket" },
+          ],
+        });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain(
+        "Each ingredient unit must be a supported unit"
+      );
+    });
+
     // Test case for when ingredient exists but is not found by the service (should not happen with validation, but good check)
     it("should return 404 if ingredient ID is valid but not found during calculation", async () => {
       const validButNonExistentIngredientId = new mongoose.Types.ObjectId();
@@ -348,9 +471,10 @@ describe("Recipe API (/api/v1/recipes)", () => {
       expect(res.body.data.ingredients[0].ingredient.ingredientName).toBe(
         ingredientData.ingredientName
       );
-      // Labor is no longer directly populated
-      expect(res.body.data.laborInputs).toEqual(recipeData.laborInputs);
-      expect(res.body.data.laborHourlyRate).toBe(recipeData.laborHourlyRate);
+      expect(res.body.data.laborInputs[0].laborStandard.name).toBe(
+        laborData.name
+      );
+      expect(res.body.data.laborInputs[0].workers).toBe(1);
     });
 
     it("should fail with invalid MongoDB ID format", async () => {
@@ -451,17 +575,22 @@ describe("Recipe API (/api/v1/recipes)", () => {
       expect(updatedRecipe.sellingPrice).toBe(7.04);
     });
 
-    it("should allow admin to update labor inputs/rate and recalculate costs", async () => {
+    it("should allow admin to update labor inputs and recalculate costs", async () => {
       expect(testRecipeId).toBeDefined();
       expect(testRecipeId).not.toBeNull();
+      const standard = await Labor.create({
+        name: "Pastry rolling",
+        hourlyRate: 30.0,
+      });
       // New labor: 2 workers * 1.5 hours * 30/hr = 90.00
       // Ingredient cost remains 3.00
       // New Total Batch Cost = 3.00 + 90.00 = 93.00
       // Cost Per Pie (original batch size 10) = 93.00 / 10 = 9.30
       // Selling Price (original 10% markup) = 9.30 * 1.1 = 10.23
       const laborUpdate = {
-        laborInputs: [{ workers: 2, hoursPerWorker: 1.5 }],
-        laborHourlyRate: 30.0,
+        laborInputs: [
+          { laborStandard: standard._id, workers: 2, hoursPerWorker: 1.5 },
+        ],
       };
 
       const res = await request(app)
@@ -471,8 +600,10 @@ describe("Recipe API (/api/v1/recipes)", () => {
 
       expect(res.statusCode).toEqual(200);
       expect(res.body.success).toBe(true);
-      expect(res.body.data.laborInputs).toEqual(laborUpdate.laborInputs);
-      expect(res.body.data.laborHourlyRate).toBe(laborUpdate.laborHourlyRate);
+      expect(res.body.data.laborInputs[0].laborStandard.name).toBe(
+        "Pastry rolling"
+      );
+      expect(res.body.data.laborInputs[0].workers).toBe(2);
       expect(res.body.data.calculatedCosts.totalIngredientCost).toBe(3.0); // Unchanged
       expect(res.body.data.calculatedCosts.totalLaborCost).toBe(90.0);
       expect(res.body.data.calculatedCosts.totalBatchCost).toBe(93.0);
@@ -601,22 +732,968 @@ describe("Recipe API (/api/v1/recipes)", () => {
     });
   });
 
-  // --- Delete Recipe Tests (DELETE /:id) ---
-  describe("DELETE /:id", () => {
-    it("should allow admin to delete a recipe", async () => {
-      expect(testRecipeId).toBeDefined();
-      expect(testRecipeId).not.toBeNull();
+  // --- Cost Cascade Tests (ingredient changes recalculate recipes) ---
+  describe("Ingredient price cascade", () => {
+    it("should recalculate recipes when an ingredient price is updated", async () => {
+      // Flour 1.50 -> 2.00: Ingredient = 2 * 2.00 = 4.00, Batch = 66.50
+      // Cost Per Pie = 6.65, Selling Price = 6.65 * 1.1 = 7.315 -> 7.32
+      const res = await request(app)
+        .put(`/api/v1/ingredients/${testIngredientId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ costPerUnit: 2.0 });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.recipeImpact.recalculatedCount).toEqual(1);
+      expect(res.body.recipeImpact.changed[0].costPerPieChange).toBe(0.1);
 
+      const recipe = await Recipe.findById(testRecipeId);
+      expect(recipe.calculatedCosts.totalIngredientCost).toBe(4.0);
+      expect(recipe.calculatedCosts.costPerPie).toBe(6.65);
+      expect(recipe.sellingPrice).toBe(7.32);
+
+      const changesRes = await request(app)
+        .get(`/api/v1/recipes/${testRecipeId}/cost-changes`)
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(changesRes.statusCode).toEqual(200);
+      expect(changesRes.body.count).toEqual(1);
+      expect(changesRes.body.data[0].trigger).toBe("ingredient_update");
+      expect(changesRes.body.data[0].previous.costPerPie).toBe(6.55);
+      expect(changesRes.body.data[0].current.costPerPie).toBe(6.65);
+    });
+
+    it("should return the recipe impact of a bulk import", async () => {
       const res = await request(app)
-        .delete(`/api/v1/recipes/${testRecipeId}`)
+        .post("/api/v1/ingredients/import")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send([
+          {
+            "Ingredient Name": ingredientData.ingredientName,
+            Unit: "kg",
+            "Cost per Unit (R)": 2.0,
+          },
+        ]);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.recipeImpact.recalculatedCount).toEqual(1);
+      expect(res.body.recipeImpact.changed[0].pieName).toBe(
+        recipeData.pieName
+      );
+      expect(res.body.recipeImpact.changed[0].current.costPerPie).toBe(6.65);
+    });
+
+    it("should not touch recipes when non-costing fields change", async () => {
+      const res = await request(app)
+        .put(`/api/v1/ingredients/${testIngredientId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ category: "Dairy" });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.recipeImpact).toBeUndefined();
+    });
+  });
+
+  // --- Sub-recipe Tests (a recipe used as an ingredient of another) ---
+  describe("Sub-recipes", () => {
+    let pastryId;
+
+    // Puff pastry: 4 kg flour (6.00) + 1 worker * 0.4 hrs * 25 (10.00) = 16.00
+    // per batch yielding 4 kg -> 4.00 per kg
+    const createPastry = (overrides = {}) =>
+      request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          pieName: "Puff Pastry",
+          batchSize: 1,
+          yieldWeight: 4,
+          ingredients: [
+            { ingredient: testIngredientId, quantity: 4, unit: "kg" },
+          ],
+          laborInputs: [
+            { laborStandard: testLaborId, workers: 1, hoursPerWorker: 0.4 },
+          ],
+          markupPercentage: 0,
+          ...overrides,
+        });
+
+    // Pie using 500 g of pastry (2.00) next to 2 kg of flour (3.00)
+    const createPieWithPastry = () =>
+      request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...recipeData,
+          pieName: "Pastry Topped Pie",
+          ingredients: [
+            ...recipeData.ingredients,
+            { itemType: "recipe", subRecipe: pastryId, quantity: 500, unit: "g" },
+          ],
+        });
+
+    beforeEach(async () => {
+      const pastryRes = await createPastry();
+      expect(pastryRes.statusCode).toEqual(201);
+      pastryId = pastryRes.body.data._id;
+    });
+
+    it("should roll the sub-recipe cost into the parent recipe", async () => {
+      // Ingredient = 3.00 + 2.00 = 5.00, Labor = 62.50
+      // Cost Per Pie = 67.50 / 10 = 6.75
+      const res = await createPieWithPastry();
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.calculatedCosts.totalIngredientCost).toBe(5.0);
+      expect(res.body.data.calculatedCosts.costPerPie).toBe(6.75);
+      expect(res.body.data.ingredients[1].subRecipe.pieName).toBe(
+        "Puff Pastry"
+      );
+    });
+
+    it("should return a nested cost breakdown", async () => {
+      const pieRes = await createPieWithPastry();
+
+      const res = await request(app)
+        .get(`/api/v1/recipes/${pieRes.body.data._id}/breakdown`)
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      const pastryLine = res.body.data.lines[1];
+      expect(pastryLine.itemType).toBe("recipe");
+      expect(pastryLine.baseQuantity).toBeCloseTo(0.5);
+      expect(pastryLine.cost).toBeCloseTo(2.0);
+      expect(pastryLine.laborCost).toBeCloseTo(1.25);
+      // 0.5 kg of the 4 kg batch uses 0.5 kg of its flour
+      expect(pastryLine.components[0].name).toBe(ingredientData.ingredientName);
+      expect(pastryLine.components[0].quantity).toBeCloseTo(0.5);
+      expect(pastryLine.components[0].cost).toBeCloseTo(0.75);
+    });
+
+    it("should list where an ingredient is used, directly and through sub-recipes", async () => {
+      await createPieWithPastry();
+
+      const res = await request(app)
+        .get(`/api/v1/ingredients/${testIngredientId}/usage`)
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.count).toBe(3);
+      // Sorted by cost share: pastry 6.00 / 16.00, topped pie 3.75 / 67.50, baseline 3.00 / 65.50
+      const [pastry, toppedPie, baseline] = res.body.data;
+      expect(pastry.pieName).toBe("Puff Pastry");
+      expect(pastry.costSharePercentage).toBe(37.5);
+      expect(toppedPie.pieName).toBe("Pastry Topped Pie");
+      expect(toppedPie.direct).toBe(true);
+      expect(toppedPie.viaSubRecipes).toEqual(["Puff Pastry (Standard)"]);
+      expect(toppedPie.unit).toBe("kg");
+      expect(toppedPie.quantityPerBatch).toBe(2.5); // 2 kg + 0.5 kg in the pastry
+      expect(toppedPie.quantityPerPie).toBe(0.25);
+      expect(toppedPie.costPerBatch).toBe(3.75);
+      expect(toppedPie.costSharePercentage).toBe(5.6);
+      expect(baseline.pieName).toBe("Test Recipe Pie");
+      expect(baseline.costSharePercentage).toBe(4.6);
+    });
+
+    it("should leave archived recipes out of the ingredient usage unless asked", async () => {
+      await request(app)
+        .delete(`/api/v1/recipes/${pastryId}`)
         .set("Authorization", `Bearer ${adminToken}`);
 
-      expect(res.statusCode).toEqual(200); // or 204 if implemented
-      expect(res.body.success).toBe(true);
+      const res = await request(app)
+        .get(`/api/v1/ingredients/${testIngredientId}/usage`)
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(res.body.count).toBe(1);
 
-      // Verify deletion in DB
-      const deletedRecipe = await Recipe.findById(testRecipeId);
-      expect(deletedRecipe).toBeNull();
+      const allRes = await request(app)
+        .get(`/api/v1/ingredients/${testIngredientId}/usage?includeArchived=true`)
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(allRes.body.count).toBe(2);
+      expect(allRes.body.data[0].isArchived).toBe(true);
+    });
+
+    it("should require a yield weight to use a sub-recipe by weight", async () => {
+      await Recipe.findByIdAndUpdate(pastryId, { $unset: { yieldWeight: 1 } });
+
+      const res = await createPieWithPastry();
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain(
+        'Sub-recipe "Puff Pastry" needs a yield weight'
+      );
+    });
+
+    it("should reject circular sub-recipe references", async () => {
+      const pieRes = await createPieWithPastry();
+
+      const res = await request(app)
+        .put(`/api/v1/recipes/${pastryId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ingredients: [
+            {
+              itemType: "recipe",
+              subRecipe: pieRes.body.data._id,
+              quantity: 1,
+              unit: "unit",
+            },
+          ],
+        });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain(
+        "Circular sub-recipe reference: Puff Pastry -> Pastry Topped Pie -> Puff Pastry"
+      );
+    });
+
+    it("should cascade ingredient price changes through sub-recipes", async () => {
+      const pieRes = await createPieWithPastry();
+
+      // Flour 1.50 -> 2.00: pastry = 8.00 + 10.00 = 18.00 -> 4.50 per kg
+      // Pie ingredient = 4.00 + 2.25 = 6.25, Cost Per Pie = 68.75 / 10 = 6.875 -> 6.88
+      const res = await request(app)
+        .put(`/api/v1/ingredients/${testIngredientId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ costPerUnit: 2.0 });
+
+      expect(res.statusCode).toEqual(200);
+      // Baseline recipe, pastry and the pie using the pastry
+      expect(res.body.recipeImpact.recalculatedCount).toEqual(3);
+
+      const pie = await Recipe.findById(pieRes.body.data._id);
+      expect(pie.calculatedCosts.totalIngredientCost).toBe(6.25);
+      expect(pie.calculatedCosts.costPerPie).toBe(6.88);
+    });
+
+    it("should recalculate parent recipes when a sub-recipe is updated", async () => {
+      const pieRes = await createPieWithPastry();
+
+      // Pastry labor 0.4 -> 0.8 hrs: 6.00 + 20.00 = 26.00 -> 6.50 per kg
+      const res = await request(app)
+        .put(`/api/v1/recipes/${pastryId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          laborInputs: [
+            { laborStandard: testLaborId, workers: 1, hoursPerWorker: 0.8 },
+          ],
+        });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.recipeImpact.changed[0].pieName).toBe(
+        "Pastry Topped Pie"
+      );
+
+      const pie = await Recipe.findById(pieRes.body.data._id);
+      expect(pie.calculatedCosts.totalIngredientCost).toBe(6.25);
+    });
+
+    it("should not permanently delete a recipe used as a sub-recipe", async () => {
+      await createPieWithPastry();
+
+      const res = await request(app)
+        .delete(`/api/v1/recipes/${pastryId}?permanent=true`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.message).toContain("Pastry Topped Pie");
+      expect(await Recipe.findById(pastryId)).not.toBeNull();
+    });
+  });
+
+  // --- Allergen Tests (ingredient allergens rolled up onto recipes) ---
+  describe("Allergens", () => {
+    const setFlourAllergens = (allergens) =>
+      request(app)
+        .put(`/api/v1/ingredients/${testIngredientId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ allergens });
+
+    it("should roll ingredient allergens up through sub-recipes", async () => {
+      await setFlourAllergens({ contains: ["gluten"], mayContain: ["sesame"] });
+      const butterRes = await request(app)
+        .post("/api/v1/ingredients")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ingredientName: "Butter",
+          unit: "kg",
+          costPerUnit: 120,
+          allergens: { contains: ["dairy"] },
+        });
+      const pastryRes = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          pieName: "Shortcrust",
+          batchSize: 1,
+          yieldWeight: 1,
+          ingredients: [
+            { ingredient: butterRes.body.data._id, quantity: 1, unit: "kg" },
+          ],
+          laborInputs: [{ laborStandard: testLaborId, minutesPerPie: 0 }],
+          markupPercentage: 0,
+        });
+
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...recipeData,
+          pieName: "Buttery Pie",
+          ingredients: [
+            ...recipeData.ingredients,
+            {
+              itemType: "recipe",
+              subRecipe: pastryRes.body.data._id,
+              quantity: 200,
+              unit: "g",
+            },
+          ],
+        });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.allergens.contains).toEqual(["gluten", "dairy"]);
+      expect(res.body.data.allergens.mayContain).toEqual(["sesame"]);
+    });
+
+    it("should update recipes when an ingredient's allergens change", async () => {
+      const res = await setFlourAllergens({ contains: ["gluten"] });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.recipeImpact.allergensChanged[0].change.added).toEqual({
+        contains: ["gluten"],
+        mayContain: [],
+      });
+      const recipe = await Recipe.findById(testRecipeId);
+      expect(recipe.allergens.contains).toEqual(["gluten"]);
+    });
+
+    it("should warn when swapping an ingredient changes the allergens", async () => {
+      await setFlourAllergens({ contains: ["gluten"] });
+      const riceFlourRes = await request(app)
+        .post("/api/v1/ingredients")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ingredientName: "Rice Flour", unit: "kg", costPerUnit: 3 });
+
+      const res = await request(app)
+        .put(`/api/v1/recipes/${testRecipeId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ingredients: [
+            { ingredient: riceFlourRes.body.data._id, quantity: 2, unit: "kg" },
+          ],
+        });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.allergenChange.removed.contains).toEqual(["gluten"]);
+      expect(res.body.data.allergens.contains).toEqual([]);
+    });
+
+    it("should reject an unknown allergen", async () => {
+      const res = await setFlourAllergens({ contains: ["chocolate"] });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain("Allergen must be one of");
+    });
+  });
+
+  // --- Nutrition Tests (ingredient nutrients per 100 g added up per pie) ---
+  describe("GET /api/v1/recipes/:id/nutrition", () => {
+    const setFlourNutrition = () =>
+      request(app)
+        .put(`/api/v1/ingredients/${testIngredientId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          nutrition: {
+            energyKj: 1450,
+            protein: 10,
+            fat: 1,
+            saturatedFat: 0.2,
+            carbohydrate: 72,
+            sugar: 0.5,
+            sodium: 2,
+          },
+        });
+
+    it("should list ingredients without nutrient values", async () => {
+      const res = await request(app)
+        .get(`/api/v1/recipes/${testRecipeId}/nutrition`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.missingNutrition).toEqual(["Test Flour"]);
+    });
+
+    it("should estimate the baked weight from the ingredients without a yield weight", async () => {
+      await setFlourNutrition();
+
+      const res = await request(app)
+        .get(`/api/v1/recipes/${testRecipeId}/nutrition`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      // 2 kg of flour over 10 pies
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.bakedWeightSource).toBe("ingredients");
+      expect(res.body.data.pieWeight).toBe(200);
+      expect(res.body.data.perPie.energyKj).toBe(2900);
+      expect(res.body.data.per100g.energyKj).toBe(1450);
+      expect(res.body.data.missingNutrition).toEqual([]);
+    });
+
+    it("should use the baked weight from the yield weight and baking loss", async () => {
+      await setFlourNutrition();
+      await request(app)
+        .put(`/api/v1/recipes/${testRecipeId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ yieldWeight: 5, bakingLossPercentage: 20 });
+
+      const res = await request(app)
+        .get(`/api/v1/recipes/${testRecipeId}/nutrition`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      // 5 kg less 20% = 4 kg baked, so 29000 kJ over 40 x 100 g
+      expect(res.body.data.bakedWeightSource).toBe("yield");
+      expect(res.body.data.pieWeight).toBe(400);
+      expect(res.body.data.perPie.energyKj).toBe(2900);
+      expect(res.body.data.per100g.energyKj).toBe(725);
+    });
+
+    it("should reject negative nutrient values", async () => {
+      const res = await request(app)
+        .put(`/api/v1/ingredients/${testIngredientId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ nutrition: { fat: -1 } });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain("non-negative");
+    });
+  });
+
+  // --- Label Tests (ingredient list, allergens, price and best-before date) ---
+  describe("GET /api/v1/recipes/:id/label", () => {
+    it("should give the label contents with a best-before date from the shelf life", async () => {
+      await request(app)
+        .put(`/api/v1/recipes/${testRecipeId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ shelfLifeDays: 3 });
+
+      const res = await request(app)
+        .get(`/api/v1/recipes/${testRecipeId}/label?packedOn=2026-10-19`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.ingredientList).toBe("Test Flour");
+      expect(res.body.data.shelfLifeDays).toBe(3);
+      expect(res.body.data.bestBefore).toBe("2026-10-22T00:00:00.000Z");
+      expect(res.body.data.price).toBeGreaterThan(0);
+    });
+
+    it("should fall back to the default shelf life in the settings", async () => {
+      await Settings.create({ defaultShelfLifeDays: 2 });
+
+      const res = await request(app)
+        .get(`/api/v1/recipes/${testRecipeId}/label?packedOn=2026-10-19`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.body.data.shelfLifeDays).toBe(2);
+      expect(res.body.data.bestBefore).toBe("2026-10-21T00:00:00.000Z");
+    });
+
+    it("should reject an invalid packing date", async () => {
+      const res = await request(app)
+        .get(`/api/v1/recipes/${testRecipeId}/label?packedOn=soon`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain("Packing date");
+    });
+  });
+
+  // --- Scaling Tests (to a number of pies or a limiting ingredient) ---
+  describe("GET /api/v1/recipes/:id/scale", () => {
+    it("should scale the ingredients and costs to a number of pies", async () => {
+      const res = await request(app)
+        .get(`/api/v1/recipes/${testRecipeId}/scale?pies=25`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      // 2.5 batches: 5 kg flour (7.50) + 2.5 * 62.50 labor
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.batches).toBe(2.5);
+      expect(res.body.data.lines[0]).toEqual(
+        expect.objectContaining({ quantity: 5, unit: "kg", cost: 7.5 })
+      );
+      expect(res.body.data.standardLaborHours).toBe(6.25);
+      expect(res.body.data.costs.totalCost).toBe(163.75);
+      expect(res.body.data.costs.costPerPie).toBe(6.55);
+    });
+
+    it("should scale to the quantity of a limiting ingredient, in sensible units", async () => {
+      const res = await request(app)
+        .get(
+          `/api/v1/recipes/${testRecipeId}/scale?ingredient=${testIngredientId}&quantity=500&unit=g`
+        )
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.batches).toBe(0.25);
+      expect(res.body.data.piesToBake).toBe(2.5);
+      expect(res.body.data.target.name).toBe("Test Flour");
+      expect(res.body.data.ingredients[0]).toEqual(
+        expect.objectContaining({ quantity: 500, unit: "g", cost: 0.75 })
+      );
+    });
+
+    it("should reject an ingredient the recipe does not use", async () => {
+      const res = await request(app)
+        .get(
+          `/api/v1/recipes/${testRecipeId}/scale?ingredient=${new mongoose.Types.ObjectId()}&quantity=1`
+        )
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain("does not use");
+    });
+
+    it("should require either pies or an ingredient", async () => {
+      const res = await request(app)
+        .get(`/api/v1/recipes/${testRecipeId}/scale`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain("either a number of pies");
+    });
+  });
+
+  // --- Yield & Waste Tests (trim yields, baking loss and rejects) ---
+  describe("Yield and waste factors", () => {
+    it("should cost trimmed ingredients on the quantity that has to be bought", async () => {
+      // 80% yield: 2 kg usable needs 2.5 kg bought -> Ingredient = 3.75 (3.00 unadjusted)
+      // Cost Per Pie = (3.75 + 62.50) / 10 = 6.625 -> 6.63
+      const res = await request(app)
+        .put(`/api/v1/ingredients/${testIngredientId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ yieldPercentage: 80 });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.recipeImpact.recalculatedCount).toEqual(1);
+
+      const recipe = await Recipe.findById(testRecipeId);
+      expect(recipe.calculatedCosts.totalIngredientCost).toBe(3.75);
+      expect(recipe.calculatedCosts.unadjustedIngredientCost).toBe(3.0);
+      expect(recipe.calculatedCosts.costPerPie).toBe(6.63);
+      expect(recipe.calculatedCosts.unadjustedCostPerPie).toBe(6.55);
+    });
+
+    it("should spread the batch cost over the pies that survive rejects", async () => {
+      // 10% rejects: 9 usable pies -> Cost Per Pie = 65.50 / 9 = 7.277 -> 7.28
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...recipeData, pieName: "Fragile Pie", rejectRate: 10 });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.calculatedCosts.usableBatchSize).toBe(9);
+      expect(res.body.data.calculatedCosts.costPerPie).toBe(7.28);
+      expect(res.body.data.calculatedCosts.unadjustedCostPerPie).toBe(6.55);
+    });
+
+    it("should reduce a sub-recipe's usable yield by its baking loss", async () => {
+      // Gravy: 4 kg flour (6.00) + 10.00 labor = 16.00 over 4 kg less 20% -> 5.00 per kg
+      const gravyRes = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          pieName: "Gravy Base",
+          batchSize: 1,
+          yieldWeight: 4,
+          bakingLossPercentage: 20,
+          ingredients: [
+            { ingredient: testIngredientId, quantity: 4, unit: "kg" },
+          ],
+          laborInputs: [
+            { laborStandard: testLaborId, workers: 1, hoursPerWorker: 0.4 },
+          ],
+          markupPercentage: 0,
+        });
+      expect(gravyRes.statusCode).toEqual(201);
+
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...recipeData,
+          pieName: "Gravy Pie",
+          ingredients: [
+            {
+              itemType: "recipe",
+              subRecipe: gravyRes.body.data._id,
+              quantity: 1,
+              unit: "kg",
+            },
+          ],
+        });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.calculatedCosts.totalIngredientCost).toBe(5.0);
+      expect(res.body.data.calculatedCosts.unadjustedIngredientCost).toBe(4.0);
+    });
+
+    it("should reject a reject rate of 100% or more", async () => {
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...recipeData, pieName: "Lost Pie", rejectRate: 100 });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain(
+        "rejectRate: Reject rate must be between 0 and 99%"
+      );
+    });
+  });
+
+  // --- Pricing Mode Tests (markup, target margin, target price) ---
+  describe("Pricing modes", () => {
+    it("should back-calculate the markup from a target margin", async () => {
+      // 60% margin = 150% markup -> 6.55 * 2.5 = 16.375 -> 16.38 excl. VAT
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...recipeData,
+          pieName: "Margin Pie",
+          markupPercentage: undefined,
+          pricingMode: "margin",
+          targetMarginPercentage: 60,
+        });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.markupPercentage).toBe(150);
+      expect(res.body.data.sellingPrice).toBe(16.38);
+      expect(res.body.data.pricing.marginPercentage).toBe(60);
+    });
+
+    it("should back-calculate the markup from a fixed target price", async () => {
+      // R24.90 incl. 15% VAT = 21.65 excl. VAT over a 6.55 cost
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...recipeData,
+          pieName: "Fixed Price Pie",
+          pricingMode: "target_price",
+          targetPrice: 24.9,
+        });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.pricing.publishedPrice).toBe(24.9);
+      expect(res.body.data.sellingPrice).toBe(21.65);
+      expect(res.body.data.markupPercentage).toBe(230.53);
+      expect(res.body.data.pricing.marginPercentage).toBe(69.7);
+    });
+
+    it("should keep the target price when costs change", async () => {
+      const createRes = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...recipeData,
+          pieName: "Fixed Price Pie",
+          pricingMode: "target_price",
+          targetPrice: 24.9,
+        });
+
+      await request(app)
+        .put(`/api/v1/ingredients/${testIngredientId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ costPerUnit: 2.0 }); // Cost Per Pie 6.55 -> 6.65
+
+      const recipe = await Recipe.findById(createRes.body.data._id);
+      expect(recipe.pricing.publishedPrice).toBe(24.9);
+      expect(recipe.sellingPrice).toBe(21.65);
+      expect(recipe.markupPercentage).toBe(225.56);
+    });
+
+    it("should flag recipes below the minimum margin", async () => {
+      await Settings.create({ minimumMarginPercentage: 50 });
+
+      // Baseline recipe: 10% markup = 9.2% margin
+      const res = await request(app)
+        .put(`/api/v1/recipes/${testRecipeId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ notes: "Recheck pricing" });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.pricing.marginPercentage).toBe(9.2);
+      expect(res.body.data.pricing.belowMinimumMargin).toBe(true);
+    });
+
+    it("should require a target margin in margin mode", async () => {
+      const res = await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...recipeData, pieName: "Margin Pie", pricingMode: "margin" });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain(
+        "targetMarginPercentage: Target margin must be between 0 and 99%"
+      );
+    });
+  });
+
+  // --- Revision Tests (version history, diff and restore) ---
+  describe("Revisions", () => {
+    const updateMarkup = (markupPercentage) =>
+      request(app)
+        .put(`/api/v1/recipes/${testRecipeId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ markupPercentage });
+
+    it("should record a revision on create and on every update", async () => {
+      await updateMarkup(30);
+
+      const res = await request(app)
+        .get(`/api/v1/recipes/${testRecipeId}/revisions`)
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.count).toEqual(2);
+      expect(res.body.data[0].revisionNumber).toEqual(2); // Newest first
+      expect(res.body.data[0].action).toBe("update");
+      expect(res.body.data[0].createdBy.username).toBe(adminUser.username);
+      expect(res.body.data[0].sellingPrice).toBe(8.52);
+      expect(res.body.data[1].action).toBe("create");
+      expect(res.body.data[1].sellingPrice).toBe(7.21);
+    });
+
+    it("should diff two revisions", async () => {
+      await updateMarkup(30);
+
+      const res = await request(app)
+        .get(`/api/v1/recipes/${testRecipeId}/revisions/diff?from=1&to=2`)
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.fieldChanges).toEqual([
+        { field: "markupPercentage", from: 10, to: 30 },
+      ]);
+      expect(res.body.data.itemChanges).toEqual([]);
+      expect(res.body.data.costChanges).toContainEqual({
+        figure: "sellingPrice",
+        from: 7.21,
+        to: 8.52,
+        change: 1.31,
+      });
+    });
+
+    it("should list changed ingredient lines by name", async () => {
+      await request(app)
+        .put(`/api/v1/recipes/${testRecipeId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ingredients: [
+            { ingredient: testIngredientId, quantity: 3, unit: "kg" },
+          ],
+        });
+
+      const res = await request(app)
+        .get(`/api/v1/recipes/${testRecipeId}/revisions/diff?from=1&to=2`)
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.itemChanges).toEqual([
+        {
+          list: "ingredients",
+          change: "changed",
+          name: ingredientData.ingredientName,
+          from: { quantity: 2, unit: "kg" },
+          to: { quantity: 3, unit: "kg" },
+        },
+      ]);
+    });
+
+    it("should restore an earlier revision as a new revision", async () => {
+      await updateMarkup(30);
+
+      const res = await request(app)
+        .post(`/api/v1/recipes/${testRecipeId}/revisions/1/restore`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.revision).toEqual(3);
+      expect(res.body.data.markupPercentage).toBe(10);
+      expect(res.body.data.sellingPrice).toBe(7.21);
+
+      const revision = await request(app)
+        .get(`/api/v1/recipes/${testRecipeId}/revisions/3`)
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(revision.body.data.action).toBe("restore");
+      expect(revision.body.data.restoredFrom).toEqual(1);
+      expect(revision.body.data.fields.markupPercentage).toBe(10);
+    });
+
+    it("should prevent regular user from restoring a revision", async () => {
+      const res = await request(app)
+        .post(`/api/v1/recipes/${testRecipeId}/revisions/1/restore`)
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(res.statusCode).toEqual(403);
+    });
+
+    it("should return 404 when diffing a missing revision", async () => {
+      const res = await request(app)
+        .get(`/api/v1/recipes/${testRecipeId}/revisions/diff?from=1&to=5`)
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(res.statusCode).toEqual(404);
+      expect(res.body.message).toContain("Revision 5 not found");
+    });
+  });
+
+  // --- Delete Recipe Tests (DELETE /:id) ---
+  describe("DELETE /:id", () => {
+    it("should archive a recipe by default and hide it from the list", async () => {
+      expect(testRecipeId).toBeDefined();
+      expect(testRecipeId).not.toBeNull();
+
+      const res = await request(app)
+        .delete(`/api/v1/recipes/${testRecipeId}`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.isArchived).toBe(true);
+
+      // Still in the DB with its costs and history
+      const archivedRecipe = await Recipe.findById(testRecipeId);
+      expect(archivedRecipe.isArchived).toBe(true);
+      expect(archivedRecipe.sellingPrice).toBe(7.21);
+      expect(await RecipeRevision.countDocuments({ recipe: testRecipeId })).toBe(1);
+
+      const listRes = await request(app)
+        .get("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(listRes.body.count).toBe(0);
+
+      const allRes = await request(app)
+        .get("/api/v1/recipes?includeArchived=true")
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(allRes.body.count).toBe(1);
+    });
+
+    it("should leave archived recipes out when every recipe is recalculated", async () => {
+      await request(app)
+        .delete(`/api/v1/recipes/${testRecipeId}`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      const impact = await recalculateDependentRecipes(
+        { allRecipes: true },
+        { trigger: "settings_update" }
+      );
+
+      expect(impact.recalculatedCount).toBe(0);
+    });
+
+    it("should restore an archived recipe", async () => {
+      await request(app)
+        .delete(`/api/v1/recipes/${testRecipeId}`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      const res = await request(app)
+        .post(`/api/v1/recipes/${testRecipeId}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.isArchived).toBe(false);
+
+      const listRes = await request(app)
+        .get("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(listRes.body.count).toBe(1);
+    });
+
+    it("should allow admin to permanently delete a recipe", async () => {
+      const res = await request(app)
+        .delete(`/api/v1/recipes/${testRecipeId}?permanent=true`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(200); // or 204 if implemented
+      expect(res.body.success).toBe(true);
+
+      // Verify deletion in DB
+      const deletedRecipe = await Recipe.findById(testRecipeId);
+      expect(deletedRecipe).toBeNull();
+    });
+
+    it("should remove the cost history with a permanently deleted recipe", async () => {
+      // Move the recipe's cost so it has a cost change on record
+      await request(app)
+        .put(`/api/v1/ingredients/${testIngredientId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ costPerUnit: 2 });
+      expect(
+        await RecipeCostChange.countDocuments({ recipe: testRecipeId })
+      ).toBe(1);
+
+      const res = await request(app)
+        .delete(`/api/v1/recipes/${testRecipeId}?permanent=true`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(
+        await RecipeCostChange.countDocuments({ recipe: testRecipeId })
+      ).toBe(0);
+    });
+
+    it("should not permanently delete a recipe with production runs", async () => {
+      await ProductionRun.create({
+        recipe: testRecipeId,
+        pieName: "Test Recipe Pie",
+        batches: 1,
+        expectedPies: 10,
+      });
+
+      const res = await request(app)
+        .delete(`/api/v1/recipes/${testRecipeId}?permanent=true`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.message).toContain("1 production run(s)");
+      expect(await Recipe.findById(testRecipeId)).not.toBeNull();
+
+      // Archiving still works
+      const archiveRes = await request(app)
+        .delete(`/api/v1/recipes/${testRecipeId}`)
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(archiveRes.body.data.isArchived).toBe(true);
+    });
+
+    it("should not permanently delete an ingredient used by an active recipe", async () => {
+      const res = await request(app)
+        .delete(`/api/v1/ingredients/${testIngredientId}?permanent=true`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.message).toContain("Test Recipe Pie (Standard)");
+      expect(await Ingredient.findById(testIngredientId)).not.toBeNull();
+
+      const bulkRes = await request(app)
+        .delete("/api/v1/ingredients/bulk-delete")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ids: [testIngredientId], permanent: true });
+      expect(bulkRes.statusCode).toEqual(409);
+      expect(bulkRes.body.message).toContain(
+        "Test Flour (Test Recipe Pie (Standard))"
+      );
+    });
+
+    it("should permanently delete an ingredient once its recipes are archived", async () => {
+      await request(app)
+        .delete(`/api/v1/recipes/${testRecipeId}`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      const res = await request(app)
+        .delete(`/api/v1/ingredients/${testIngredientId}?permanent=true`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(await Ingredient.findById(testIngredientId)).toBeNull();
     });
 
     it("should prevent regular user from deleting a recipe", async () => {
@@ -0,0 +1,49 @@
+const {
+  normaliseSupplierName,
+  groupSupplierNames,
+} = require("../services/supplierService");
+
+// --- Test Suite for merging free-text supplier names ---
+describe("Supplier name grouping", () => {
+  it("should normalise case and spacing", () => {
+    expect(normaliseSupplierName("  MAKRO   Centurion ")).toBe(
+      "makro centurion"
+    );
+  });
+
+  it("should merge spellings and branches of one supplier", () => {
+    const groups = groupSupplierNames([
+      "Makro",
+      "makro ",
+      "MAKRO Centurion",
+      "Makro",
+      "Fresh Meats",
+    ]);
+
+    expect(groups).toEqual([
+      { name: "Makro", variants: ["Makro", "makro", "MAKRO Centurion"] },
+      { name: "Fresh Meats", variants: ["Fresh Meats"] },
+    ]);
+  });
+
+  it("should not merge names that only share a prefix", () => {
+    const groups = groupSupplierNames(["Makro", "Makropak"]);
+
+    expect(groups.map((group) => group.name)).toEqual(["Makro", "Makropak"]);
+  });
+
+  it("should apply extra aliases", () => {
+    const groups = groupSupplierNames(["Makro", "Mkro", "Spar"], {
+      MKRO: "makro",
+    });
+
+    expect(groups).toEqual([
+      { name: "Makro", variants: ["Makro", "Mkro"] },
+      { name: "Spar", variants: ["Spar"] },
+    ]);
+  });
+
+  it("should skip blank names", () => {
+    expect(groupSupplierNames(["", "  ", undefined])).toEqual([]);
+  });
+});
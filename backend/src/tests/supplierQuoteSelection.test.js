@@ -0,0 +1,62 @@
+const {
+  isQuoteValid,
+  selectQuote,
+} = require("../services/supplierQuoteService");
+
+// --- Test Suite for choosing the quote that sets an ingredient's cost ---
+describe("Supplier quote selection", () => {
+  const asOf = new Date("2024-03-15T14:30:00Z"); // 15 March 2024, mid-afternoon
+
+  it("should treat a quote as valid through its valid-until day", () => {
+    expect(isQuoteValid({ validUntil: new Date("2024-03-15") }, asOf)).toBe(
+      true
+    );
+    expect(isQuoteValid({ validUntil: new Date("2024-03-14") }, asOf)).toBe(
+      false
+    );
+    expect(isQuoteValid({}, asOf)).toBe(true);
+  });
+
+  it("should end a quote at the close of its valid-until day in UTC", () => {
+    // Valid-until days are stored as midnight UTC, whatever the server's time zone
+    const quote = { validUntil: new Date("2024-03-15") };
+
+    expect(isQuoteValid(quote, new Date("2024-03-15T00:00:00Z"))).toBe(true);
+    expect(isQuoteValid(quote, new Date("2024-03-15T23:59:59Z"))).toBe(true);
+    expect(isQuoteValid(quote, new Date("2024-03-16T00:00:00Z"))).toBe(false);
+  });
+
+  it("should prefer the preferred quote over a cheaper one", () => {
+    const quotes = [
+      { name: "cheap", costPerUnit: 80 },
+      { name: "preferred", costPerUnit: 95, isPreferred: true },
+    ];
+
+    expect(selectQuote(quotes, asOf).name).toBe("preferred");
+  });
+
+  it("should fall back to the cheapest valid quote once the preferred one expires", () => {
+    const quotes = [
+      {
+        name: "preferred",
+        costPerUnit: 70,
+        isPreferred: true,
+        validUntil: new Date("2024-03-01"),
+      },
+      { name: "expired", costPerUnit: 60, validUntil: new Date("2024-02-01") },
+      { name: "dearer", costPerUnit: 95 },
+      { name: "cheapest", costPerUnit: 85 },
+    ];
+
+    expect(selectQuote(quotes, asOf).name).toBe("cheapest");
+  });
+
+  it("should return null when no quote is valid", () => {
+    expect(
+      selectQuote(
+        [{ costPerUnit: 60, validUntil: new Date("2024-02-01") }],
+        asOf
+      )
+    ).toBeNull();
+  });
+});
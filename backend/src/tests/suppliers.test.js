@@ -0,0 +1,530 @@
+const request = require("supertest");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const User = require("../models/User");
+const Ingredient = require("../models/Ingredient");
+const Supplier = require("../models/Supplier");
+const SupplierQuote = require("../models/SupplierQuote");
+const IngredientPrice = require("../models/IngredientPrice");
+const Recipe = require("../models/Recipe");
+const Labor = require("../models/Labor");
+const authRoutes = require("../routes/authRoutes");
+const ingredientRoutes = require("../routes/ingredientRoutes");
+const recipeRoutes = require("../routes/recipeRoutes");
+const supplierRoutes = require("../routes/supplierRoutes");
+const { migrateSupplierStrings } = require("../services/supplierService");
+const { errorHandler } = require("../middleware/errorHandler");
+
+// Setup Express app for testing
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use("/api/v1/auth", authRoutes);
+app.use("/api/v1/ingredients", ingredientRoutes);
+app.use("/api/v1/recipes", recipeRoutes);
+app.use("/api/v1/suppliers", supplierRoutes);
+app.use(errorHandler);
+
+// --- Test Suite for Supplier Routes ---
+describe("Supplier API (/api/v1/suppliers)", () => {
+  let adminToken;
+  let userToken;
+  let supplierId;
+
+  const adminUser = {
+    username: "supplieradmin",
+    email: "supplieradmin@example.com",
+    password: "password123",
+    role: "admin",
+  };
+  const regularUser = {
+    username: "supplieruser",
+    email: "supplieruser@example.com",
+    password: "password123",
+    role: "user",
+  };
+
+  const supplierData = {
+    name: "Makro",
+    contactName: "Sipho Dlamini",
+    email: "orders@makro.example.com",
+    phone: "012 345 6789",
+    leadTimeDays: 2,
+    minimumOrderValue: 500,
+    paymentTerms: "30 days from statement",
+  };
+
+  const createIngredient = (data) =>
+    request(app)
+      .post("/api/v1/ingredients")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ unit: "kg", costPerUnit: 1.5, ...data });
+
+  beforeEach(async () => {
+    // Clean up DB
+    await User.deleteMany({});
+    await Ingredient.deleteMany({});
+    await Supplier.deleteMany({});
+    await SupplierQuote.deleteMany({});
+    await IngredientPrice.deleteMany({});
+    await Recipe.deleteMany({});
+
+    // Register & Login Admin
+    await request(app).post("/api/v1/auth/register").send(adminUser);
+    const adminLoginRes = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: adminUser.email, password: adminUser.password });
+    adminToken = adminLoginRes.body.token;
+
+    // Register & Login User
+    await request(app).post("/api/v1/auth/register").send(regularUser);
+    const userLoginRes = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: regularUser.email, password: regularUser.password });
+    userToken = userLoginRes.body.token;
+
+    const supplierRes = await request(app)
+      .post("/api/v1/suppliers")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(supplierData);
+    supplierId = supplierRes.body.data._id;
+  });
+
+  describe("CRUD", () => {
+    it("should create a supplier with contact and ordering details", async () => {
+      const supplier = await Supplier.findById(supplierId);
+
+      expect(supplier.name).toBe("Makro");
+      expect(supplier.leadTimeDays).toBe(2);
+      expect(supplier.minimumOrderValue).toBe(500);
+      expect(supplier.paymentTerms).toBe("30 days from statement");
+    });
+
+    it("should reject a name already used, ignoring case and spacing", async () => {
+      const res = await request(app)
+        .post("/api/v1/suppliers")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "  MAKRO " });
+
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.message).toContain('Supplier "Makro" already exists');
+    });
+
+    it("should reject a negative lead time", async () => {
+      const res = await request(app)
+        .put(`/api/v1/suppliers/${supplierId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ leadTimeDays: -1 });
+
+      expect(res.statusCode).toEqual(400);
+    });
+
+    it("should update a supplier", async () => {
+      const res = await request(app)
+        .put(`/api/v1/suppliers/${supplierId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ paymentTerms: "COD", leadTimeDays: 1 });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.paymentTerms).toBe("COD");
+      expect(res.body.data.leadTimeDays).toBe(1);
+    });
+
+    it("should prevent regular user from creating a supplier", async () => {
+      const res = await request(app)
+        .post("/api/v1/suppliers")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ name: "Spar" });
+
+      expect(res.statusCode).toEqual(403);
+    });
+
+    it("should list suppliers with their ingredient counts", async () => {
+      await createIngredient({ ingredientName: "Flour", supplier: supplierId });
+
+      const res = await request(app)
+        .get("/api/v1/suppliers")
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.count).toEqual(1);
+      expect(res.body.data[0].ingredientCount).toEqual(1);
+    });
+
+    it("should not delete a supplier that ingredients reference", async () => {
+      await createIngredient({ ingredientName: "Flour", supplier: supplierId });
+
+      const res = await request(app)
+        .delete(`/api/v1/suppliers/${supplierId}`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.message).toBe(
+        'Cannot delete supplier "Makro": it supplies Flour'
+      );
+    });
+
+    it("should delete an unused supplier", async () => {
+      const res = await request(app)
+        .delete(`/api/v1/suppliers/${supplierId}`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(await Supplier.findById(supplierId)).toBeNull();
+    });
+  });
+
+  describe("Ingredients", () => {
+    it("should link an ingredient to a supplier and return its name", async () => {
+      const res = await createIngredient({
+        ingredientName: "Flour",
+        supplier: supplierId,
+      });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.supplier.name).toBe("Makro");
+    });
+
+    it("should reject an unknown supplier", async () => {
+      await Supplier.findByIdAndDelete(supplierId);
+
+      const res = await createIngredient({
+        ingredientName: "Flour",
+        supplier: supplierId,
+      });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toBe(
+        `Supplier not found with id of ${supplierId}`
+      );
+    });
+
+    it("should filter the ingredient list by supplier", async () => {
+      await createIngredient({ ingredientName: "Flour", supplier: supplierId });
+      await createIngredient({ ingredientName: "Salt" });
+
+      const bySupplier = await request(app)
+        .get(`/api/v1/ingredients?supplier=${supplierId}`)
+        .set("Authorization", `Bearer ${userToken}`);
+      const unassigned = await request(app)
+        .get("/api/v1/ingredients?supplier=none")
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(bySupplier.body.data.map((i) => i.ingredientName)).toEqual([
+        "Flour",
+      ]);
+      expect(unassigned.body.data.map((i) => i.ingredientName)).toEqual([
+        "Salt",
+      ]);
+    });
+
+    it("should clear an ingredient's supplier when sent null", async () => {
+      const createRes = await createIngredient({
+        ingredientName: "Flour",
+        supplier: supplierId,
+      });
+
+      const res = await request(app)
+        .put(`/api/v1/ingredients/${createRes.body.data._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ supplier: null });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.supplier).toBeNull();
+    });
+
+    it("should link imported ingredients by supplier name, creating new suppliers", async () => {
+      const res = await request(app)
+        .post("/api/v1/ingredients/import")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send([
+          {
+            "Ingredient Name": "Flour",
+            Unit: "kg",
+            "Cost per Unit (R)": "1.50",
+            Supplier: "makro",
+          },
+          {
+            "Ingredient Name": "Beef",
+            Unit: "kg",
+            "Cost per Unit (R)": "95",
+            Supplier: "Fresh Meats",
+          },
+        ]);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.suppliersCreated).toEqual(1);
+
+      const flour = await Ingredient.findOne({ ingredientName: "Flour" });
+      const freshMeats = await Supplier.findOne({ name: "Fresh Meats" });
+      expect(flour.supplier.toString()).toBe(supplierId);
+      expect(freshMeats).not.toBeNull();
+    });
+  });
+
+  describe("Migrating free-text supplier names", () => {
+    it("should merge spellings into one supplier and link the ingredients", async () => {
+      await Ingredient.collection.insertMany([
+        { ingredientName: "Flour", unit: "kg", supplier: "MAKRO Centurion" },
+        { ingredientName: "Salt", unit: "kg", supplier: "makro " },
+        { ingredientName: "Beef", unit: "kg", supplier: "Fresh Meats" },
+        { ingredientName: "Water", unit: "l", supplier: " " },
+      ]);
+
+      const result = await migrateSupplierStrings();
+
+      expect(result.suppliersMatched).toEqual(1); // Existing "Makro"
+      expect(result.suppliersCreated).toEqual(1); // "Fresh Meats"
+      expect(result.ingredientsLinked).toEqual(3);
+      expect(result.ingredientsCleared).toEqual(1);
+
+      const makro = await Supplier.findById(supplierId);
+      expect(makro.aliases).toEqual(["MAKRO Centurion"]);
+      const flour = await Ingredient.findOne({ ingredientName: "Flour" });
+      expect(flour.supplier.toString()).toBe(supplierId);
+      const water = await Ingredient.findOne({ ingredientName: "Water" });
+      expect(water.supplier).toBeUndefined();
+    });
+
+    it("should change nothing on a dry run", async () => {
+      await Ingredient.collection.insertOne({
+        ingredientName: "Beef",
+        unit: "kg",
+        supplier: "Fresh Meats",
+      });
+
+      const result = await migrateSupplierStrings({ dryRun: true });
+
+      expect(result.suppliersCreated).toEqual(1);
+      expect(await Supplier.countDocuments()).toEqual(1);
+      const beef = await Ingredient.collection.findOne({
+        ingredientName: "Beef",
+      });
+      expect(beef.supplier).toBe("Fresh Meats");
+    });
+  });
+
+  // --- Supplier quotes (several prices per ingredient) ---
+  describe("Quotes", () => {
+    let cheeseId;
+    let freshDairyId;
+
+    const addQuote = (data) =>
+      request(app)
+        .post(`/api/v1/ingredients/${cheeseId}/quotes`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(data);
+
+    beforeEach(async () => {
+      cheeseId = (
+        await createIngredient({ ingredientName: "Cheddar", costPerUnit: 100 })
+      ).body.data._id;
+      freshDairyId = (
+        await request(app)
+          .post("/api/v1/suppliers")
+          .set("Authorization", `Bearer ${adminToken}`)
+          .send({ name: "Fresh Dairy" })
+      ).body.data._id;
+
+      const laborId = (await Labor.create({ name: "Pie line", hourlyRate: 25 }))
+        ._id;
+
+      // 2 kg cheese at R100 (200.00) + 1 worker * 2 hrs * 25 (50.00) = 250.00 / 10 pies = 25.00
+      await request(app)
+        .post("/api/v1/recipes")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          pieName: "Cheese Pie",
+          batchSize: 10,
+          ingredients: [{ ingredient: cheeseId, quantity: 2, unit: "kg" }],
+          laborInputs: [
+            { laborStandard: laborId, workers: 1, hoursPerWorker: 2 },
+          ],
+          markupPercentage: 100,
+        });
+    });
+
+    it("should cost the ingredient from the cheapest valid quote", async () => {
+      const first = await addQuote({
+        supplier: supplierId,
+        packSize: 2.5,
+        packUnit: "kg",
+        packPrice: 225, // 90.00 per kg
+      });
+      expect(first.statusCode).toEqual(201);
+      expect(first.body.data.costPerUnit).toBe(90);
+      expect(first.body.ingredient.costPerUnit).toBe(90);
+      expect(first.body.recipeImpact.changed[0].current.costPerPie).toBe(23); // 2 kg * R90 + 50.00 = 230.00 / 10
+
+      const second = await addQuote({
+        supplier: freshDairyId,
+        packSize: 500,
+        packUnit: "g",
+        packPrice: 42.5, // 85.00 per kg
+      });
+      expect(second.body.ingredient.costPerUnit).toBe(85);
+      expect(second.body.ingredient.supplier).toBe(freshDairyId);
+
+      const prices = await IngredientPrice.find({
+        ingredient: cheeseId,
+        source: "quote",
+      });
+      expect(prices.map((price) => price.costPerUnit)).toEqual([90, 85]);
+    });
+
+    it("should use the preferred quote until it expires", async () => {
+      const preferred = await addQuote({
+        supplier: supplierId,
+        packSize: 1,
+        packPrice: 90,
+        isPreferred: true,
+      });
+      const cheaper = await addQuote({
+        supplier: freshDairyId,
+        packSize: 1,
+        packPrice: 85,
+      });
+      expect(cheaper.body.ingredient.costPerUnit).toBe(90);
+
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      const res = await request(app)
+        .put(
+          `/api/v1/ingredients/${cheeseId}/quotes/${preferred.body.data._id}`
+        )
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ validUntil: yesterday.toISOString() });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.ingredient.costPerUnit).toBe(85);
+
+      const list = await request(app)
+        .get(`/api/v1/ingredients/${cheeseId}/quotes`)
+        .set("Authorization", `Bearer ${userToken}`);
+      const selected = list.body.data.find((quote) => quote.isSelected);
+      expect(selected.supplier.name).toBe("Fresh Dairy");
+      expect(list.body.data.find((quote) => !quote.isValid)._id).toBe(
+        preferred.body.data._id
+      );
+    });
+
+    it("should move to the next quote when the costing quote is deleted", async () => {
+      await addQuote({ supplier: supplierId, packSize: 1, packPrice: 90 });
+      const cheapest = await addQuote({
+        supplier: freshDairyId,
+        packSize: 1,
+        packPrice: 85,
+      });
+
+      const res = await request(app)
+        .delete(
+          `/api/v1/ingredients/${cheeseId}/quotes/${cheapest.body.data._id}`
+        )
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.ingredient.costPerUnit).toBe(90);
+    });
+
+    it("should re-select the quote when an import changes the conversions", async () => {
+      // Blocks of 0.4 kg: 10 blocks at R400 is 100.00 per kg, dearer than 90.00
+      await request(app)
+        .put(`/api/v1/ingredients/${cheeseId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ eachWeight: 0.4 });
+      await addQuote({
+        supplier: supplierId,
+        packSize: 1,
+        packUnit: "kg",
+        packPrice: 90,
+      });
+      await addQuote({
+        supplier: freshDairyId,
+        packSize: 10,
+        packUnit: "each",
+        packPrice: 400,
+      });
+
+      // Same pack and price, but the blocks now weigh 0.5 kg: 80.00 per kg
+      const res = await request(app)
+        .post("/api/v1/ingredients/import")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send([
+          {
+            "Ingredient Name": "Cheddar",
+            Unit: "kg",
+            "Pack Size": "1",
+            "Pack Unit": "kg",
+            "Pack Price (R)": "90",
+            "Weight per Unit (kg)": "0.5",
+          },
+        ]);
+
+      expect(res.statusCode).toEqual(200);
+      const cheese = await Ingredient.findById(cheeseId);
+      expect(cheese.costPerUnit).toBe(80);
+      expect(cheese.supplier.toString()).toBe(freshDairyId);
+      expect(res.body.recipeImpact.changed[0].current.costPerPie).toBe(21); // 2 kg * R80 + 50.00 = 210.00 / 10
+    });
+
+    it("should reject a pack unit that does not convert to the ingredient's unit", async () => {
+      const res = await addQuote({
+        supplier: supplierId,
+        packSize: 1,
+        packUnit: "L",
+        packPrice: 90,
+      });
+
+      expect(res.statusCode).toEqual(400);
+      expect(await SupplierQuote.countDocuments()).toEqual(0);
+    });
+
+    it("should estimate the recipe change of switching supplier without saving", async () => {
+      await addQuote({
+        supplier: supplierId,
+        packSize: 1,
+        packPrice: 100,
+        isPreferred: true,
+      });
+      const alternative = await addQuote({
+        supplier: freshDairyId,
+        packSize: 1,
+        packPrice: 80,
+      });
+
+      const res = await request(app)
+        .get(
+          `/api/v1/ingredients/${cheeseId}/quotes/${alternative.body.data._id}/impact`
+        )
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.currentCostPerUnit).toBe(100);
+      expect(res.body.data.newCostPerUnit).toBe(80);
+      const [pie] = res.body.data.recipes;
+      expect(pie.pieName).toBe("Cheese Pie");
+      expect(pie.currentCostPerPie).toBe(25);
+      expect(pie.newCostPerPie).toBe(21); // 2 kg * R80 + 50.00 = 210.00 / 10
+      expect(pie.costPerPieChange).toBe(-4);
+      expect(pie.newMarginPercentage).toBeGreaterThan(
+        pie.currentMarginPercentage
+      );
+
+      const cheese = await Ingredient.findById(cheeseId);
+      expect(cheese.costPerUnit).toBe(100);
+    });
+
+    it("should not delete a supplier that has quotes", async () => {
+      await addQuote({ supplier: freshDairyId, packSize: 1, packPrice: 85 });
+      await request(app)
+        .put(`/api/v1/ingredients/${cheeseId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ supplier: null });
+
+      const res = await request(app)
+        .delete(`/api/v1/suppliers/${freshDairyId}`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(409);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const {
+  normalizeUnit,
+  getUnitDimension,
+  convertQuantity,
+  derivePackCostPerUnit,
+  toSensibleUnit,
+  canConvert,
+} = require("../services/unitConversionService");
+
+// --- Test Suite for the unit conversion engine ---
+describe("Unit conversion service", () => {
+  describe("normalizeUnit", () => {
+    it("should resolve aliases case-insensitively", () => {
+      expect(normalizeUnit("Grams")).toBe("g");
+      expect(normalizeUnit(" KG ")).toBe("kg");
+      expect(normalizeUnit("l")).toBe("L");
+      expect(normalizeUnit("teaspoon")).toBe("tsp");
+      expect(normalizeUnit("each")).toBe("unit");
+    });
+
+    it("should return null for unknown units", () => {
+      expect(normalizeUnit("bucket")).toBeNull();
+      expect(normalizeUnit(undefined)).toBeNull();
+      expect(getUnitDimension("bucket")).toBeNull();
+    });
+  });
+
+  describe("convertQuantity", () => {
+    it("should convert within the same dimension", () => {
+      expect(convertQuantity(500, "g", "kg")).toBeCloseTo(0.5, 6);
+      expect(convertQuantity(2, "tsp", "ml")).toBeCloseTo(10, 6);
+      expect(convertQuantity(2, "dozen", "unit")).toBe(24);
+    });
+
+    it("should convert volume to mass using density", () => {
+      const oil = { ingredientName: "Oil", density: 0.92 };
+      // 500 ml = 0.5 L * 0.92 kg/L = 0.46 kg
+      expect(convertQuantity(500, "ml", "kg", oil)).toBeCloseTo(0.46, 6);
+      expect(convertQuantity(0.92, "kg", "L", oil)).toBeCloseTo(1, 6);
+    });
+
+    it("should convert counts using the weight per unit", () => {
+      const eggs = { ingredientName: "Eggs", eachWeight: 0.05 };
+      expect(convertQuantity(6, "unit", "kg", eggs)).toBeCloseTo(0.3, 6);
+      expect(convertQuantity(1, "kg", "unit", eggs)).toBeCloseTo(20, 6);
+    });
+
+    it("should reject cross-dimension conversions without conversion data", () => {
+      const flour = { ingredientName: "Flour" };
+      expect(() => convertQuantity(1, "cup", "kg", flour)).toThrow(
+        /density \(kg per L\) is required for "Flour"/
+      );
+      expect(canConvert("unit", "kg", flour)).toBe(false);
+      expect(canConvert("g", "kg", flour)).toBe(true);
+    });
+
+    it("should reject unknown units with a 400 error", () => {
+      try {
+        convertQuantity(1, "bucket", "kg");
+        throw new Error("Expected conversion to fail");
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+        expect(error.message).toContain("Unknown unit 'bucket'");
+      }
+    });
+  });
+
+  describe("derivePackCostPerUnit", () => {
+    const flour = { ingredientName: "Flour", unit: "kg" };
+
+    it("should divide the pack price by the pack size", () => {
+      expect(
+        derivePackCostPerUnit({ packSize: 12.5, packPrice: 189 }, flour)
+      ).toBe(15.12);
+    });
+
+    it("should convert the pack size to the ingredient's unit", () => {
+      expect(
+        derivePackCostPerUnit(
+          { packSize: 500, packUnit: "g", packPrice: 27.5 },
+          flour
+        )
+      ).toBe(55);
+    });
+
+    it("should refuse a pack unit that does not convert to the ingredient's unit", () => {
+      expect(() =>
+        derivePackCostPerUnit(
+          { packSize: 1, packUnit: "L", packPrice: 10 },
+          flour
+        )
+      ).toThrow("Cannot convert");
+    });
+  });
+
+  describe("toSensibleUnit", () => {
+    it("should move to a smaller or larger unit of the same family", () => {
+      expect(toSensibleUnit(0.25, "kg")).toEqual({ quantity: 250, unit: "g" });
+      expect(toSensibleUnit(1000, "g")).toEqual({ quantity: 1, unit: "kg" });
+      expect(toSensibleUnit(1500, "ml")).toEqual({ quantity: 1.5, unit: "L" });
+      expect(toSensibleUnit(20, "oz")).toEqual({ quantity: 1.25, unit: "lb" });
+    });
+
+    it("should step up kitchen measures, going to litres past 4 cups", () => {
+      expect(toSensibleUnit(6, "tsp")).toEqual({ quantity: 2, unit: "tbsp" });
+      expect(toSensibleUnit(2, "tsp")).toEqual({ quantity: 2, unit: "tsp" });
+      expect(toSensibleUnit(6, "cup")).toEqual({ quantity: 1.5, unit: "L" });
+    });
+
+    it("should keep counts and zero in their unit", () => {
+      expect(toSensibleUnit(2.5, "dozen")).toEqual({
+        quantity: 2.5,
+        unit: "dozen",
+      });
+      expect(toSensibleUnit(0, "kg")).toEqual({ quantity: 0, unit: "kg" });
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const request = require("supertest");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const User = require("../models/User");
+const Recipe = require("../models/Recipe");
+const Ingredient = require("../models/Ingredient");
+const Labor = require("../models/Labor");
+const WorkerRole = require("../models/WorkerRole");
+const RecipeCostChange = require("../models/RecipeCostChange");
+const authRoutes = require("../routes/authRoutes");
+const recipeRoutes = require("../routes/recipeRoutes");
+const ingredientRoutes = require("../routes/ingredientRoutes"); // Needed for setup
+const laborRoutes = require("../routes/laborRoutes"); // Needed for setup
+const workerRoleRoutes = require("../routes/workerRoleRoutes");
+const { errorHandler } = require("../middleware/errorHandler");
+
+// Setup Express app for testing
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use("/api/v1/auth", authRoutes);
+app.use("/api/v1/recipes", recipeRoutes);
+app.use("/api/v1/ingredients", ingredientRoutes);
+app.use("/api/v1/labor", laborRoutes);
+app.use("/api/v1/worker-roles", workerRoleRoutes);
+app.use(errorHandler);
+
+// --- Test Suite for Worker Role Routes ---
+describe("Worker Roles API (/api/v1/worker-roles)", () => {
+  let adminToken;
+  let userToken;
+  let testIngredientId;
+  let fillingId;
+  let rollingId;
+  let bakerId;
+  let packerId;
+
+  const adminUser = {
+    username: "roleadmin",
+    email: "roleadmin@example.com",
+    password: "password123",
+    role: "admin",
+  };
+  const regularUser = {
+    username: "roleuser",
+    email: "roleuser@example.com",
+    password: "password123",
+    role: "user",
+  };
+
+  const post = (path, data) =>
+    request(app)
+      .post(path)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(data);
+
+  // 2 kg flour (3.00); filling by a baker 1 worker * 2 hrs * 51 (102.00);
+  // rolling 3 minutes * 10 pies = 0.5 hrs * 40 at the standard's rate (20.00);
+  // filling by a packer 3 minutes * 10 pies = 0.5 hrs * 30 (15.00) -> 140.00 per batch
+  const createRecipe = (overrides = {}) =>
+    post("/api/v1/recipes", {
+      pieName: "Role Pie",
+      batchSize: 10,
+      ingredients: [{ ingredient: testIngredientId, quantity: 2, unit: "kg" }],
+      laborInputs: [
+        {
+          laborStandard: fillingId,
+          workerRole: bakerId,
+          workers: 1,
+          hoursPerWorker: 2,
+        },
+        { laborStandard: rollingId, minutesPerPie: 3 },
+        { laborStandard: fillingId, workerRole: packerId, minutesPerPie: 3 },
+      ],
+      markupPercentage: 0,
+      ...overrides,
+    });
+
+  beforeEach(async () => {
+    // Clean up DB
+    await User.deleteMany({});
+    await Recipe.deleteMany({});
+    await Ingredient.deleteMany({});
+    await Labor.deleteMany({});
+    await WorkerRole.deleteMany({});
+
+    // Register & Login Admin
+    await request(app).post("/api/v1/auth/register").send(adminUser);
+    const adminLoginRes = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: adminUser.email, password: adminUser.password });
+    adminToken = adminLoginRes.body.token;
+
+    // Register & Login User
+    await request(app).post("/api/v1/auth/register").send(regularUser);
+    const userLoginRes = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: regularUser.email, password: regularUser.password });
+    userToken = userLoginRes.body.token;
+
+    testIngredientId = (
+      await post("/api/v1/ingredients", {
+        ingredientName: "Test Flour",
+        unit: "kg",
+        costPerUnit: 1.5,
+      })
+    ).body.data._id;
+    fillingId = (
+      await post("/api/v1/labor", { name: "Pie filling line", hourlyRate: 25 })
+    ).body.data._id;
+    rollingId = (
+      await post("/api/v1/labor", { name: "Pastry rolling", hourlyRate: 40 })
+    ).body.data._id;
+    bakerId = (
+      await post("/api/v1/worker-roles", {
+        name: "Baker",
+        hourlyRate: 50,
+        onCostPercentage: 2,
+      })
+    ).body.data._id;
+    packerId = (
+      await post("/api/v1/worker-roles", { name: "Packer", hourlyRate: 30 })
+    ).body.data._id;
+  });
+
+  describe("Worker role CRUD", () => {
+    it("should list worker roles by name with their on-cost", async () => {
+      const res = await request(app)
+        .get("/api/v1/worker-roles")
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.map((role) => role.name)).toEqual([
+        "Baker",
+        "Packer",
+      ]);
+      expect(res.body.data[0].onCostPercentage).toBe(2);
+      expect(res.body.data[1].onCostPercentage).toBe(0);
+    });
+
+    it("should reject a negative on-cost percentage", async () => {
+      const res = await post("/api/v1/worker-roles", {
+        name: "Helper",
+        hourlyRate: 28,
+        onCostPercentage: -1,
+      });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain(
+        "onCostPercentage: On-cost percentage must be a non-negative number"
+      );
+    });
+
+    it("should prevent regular user from creating a worker role", async () => {
+      const res = await request(app)
+        .post("/api/v1/worker-roles")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ name: "Helper", hourlyRate: 28 });
+
+      expect(res.statusCode).toEqual(403);
+    });
+  });
+
+  describe("Recipe labor costs by role", () => {
+    it("should cost role inputs at the loaded rate and break labor down by role", async () => {
+      const res = await createRecipe();
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.calculatedCosts.totalLaborCost).toBe(137.0);
+
+      const breakdown = await request(app)
+        .get(`/api/v1/recipes/${res.body.data._id}/breakdown`)
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(breakdown.body.data.laborLines[0]).toEqual(
+        expect.objectContaining({
+          name: "Pie filling line",
+          roleName: "Baker",
+          hourlyRate: 51,
+          cost: 102,
+        })
+      );
+      expect(breakdown.body.data.laborByRole).toEqual([
+        expect.objectContaining({ name: "Baker", hours: 2, cost: 102 }),
+        expect.objectContaining({ name: "No role", hours: 0.5, cost: 20 }),
+        expect.objectContaining({ name: "Packer", hours: 0.5, cost: 15 }),
+      ]);
+    });
+
+    it("should recalculate recipes using a role when its on-cost changes", async () => {
+      const recipe = await createRecipe();
+      const untouched = await createRecipe({
+        pieName: "No Role Pie",
+        laborInputs: [{ laborStandard: rollingId, minutesPerPie: 3 }],
+      });
+
+      // Baker on-cost 2% -> 4%: 2 hrs * 52 = 104.00
+      const res = await request(app)
+        .put(`/api/v1/worker-roles/${bakerId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ onCostPercentage: 4 });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.recipeImpact.recalculatedCount).toEqual(1);
+
+      const updated = await Recipe.findById(recipe.body.data._id);
+      expect(updated.calculatedCosts.totalLaborCost).toBe(139.0);
+      const untouchedRecipe = await Recipe.findById(untouched.body.data._id);
+      expect(untouchedRecipe.calculatedCosts.totalLaborCost).toBe(20.0);
+
+      const change = await RecipeCostChange.findOne({
+        recipe: recipe.body.data._id,
+      });
+      expect(change.trigger).toBe("labor_update");
+      expect(change.workerRoles.map(String)).toEqual([bakerId]);
+      expect(change.costPerPieChange).toBe(0.2);
+    });
+
+    it("should not delete a worker role used by a recipe", async () => {
+      await createRecipe();
+
+      const res = await request(app)
+        .delete(`/api/v1/worker-roles/${packerId}`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.message).toContain("Role Pie");
+      expect(await WorkerRole.findById(packerId)).not.toBeNull();
+    });
+  });
+});
@@ -19,6 +19,15 @@ import RecipeFormPage from './pages/RecipeFormPage';
 import RecipeViewPage from './pages/RecipeViewPage';
 import IngredientManagementPage from './pages/IngredientManagementPage';
 import UserManagementPage from './pages/UserManagementPage';
+import OverheadManagementPage from './pages/OverheadManagementPage';
+import LaborStandardsPage from './pages/LaborStandardsPage';
+import WorkerRolesPage from './pages/WorkerRolesPage';
+import PublicHolidaysPage from './pages/PublicHolidaysPage';
+import SupplierManagementPage from './pages/SupplierManagementPage';
+import InventoryPage from './pages/InventoryPage';
+import ProductionPage from './pages/ProductionPage';
+import PurchaseOrdersPage from './pages/PurchaseOrdersPage';
+import SettingsPage from './pages/SettingsPage';
 import ForgotPasswordPage from './pages/ForgotPasswordPage';
 import ResetPasswordPage from './pages/ResetPasswordPage';
 
@@ -47,6 +56,33 @@ const Layout = ({ children }) => {
             {(isAdmin || isManager) && (
               <Button color="inherit" onClick={() => navigate('/ingredients')} sx={{ mr: 1 }}>Ingredients</Button>
             )}
+            {(isAdmin || isManager) && (
+              <Button color="inherit" onClick={() => navigate('/suppliers')} sx={{ mr: 1 }}>Suppliers</Button>
+            )}
+            {(isAdmin || isManager) && (
+              <Button color="inherit" onClick={() => navigate('/inventory')} sx={{ mr: 1 }}>Inventory</Button>
+            )}
+            {(isAdmin || isManager) && (
+              <Button color="inherit" onClick={() => navigate('/production')} sx={{ mr: 1 }}>Production</Button>
+            )}
+            {(isAdmin || isManager) && (
+              <Button color="inherit" onClick={() => navigate('/purchase-orders')} sx={{ mr: 1 }}>Orders</Button>
+            )}
+            {(isAdmin || isManager) && (
+              <Button color="inherit" onClick={() => navigate('/overheads')} sx={{ mr: 1 }}>Overheads</Button>
+            )}
+            {(isAdmin || isManager) && (
+              <Button color="inherit" onClick={() => navigate('/labor')} sx={{ mr: 1 }}>Labor</Button>
+            )}
+            {(isAdmin || isManager) && (
+              <Button color="inherit" onClick={() => navigate('/worker-roles')} sx={{ mr: 1 }}>Roles</Button>
+            )}
+            {(isAdmin || isManager) && (
+              <Button color="inherit" onClick={() => navigate('/public-holidays')} sx={{ mr: 1 }}>Holidays</Button>
+            )}
+            {(isAdmin || isManager) && (
+              <Button color="inherit" onClick={() => navigate('/settings')} sx={{ mr: 1 }}>Settings</Button>
+            )}
             {isAdmin && (
               <Button color="inherit" onClick={() => navigate('/users')} sx={{ mr: 1 }}>Users</Button>
             )}
@@ -169,6 +205,96 @@ function App() {
             }
           />
 
+          {/* Supplier Management Route (Admin/Manager) */}
+          <Route
+            path="/suppliers"
+            element={
+              <ProtectedRoute roles={['admin', 'manager']}>
+                <SupplierManagementPage />
+              </ProtectedRoute>
+            }
+          />
+
+          {/* Inventory Route (Admin/Manager) */}
+          <Route
+            path="/inventory"
+            element={
+              <ProtectedRoute roles={['admin', 'manager']}>
+                <InventoryPage />
+              </ProtectedRoute>
+            }
+          />
+
+          {/* Production Route (Admin/Manager) */}
+          <Route
+            path="/production"
+            element={
+              <ProtectedRoute roles={['admin', 'manager']}>
+                <ProductionPage />
+              </ProtectedRoute>
+            }
+          />
+
+          {/* Purchase Orders Route (Admin/Manager) */}
+          <Route
+            path="/purchase-orders"
+            element={
+              <ProtectedRoute roles={['admin', 'manager']}>
+                <PurchaseOrdersPage />
+              </ProtectedRoute>
+            }
+          />
+
+          {/* Overhead & Packaging Management Route (Admin/Manager) */}
+          <Route
+            path="/overheads"
+            element={
+              <ProtectedRoute roles={['admin', 'manager']}>
+                <OverheadManagementPage />
+              </ProtectedRoute>
+            }
+          />
+
+          {/* Labor Standards Route (Admin/Manager) */}
+          <Route
+            path="/labor"
+            element={
+              <ProtectedRoute roles={['admin', 'manager']}>
+                <LaborStandardsPage />
+              </ProtectedRoute>
+            }
+          />
+
+          {/* Worker Roles Route (Admin/Manager) */}
+          <Route
+            path="/worker-roles"
+            element={
+              <ProtectedRoute roles={['admin', 'manager']}>
+                <WorkerRolesPage />
+              </ProtectedRoute>
+            }
+          />
+
+          {/* Public Holiday Calendar Route (Admin/Manager) */}
+          <Route
+            path="/public-holidays"
+            element={
+              <ProtectedRoute roles={['admin', 'manager']}>
+                <PublicHolidaysPage />
+              </ProtectedRoute>
+            }
+          />
+
+          {/* Pricing Settings Route (Admin/Manager) */}
+          <Route
+            path="/settings"
+            element={
+              <ProtectedRoute roles={['admin', 'manager']}>
+                <SettingsPage />
+              </ProtectedRoute>
+            }
+          />
+
           {/* User Management Route (Admin only) */}
           <Route
             path="/users"
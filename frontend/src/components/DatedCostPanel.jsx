@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import apiClient from '../services/api';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableRow,
+} from '@mui/material';
+import { describeLaborRates } from '../utils/laborRates';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// What-if costing of a recipe baked on a particular day: labor at the weekend,
+// public holiday and overtime rates for that day (see the labor rate settings)
+const DatedCostPanel = ({ recipeId }) => {
+  const [date, setDate] = useState(today());
+  const [batches, setBatches] = useState('1');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleCost = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiClient.get(`/recipes/${recipeId}/dated-cost`, {
+        params: { date, batches: parseFloat(batches) || 1 },
+      });
+      if (response.data.success) {
+        setResult(response.data.data);
+      }
+    } catch (err) {
+      console.error("Fetch dated cost error:", err);
+      setError(err.response?.data?.message || 'An error occurred while costing the recipe for this date.');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Typography variant="h6" gutterBottom>Cost on a Date</Typography>
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mb: 1 }}>
+        <TextField size="small" label="Baked On" type="date" value={date} onChange={(e) => setDate(e.target.value)} InputLabelProps={{ shrink: true }} />
+        <TextField size="small" label="Batches" type="number" value={batches} onChange={(e) => setBatches(e.target.value)} inputProps={{ min: 0.01, step: "any" }} sx={{ width: 100 }} />
+        <Button variant="outlined" onClick={handleCost} disabled={loading || !date}>
+          {loading ? <CircularProgress size={20} /> : 'Cost'}
+        </Button>
+      </Box>
+      {error && <Alert severity="error">{error}</Alert>}
+      {result && (
+        <Table size="small">
+          <TableBody>
+            <TableRow>
+              <TableCell>Day</TableCell>
+              <TableCell align="right">{describeLaborRates(result.laborRates)}</TableCell>
+            </TableRow>
+            <TableRow>
+              <TableCell>Labor at standard rates</TableCell>
+              <TableCell align="right">R{result.laborRates.standardLaborCost.toFixed(2)}</TableCell>
+            </TableRow>
+            <TableRow>
+              <TableCell>Labor on this day</TableCell>
+              <TableCell align="right">
+                R{result.costs.totalLaborCost.toFixed(2)}
+                {result.laborRates.premium > 0 && ` (+R${result.laborRates.premium.toFixed(2)})`}
+              </TableCell>
+            </TableRow>
+            <TableRow>
+              <TableCell>Total cost ({Number(result.expectedPies.toFixed(1))} pies)</TableCell>
+              <TableCell align="right">R{result.costs.totalCost.toFixed(2)}</TableCell>
+            </TableRow>
+            <TableRow>
+              <TableCell>Cost per pie</TableCell>
+              <TableCell align="right"><strong>R{result.costs.costPerPie.toFixed(2)}</strong></TableCell>
+            </TableRow>
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default DatedCostPanel;
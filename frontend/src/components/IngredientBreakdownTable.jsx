@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  IconButton,
+  Typography,
+} from '@mui/material';
+import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
+import KeyboardArrowRightIcon from '@mui/icons-material/KeyboardArrowRight';
+
+// Formats a quantity without trailing noise from scaling (e.g. 0.5 instead of 0.500000001)
+const formatQuantity = (value) => Number(value.toFixed(3)).toString();
+
+// One breakdown line; sub-recipe lines can be expanded to show their own (scaled) lines
+const BreakdownRow = ({ line, depth }) => {
+  const [open, setOpen] = useState(false);
+  const isSubRecipe = line.itemType === 'recipe';
+
+  return (
+    <>
+      <TableRow hover>
+        <TableCell sx={{ pl: 2 + depth * 3 }}>
+          {isSubRecipe && (
+            <IconButton size="small" onClick={() => setOpen(!open)} aria-label={open ? 'Collapse' : 'Expand'}>
+              {open ? <KeyboardArrowDownIcon fontSize="small" /> : <KeyboardArrowRightIcon fontSize="small" />}
+            </IconButton>
+          )}
+          {line.name}
+          {isSubRecipe && (
+            <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+              (sub-recipe)
+            </Typography>
+          )}
+        </TableCell>
+        <TableCell align="right">
+          {formatQuantity(line.quantity)} {line.unit}
+          {line.yieldPercentage < 100 && (
+            <Typography variant="caption" color="text.secondary" display="block">
+              {formatQuantity(line.purchasedQuantity)} {line.baseUnit} bought at {line.yieldPercentage}% yield
+            </Typography>
+          )}
+        </TableCell>
+        <TableCell align="right">R{line.unitCost.toFixed(2)} / {line.baseUnit}</TableCell>
+        <TableCell align="right">R{line.unadjustedCost.toFixed(2)}</TableCell>
+        <TableCell align="right">R{line.cost.toFixed(2)}</TableCell>
+      </TableRow>
+      {isSubRecipe && open && (
+        <>
+          {line.components.map((component, index) => (
+            <BreakdownRow key={index} line={component} depth={depth + 1} />
+          ))}
+          {line.laborCost > 0 && (
+            <TableRow>
+              <TableCell sx={{ pl: 2 + (depth + 1) * 3, fontStyle: 'italic' }}>Labor</TableCell>
+              <TableCell />
+              <TableCell />
+              <TableCell />
+              <TableCell align="right">R{line.laborCost.toFixed(2)}</TableCell>
+            </TableRow>
+          )}
+          {line.overheadCost > 0 && (
+            <TableRow>
+              <TableCell sx={{ pl: 2 + (depth + 1) * 3, fontStyle: 'italic' }}>Packaging & Utilities</TableCell>
+              <TableCell />
+              <TableCell />
+              <TableCell />
+              <TableCell align="right">R{line.overheadCost.toFixed(2)}</TableCell>
+            </TableRow>
+          )}
+        </>
+      )}
+    </>
+  );
+};
+
+// Costed ingredient lines of a recipe batch, with sub-recipes expandable to any depth.
+// Shows each cost before and after trim yields, baking loss and rejects.
+const IngredientBreakdownTable = ({ lines }) => (
+  <Table size="small">
+    <TableHead>
+      <TableRow>
+        <TableCell>Item</TableCell>
+        <TableCell align="right">Quantity</TableCell>
+        <TableCell align="right">Unit Cost</TableCell>
+        <TableCell align="right">Cost (Unadjusted)</TableCell>
+        <TableCell align="right">Cost (Yield & Waste)</TableCell>
+      </TableRow>
+    </TableHead>
+    <TableBody>
+      {lines.map((line, index) => (
+        <BreakdownRow key={index} line={line} depth={0} />
+      ))}
+    </TableBody>
+  </Table>
+);
+
+export default IngredientBreakdownTable;
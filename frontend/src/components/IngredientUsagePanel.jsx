@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../services/api';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+
+// Formats a quantity without trailing zeros (e.g. 0.25, 2.5)
+const formatQuantity = (value) => Number(value.toFixed(4)).toString();
+
+// "Where used": the recipes depending on an ingredient, how much of it they use
+// and how much of their cost it makes up
+const IngredientUsagePanel = ({ ingredientId }) => {
+  const [usage, setUsage] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!ingredientId) return;
+
+    const fetchUsage = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await apiClient.get(`/ingredients/${ingredientId}/usage`);
+        if (response.data.success) {
+          setUsage(response.data.data);
+        } else {
+          setError('Failed to fetch ingredient usage.');
+        }
+      } catch (err) {
+        console.error("Fetch ingredient usage error:", err);
+        setError(err.response?.data?.message || 'An error occurred while fetching where this ingredient is used.');
+      }
+      setLoading(false);
+    };
+
+    fetchUsage();
+  }, [ingredientId]);
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Typography variant="h6" gutterBottom>Where Used</Typography>
+      {loading ? (
+        <CircularProgress size={24} />
+      ) : error ? (
+        <Alert severity="error">{error}</Alert>
+      ) : usage.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">Not used in any active recipe.</Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Recipe</TableCell>
+              <TableCell align="right">Per Batch</TableCell>
+              <TableCell align="right">Per Pie</TableCell>
+              <TableCell align="right">Cost / Pie (R)</TableCell>
+              <TableCell align="right">Share of Cost</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {usage.map((entry) => (
+              <TableRow key={entry.recipe}>
+                <TableCell>
+                  {entry.pieName} ({entry.variant})
+                  {entry.viaSubRecipes?.length > 0 && (
+                    <Typography variant="caption" display="block" color="text.secondary">
+                      {entry.direct ? 'Also via' : 'Via'} {entry.viaSubRecipes.join(', ')}
+                    </Typography>
+                  )}
+                </TableCell>
+                {entry.error ? (
+                  <TableCell colSpan={4}>
+                    <Typography variant="caption" color="error">Cannot be costed: {entry.error}</Typography>
+                  </TableCell>
+                ) : (
+                  <>
+                    <TableCell align="right">{formatQuantity(entry.quantityPerBatch)} {entry.unit}</TableCell>
+                    <TableCell align="right">{formatQuantity(entry.quantityPerPie)} {entry.unit}</TableCell>
+                    <TableCell align="right">{entry.costPerPie.toFixed(2)}</TableCell>
+                    <TableCell align="right">{entry.costSharePercentage.toFixed(1)}%</TableCell>
+                  </>
+                )}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default IngredientUsagePanel;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../services/api';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  CircularProgress,
+  Alert,
+  Typography,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormControlLabel,
+  Checkbox,
+  Paper,
+} from '@mui/material';
+import { printDocument } from '../utils/print';
+import { LABEL_LAYOUTS, labelsPerSheet, buildLabelSheets } from '../utils/labels';
+import { formatAllergens } from '../utils/allergens';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Prints product labels for a recipe on A4 label sheets (or saves them as a PDF).
+// The label contents come from the backend so the allergens and price are current.
+const LabelPrintDialog = ({ recipeId, open, onClose }) => {
+  const [packedOn, setPackedOn] = useState(today());
+  const [layoutValue, setLayoutValue] = useState(LABEL_LAYOUTS[0].value);
+  const [count, setCount] = useState(String(labelsPerSheet(LABEL_LAYOUTS[0])));
+  const [skip, setSkip] = useState('0');
+  const [showPrice, setShowPrice] = useState(true);
+  const [label, setLabel] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const layout = LABEL_LAYOUTS.find((option) => option.value === layoutValue);
+
+  useEffect(() => {
+    if (!open || !recipeId || !packedOn) return;
+
+    const fetchLabel = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await apiClient.get(`/recipes/${recipeId}/label`, { params: { packedOn } });
+        setLabel(response.data.success ? response.data.data : null);
+      } catch (err) {
+        console.error("Fetch label error:", err);
+        setError(err.response?.data?.message || 'An error occurred while preparing the label.');
+        setLabel(null);
+      }
+      setLoading(false);
+    };
+
+    fetchLabel();
+  }, [open, recipeId, packedOn]);
+
+  // A full sheet by default
+  const handleLayoutChange = (event) => {
+    const next = LABEL_LAYOUTS.find((option) => option.value === event.target.value);
+    setLayoutValue(next.value);
+    setCount(String(labelsPerSheet(next)));
+    setSkip('0');
+  };
+
+  const handlePrint = () => {
+    const labelCount = parseInt(count, 10);
+    if (!(labelCount > 0)) {
+      setError('Enter how many labels to print.');
+      return;
+    }
+    const { bodyHtml, styles } = buildLabelSheets(label, layout, {
+      count: labelCount,
+      skip: Math.min(parseInt(skip, 10) || 0, labelsPerSheet(layout) - 1),
+      showPrice,
+    });
+    if (!printDocument(`Labels ${label.pieName} ${packedOn}`, bodyHtml, styles)) {
+      setError('The print window was blocked. Allow pop-ups for this site and try again.');
+    }
+  };
+
+  const sheetCount = Math.ceil(((parseInt(skip, 10) || 0) + (parseInt(count, 10) || 0)) / labelsPerSheet(layout));
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Print Labels</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' }, gap: 2, mt: 1 }}>
+          <TextField
+            label="Packed On"
+            type="date"
+            value={packedOn}
+            onChange={(e) => setPackedOn(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <FormControl>
+            <InputLabel id="label-layout-label">Label Sheet</InputLabel>
+            <Select labelId="label-layout-label" label="Label Sheet" value={layoutValue} onChange={handleLayoutChange}>
+              {LABEL_LAYOUTS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            label="Number of Labels"
+            type="number"
+            value={count}
+            onChange={(e) => setCount(e.target.value)}
+            inputProps={{ min: 1, step: 1 }}
+            helperText={`${sheetCount} sheet(s)`}
+          />
+          <TextField
+            label="Skip Used Labels"
+            type="number"
+            value={skip}
+            onChange={(e) => setSkip(e.target.value)}
+            inputProps={{ min: 0, max: labelsPerSheet(layout) - 1, step: 1 }}
+            helperText="Labels already peeled off the first sheet"
+          />
+        </Box>
+        <FormControlLabel
+          control={<Checkbox checked={showPrice} onChange={(e) => setShowPrice(e.target.checked)} />}
+          label="Show price"
+        />
+
+        {/* Preview of the label text */}
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}><CircularProgress size={24} /></Box>
+        ) : label && (
+          <Paper variant="outlined" sx={{ p: 2, mt: 1 }}>
+            <Typography variant="subtitle1" fontWeight="bold">{label.pieName}</Typography>
+            <Typography variant="body2"><strong>Ingredients:</strong> {label.ingredientList}</Typography>
+            {label.allergens.contains.length > 0 && (
+              <Typography variant="body2"><strong>Contains: {formatAllergens(label.allergens.contains)}</strong></Typography>
+            )}
+            {label.allergens.mayContain.length > 0 && (
+              <Typography variant="body2">May contain: {formatAllergens(label.allergens.mayContain)}</Typography>
+            )}
+            <Typography variant="body2">
+              {label.bestBefore
+                ? `Best before: ${new Date(label.bestBefore).toLocaleDateString('en-ZA', { timeZone: 'UTC' })} (${label.shelfLifeDays} day shelf life)`
+                : 'No best-before date: set a shelf life on the recipe or a default in Settings.'}
+            </Typography>
+            {showPrice && (
+              <Typography variant="body2">
+                Price: R{label.price.toFixed(2)} {label.priceIncludesVat ? '(incl. VAT)' : '(excl. VAT)'}
+              </Typography>
+            )}
+            {label.netWeight && <Typography variant="body2">Net weight: {label.netWeight} g</Typography>}
+          </Paper>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button variant="contained" onClick={handlePrint} disabled={!label || loading}>
+          Print / Save as PDF
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default LabelPrintDialog;
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../services/api';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  CircularProgress,
+  Alert,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+
+// How each kind of price change is labelled
+const SOURCE_LABELS = { manual: 'Manual', import: 'Excel import', quote: 'Supplier quote' };
+
+// Shows the dated price records of one ingredient as a step chart and a table
+const PriceHistoryDialog = ({ ingredient, open, onClose }) => {
+  const [prices, setPrices] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open || !ingredient?._id) return;
+
+    const fetchPrices = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await apiClient.get(`/ingredients/${ingredient._id}/prices`);
+        if (response.data.success) {
+          setPrices(response.data.data);
+        } else {
+          setError('Failed to fetch price history.');
+        }
+      } catch (err) {
+        console.error("Fetch price history error:", err);
+        setError(err.response?.data?.message || 'An error occurred while fetching the price history.');
+      }
+      setLoading(false);
+    };
+
+    fetchPrices();
+  }, [open, ingredient]);
+
+  // One point per price record, plotted against its effective date
+  const chartData = prices.map((price) => ({
+    date: new Date(price.effectiveDate).getTime(),
+    cost: price.costPerUnit,
+  }));
+  // Extend the last price to today so the current price is visible on the chart
+  if (chartData.length > 0) {
+    chartData.push({ date: Date.now(), cost: chartData[chartData.length - 1].cost });
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth aria-labelledby="price-history-dialog-title">
+      <DialogTitle id="price-history-dialog-title">
+        Price History: {ingredient?.ingredientName}
+      </DialogTitle>
+      <DialogContent>
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 3 }}>
+            <CircularProgress />
+          </Box>
+        )}
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {!loading && !error && prices.length === 0 && (
+          <Typography variant="body2">No price changes have been recorded for this ingredient yet.</Typography>
+        )}
+        {!loading && prices.length > 0 && (
+          <>
+            <Box sx={{ height: 300, mb: 3 }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis
+                    dataKey="date"
+                    type="number"
+                    scale="time"
+                    domain={['dataMin', 'dataMax']}
+                    tickFormatter={(value) => new Date(value).toLocaleDateString()}
+                  />
+                  <YAxis tickFormatter={(value) => `R${value}`} />
+                  <Tooltip
+                    labelFormatter={(value) => new Date(value).toLocaleDateString()}
+                    formatter={(value) => [`R${Number(value).toFixed(2)} / ${ingredient?.unit}`, 'Cost']}
+                  />
+                  <Line type="stepAfter" dataKey="cost" stroke="#1976d2" dot />
+                </LineChart>
+              </ResponsiveContainer>
+            </Box>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Effective Date</TableCell>
+                  <TableCell align="right">Cost (R)</TableCell>
+                  <TableCell align="right">Previous (R)</TableCell>
+                  <TableCell>Source</TableCell>
+                  <TableCell>Changed By</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {[...prices].reverse().map((price) => (
+                  <TableRow key={price._id}>
+                    <TableCell>{new Date(price.effectiveDate).toLocaleDateString()}</TableCell>
+                    <TableCell align="right">{price.costPerUnit.toFixed(2)} / {price.unit}</TableCell>
+                    <TableCell align="right">{price.previousCostPerUnit?.toFixed(2) ?? '-'}</TableCell>
+                    <TableCell>{SOURCE_LABELS[price.source] || 'Manual'}</TableCell>
+                    <TableCell>{price.changedBy?.username || 'N/A'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PriceHistoryDialog;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Alert, Typography } from '@mui/material';
+import { formatAllergens } from '../utils/allergens';
+
+// Lists the recipes recalculated by a change (the `recipeImpact` returned by the API).
+// Renders nothing when no recipe changed in cost or allergens, or failed to recalculate.
+const RecipeImpactAlert = ({ impact, onClose }) => {
+  const allergensChanged = impact?.allergensChanged || [];
+  if (!impact || (impact.changed.length === 0 && impact.failed.length === 0 && allergensChanged.length === 0)) {
+    return null;
+  }
+
+  return (
+    <Alert severity={impact.failed.length > 0 ? 'warning' : 'info'} sx={{ mb: 2 }} onClose={onClose}>
+      <Typography variant="subtitle2">
+        {impact.recalculatedCount} recipe(s) recalculated, {impact.changed.length} changed in cost.
+      </Typography>
+      {impact.changed.map((item) => (
+        <Typography variant="body2" key={item.recipe}>
+          {item.pieName} ({item.variant}): cost/pie R{item.previous.costPerPie.toFixed(2)} → R{item.current.costPerPie.toFixed(2)}
+          {' '}({item.costPerPieChange >= 0 ? '+' : ''}{item.costPerPieChange.toFixed(2)}), selling price R{item.current.sellingPrice.toFixed(2)}
+          {typeof item.current.publishedPrice === 'number' && `, published R${item.current.publishedPrice.toFixed(2)}`}
+        </Typography>
+      ))}
+      {/* Labels for these recipes need reprinting */}
+      {allergensChanged.map((item) => (
+        <Typography variant="body2" key={`allergens-${item.recipe}`} color="warning.main">
+          {item.pieName} ({item.variant}) allergens changed:
+          {['contains', 'mayContain'].map((list) => {
+            const label = list === 'contains' ? 'contains' : 'may contain';
+            return [
+              item.change.added[list].length > 0 && ` now ${label} ${formatAllergens(item.change.added[list])};`,
+              item.change.removed[list].length > 0 && ` no longer ${label} ${formatAllergens(item.change.removed[list])};`,
+            ];
+          })}
+        </Typography>
+      ))}
+      {impact.failed.map((item) => (
+        <Typography variant="body2" key={item.recipe} color="error">
+          {item.pieName} ({item.variant}) could not be recalculated: {item.error}
+        </Typography>
+      ))}
+    </Alert>
+  );
+};
+
+export default RecipeImpactAlert;
@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../services/api';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Button,
+  Alert,
+  CircularProgress,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  restore: 'Restored',
+  baseline: 'Before history',
+};
+
+// Readable names for the recipe fields a diff can report
+const FIELD_LABELS = {
+  pieName: 'Pie name',
+  variant: 'Variant',
+  batchSize: 'Batch size',
+  yieldWeight: 'Yield weight (kg)',
+  bakingLossPercentage: 'Baking loss (%)',
+  rejectRate: 'Reject rate (%)',
+  shelfLifeDays: 'Shelf life (days)',
+  pricingMode: 'Pricing mode',
+  markupPercentage: 'Markup (%)',
+  targetMarginPercentage: 'Target margin (%)',
+  targetPrice: 'Target price (R)',
+  notes: 'Notes',
+};
+
+const LIST_LABELS = {
+  ingredients: 'Ingredient',
+  laborInputs: 'Labor',
+  packaging: 'Packaging',
+  utilityInputs: 'Utility',
+};
+
+const COST_LABELS = {
+  costPerPie: 'Cost per pie',
+  totalBatchCost: 'Batch cost',
+  sellingPrice: 'Selling price',
+  publishedPrice: 'Published price',
+};
+
+// Formats a diffed value (null = not set)
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+// Formats the values of one item line, e.g. "2 kg" or "workers 1, hoursPerWorker 2.5"
+// (labor inputs leave the measure they do not use unset)
+const formatItem = (values) => {
+  if (!values) return '—';
+  if ('quantity' in values && 'unit' in values) return `${values.quantity} ${values.unit}`;
+  return Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key} ${value}`)
+    .join(', ');
+};
+
+// Version history of a recipe: every save is a revision that can be compared with
+// another or restored (restoring records a new revision).
+const RecipeRevisionHistory = ({ recipeId, canRestore, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [compareFrom, setCompareFrom] = useState('');
+  const [compareTo, setCompareTo] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [restoring, setRestoring] = useState(null); // Revision number being restored
+
+  const fetchRevisions = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiClient.get(`/recipes/${recipeId}/revisions`);
+      if (response.data.success) {
+        const list = response.data.data;
+        setRevisions(list);
+        // Compare the latest revision with the one before it by default
+        setCompareTo(list[0]?.revisionNumber ?? '');
+        setCompareFrom(list[1]?.revisionNumber ?? '');
+        setDiff(null);
+      }
+    } catch (err) {
+      console.error("Fetch revisions error:", err);
+      setError(err.response?.data?.message || 'An error occurred while fetching the version history.');
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [recipeId]);
+
+  const handleCompare = async () => {
+    setError('');
+    try {
+      const response = await apiClient.get(`/recipes/${recipeId}/revisions/diff`, {
+        params: { from: compareFrom, to: compareTo },
+      });
+      if (response.data.success) {
+        setDiff(response.data.data);
+      }
+    } catch (err) {
+      console.error("Diff revisions error:", err);
+      setError(err.response?.data?.message || 'An error occurred while comparing revisions.');
+    }
+  };
+
+  const handleRestore = async (revisionNumber) => {
+    if (!window.confirm(`Restore revision ${revisionNumber}? The current version stays in the history.`)) return;
+    setRestoring(revisionNumber);
+    setError('');
+    try {
+      const response = await apiClient.post(`/recipes/${recipeId}/revisions/${revisionNumber}/restore`);
+      if (response.data.success) {
+        await fetchRevisions();
+        onRestored?.(response.data);
+      }
+    } catch (err) {
+      console.error("Restore revision error:", err);
+      setError(err.response?.data?.message || 'An error occurred while restoring the revision.');
+    }
+    setRestoring(null);
+  };
+
+  if (loading) {
+    return <CircularProgress size={24} />;
+  }
+
+  const hasChanges = diff && (diff.fieldChanges.length > 0 || diff.itemChanges.length > 0 || diff.costChanges.length > 0);
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {revisions.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">No revisions recorded yet.</Typography>
+      ) : (
+        <>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Revision</TableCell>
+                <TableCell>Change</TableCell>
+                <TableCell>By</TableCell>
+                <TableCell>Date</TableCell>
+                <TableCell align="right">Cost / Pie (R)</TableCell>
+                <TableCell align="right">Selling Price (R)</TableCell>
+                {canRestore && <TableCell align="center">Actions</TableCell>}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {revisions.map((revision, index) => (
+                <TableRow hover key={revision._id}>
+                  <TableCell>{revision.revisionNumber}</TableCell>
+                  <TableCell>
+                    {ACTION_LABELS[revision.action] || revision.action}
+                    {revision.restoredFrom && ` (from revision ${revision.restoredFrom})`}
+                  </TableCell>
+                  <TableCell>{revision.createdBy?.username || '-'}</TableCell>
+                  <TableCell>{new Date(revision.createdAt).toLocaleString()}</TableCell>
+                  <TableCell align="right">{revision.calculatedCosts?.costPerPie?.toFixed(2) ?? 'N/A'}</TableCell>
+                  <TableCell align="right">{revision.sellingPrice?.toFixed(2) ?? 'N/A'}</TableCell>
+                  {canRestore && (
+                    <TableCell align="center">
+                      {index > 0 && (
+                        <Button
+                          size="small"
+                          onClick={() => handleRestore(revision.revisionNumber)}
+                          disabled={restoring !== null}
+                        >
+                          {restoring === revision.revisionNumber ? <CircularProgress size={16} /> : 'Restore'}
+                        </Button>
+                      )}
+                    </TableCell>
+                  )}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          {revisions.length > 1 && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 2, flexWrap: 'wrap' }}>
+              <FormControl size="small" sx={{ minWidth: 140 }}>
+                <InputLabel id="compare-from-label">Compare</InputLabel>
+                <Select labelId="compare-from-label" label="Compare" value={compareFrom} onChange={(e) => setCompareFrom(e.target.value)}>
+                  {revisions.map((revision) => (
+                    <MenuItem key={revision._id} value={revision.revisionNumber}>Revision {revision.revisionNumber}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl size="small" sx={{ minWidth: 140 }}>
+                <InputLabel id="compare-to-label">With</InputLabel>
+                <Select labelId="compare-to-label" label="With" value={compareTo} onChange={(e) => setCompareTo(e.target.value)}>
+                  {revisions.map((revision) => (
+                    <MenuItem key={revision._id} value={revision.revisionNumber}>Revision {revision.revisionNumber}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <Button variant="outlined" onClick={handleCompare} disabled={!compareFrom || !compareTo}>
+                Compare
+              </Button>
+            </Box>
+          )}
+
+          {diff && (
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="subtitle2">Revision {diff.from} → Revision {diff.to}</Typography>
+              {!hasChanges ? (
+                <Typography variant="body2" color="text.secondary">No differences.</Typography>
+              ) : (
+                <List dense>
+                  {diff.fieldChanges.map((change) => (
+                    <ListItem key={`field-${change.field}`}>
+                      <ListItemText
+                        primary={FIELD_LABELS[change.field] || change.field}
+                        secondary={`${formatValue(change.from)} → ${formatValue(change.to)}`}
+                      />
+                    </ListItem>
+                  ))}
+                  {diff.itemChanges.map((change, index) => (
+                    <ListItem key={`item-${index}`}>
+                      <ListItemText
+                        primary={`${LIST_LABELS[change.list] || change.list} ${change.change}: ${change.name}`}
+                        secondary={`${formatItem(change.from)} → ${formatItem(change.to)}`}
+                      />
+                    </ListItem>
+                  ))}
+                  {diff.costChanges.map((change) => (
+                    <ListItem key={`cost-${change.figure}`}>
+                      <ListItemText
+                        primary={COST_LABELS[change.figure] || change.figure}
+                        secondary={`R${change.from.toFixed(2)} → R${change.to.toFixed(2)} (${change.change >= 0 ? '+' : ''}${change.change.toFixed(2)})`}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </Box>
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default RecipeRevisionHistory;
@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import apiClient from '../services/api';
+import {
+  Box,
+  Grid,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  ToggleButton,
+  ToggleButtonGroup,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import PrintIcon from '@mui/icons-material/Print';
+import { RECIPE_UNIT_OPTIONS } from '../utils/units';
+import { printDocument } from '../utils/print';
+import { buildProductionSheet, describeScaleTarget } from '../utils/productionSheet';
+
+// Scales a recipe to the number of pies to bake, or to the quantity of an ingredient
+// on hand that limits the bake, and prints the production sheet for the floor.
+// `lines` are the recipe's costed lines (from the breakdown), to pick the ingredient from.
+const RecipeScalePanel = ({ recipe, lines }) => {
+  const [mode, setMode] = useState('pies');
+  const [pies, setPies] = useState('');
+  const [ingredient, setIngredient] = useState('');
+  const [quantity, setQuantity] = useState('');
+  const [unit, setUnit] = useState('');
+  const [scaled, setScaled] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // A recipe may use an ingredient on more than one line; it is offered once
+  const choices = lines.filter((line, index) => lines.findIndex((other) => other.item === line.item) === index);
+
+  const handleIngredientChange = (event) => {
+    const line = lines.find((item) => item.item === event.target.value);
+    setIngredient(event.target.value);
+    // Measured in the unit it is bought in unless changed
+    setUnit(line?.baseUnit || '');
+  };
+
+  const handleScale = async () => {
+    const params = mode === 'pies'
+      ? { pies: parseFloat(pies) }
+      : { ingredient, quantity: parseFloat(quantity), unit };
+    if (mode === 'pies' ? !(params.pies > 0) : !ingredient || !(params.quantity > 0)) {
+      setError(mode === 'pies' ? 'Enter the number of pies to make.' : 'Choose the ingredient and enter the quantity on hand.');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiClient.get(`/recipes/${recipe._id}/scale`, { params });
+      if (response.data.success) {
+        setScaled(response.data.data);
+      }
+    } catch (err) {
+      console.error("Scale recipe error:", err);
+      setError(err.response?.data?.message || 'An error occurred while scaling the recipe.');
+    }
+    setLoading(false);
+  };
+
+  const handlePrint = () => {
+    const { bodyHtml, styles } = buildProductionSheet(scaled, { notes: recipe.notes });
+    if (!printDocument(`Production sheet ${scaled.pieName}`, bodyHtml, styles)) {
+      setError('The print window was blocked. Allow pop-ups for this site and try again.');
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>Scale Recipe</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        The recipe makes {recipe.batchSize} pies a batch. Scale it to the good pies you need
+        (rejects are allowed for) or to how much of an ingredient you have.
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mb: 2 }}>
+        <ToggleButtonGroup size="small" exclusive value={mode} onChange={(e, value) => value && setMode(value)}>
+          <ToggleButton value="pies">Pies</ToggleButton>
+          <ToggleButton value="ingredient">Limiting Ingredient</ToggleButton>
+        </ToggleButtonGroup>
+        {mode === 'pies' ? (
+          <TextField size="small" label="Pies Needed" type="number" value={pies} onChange={(e) => setPies(e.target.value)} inputProps={{ min: 1, step: 1 }} sx={{ width: 140 }} />
+        ) : (
+          <>
+            <FormControl size="small" sx={{ minWidth: 200 }}>
+              <InputLabel id="scale-ingredient-label">Ingredient</InputLabel>
+              <Select labelId="scale-ingredient-label" label="Ingredient" value={ingredient} onChange={handleIngredientChange}>
+                {choices.map((line) => (
+                  <MenuItem key={line.item} value={line.item}>{line.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField size="small" label="Quantity On Hand" type="number" value={quantity} onChange={(e) => setQuantity(e.target.value)} inputProps={{ min: 0, step: "any" }} sx={{ width: 150 }} />
+            <FormControl size="small" sx={{ minWidth: 110 }}>
+              <InputLabel id="scale-unit-label">Unit</InputLabel>
+              <Select labelId="scale-unit-label" label="Unit" value={unit} onChange={(e) => setUnit(e.target.value)}>
+                {RECIPE_UNIT_OPTIONS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </>
+        )}
+        <Button variant="outlined" onClick={handleScale} disabled={loading}>
+          {loading ? <CircularProgress size={20} /> : 'Scale'}
+        </Button>
+        {scaled && (
+          <Button variant="outlined" startIcon={<PrintIcon />} onClick={handlePrint}>
+            Print Production Sheet
+          </Button>
+        )}
+      </Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {scaled && (
+        <>
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Scaled to {describeScaleTarget(scaled.target)}: {scaled.batches} batch(es), {Number(scaled.piesToBake.toFixed(1))} pies
+            to bake for {Number(scaled.expectedPies.toFixed(1))} good pies. Labor {Number(scaled.standardLaborHours.toFixed(2))} worker-hours.
+          </Alert>
+          <Grid container spacing={4}>
+            <Grid item xs={12} md={6}>
+              <Typography variant="subtitle1" gutterBottom>Recipe</Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Ingredient</TableCell>
+                    <TableCell align="right">Quantity</TableCell>
+                    <TableCell align="right">Cost (R)</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {scaled.lines.map((line, index) => (
+                    <TableRow key={index}>
+                      <TableCell>{line.name}{line.itemType === 'recipe' && ' (sub-recipe)'}</TableCell>
+                      <TableCell align="right">{line.quantity} {line.unit}</TableCell>
+                      <TableCell align="right">{line.cost.toFixed(2)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <Typography variant="subtitle1" gutterBottom>Ingredients to Get Out (as bought)</Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Ingredient</TableCell>
+                    <TableCell align="right">Quantity</TableCell>
+                    <TableCell align="right">Cost (R)</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {scaled.ingredients.map((line) => (
+                    <TableRow key={line.ingredient}>
+                      <TableCell>{line.ingredientName}</TableCell>
+                      <TableCell align="right">{line.quantity} {line.unit}</TableCell>
+                      <TableCell align="right">{line.cost.toFixed(2)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Grid>
+          </Grid>
+          <Table size="small" sx={{ mt: 2, maxWidth: 420 }}>
+            <TableBody>
+              <TableRow>
+                <TableCell>Ingredients</TableCell>
+                <TableCell align="right">R{scaled.costs.totalIngredientCost.toFixed(2)}</TableCell>
+              </TableRow>
+              <TableRow>
+                <TableCell>Labor</TableCell>
+                <TableCell align="right">R{scaled.costs.totalLaborCost.toFixed(2)}</TableCell>
+              </TableRow>
+              <TableRow>
+                <TableCell>Packaging, utilities & fixed overheads</TableCell>
+                <TableCell align="right">
+                  R{(scaled.costs.totalPackagingCost + scaled.costs.totalUtilityCost + scaled.costs.totalFixedOverheadCost).toFixed(2)}
+                </TableCell>
+              </TableRow>
+              <TableRow>
+                <TableCell>Total cost</TableCell>
+                <TableCell align="right">R{scaled.costs.totalCost.toFixed(2)}</TableCell>
+              </TableRow>
+              <TableRow>
+                <TableCell>Cost per pie</TableCell>
+                <TableCell align="right"><strong>R{scaled.costs.costPerPie.toFixed(2)}</strong></TableCell>
+              </TableRow>
+            </TableBody>
+          </Table>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default RecipeScalePanel;
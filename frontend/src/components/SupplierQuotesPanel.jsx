@@ -0,0 +1,260 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../services/api';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Alert,
+  CircularProgress,
+  Button,
+  IconButton,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Chip,
+} from '@mui/material';
+import StarIcon from '@mui/icons-material/Star';
+import StarBorderIcon from '@mui/icons-material/StarBorder';
+import CompareArrowsIcon from '@mui/icons-material/CompareArrows';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { RECIPE_UNIT_OPTIONS } from '../utils/units';
+
+const emptyQuote = { supplier: '', packSize: '', packUnit: '', packPrice: '', validUntil: '' };
+
+// Formats a signed rand amount (e.g. +1.25, -0.40)
+const formatChange = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+
+// Supplier price quotes for an ingredient. The preferred quote (or else the cheapest
+// valid one) sets the ingredient's cost; any quote can be compared against it to see
+// how recipe costs would move on switching supplier.
+const SupplierQuotesPanel = ({ ingredientId, unit, suppliers, onIngredientChange }) => {
+  const [quotes, setQuotes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [newQuote, setNewQuote] = useState({ ...emptyQuote, packUnit: unit });
+  const [impact, setImpact] = useState(null); // Switch impact of the quote being compared
+
+  const fetchQuotes = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiClient.get(`/ingredients/${ingredientId}/quotes`);
+      if (response.data.success) {
+        setQuotes(response.data.data);
+      } else {
+        setError('Failed to fetch supplier quotes.');
+      }
+    } catch (err) {
+      console.error("Fetch quotes error:", err);
+      setError(err.response?.data?.message || 'An error occurred while fetching supplier quotes.');
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    if (!ingredientId) return;
+    fetchQuotes();
+  }, [ingredientId]);
+
+  // Runs a quote change, then refreshes the list and passes on the ingredient's new cost
+  const saveChange = async (request) => {
+    setSaving(true);
+    setError('');
+    setImpact(null);
+    try {
+      const response = await request();
+      if (response.data.success) {
+        await fetchQuotes();
+        onIngredientChange?.(response.data.ingredient, response.data.recipeImpact);
+      }
+    } catch (err) {
+      console.error("Save quote error:", err);
+      setError(err.response?.data?.message || 'An error occurred while saving the quote.');
+    }
+    setSaving(false);
+  };
+
+  const handleAddQuote = () => {
+    if (!newQuote.supplier || !newQuote.packSize || newQuote.packPrice === '') {
+      setError('Please choose a supplier and fill in the pack size and price.');
+      return;
+    }
+    const payload = {
+      supplier: newQuote.supplier,
+      packSize: parseFloat(newQuote.packSize),
+      packUnit: newQuote.packUnit || unit,
+      packPrice: parseFloat(newQuote.packPrice),
+    };
+    if (newQuote.validUntil) payload.validUntil = newQuote.validUntil;
+    saveChange(() => apiClient.post(`/ingredients/${ingredientId}/quotes`, payload))
+      .then(() => setNewQuote({ ...emptyQuote, packUnit: unit }));
+  };
+
+  const handleTogglePreferred = (quote) =>
+    saveChange(() => apiClient.put(`/ingredients/${ingredientId}/quotes/${quote._id}`, { isPreferred: !quote.isPreferred }));
+
+  const handleDeleteQuote = (quote) => {
+    if (!window.confirm(`Delete the quote from "${quote.supplier?.name}"?`)) return;
+    saveChange(() => apiClient.delete(`/ingredients/${ingredientId}/quotes/${quote._id}`));
+  };
+
+  const handleCompare = async (quote) => {
+    setError('');
+    try {
+      const response = await apiClient.get(`/ingredients/${ingredientId}/quotes/${quote._id}/impact`);
+      if (response.data.success) {
+        setImpact(response.data.data);
+      }
+    } catch (err) {
+      console.error("Quote impact error:", err);
+      setError(err.response?.data?.message || 'An error occurred while estimating the switch.');
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Typography variant="h6" gutterBottom>Supplier Quotes</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        The preferred quote (★), or else the cheapest valid quote, sets the cost per {unit}.
+      </Typography>
+      {error && <Alert severity="error" sx={{ mb: 1 }}>{error}</Alert>}
+      {loading ? (
+        <CircularProgress size={24} />
+      ) : quotes.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">No quotes yet; the cost is entered by hand.</Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Supplier</TableCell>
+              <TableCell align="right">Pack</TableCell>
+              <TableCell align="right">Pack Price (R)</TableCell>
+              <TableCell align="right">Cost / {unit} (R)</TableCell>
+              <TableCell>Valid Until</TableCell>
+              <TableCell align="center">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {quotes.map((quote) => (
+              <TableRow key={quote._id} selected={quote.isSelected}>
+                <TableCell>
+                  {quote.supplier?.name || '-'}
+                  {quote.isSelected && <Chip label="Costing" size="small" color="primary" sx={{ ml: 1 }} />}
+                  {!quote.isValid && <Chip label="Expired" size="small" sx={{ ml: 1 }} />}
+                </TableCell>
+                <TableCell align="right">{quote.packSize} {quote.packUnit}</TableCell>
+                <TableCell align="right">{quote.packPrice.toFixed(2)}</TableCell>
+                <TableCell align="right">{quote.costPerUnit.toFixed(2)}</TableCell>
+                <TableCell>{quote.validUntil ? new Date(quote.validUntil).toLocaleDateString('en-ZA', { timeZone: 'UTC' }) : 'Open'}</TableCell>
+                <TableCell align="center">
+                  <IconButton size="small" onClick={() => handleTogglePreferred(quote)} disabled={saving} title={quote.isPreferred ? 'Unmark as preferred' : 'Mark as preferred'}>
+                    {quote.isPreferred ? <StarIcon fontSize="small" color="warning" /> : <StarBorderIcon fontSize="small" />}
+                  </IconButton>
+                  <IconButton size="small" onClick={() => handleCompare(quote)} disabled={saving} title="Compare recipe costs with this quote">
+                    <CompareArrowsIcon fontSize="small" />
+                  </IconButton>
+                  <IconButton size="small" onClick={() => handleDeleteQuote(quote)} disabled={saving} color="error" title="Delete">
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      {/* Add a quote */}
+      <Box sx={{ display: 'flex', gap: 1, mt: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel id="quote-supplier-label">Supplier</InputLabel>
+          <Select
+            labelId="quote-supplier-label"
+            label="Supplier"
+            value={newQuote.supplier}
+            onChange={(e) => setNewQuote((prev) => ({ ...prev, supplier: e.target.value }))}
+            disabled={saving}
+          >
+            {suppliers.map((supplier) => (
+              <MenuItem key={supplier._id} value={supplier._id}>{supplier.name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          size="small"
+          label="Pack Size"
+          type="number"
+          value={newQuote.packSize}
+          onChange={(e) => setNewQuote((prev) => ({ ...prev, packSize: e.target.value }))}
+          inputProps={{ min: 0, step: "any" }}
+          sx={{ width: 100 }}
+          disabled={saving}
+        />
+        <FormControl size="small" sx={{ minWidth: 90 }}>
+          <InputLabel id="quote-unit-label">Unit</InputLabel>
+          <Select
+            labelId="quote-unit-label"
+            label="Unit"
+            value={newQuote.packUnit || unit}
+            onChange={(e) => setNewQuote((prev) => ({ ...prev, packUnit: e.target.value }))}
+            disabled={saving}
+          >
+            {RECIPE_UNIT_OPTIONS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          size="small"
+          label="Pack Price (R)"
+          type="number"
+          value={newQuote.packPrice}
+          onChange={(e) => setNewQuote((prev) => ({ ...prev, packPrice: e.target.value }))}
+          inputProps={{ min: 0, step: "any" }}
+          sx={{ width: 120 }}
+          disabled={saving}
+        />
+        <TextField
+          size="small"
+          label="Valid Until"
+          type="date"
+          value={newQuote.validUntil}
+          onChange={(e) => setNewQuote((prev) => ({ ...prev, validUntil: e.target.value }))}
+          InputLabelProps={{ shrink: true }}
+          disabled={saving}
+        />
+        <Button variant="outlined" onClick={handleAddQuote} disabled={saving}>
+          {saving ? <CircularProgress size={20} /> : 'Add Quote'}
+        </Button>
+      </Box>
+
+      {/* What switching to the compared quote would do to recipe costs */}
+      {impact && (
+        <Alert severity="info" sx={{ mt: 2 }} onClose={() => setImpact(null)}>
+          <Typography variant="subtitle2">
+            Switching to {impact.quote.supplier?.name}: R{impact.currentCostPerUnit.toFixed(2)} → R{impact.newCostPerUnit.toFixed(2)} per {impact.unit}
+          </Typography>
+          {impact.recipes.length === 0 && (
+            <Typography variant="body2">Not used in any active recipe.</Typography>
+          )}
+          {impact.recipes.map((entry) => (
+            <Typography variant="body2" key={entry.recipe} color={entry.belowMinimumMargin ? 'error' : 'inherit'}>
+              {entry.pieName} ({entry.variant}):{' '}
+              {entry.error
+                ? `cannot be costed: ${entry.error}`
+                : `cost/pie R${entry.currentCostPerPie.toFixed(2)} → R${entry.newCostPerPie.toFixed(2)} (${formatChange(entry.costPerPieChange)}), margin ${entry.currentMarginPercentage.toFixed(1)}% → ${entry.newMarginPercentage.toFixed(1)}%${entry.belowMinimumMargin ? ' (below minimum)' : ''}`}
+            </Typography>
+          ))}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default SupplierQuotesPanel;
@@ -14,11 +14,16 @@ import {
   TableHead,
   TableRow,
   Button,
-  IconButton
+  IconButton,
+  Chip,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
 import EditIcon from '@mui/icons-material/Edit';
-import DeleteIcon from '@mui/icons-material/Delete';
+import ArchiveIcon from '@mui/icons-material/Archive';
+import UnarchiveIcon from '@mui/icons-material/Unarchive';
+import DeleteForeverIcon from '@mui/icons-material/DeleteForever';
 import VisibilityIcon from '@mui/icons-material/Visibility';
 import { useNavigate } from 'react-router-dom';
 import * as XLSX from 'xlsx'; // Import xlsx library
@@ -32,13 +37,14 @@ const DashboardPage = () => {
   const { user } = useAuth(); // Get user info from context
   const isAdmin = user?.role === 'admin';
   const isManager = user?.role === 'manager'; // Add check for manager
+  const [showArchived, setShowArchived] = useState(false); // List archived recipes too
 
   useEffect(() => {
     const fetchRecipes = async () => {
       setLoading(true);
       setError('');
       try {
-        const response = await apiClient.get('/recipes');
+        const response = await apiClient.get('/recipes', { params: { includeArchived: showArchived } });
         if (response.data.success) {
           setRecipes(response.data.data);
         } else {
@@ -52,7 +58,7 @@ const DashboardPage = () => {
     };
 
     fetchRecipes();
-  }, []);
+  }, [showArchived]);
 
   const handleAddRecipe = () => {
     navigate('/recipes/new');
@@ -68,22 +74,44 @@ const DashboardPage = () => {
     navigate(`/recipes/${id}/edit`);
   };
 
+  // Archived recipes keep their costs and history and can be restored
+  const handleArchiveRecipe = async (id) => {
+    if (!window.confirm('Archive this recipe? It will be hidden from the dashboard but can be restored later.')) {
+        return;
+    }
+    try {
+        const response = await apiClient.delete(`/recipes/${id}`);
+        setRecipes(prevRecipes => showArchived
+          ? prevRecipes.map(recipe => (recipe._id === id ? { ...recipe, ...response.data.data } : recipe))
+          : prevRecipes.filter(recipe => recipe._id !== id));
+    } catch (err) {
+        console.error("Archive recipe error:", err);
+        setError(err.response?.data?.message || 'An error occurred while archiving the recipe.');
+    }
+  };
+
+  const handleRestoreRecipe = async (id) => {
+    try {
+        const response = await apiClient.post(`/recipes/${id}/restore`);
+        setRecipes(prevRecipes => prevRecipes.map(recipe => (recipe._id === id ? { ...recipe, ...response.data.data } : recipe)));
+    } catch (err) {
+        console.error("Restore recipe error:", err);
+        setError(err.response?.data?.message || 'An error occurred while restoring the recipe.');
+    }
+  };
+
   const handleDeleteRecipe = async (id) => {
-    // Confirmation dialog would be good here
-    if (!window.confirm('Are you sure you want to delete this recipe?')) {
+    if (!window.confirm('Permanently delete this recipe with its version and cost history? This cannot be undone.')) {
         return;
     }
-    console.log('Attempting to delete recipe:', id);
     try {
-        await apiClient.delete(`/recipes/${id}`);
+        await apiClient.delete(`/recipes/${id}`, { params: { permanent: true } });
         // Refresh list after delete
         setRecipes(prevRecipes => prevRecipes.filter(recipe => recipe._id !== id));
     } catch (err) {
         console.error("Delete recipe error:", err);
         setError(err.response?.data?.message || 'An error occurred while deleting the recipe.');
-        // Optionally show error in a snackbar/toast
     }
-
   };
 
   const handleExportExcel = () => {
@@ -95,12 +123,16 @@ const DashboardPage = () => {
         'Variant': recipe.variant || 'Standard',
         'Batch Size': recipe.batchSize,
         'Cost Per Pie (R)': recipe.calculatedCosts?.costPerPie?.toFixed(2) ?? 'N/A',
-        'Selling Price (R)': recipe.sellingPrice?.toFixed(2) ?? 'N/A',
+        'Selling Price excl. VAT (R)': recipe.sellingPrice?.toFixed(2) ?? 'N/A',
+        'Published Price (R)': recipe.pricing?.publishedPrice?.toFixed(2) ?? 'N/A',
+        'Published Price Includes VAT': recipe.pricing?.includesVat ? 'Yes' : 'No',
         // Add more fields if needed, e.g., ingredients list, notes
         'Total Ingredient Cost (R)': recipe.calculatedCosts?.totalIngredientCost?.toFixed(2) ?? 'N/A',
         'Total Labor Cost (R)': recipe.calculatedCosts?.totalLaborCost?.toFixed(2) ?? 'N/A',
         'Total Batch Cost (R)': recipe.calculatedCosts?.totalBatchCost?.toFixed(2) ?? 'N/A',
         'Markup %': recipe.markupPercentage,
+        'Margin %': recipe.pricing?.marginPercentage ?? 'N/A',
+        'Below Minimum Margin': recipe.pricing?.belowMinimumMargin ? 'Yes' : 'No',
         // 'Notes': recipe.notes
     }));
 
@@ -115,11 +147,15 @@ const DashboardPage = () => {
         { wch: 15 }, // Variant
         { wch: 10 }, // Batch Size
         { wch: 15 }, // Cost Per Pie
-        { wch: 15 }, // Selling Price
+        { wch: 15 }, // Selling Price excl. VAT
+        { wch: 15 }, // Published Price
+        { wch: 10 }, // Published Price Includes VAT
         { wch: 20 }, // Total Ingredient Cost
         { wch: 20 }, // Total Labor Cost
         { wch: 20 }, // Total Batch Cost
         { wch: 10 }, // Markup %
+        { wch: 10 }, // Margin %
+        { wch: 10 }, // Below Minimum Margin
         // { wch: 50 }  // Notes
     ];
     worksheet["!cols"] = cols;
@@ -171,6 +207,13 @@ const DashboardPage = () => {
 
       {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
 
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 1 }}>
+        <FormControlLabel
+          control={<Switch checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />}
+          label="Show archived"
+        />
+      </Box>
+
       <Paper sx={{ width: '100%', overflow: 'hidden' }}>
         <TableContainer sx={{ maxHeight: 600 }}> {/* Add maxHeight for scroll */}
           <Table stickyHeader aria-label="sticky recipe table">
@@ -180,14 +223,17 @@ const DashboardPage = () => {
                 <TableCell>Variant</TableCell>
                 <TableCell align="right">Batch Size</TableCell>
                 <TableCell align="right">Cost / Pie (R)</TableCell>
-                <TableCell align="right">Selling Price (R)</TableCell>
+                <TableCell align="right">Selling Price excl. VAT (R)</TableCell>
+                <TableCell align="right">Published Price (R)</TableCell>
+                <TableCell align="right">Markup %</TableCell>
+                <TableCell align="right">Margin %</TableCell>
                 <TableCell align="center">Actions</TableCell>
               </TableRow>
             </TableHead>
             <TableBody>
               {recipes.length === 0 && !loading ? (
                  <TableRow>
-                    <TableCell colSpan={6} align="center">
+                    <TableCell colSpan={9} align="center">
                         No recipes found.
                     </TableCell>
                  </TableRow>
@@ -196,11 +242,26 @@ const DashboardPage = () => {
                   <TableRow hover role="checkbox" tabIndex={-1} key={recipe._id}>
                     <TableCell component="th" scope="row">
                       {recipe.pieName}
+                      {recipe.isArchived && <Chip label="Archived" size="small" sx={{ ml: 1 }} />}
                     </TableCell>
                     <TableCell>{recipe.variant || 'Standard'}</TableCell>
                     <TableCell align="right">{recipe.batchSize}</TableCell>
                     <TableCell align="right">{recipe.calculatedCosts?.costPerPie?.toFixed(2) ?? 'N/A'}</TableCell>
                     <TableCell align="right">{recipe.sellingPrice?.toFixed(2) ?? 'N/A'}</TableCell>
+                    <TableCell align="right">
+                      {recipe.pricing?.publishedPrice?.toFixed(2) ?? 'N/A'}
+                      {recipe.pricing?.includesVat && (
+                        <Typography component="span" variant="caption" color="text.secondary"> incl. VAT</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">{recipe.markupPercentage?.toFixed(1) ?? 'N/A'}</TableCell>
+                    <TableCell align="right">
+                      {recipe.pricing?.belowMinimumMargin ? (
+                        <Chip size="small" color="error" label={recipe.pricing.marginPercentage.toFixed(1)} title="Below the minimum margin" />
+                      ) : (
+                        recipe.pricing?.marginPercentage?.toFixed(1) ?? 'N/A'
+                      )}
+                    </TableCell>
                     <TableCell align="center">
                       <IconButton size="small" onClick={() => handleViewRecipe(recipe._id)} title="View Details">
                          <VisibilityIcon fontSize="small" />
@@ -210,11 +271,21 @@ const DashboardPage = () => {
                             <EditIcon fontSize="small" />
                          </IconButton>
                       )}
-                      {(isAdmin || isManager) && ( // Conditionally render Delete button for Admin or Manager
-                         <IconButton size="small" onClick={() => handleDeleteRecipe(recipe._id)} title="Delete">
-                            <DeleteIcon fontSize="small" />
+                      {(isAdmin || isManager) && !recipe.isArchived && ( // Archive instead of delete for Admin or Manager
+                         <IconButton size="small" onClick={() => handleArchiveRecipe(recipe._id)} title="Archive">
+                            <ArchiveIcon fontSize="small" />
                          </IconButton>
                       )}
+                      {(isAdmin || isManager) && recipe.isArchived && (
+                         <>
+                           <IconButton size="small" onClick={() => handleRestoreRecipe(recipe._id)} title="Restore">
+                              <UnarchiveIcon fontSize="small" />
+                           </IconButton>
+                           <IconButton size="small" onClick={() => handleDeleteRecipe(recipe._id)} title="Delete Permanently">
+                              <DeleteForeverIcon fontSize="small" />
+                           </IconButton>
+                         </>
+                      )}
                     </TableCell>
                   </TableRow>
                 ))
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import apiClient from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import {
@@ -22,14 +23,26 @@ import {
   InputLabel, // Import InputLabel
   Select, // Import Select
   MenuItem, // Import MenuItem
+  FormControlLabel,
+  Switch,
+  Chip,
 } from '@mui/material';
 import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
 import EditIcon from '@mui/icons-material/Edit';
-import DeleteIcon from '@mui/icons-material/Delete';
+import ArchiveIcon from '@mui/icons-material/Archive';
+import UnarchiveIcon from '@mui/icons-material/Unarchive';
+import DeleteForeverIcon from '@mui/icons-material/DeleteForever';
 import FileUploadIcon from '@mui/icons-material/FileUpload'; // Icon for upload button
 import * as XLSX from 'xlsx'; // Import xlsx library
 import Checkbox from '@mui/material/Checkbox'; // Import Checkbox
-import DeleteSweepIcon from '@mui/icons-material/DeleteSweep'; // Icon for bulk delete
+import ShowChartIcon from '@mui/icons-material/ShowChart'; // Icon for price history
+import { INGREDIENT_UNIT_OPTIONS, RECIPE_UNIT_OPTIONS } from '../utils/units';
+import { ALLERGEN_OPTIONS, formatAllergens } from '../utils/allergens';
+import { NUTRIENT_FIELDS } from '../utils/nutrition';
+import PriceHistoryDialog from '../components/PriceHistoryDialog';
+import IngredientUsagePanel from '../components/IngredientUsagePanel';
+import SupplierQuotesPanel from '../components/SupplierQuotesPanel';
+import RecipeImpactAlert from '../components/RecipeImpactAlert';
 
 // TODO: Implement Add/Edit Dialog/Form
 
@@ -44,26 +57,51 @@ const IngredientManagementPage = () => {
   // Dialog state
   const [openDialog, setOpenDialog] = useState(false);
   const [isEditMode, setIsEditMode] = useState(false);
-  const [currentIngredient, setCurrentIngredient] = useState({ _id: null, ingredientName: '', unit: 'kg', costPerUnit: '', supplier: '' });
+  const [currentIngredient, setCurrentIngredient] = useState({ _id: null, ingredientName: '', unit: 'kg', costPerUnit: '', packSize: '', packUnit: '', packPrice: '', supplier: '', density: '', eachWeight: '', yieldPercentage: '100', reorderLevel: '', allergensContains: [], allergensMayContain: [], nutrition: {}, effectiveDate: '' });
 
   // Import state
   const [selectedFile, setSelectedFile] = useState(null);
   const [importLoading, setImportLoading] = useState(false);
   const [importError, setImportError] = useState('');
   const [importSuccess, setImportSuccess] = useState('');
+  const [recipeImpact, setRecipeImpact] = useState(null); // Recipes recalculated by the last change
 
   // Selection state
   const [selected, setSelected] = useState([]); // Array of selected ingredient IDs
 
+  // Archived ingredients are only listed on request
+  const [showArchived, setShowArchived] = useState(false);
+
+  // Suppliers to pick from, and the supplier the list is filtered to (kept in the URL
+  // so the Suppliers page can link here); 'none' lists ingredients without one
+  const [suppliers, setSuppliers] = useState([]);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const supplierFilter = searchParams.get('supplier') || '';
+  const listParams = { includeArchived: showArchived, supplier: supplierFilter || undefined };
+
+  const handleSupplierFilterChange = (event) => {
+    setSearchParams(event.target.value ? { supplier: event.target.value } : {});
+  };
+
+  useEffect(() => {
+    apiClient.get('/suppliers')
+      .then((response) => setSuppliers(response.data.data || []))
+      .catch((err) => console.error("Fetch suppliers error:", err));
+  }, []);
+
+  // Price history dialog state
+  const [priceHistoryIngredient, setPriceHistoryIngredient] = useState(null);
+
   // Fetch ingredients
   useEffect(() => {
     const fetchIngredients = async () => {
       setLoading(true);
       setError('');
       try {
-        const response = await apiClient.get('/ingredients');
+        const response = await apiClient.get('/ingredients', { params: listParams });
         if (response.data.success) {
           setIngredients(response.data.data);
+          setSelected([]);
         } else {
           setError('Failed to fetch ingredients.');
         }
@@ -75,15 +113,16 @@ const IngredientManagementPage = () => {
     };
 
     fetchIngredients();
-  }, []);
+  }, [showArchived, supplierFilter]);
 
   const refreshIngredients = async () => {
      setLoading(true);
       setError('');
       setImportSuccess(''); // Clear import messages on refresh
       setImportError('');
+      setRecipeImpact(null);
       try {
-        const response = await apiClient.get('/ingredients');
+        const response = await apiClient.get('/ingredients', { params: listParams });
         if (response.data.success) {
           setIngredients(response.data.data);
           setSelected([]); // Clear selection on refresh
@@ -100,13 +139,30 @@ const IngredientManagementPage = () => {
   // --- Dialog Handlers ---
   const handleOpenAddDialog = () => {
     setIsEditMode(false);
-    setCurrentIngredient({ _id: null, ingredientName: '', unit: 'kg', costPerUnit: '', supplier: '' });
+    setCurrentIngredient({ _id: null, ingredientName: '', unit: 'kg', costPerUnit: '', packSize: '', packUnit: '', packPrice: '', supplier: '', density: '', eachWeight: '', yieldPercentage: '100', reorderLevel: '', allergensContains: [], allergensMayContain: [], nutrition: {}, effectiveDate: '' });
     setOpenDialog(true);
   };
 
   const handleOpenEditDialog = (ingredient) => {
     setIsEditMode(true);
-    setCurrentIngredient({ ...ingredient, costPerUnit: ingredient.costPerUnit.toString(), supplier: ingredient.supplier || '' });
+    setCurrentIngredient({
+      ...ingredient,
+      costPerUnit: ingredient.costPerUnit.toString(),
+      packSize: ingredient.packSize?.toString() ?? '',
+      packUnit: ingredient.packUnit || '',
+      packPrice: ingredient.packPrice?.toString() ?? '',
+      supplier: ingredient.supplier?._id || '',
+      density: ingredient.density?.toString() ?? '',
+      eachWeight: ingredient.eachWeight?.toString() ?? '',
+      yieldPercentage: ingredient.yieldPercentage?.toString() ?? '100',
+      reorderLevel: ingredient.reorderLevel?.toString() ?? '',
+      allergensContains: ingredient.allergens?.contains || [],
+      allergensMayContain: ingredient.allergens?.mayContain || [],
+      nutrition: Object.fromEntries(
+        NUTRIENT_FIELDS.map(({ key }) => [key, ingredient.nutrition?.[key]?.toString() ?? ''])
+      ),
+      effectiveDate: '',
+    });
     setOpenDialog(true);
   };
 
@@ -115,42 +171,103 @@ const IngredientManagementPage = () => {
     setError(''); // Clear errors when closing dialog
   };
 
+  // A quote change can set the ingredient's cost and supplier; keep the dialog and list in step
+  const handleQuotesChanged = async (ingredient, impact) => {
+    setCurrentIngredient(prev => ({
+      ...prev,
+      costPerUnit: ingredient.costPerUnit.toString(),
+      packSize: ingredient.packSize?.toString() ?? '',
+      packUnit: ingredient.packUnit || '',
+      packPrice: ingredient.packPrice?.toString() ?? '',
+      supplier: ingredient.supplier || '',
+      pricedFromQuote: ingredient.pricedFromQuote,
+    }));
+    await refreshIngredients();
+    setRecipeImpact(impact || null);
+  };
+
   const handleDialogInputChange = (event) => {
     const { name, value } = event.target;
     setCurrentIngredient(prev => ({ ...prev, [name]: value }));
   };
 
+  const handleNutritionChange = (event) => {
+    const { name, value } = event.target;
+    setCurrentIngredient(prev => ({ ...prev, nutrition: { ...prev.nutrition, [name]: value } }));
+  };
+
+  // With a pack size and price the backend works out the cost per unit
+  const hasPack = currentIngredient.packSize !== '' || currentIngredient.packPrice !== '';
+
   const handleDialogSubmit = async () => {
     setError('');
-    if (!currentIngredient.ingredientName || !currentIngredient.unit || !currentIngredient.costPerUnit) {
-        setError("Please fill in Ingredient Name, Unit, and Cost.");
+    if (!currentIngredient.ingredientName || !currentIngredient.unit || (!hasPack && !currentIngredient.costPerUnit)) {
+        setError("Please fill in Ingredient Name, Unit, and Cost (or Pack Size and Pack Price).");
+        return;
+    }
+    if (hasPack && (currentIngredient.packSize === '' || currentIngredient.packPrice === '')) {
+        setError("Please fill in both Pack Size and Pack Price, or clear both to enter the cost by hand.");
         return;
     }
 
     const payload = {
         ingredientName: currentIngredient.ingredientName,
         unit: currentIngredient.unit,
-        costPerUnit: parseFloat(currentIngredient.costPerUnit),
-        supplier: currentIngredient.supplier,
+        // Either the pack or the cost entered by hand; null clears a previous pack
+        ...(hasPack
+          ? {
+              packSize: parseFloat(currentIngredient.packSize),
+              packUnit: currentIngredient.packUnit || currentIngredient.unit,
+              packPrice: parseFloat(currentIngredient.packPrice),
+            }
+          : { costPerUnit: parseFloat(currentIngredient.costPerUnit), packSize: null, packUnit: null, packPrice: null }),
+        supplier: currentIngredient.supplier || null, // null clears the supplier
+        // Optional conversion properties; null clears a previously set value
+        density: currentIngredient.density ? parseFloat(currentIngredient.density) : null,
+        eachWeight: currentIngredient.eachWeight ? parseFloat(currentIngredient.eachWeight) : null,
+        // Usable share after trimming; an empty field means nothing is trimmed
+        yieldPercentage: currentIngredient.yieldPercentage ? parseFloat(currentIngredient.yieldPercentage) : 100,
+        // Blank means no low-stock warning
+        reorderLevel: currentIngredient.reorderLevel === '' ? null : parseFloat(currentIngredient.reorderLevel),
+        // Replaces the whole declaration; recipes using the ingredient pick up the change
+        allergens: {
+          contains: currentIngredient.allergensContains,
+          mayContain: currentIngredient.allergensMayContain,
+        },
+        // Per 100 g; a blank field clears the value
+        nutrition: Object.fromEntries(
+          NUTRIENT_FIELDS.map(({ key }) => {
+            const value = currentIngredient.nutrition[key];
+            return [key, value === undefined || value === '' ? null : parseFloat(value)];
+          })
+        ),
     };
+    // Only sent when set; the backend records price changes as effective now otherwise
+    if (currentIngredient.effectiveDate) {
+        payload.effectiveDate = currentIngredient.effectiveDate;
+    }
 
     setLoading(true);
     try {
+        let response;
         if (isEditMode) {
             // PUT request to update
-            const response = await apiClient.put(`/ingredients/${currentIngredient._id}`, payload);
+            response = await apiClient.put(`/ingredients/${currentIngredient._id}`, payload);
             if (!response.data.success) {
                 throw new Error(response.data.message || 'Failed to update ingredient');
             }
         } else {
             // POST request to add
-            const response = await apiClient.post('/ingredients', payload);
+            response = await apiClient.post('/ingredients', payload);
              if (!response.data.success) {
                 throw new Error(response.data.message || 'Failed to add ingredient');
             }
         }
         handleCloseDialog();
         await refreshIngredients(); // Refresh the list
+        if (isEditMode) {
+            setRecipeImpact(response.data.recipeImpact || null);
+        }
     } catch (err) {
         console.error("Ingredient submit error:", err);
         setError(err.message || 'An error occurred while saving the ingredient.');
@@ -159,21 +276,50 @@ const IngredientManagementPage = () => {
     }
   };
 
-  // --- Delete Handler ---
-  const handleDeleteIngredient = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this ingredient? This might affect existing recipes.')) {
+  // --- Archive / Restore / Delete Handlers ---
+  const handleArchiveIngredient = async (id) => {
+    if (!window.confirm('Archive this ingredient? It will be hidden from lists but recipes using it keep working. You can restore it later.')) {
         return;
     }
     setLoading(true);
     try {
         await apiClient.delete(`/ingredients/${id}`);
         await refreshIngredients();
+    } catch (err) {
+        console.error("Archive ingredient error:", err);
+        setError(err.response?.data?.message || 'An error occurred while archiving the ingredient.');
+        setLoading(false); // Ensure loading is false on error
+    }
+    // setLoading is handled by refreshIngredients on success
+  };
+
+  const handleRestoreIngredient = async (id) => {
+    setLoading(true);
+    try {
+        await apiClient.post(`/ingredients/${id}/restore`);
+        await refreshIngredients();
+    } catch (err) {
+        console.error("Restore ingredient error:", err);
+        setError(err.response?.data?.message || 'An error occurred while restoring the ingredient.');
+        setLoading(false);
+    }
+  };
+
+  // Permanent deletion is refused while active recipes use the ingredient
+  const handleDeleteIngredient = async (id) => {
+    if (!window.confirm('Permanently delete this ingredient and its price history? This cannot be undone.')) {
+        return;
+    }
+    setLoading(true);
+    try {
+        const response = await apiClient.delete(`/ingredients/${id}`, { params: { permanent: true } });
+        await refreshIngredients();
+        setRecipeImpact(response.data.recipeImpact || null);
     } catch (err) {
         console.error("Delete ingredient error:", err);
         setError(err.response?.data?.message || 'An error occurred while deleting the ingredient.');
         setLoading(false); // Ensure loading is false on error
     }
-    // setLoading is handled by refreshIngredients on success
   };
 
   // --- Export Handler ---
@@ -190,8 +336,18 @@ const IngredientManagementPage = () => {
       'Ingredient Name': ing.ingredientName,
       'Unit': ing.unit,
       'Cost per Unit (R)': ing.costPerUnit?.toFixed(2) ?? 'N/A',
-      'Supplier': ing.supplier || '', // Include optional fields
+      'Pack Size': ing.packSize ?? '',
+      'Pack Unit': ing.packUnit ?? '',
+      'Pack Price (R)': ing.packPrice?.toFixed(2) ?? '',
+      'Supplier': ing.supplier?.name || '', // Include optional fields
       'Category': ing.category || 'Other',
+      'Density (kg/L)': ing.density ?? '',
+      'Weight per Unit (kg)': ing.eachWeight ?? '',
+      'Yield (%)': ing.yieldPercentage ?? 100,
+      'Stock on Hand': ing.stockOnHand ?? 0,
+      'Reorder Level': ing.reorderLevel ?? '',
+      'Contains': formatAllergens(ing.allergens?.contains),
+      'May Contain': formatAllergens(ing.allergens?.mayContain),
       'Added By': ing.createdBy?.username || 'N/A', // Optional: Requires population
       'Added At': ing.createdAt ? new Date(ing.createdAt).toLocaleDateString() : 'N/A', // Format date
     }));
@@ -206,8 +362,18 @@ const IngredientManagementPage = () => {
       { wch: 25 }, // Ingredient Name
       { wch: 10 }, // Unit
       { wch: 15 }, // Cost per Unit
+      { wch: 10 }, // Pack Size
+      { wch: 10 }, // Pack Unit
+      { wch: 15 }, // Pack Price
       { wch: 20 }, // Supplier
       { wch: 15 }, // Category
+      { wch: 15 }, // Density
+      { wch: 18 }, // Weight per Unit
+      { wch: 10 }, // Yield
+      { wch: 14 }, // Stock on Hand
+      { wch: 14 }, // Reorder Level
+      { wch: 30 }, // Contains
+      { wch: 30 }, // May Contain
       { wch: 15 }, // Added By
       { wch: 15 }, // Added At
     ];
@@ -257,7 +423,9 @@ const IngredientManagementPage = () => {
         const response = await apiClient.post('/ingredients/import', jsonData);
 
         if (response.data.success) {
+          await refreshIngredients(); // Refresh the table (clears import messages, so set them afterwards)
           setImportSuccess(response.data.message);
+          setRecipeImpact(response.data.recipeImpact || null);
           if (response.data.errors && response.data.errors.length > 0) {
             // Display validation/processing errors from backend
             setImportError(`Import completed with ${response.data.errors.length} errors: ${response.data.errors.join('; ')}`);
@@ -267,7 +435,6 @@ const IngredientManagementPage = () => {
           if (document.getElementById('ingredient-import-input')) {
               document.getElementById('ingredient-import-input').value = '';
           }
-          await refreshIngredients(); // Refresh the table
         } else {
           throw new Error(response.data.message || 'Backend import failed.');
         }
@@ -318,13 +485,13 @@ const IngredientManagementPage = () => {
 
   const isSelected = (id) => selected.indexOf(id) !== -1;
 
-  // --- Bulk Delete Handler ---
-  const handleBulkDelete = async () => {
+  // --- Bulk Archive Handler ---
+  const handleBulkArchive = async () => {
     if (selected.length === 0) {
-      setError("No ingredients selected for deletion.");
+      setError("No ingredients selected for archiving.");
       return;
     }
-    if (!window.confirm(`Are you sure you want to delete ${selected.length} selected ingredient(s)? This might affect existing recipes and cannot be undone.`)) {
+    if (!window.confirm(`Archive ${selected.length} selected ingredient(s)? They will be hidden from lists but can be restored later.`)) {
         return;
     }
     setLoading(true); // Use general loading state for simplicity
@@ -334,16 +501,15 @@ const IngredientManagementPage = () => {
         const response = await apiClient.delete('/ingredients/bulk-delete', { data: { ids: selected } });
 
         if (response.data.success) {
-            setImportSuccess(`${response.data.deletedCount || selected.length} ingredient(s) deleted successfully.`); // Use success message state
             setSelected([]); // Clear selection
-            await refreshIngredients(); // Refresh the list (already clears selection)
+            await refreshIngredients(); // Refresh the list (already clears selection and messages)
+            setImportSuccess(`${response.data.archivedCount} ingredient(s) archived.`); // Use success message state
         } else {
-            // Error message might contain details about ingredients in use
-            throw new Error(response.data.message || 'Failed to delete selected ingredients');
+            throw new Error(response.data.message || 'Failed to archive selected ingredients');
         }
     } catch (err) {
-        console.error("Bulk delete error:", err);
-        setError(err.response?.data?.message || `An error occurred while deleting ingredients.`);
+        console.error("Bulk archive error:", err);
+        setError(err.response?.data?.message || `An error occurred while archiving ingredients.`);
         setLoading(false); // Ensure loading is false on error if refresh doesn't happen
     }
     // setLoading(false) will be handled by refreshIngredients on success
@@ -425,11 +591,37 @@ const IngredientManagementPage = () => {
          {importError && <Alert severity="error" sx={{ mt: 2 }}>{importError}</Alert>}
       </Paper>
 
+      {/* Recipes recalculated because of the last import or edit */}
+      <RecipeImpactAlert impact={recipeImpact} onClose={() => setRecipeImpact(null)} />
+
       {/* General Error/Success Area */} 
       {error && !openDialog && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
       {importSuccess && <Alert severity="success" sx={{ mb: 2 }}>{importSuccess}</Alert>}
       {/* importError is shown within Import Paper */}
 
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 2, mb: 1 }}>
+        <FormControl size="small" sx={{ minWidth: 200 }}>
+          <InputLabel id="supplier-filter-label">Supplier</InputLabel>
+          <Select
+            labelId="supplier-filter-label"
+            label="Supplier"
+            value={supplierFilter}
+            onChange={handleSupplierFilterChange}
+            disabled={loading}
+          >
+            <MenuItem value="">All suppliers</MenuItem>
+            <MenuItem value="none">No supplier</MenuItem>
+            {suppliers.map((supplier) => (
+              <MenuItem key={supplier._id} value={supplier._id}>{supplier.name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControlLabel
+          control={<Switch checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} disabled={loading} />}
+          label="Show archived"
+        />
+      </Box>
+
       <Paper sx={{ width: '100%', overflow: 'hidden' }}>
         {/* Bulk Actions Toolbar - Shown when items are selected */} 
         {selected.length > 0 && (
@@ -438,11 +630,11 @@ const IngredientManagementPage = () => {
                 <Button
                   variant="contained"
                   color="error"
-                  startIcon={<DeleteSweepIcon />}
-                  onClick={handleBulkDelete}
+                  startIcon={<ArchiveIcon />}
+                  onClick={handleBulkArchive}
                   disabled={loading}
                 >
-                  Delete Selected
+                  Archive Selected
                 </Button>
             </Box>
         )}
@@ -465,6 +657,7 @@ const IngredientManagementPage = () => {
                 <TableCell>Ingredient Name</TableCell>
                 <TableCell>Unit</TableCell>
                 <TableCell align="right">Cost per Unit (R)</TableCell>
+                <TableCell align="right">Stock</TableCell>
                 <TableCell>Supplier</TableCell>
                 <TableCell>Last Updated</TableCell>
                 <TableCell>Updated By</TableCell>
@@ -475,7 +668,7 @@ const IngredientManagementPage = () => {
               {ingredients.length === 0 && !loading ? (
                  <TableRow>
                     {/* Update colSpan to include checkbox */}
-                    <TableCell colSpan={8} align="center">
+                    <TableCell colSpan={9} align="center">
                         No ingredients found.
                     </TableCell>
                  </TableRow>
@@ -506,20 +699,59 @@ const IngredientManagementPage = () => {
                     </TableCell>
                     <TableCell component="th" id={labelId} scope="row">
                       {ingredient.ingredientName}
+                      {ingredient.isArchived && <Chip label="Archived" size="small" sx={{ ml: 1 }} />}
+                      {ingredient.allergens?.contains?.length > 0 && (
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          Contains: {formatAllergens(ingredient.allergens.contains)}
+                        </Typography>
+                      )}
+                      {ingredient.allergens?.mayContain?.length > 0 && (
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          May contain: {formatAllergens(ingredient.allergens.mayContain)}
+                        </Typography>
+                      )}
                     </TableCell>
                     <TableCell>{ingredient.unit}</TableCell>
-                    <TableCell align="right">{ingredient.costPerUnit?.toFixed(2) ?? 'N/A'}</TableCell>
-                    <TableCell>{ingredient.supplier || '-'}</TableCell>
+                    <TableCell align="right">
+                      {ingredient.costPerUnit?.toFixed(2) ?? 'N/A'}
+                      {ingredient.packSize != null && (
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          R{ingredient.packPrice?.toFixed(2)} / {ingredient.packSize} {ingredient.packUnit}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">
+                      {Number((ingredient.stockOnHand || 0).toFixed(3))} {ingredient.unit}
+                      {/* Low once stock reaches the reorder level */}
+                      {ingredient.reorderLevel != null && (ingredient.stockOnHand || 0) <= ingredient.reorderLevel && (
+                        <Chip label="Low" size="small" color="warning" sx={{ ml: 1 }} />
+                      )}
+                    </TableCell>
+                    <TableCell>{ingredient.supplier?.name || '-'}</TableCell>
                     <TableCell>{ingredient.updatedAt ? new Date(ingredient.updatedAt).toLocaleString() : 'N/A'}</TableCell>
                     <TableCell>{ingredient.updatedBy?.username || 'N/A'}</TableCell>
                     <TableCell align="center">
                        {/* Keep individual actions, maybe disable if bulk selected? */}
+                       <IconButton size="small" onClick={(e) => { e.stopPropagation(); setPriceHistoryIngredient(ingredient); }} title="Price History">
+                         <ShowChartIcon fontSize="small" />
+                      </IconButton>
                        <IconButton size="small" onClick={(e) => { e.stopPropagation(); handleOpenEditDialog(ingredient); }} title="Edit" disabled={loading}>
                          <EditIcon fontSize="small" />
                       </IconButton>
-                      <IconButton size="small" onClick={(e) => { e.stopPropagation(); handleDeleteIngredient(ingredient._id); }} title="Delete" disabled={loading}>
-                         <DeleteIcon fontSize="small" />
-                      </IconButton>
+                      {ingredient.isArchived ? (
+                        <>
+                          <IconButton size="small" onClick={(e) => { e.stopPropagation(); handleRestoreIngredient(ingredient._id); }} title="Restore" disabled={loading}>
+                            <UnarchiveIcon fontSize="small" />
+                          </IconButton>
+                          <IconButton size="small" onClick={(e) => { e.stopPropagation(); handleDeleteIngredient(ingredient._id); }} title="Delete Permanently" disabled={loading}>
+                            <DeleteForeverIcon fontSize="small" />
+                          </IconButton>
+                        </>
+                      ) : (
+                        <IconButton size="small" onClick={(e) => { e.stopPropagation(); handleArchiveIngredient(ingredient._id); }} title="Archive" disabled={loading}>
+                          <ArchiveIcon fontSize="small" />
+                        </IconButton>
+                      )}
                     </TableCell>
                   </TableRow>
                 )}) // End map function
@@ -530,7 +762,7 @@ const IngredientManagementPage = () => {
       </Paper>
 
       {/* Add/Edit Ingredient Dialog */}
-      <Dialog open={openDialog} onClose={handleCloseDialog} aria-labelledby="ingredient-dialog-title">
+      <Dialog open={openDialog} onClose={handleCloseDialog} aria-labelledby="ingredient-dialog-title" maxWidth="md" fullWidth>
         <DialogTitle id="ingredient-dialog-title">{isEditMode ? 'Edit Ingredient' : 'Add New Ingredient'}</DialogTitle>
         <DialogContent>
           {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>} {/* Show errors inside dialog */}
@@ -561,12 +793,9 @@ const IngredientManagementPage = () => {
                 label="Unit"
                 onChange={handleDialogInputChange}
              >
-                <MenuItem value="kg">kg (Kilogram)</MenuItem>
-                <MenuItem value="g">g (Gram)</MenuItem>
-                <MenuItem value="L">L (Liter)</MenuItem>
-                <MenuItem value="ml">ml (Milliliter)</MenuItem>
-                <MenuItem value="unit">unit (Unit/Each)</MenuItem>
-                {/* Add other units if needed */}
+                {INGREDIENT_UNIT_OPTIONS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
              </Select>
           </FormControl>
           <TextField
@@ -579,22 +808,199 @@ const IngredientManagementPage = () => {
             variant="outlined"
             value={currentIngredient.costPerUnit}
             onChange={handleDialogInputChange}
-            required
+            required={!hasPack}
+            disabled={loading || hasPack}
+            inputProps={{ min: 0, step: "any" }}
+            helperText={currentIngredient.pricedFromQuote
+              ? 'Set from a supplier quote (see Supplier Quotes below)'
+              : hasPack ? 'Worked out from the pack price when saved' : undefined}
+          />
+          {/* How the ingredient is bought, e.g. a 12.5 kg bag for R189 */}
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <TextField
+              margin="dense"
+              id="packSize"
+              name="packSize"
+              label="Pack Size (Optional)"
+              type="number"
+              variant="outlined"
+              value={currentIngredient.packSize}
+              onChange={handleDialogInputChange}
+              disabled={loading}
+              inputProps={{ min: 0, step: "any" }}
+              sx={{ flex: 1 }}
+            />
+            <FormControl margin="dense" sx={{ minWidth: 110 }} disabled={loading}>
+              <InputLabel id="pack-unit-label">Pack Unit</InputLabel>
+              <Select
+                labelId="pack-unit-label"
+                id="packUnit"
+                name="packUnit"
+                label="Pack Unit"
+                value={currentIngredient.packUnit || currentIngredient.unit}
+                onChange={handleDialogInputChange}
+              >
+                {RECIPE_UNIT_OPTIONS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField
+              margin="dense"
+              id="packPrice"
+              name="packPrice"
+              label="Pack Price (R, Optional)"
+              type="number"
+              variant="outlined"
+              value={currentIngredient.packPrice}
+              onChange={handleDialogInputChange}
+              disabled={loading}
+              inputProps={{ min: 0, step: "any" }}
+              sx={{ flex: 1 }}
+            />
+          </Box>
+          <TextField
+            margin="dense"
+            id="effectiveDate"
+            name="effectiveDate"
+            label="Price Effective From (Optional)"
+            type="date"
+            fullWidth
+            variant="outlined"
+            value={currentIngredient.effectiveDate}
+            onChange={handleDialogInputChange}
+            disabled={loading}
+            InputLabelProps={{ shrink: true }}
+            helperText="Recorded in the price history when the cost changes (defaults to today)"
+          />
+          <FormControl fullWidth margin="dense" variant="outlined">
+            <InputLabel id="supplier-label">Supplier (Optional)</InputLabel>
+            <Select
+              labelId="supplier-label"
+              id="supplier"
+              name="supplier"
+              label="Supplier (Optional)"
+              value={currentIngredient.supplier}
+              onChange={handleDialogInputChange}
+              disabled={loading}
+            >
+              <MenuItem value=""><em>None</em></MenuItem>
+              {suppliers.map((supplier) => (
+                <MenuItem key={supplier._id} value={supplier._id}>{supplier.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            margin="dense"
+            id="density"
+            name="density"
+            label="Density (kg per L, Optional)"
+            type="number"
+            fullWidth
+            variant="outlined"
+            value={currentIngredient.density}
+            onChange={handleDialogInputChange}
             disabled={loading}
             inputProps={{ min: 0, step: "any" }}
+            helperText="Needed to use this ingredient by volume when priced by weight (or the reverse)"
           />
           <TextField
             margin="dense"
-            id="supplier"
-            name="supplier"
-            label="Supplier (Optional)"
-            type="text"
+            id="eachWeight"
+            name="eachWeight"
+            label="Weight per Unit (kg, Optional)"
+            type="number"
+            fullWidth
+            variant="outlined"
+            value={currentIngredient.eachWeight}
+            onChange={handleDialogInputChange}
+            disabled={loading}
+            inputProps={{ min: 0, step: "any" }}
+            helperText="Needed to use this ingredient by count when priced by weight or volume (or the reverse)"
+          />
+          <TextField
+            margin="dense"
+            id="yieldPercentage"
+            name="yieldPercentage"
+            label="Usable Yield (%)"
+            type="number"
             fullWidth
             variant="outlined"
-            value={currentIngredient.supplier}
+            value={currentIngredient.yieldPercentage}
             onChange={handleDialogInputChange}
             disabled={loading}
+            inputProps={{ min: 1, max: 100, step: "any" }}
+            helperText="Share left after trimming or peeling (e.g. 82 for meat losing 18% to trim)"
           />
+          <TextField
+            margin="dense"
+            id="reorderLevel"
+            name="reorderLevel"
+            label={`Reorder Level (${currentIngredient.unit}, Optional)`}
+            type="number"
+            fullWidth
+            variant="outlined"
+            value={currentIngredient.reorderLevel}
+            onChange={handleDialogInputChange}
+            disabled={loading}
+            inputProps={{ min: 0, step: "any" }}
+            helperText="Stock at or below this level is flagged as low. Stock itself changes through receipts and counts on the Inventory page."
+          />
+          {/* Allergens rolled up onto every recipe using this ingredient */}
+          {[
+            { name: 'allergensContains', label: 'Contains Allergens' },
+            { name: 'allergensMayContain', label: 'May Contain (cross-contact)' },
+          ].map(({ name, label }) => (
+            <FormControl fullWidth margin="dense" key={name} disabled={loading}>
+              <InputLabel id={`${name}-label`}>{label}</InputLabel>
+              <Select
+                labelId={`${name}-label`}
+                name={name}
+                multiple
+                value={currentIngredient[name]}
+                label={label}
+                onChange={handleDialogInputChange}
+                renderValue={(selectedKeys) => formatAllergens(selectedKeys)}
+              >
+                {ALLERGEN_OPTIONS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>
+                    <Checkbox checked={currentIngredient[name].includes(option.value)} size="small" />
+                    {option.label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          ))}
+          {/* Nutrients for the nutrition panels of recipes using this ingredient */}
+          <Typography variant="subtitle2" sx={{ mt: 2 }}>Nutrition per 100 g (Optional)</Typography>
+          <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' }, columnGap: 2 }}>
+            {NUTRIENT_FIELDS.map(({ key, label, unit }) => (
+              <TextField
+                key={key}
+                margin="dense"
+                name={key}
+                label={`${label} (${unit})`}
+                type="number"
+                variant="outlined"
+                value={currentIngredient.nutrition[key] ?? ''}
+                onChange={handleNutritionChange}
+                disabled={loading}
+                inputProps={{ min: 0, step: "any" }}
+              />
+            ))}
+          </Box>
+          {/* Supplier quotes that set the cost, and the recipes affected by changes to this ingredient */}
+          {isEditMode && currentIngredient._id && (
+            <>
+              <SupplierQuotesPanel
+                ingredientId={currentIngredient._id}
+                unit={currentIngredient.unit}
+                suppliers={suppliers}
+                onIngredientChange={handleQuotesChanged}
+              />
+              <IngredientUsagePanel ingredientId={currentIngredient._id} />
+            </>
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={handleCloseDialog} disabled={loading}>Cancel</Button>
@@ -604,6 +1010,13 @@ const IngredientManagementPage = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Price History Dialog */}
+      <PriceHistoryDialog
+        open={Boolean(priceHistoryIngredient)}
+        ingredient={priceHistoryIngredient}
+        onClose={() => setPriceHistoryIngredient(null)}
+      />
+
     </Container>
   );
 };
@@ -0,0 +1,516 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../services/api';
+import {
+  Container,
+  Typography,
+  Box,
+  CircularProgress,
+  Alert,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  IconButton,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  FormControlLabel,
+  Switch,
+  Chip,
+} from '@mui/material';
+import LocalShippingIcon from '@mui/icons-material/LocalShipping';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { RECIPE_UNIT_OPTIONS } from '../utils/units';
+
+const MOVEMENT_TYPE_LABELS = {
+  receipt: 'Receipt',
+  count: 'Count',
+  production: 'Production',
+};
+
+const emptyReceiptLine = { ingredient: '', quantity: '', unit: '', totalCost: '' };
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Formats a signed quantity (e.g. +2.5, -0.75)
+const formatChange = (value) => `${value >= 0 ? '+' : ''}${Number(value.toFixed(3))}`;
+
+// Stock on hand per ingredient, with goods received, stock counts and the movement ledger
+const InventoryPage = () => {
+  const [stock, setStock] = useState([]);
+  const [totalStockValue, setTotalStockValue] = useState(0);
+  const [lowStockOnly, setLowStockOnly] = useState(false);
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Ledger, optionally for one ingredient
+  const [movements, setMovements] = useState([]);
+  const [ledgerIngredient, setLedgerIngredient] = useState(null);
+
+  // Receive goods dialog
+  const [receiptOpen, setReceiptOpen] = useState(false);
+  const [receipt, setReceipt] = useState({ supplier: '', reference: '', receivedAt: today(), lines: [emptyReceiptLine] });
+
+  // Stock count dialog; counted quantities keyed by ingredient id
+  const [countOpen, setCountOpen] = useState(false);
+  const [counted, setCounted] = useState({});
+  const [countResult, setCountResult] = useState(null);
+
+  const [dialogError, setDialogError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchStock = async () => {
+    setError('');
+    try {
+      const response = await apiClient.get('/inventory', { params: lowStockOnly ? { lowStock: true } : {} });
+      if (response.data.success) {
+        setStock(response.data.data);
+        setTotalStockValue(response.data.totalStockValue);
+      } else {
+        setError('Failed to fetch stock levels.');
+      }
+    } catch (err) {
+      console.error("Fetch stock error:", err);
+      setError(err.response?.data?.message || 'An error occurred while fetching stock levels.');
+    }
+  };
+
+  const fetchMovements = async () => {
+    try {
+      const response = await apiClient.get('/inventory/movements', {
+        params: ledgerIngredient ? { ingredient: ledgerIngredient._id } : {},
+      });
+      if (response.data.success) {
+        setMovements(response.data.data);
+      }
+    } catch (err) {
+      console.error("Fetch stock movements error:", err);
+      setError(err.response?.data?.message || 'An error occurred while fetching stock movements.');
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      await fetchStock();
+      setLoading(false);
+    };
+    load();
+  }, [lowStockOnly]);
+
+  useEffect(() => {
+    fetchMovements();
+  }, [ledgerIngredient]);
+
+  useEffect(() => {
+    apiClient.get('/suppliers')
+      .then((response) => setSuppliers(response.data.data || []))
+      .catch((err) => console.error("Fetch suppliers error:", err));
+  }, []);
+
+  const refresh = () => Promise.all([fetchStock(), fetchMovements()]);
+
+  // --- Receive goods ---
+  const handleOpenReceipt = () => {
+    setDialogError('');
+    setReceipt({ supplier: '', reference: '', receivedAt: today(), lines: [emptyReceiptLine] });
+    setReceiptOpen(true);
+  };
+
+  const handleReceiptLineChange = (index, field, value) => {
+    setReceipt((prev) => ({
+      ...prev,
+      lines: prev.lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)),
+    }));
+  };
+
+  const handleSubmitReceipt = async () => {
+    const lines = receipt.lines.filter((line) => line.ingredient && line.quantity !== '');
+    if (lines.length === 0) {
+      setDialogError('Please add at least one ingredient with the quantity received.');
+      return;
+    }
+    const payload = {
+      receivedAt: receipt.receivedAt,
+      lines: lines.map((line) => ({
+        ingredient: line.ingredient,
+        quantity: parseFloat(line.quantity),
+        ...(line.unit && { unit: line.unit }),
+        ...(line.totalCost !== '' && { totalCost: parseFloat(line.totalCost) }),
+      })),
+    };
+    if (receipt.supplier) payload.supplier = receipt.supplier;
+    if (receipt.reference) payload.reference = receipt.reference;
+
+    setSaving(true);
+    setDialogError('');
+    try {
+      await apiClient.post('/inventory/receipts', payload);
+      setReceiptOpen(false);
+      await refresh();
+    } catch (err) {
+      console.error("Receive stock error:", err);
+      setDialogError(err.response?.data?.message || 'An error occurred while booking the receipt.');
+    }
+    setSaving(false);
+  };
+
+  // --- Stock count ---
+  const handleOpenCount = () => {
+    setDialogError('');
+    setCounted({});
+    setCountResult(null);
+    setCountOpen(true);
+  };
+
+  const handleSubmitCount = async () => {
+    // Only ingredients with a counted quantity are recorded
+    const lines = Object.entries(counted)
+      .filter(([, value]) => value !== '')
+      .map(([ingredient, value]) => ({ ingredient, countedQuantity: parseFloat(value) }));
+    if (lines.length === 0) {
+      setDialogError('Please enter the counted quantity of at least one ingredient.');
+      return;
+    }
+
+    setSaving(true);
+    setDialogError('');
+    try {
+      const response = await apiClient.post('/inventory/counts', { lines });
+      setCountResult(response.data.data);
+      await refresh();
+    } catch (err) {
+      console.error("Stock count error:", err);
+      setDialogError(err.response?.data?.message || 'An error occurred while recording the count.');
+    }
+    setSaving(false);
+  };
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', mt: 5 }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 3 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Inventory
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+        <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+          Stock value: R{totalStockValue.toFixed(2)}
+        </Typography>
+        <FormControlLabel
+          control={<Switch checked={lowStockOnly} onChange={(e) => setLowStockOnly(e.target.checked)} />}
+          label="Low stock only"
+        />
+        <Button variant="outlined" startIcon={<FactCheckIcon />} onClick={handleOpenCount}>
+          Stock Count
+        </Button>
+        <Button variant="contained" startIcon={<LocalShippingIcon />} onClick={handleOpenReceipt}>
+          Receive Goods
+        </Button>
+      </Box>
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Ingredient</TableCell>
+              <TableCell>Category</TableCell>
+              <TableCell align="right">On Hand</TableCell>
+              <TableCell align="right">Reorder Level</TableCell>
+              <TableCell align="right">Value (R)</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {stock.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={5} align="center">No ingredients found.</TableCell>
+              </TableRow>
+            ) : (
+              stock.map((ingredient) => (
+                <TableRow
+                  hover
+                  key={ingredient._id}
+                  selected={ledgerIngredient?._id === ingredient._id}
+                  onClick={() => setLedgerIngredient(ingredient)}
+                  sx={{ cursor: 'pointer' }}
+                >
+                  <TableCell>
+                    {ingredient.ingredientName}
+                    {ingredient.isLowStock && <Chip label="Low" size="small" color="warning" sx={{ ml: 1 }} />}
+                  </TableCell>
+                  <TableCell>{ingredient.category}</TableCell>
+                  <TableCell align="right">{Number(ingredient.stockOnHand.toFixed(3))} {ingredient.unit}</TableCell>
+                  <TableCell align="right">{ingredient.reorderLevel != null ? `${ingredient.reorderLevel} ${ingredient.unit}` : '-'}</TableCell>
+                  <TableCell align="right">{ingredient.stockValue.toFixed(2)}</TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Stock movement ledger */}
+      <Box sx={{ display: 'flex', alignItems: 'center', mt: 4, mb: 1 }}>
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>
+          Stock Movements{ledgerIngredient ? `: ${ledgerIngredient.ingredientName}` : ''}
+        </Typography>
+        {ledgerIngredient && (
+          <Button size="small" onClick={() => setLedgerIngredient(null)}>Show all</Button>
+        )}
+      </Box>
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Date</TableCell>
+              <TableCell>Ingredient</TableCell>
+              <TableCell>Type</TableCell>
+              <TableCell align="right">Change</TableCell>
+              <TableCell align="right">Balance</TableCell>
+              <TableCell>Supplier / Reference</TableCell>
+              <TableCell>By</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {movements.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center">No stock movements yet.</TableCell>
+              </TableRow>
+            ) : (
+              movements.map((movement) => (
+                <TableRow key={movement._id}>
+                  <TableCell>{new Date(movement.occurredAt).toLocaleDateString()}</TableCell>
+                  <TableCell>{movement.ingredient?.ingredientName || '(deleted)'}</TableCell>
+                  <TableCell>{MOVEMENT_TYPE_LABELS[movement.type] || movement.type}</TableCell>
+                  <TableCell align="right" sx={{ color: movement.quantity < 0 ? 'error.main' : 'inherit' }}>
+                    {formatChange(movement.quantity)} {movement.unit}
+                  </TableCell>
+                  <TableCell align="right">{Number(movement.balanceAfter.toFixed(3))} {movement.unit}</TableCell>
+                  <TableCell>{[movement.supplier?.name, movement.reference].filter(Boolean).join(' · ') || '-'}</TableCell>
+                  <TableCell>{movement.createdBy?.username || '-'}</TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Receive Goods Dialog */}
+      <Dialog open={receiptOpen} onClose={() => setReceiptOpen(false)} fullWidth maxWidth="md">
+        <DialogTitle>Receive Goods</DialogTitle>
+        <DialogContent>
+          {dialogError && <Alert severity="error" sx={{ mb: 2 }}>{dialogError}</Alert>}
+          <Box sx={{ display: 'flex', gap: 2, mt: 1, flexWrap: 'wrap' }}>
+            <FormControl sx={{ minWidth: 200 }}>
+              <InputLabel id="receipt-supplier-label">Supplier</InputLabel>
+              <Select
+                labelId="receipt-supplier-label"
+                label="Supplier"
+                value={receipt.supplier}
+                onChange={(e) => setReceipt((prev) => ({ ...prev, supplier: e.target.value }))}
+                disabled={saving}
+              >
+                <MenuItem value=""><em>None</em></MenuItem>
+                {suppliers.map((supplier) => (
+                  <MenuItem key={supplier._id} value={supplier._id}>{supplier.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField
+              label="Delivery Note / Invoice No."
+              value={receipt.reference}
+              onChange={(e) => setReceipt((prev) => ({ ...prev, reference: e.target.value }))}
+              disabled={saving}
+            />
+            <TextField
+              label="Received On"
+              type="date"
+              value={receipt.receivedAt}
+              onChange={(e) => setReceipt((prev) => ({ ...prev, receivedAt: e.target.value }))}
+              InputLabelProps={{ shrink: true }}
+              disabled={saving}
+            />
+          </Box>
+          {receipt.lines.map((line, index) => (
+            <Box key={index} sx={{ display: 'flex', gap: 1, mt: 2, alignItems: 'center' }}>
+              <FormControl size="small" sx={{ flex: 2 }}>
+                <InputLabel id={`receipt-ingredient-${index}`}>Ingredient</InputLabel>
+                <Select
+                  labelId={`receipt-ingredient-${index}`}
+                  label="Ingredient"
+                  value={line.ingredient}
+                  onChange={(e) => handleReceiptLineChange(index, 'ingredient', e.target.value)}
+                  disabled={saving}
+                >
+                  {stock.map((ingredient) => (
+                    <MenuItem key={ingredient._id} value={ingredient._id}>{ingredient.ingredientName}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <TextField
+                size="small"
+                label="Quantity"
+                type="number"
+                value={line.quantity}
+                onChange={(e) => handleReceiptLineChange(index, 'quantity', e.target.value)}
+                inputProps={{ min: 0, step: "any" }}
+                sx={{ flex: 1 }}
+                disabled={saving}
+              />
+              <FormControl size="small" sx={{ minWidth: 90 }}>
+                <InputLabel id={`receipt-unit-${index}`}>Unit</InputLabel>
+                <Select
+                  labelId={`receipt-unit-${index}`}
+                  label="Unit"
+                  value={line.unit || stock.find((i) => i._id === line.ingredient)?.unit || ''}
+                  onChange={(e) => handleReceiptLineChange(index, 'unit', e.target.value)}
+                  disabled={saving}
+                >
+                  {RECIPE_UNIT_OPTIONS.map((option) => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <TextField
+                size="small"
+                label="Line Cost (R, Optional)"
+                type="number"
+                value={line.totalCost}
+                onChange={(e) => handleReceiptLineChange(index, 'totalCost', e.target.value)}
+                inputProps={{ min: 0, step: "any" }}
+                sx={{ flex: 1 }}
+                disabled={saving}
+              />
+              <IconButton
+                size="small"
+                onClick={() => setReceipt((prev) => ({ ...prev, lines: prev.lines.filter((_, i) => i !== index) }))}
+                disabled={saving || receipt.lines.length === 1}
+                title="Remove line"
+              >
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+          ))}
+          <Button
+            startIcon={<AddIcon />}
+            onClick={() => setReceipt((prev) => ({ ...prev, lines: [...prev.lines, emptyReceiptLine] }))}
+            disabled={saving}
+            sx={{ mt: 1 }}
+          >
+            Add Line
+          </Button>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReceiptOpen(false)} disabled={saving}>Cancel</Button>
+          <Button onClick={handleSubmitReceipt} variant="contained" disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : 'Book Receipt'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Stock Count Dialog */}
+      <Dialog open={countOpen} onClose={() => setCountOpen(false)} fullWidth maxWidth="md">
+        <DialogTitle>Stock Count</DialogTitle>
+        <DialogContent>
+          {dialogError && <Alert severity="error" sx={{ mb: 2 }}>{dialogError}</Alert>}
+          {countResult ? (
+            <>
+              <Alert severity={countResult.totalVarianceValue < 0 ? 'warning' : 'success'} sx={{ mb: 2 }}>
+                Count recorded. Total variance: R{countResult.totalVarianceValue.toFixed(2)}
+              </Alert>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Ingredient</TableCell>
+                    <TableCell align="right">Expected</TableCell>
+                    <TableCell align="right">Counted</TableCell>
+                    <TableCell align="right">Variance</TableCell>
+                    <TableCell align="right">Value (R)</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {countResult.lines.map((line) => (
+                    <TableRow key={line.ingredient}>
+                      <TableCell>{line.ingredientName}</TableCell>
+                      <TableCell align="right">{Number(line.expectedQuantity.toFixed(3))} {line.unit}</TableCell>
+                      <TableCell align="right">{line.countedQuantity} {line.unit}</TableCell>
+                      <TableCell align="right" sx={{ color: line.variance < 0 ? 'error.main' : 'inherit' }}>
+                        {formatChange(line.variance)} {line.unit}
+                      </TableCell>
+                      <TableCell align="right">{line.varianceValue.toFixed(2)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </>
+          ) : (
+            <>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                Enter what was counted; ingredients left blank are not changed.
+              </Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Ingredient</TableCell>
+                    <TableCell align="right">Expected</TableCell>
+                    <TableCell align="right">Counted</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {stock.map((ingredient) => (
+                    <TableRow key={ingredient._id}>
+                      <TableCell>{ingredient.ingredientName}</TableCell>
+                      <TableCell align="right">{Number(ingredient.stockOnHand.toFixed(3))} {ingredient.unit}</TableCell>
+                      <TableCell align="right">
+                        <TextField
+                          size="small"
+                          type="number"
+                          value={counted[ingredient._id] ?? ''}
+                          onChange={(e) => setCounted((prev) => ({ ...prev, [ingredient._id]: e.target.value }))}
+                          inputProps={{ min: 0, step: "any" }}
+                          InputProps={{ endAdornment: ingredient.unit }}
+                          sx={{ width: 140 }}
+                          disabled={saving}
+                        />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCountOpen(false)} disabled={saving}>{countResult ? 'Close' : 'Cancel'}</Button>
+          {!countResult && (
+            <Button onClick={handleSubmitCount} variant="contained" disabled={saving}>
+              {saving ? <CircularProgress size={20} /> : 'Record Count'}
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default InventoryPage;
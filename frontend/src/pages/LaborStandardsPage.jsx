@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../services/api';
+import {
+  Container,
+  Typography,
+  Box,
+  CircularProgress,
+  Alert,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  IconButton,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+} from '@mui/material';
+import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import RecipeImpactAlert from '../components/RecipeImpactAlert';
+
+const emptyStandard = { _id: null, name: '', hourlyRate: '', description: '' };
+
+// Labor standards are the kinds of work on the production line and their wages.
+// Recipes reference them, so a rate change here re-costs every pie using it.
+const LaborStandardsPage = () => {
+  const [standards, setStandards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [recipeImpact, setRecipeImpact] = useState(null); // Recipes recalculated by the last change
+
+  // Dialog state
+  const [openDialog, setOpenDialog] = useState(false);
+  const [currentStandard, setCurrentStandard] = useState(emptyStandard);
+  const [dialogError, setDialogError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const isEditMode = Boolean(currentStandard._id);
+
+  const fetchStandards = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiClient.get('/labor');
+      if (response.data.success) {
+        setStandards(response.data.data);
+      } else {
+        setError('Failed to fetch labor standards.');
+      }
+    } catch (err) {
+      console.error("Fetch labor standards error:", err);
+      setError(err.response?.data?.message || 'An error occurred while fetching labor standards.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchStandards();
+  }, []);
+
+  const handleOpenDialog = (standard = null) => {
+    setDialogError('');
+    setCurrentStandard(
+      standard
+        ? { _id: standard._id, name: standard.name, hourlyRate: standard.hourlyRate.toString(), description: standard.description || '' }
+        : emptyStandard
+    );
+    setOpenDialog(true);
+  };
+
+  const handleCloseDialog = () => {
+    setOpenDialog(false);
+  };
+
+  const handleDialogInputChange = (event) => {
+    const { name, value } = event.target;
+    setCurrentStandard((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleDialogSubmit = async () => {
+    if (!currentStandard.name || currentStandard.hourlyRate === '') {
+      setDialogError('Please fill in the name and hourly rate.');
+      return;
+    }
+
+    const payload = {
+      name: currentStandard.name,
+      hourlyRate: parseFloat(currentStandard.hourlyRate),
+      description: currentStandard.description,
+    };
+
+    setSaving(true);
+    setDialogError('');
+    try {
+      const response = isEditMode
+        ? await apiClient.put(`/labor/${currentStandard._id}`, payload)
+        : await apiClient.post('/labor', payload);
+      if (response.data.success) {
+        setOpenDialog(false);
+        await fetchStandards();
+        setRecipeImpact(response.data.recipeImpact || null);
+      }
+    } catch (err) {
+      console.error("Labor standard submit error:", err);
+      setDialogError(err.response?.data?.message || 'An error occurred while saving the labor standard.');
+    }
+    setSaving(false);
+  };
+
+  const handleDelete = async (standard) => {
+    if (!window.confirm(`Are you sure you want to delete "${standard.name}"?`)) return;
+    setError('');
+    try {
+      const response = await apiClient.delete(`/labor/${standard._id}`);
+      if (response.data.success) {
+        await fetchStandards();
+      }
+    } catch (err) {
+      console.error("Delete labor standard error:", err);
+      setError(err.response?.data?.message || 'An error occurred while deleting the labor standard.');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', mt: 5 }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 3 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Labor Standards
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Recipes book their labor against these standards in minutes per pie or worker-hours per batch.
+        Changing a rate recalculates every recipe that uses it.
+      </Typography>
+
+      <RecipeImpactAlert impact={recipeImpact} onClose={() => setRecipeImpact(null)} />
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+        <Button variant="contained" startIcon={<AddCircleOutlineIcon />} onClick={() => handleOpenDialog()}>
+          Add Labor Standard
+        </Button>
+      </Box>
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell align="right">Hourly Rate (R)</TableCell>
+              <TableCell>Description</TableCell>
+              <TableCell align="center">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {standards.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={4} align="center">No labor standards found.</TableCell>
+              </TableRow>
+            ) : (
+              standards.map((standard) => (
+                <TableRow hover key={standard._id}>
+                  <TableCell>{standard.name}</TableCell>
+                  <TableCell align="right">{standard.hourlyRate.toFixed(2)} / hour</TableCell>
+                  <TableCell>{standard.description || '-'}</TableCell>
+                  <TableCell align="center">
+                    <IconButton size="small" onClick={() => handleOpenDialog(standard)} color="primary" title="Edit">
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" onClick={() => handleDelete(standard)} color="error" title="Delete">
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Add/Edit Dialog */}
+      <Dialog open={openDialog} onClose={handleCloseDialog} fullWidth maxWidth="sm">
+        <DialogTitle>{isEditMode ? 'Edit Labor Standard' : 'Add Labor Standard'}</DialogTitle>
+        <DialogContent>
+          {dialogError && <Alert severity="error" sx={{ mb: 2 }}>{dialogError}</Alert>}
+          <TextField
+            autoFocus
+            margin="dense"
+            name="name"
+            label="Name (e.g. Pie filling line)"
+            fullWidth
+            value={currentStandard.name}
+            onChange={handleDialogInputChange}
+            disabled={saving}
+          />
+          <TextField
+            margin="dense"
+            name="hourlyRate"
+            label="Hourly Rate (R)"
+            type="number"
+            fullWidth
+            value={currentStandard.hourlyRate}
+            onChange={handleDialogInputChange}
+            disabled={saving}
+            inputProps={{ min: 0, step: "any" }}
+          />
+          <TextField
+            margin="dense"
+            name="description"
+            label="Description (Optional)"
+            fullWidth
+            multiline
+            rows={2}
+            value={currentStandard.description}
+            onChange={handleDialogInputChange}
+            disabled={saving}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog} disabled={saving}>Cancel</Button>
+          <Button onClick={handleDialogSubmit} variant="contained" disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : (isEditMode ? 'Save Changes' : 'Add Labor Standard')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default LaborStandardsPage;
@@ -0,0 +1,334 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../services/api';
+import {
+  Container,
+  Typography,
+  Box,
+  CircularProgress,
+  Alert,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  IconButton,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Chip,
+} from '@mui/material';
+import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import RecipeImpactAlert from '../components/RecipeImpactAlert';
+
+// What the cost of each overhead type is measured per
+const OVERHEAD_TYPES = [
+  { value: 'packaging', label: 'Packaging', costLabel: 'Cost per Item (R)', per: 'item' },
+  { value: 'utility', label: 'Utility', costLabel: 'Cost per Minute (R)', per: 'minute' },
+  { value: 'fixed', label: 'Fixed Monthly', costLabel: 'Cost per Month (R)', per: 'month' },
+];
+
+const getTypeOption = (type) => OVERHEAD_TYPES.find((option) => option.value === type) || OVERHEAD_TYPES[0];
+
+const emptyOverhead = { _id: null, name: '', type: 'packaging', cost: '', notes: '' };
+
+const OverheadManagementPage = () => {
+  const [overheads, setOverheads] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [recipeImpact, setRecipeImpact] = useState(null); // Recipes recalculated by the last change
+
+  // Costing settings
+  const [projectedMonthlyVolume, setProjectedMonthlyVolume] = useState('');
+  const [savingSettings, setSavingSettings] = useState(false);
+  const [settingsSuccess, setSettingsSuccess] = useState('');
+
+  // Dialog state
+  const [openDialog, setOpenDialog] = useState(false);
+  const [currentOverhead, setCurrentOverhead] = useState(emptyOverhead);
+  const [dialogError, setDialogError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const isEditMode = Boolean(currentOverhead._id);
+
+  const fetchData = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [overheadsResponse, settingsResponse] = await Promise.all([
+        apiClient.get('/overheads'),
+        apiClient.get('/settings'),
+      ]);
+      if (overheadsResponse.data.success) {
+        setOverheads(overheadsResponse.data.data);
+      } else {
+        setError('Failed to fetch overheads.');
+      }
+      if (settingsResponse.data.success) {
+        setProjectedMonthlyVolume(settingsResponse.data.data.projectedMonthlyVolume?.toString() ?? '0');
+      }
+    } catch (err) {
+      console.error("Fetch overheads error:", err);
+      setError(err.response?.data?.message || 'An error occurred while fetching overheads.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const handleSaveSettings = async () => {
+    setSavingSettings(true);
+    setError('');
+    setSettingsSuccess('');
+    try {
+      const response = await apiClient.put('/settings', {
+        projectedMonthlyVolume: parseInt(projectedMonthlyVolume, 10) || 0,
+      });
+      if (response.data.success) {
+        setSettingsSuccess('Settings saved.');
+        setRecipeImpact(response.data.recipeImpact || null);
+      }
+    } catch (err) {
+      console.error("Save settings error:", err);
+      setError(err.response?.data?.message || 'An error occurred while saving the settings.');
+    }
+    setSavingSettings(false);
+  };
+
+  const handleOpenDialog = (overhead = null) => {
+    setDialogError('');
+    setCurrentOverhead(
+      overhead
+        ? { _id: overhead._id, name: overhead.name, type: overhead.type, cost: overhead.cost.toString(), notes: overhead.notes || '' }
+        : emptyOverhead
+    );
+    setOpenDialog(true);
+  };
+
+  const handleCloseDialog = () => {
+    setOpenDialog(false);
+  };
+
+  const handleDialogInputChange = (event) => {
+    const { name, value } = event.target;
+    setCurrentOverhead((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleDialogSubmit = async () => {
+    if (!currentOverhead.name || currentOverhead.cost === '') {
+      setDialogError('Please fill in the name and cost.');
+      return;
+    }
+
+    const payload = {
+      name: currentOverhead.name,
+      type: currentOverhead.type,
+      cost: parseFloat(currentOverhead.cost),
+      notes: currentOverhead.notes,
+    };
+
+    setSaving(true);
+    setDialogError('');
+    try {
+      const response = isEditMode
+        ? await apiClient.put(`/overheads/${currentOverhead._id}`, payload)
+        : await apiClient.post('/overheads', payload);
+      if (response.data.success) {
+        setOpenDialog(false);
+        await fetchData();
+        setRecipeImpact(response.data.recipeImpact || null);
+      }
+    } catch (err) {
+      console.error("Overhead submit error:", err);
+      setDialogError(err.response?.data?.message || 'An error occurred while saving the overhead.');
+    }
+    setSaving(false);
+  };
+
+  const handleDelete = async (overhead) => {
+    if (!window.confirm(`Are you sure you want to delete "${overhead.name}"?`)) return;
+    setError('');
+    try {
+      const response = await apiClient.delete(`/overheads/${overhead._id}`);
+      if (response.data.success) {
+        await fetchData();
+        setRecipeImpact(response.data.recipeImpact || null);
+      }
+    } catch (err) {
+      console.error("Delete overhead error:", err);
+      setError(err.response?.data?.message || 'An error occurred while deleting the overhead.');
+    }
+  };
+
+  // Monthly fixed overheads and what they add to each pie at the projected volume
+  const monthlyFixedTotal = overheads
+    .filter((overhead) => overhead.type === 'fixed')
+    .reduce((sum, overhead) => sum + overhead.cost, 0);
+  const volume = parseInt(projectedMonthlyVolume, 10) || 0;
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', mt: 5 }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 3 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Overheads & Packaging
+      </Typography>
+
+      <RecipeImpactAlert impact={recipeImpact} onClose={() => setRecipeImpact(null)} />
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {/* Settings used to spread fixed overheads */}
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Fixed Overhead Allocation</Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+          <TextField
+            label="Projected Pies per Month"
+            type="number"
+            value={projectedMonthlyVolume}
+            onChange={(e) => setProjectedMonthlyVolume(e.target.value)}
+            inputProps={{ min: 0 }}
+            size="small"
+          />
+          <Button variant="contained" onClick={handleSaveSettings} disabled={savingSettings}>
+            {savingSettings ? <CircularProgress size={20} /> : 'Save'}
+          </Button>
+          <Typography variant="body2" color="text.secondary">
+            {volume > 0
+              ? `R${monthlyFixedTotal.toFixed(2)} per month = R${(monthlyFixedTotal / volume).toFixed(2)} per pie`
+              : 'Fixed overheads are not added to recipes until a monthly volume is projected.'}
+          </Typography>
+        </Box>
+        {settingsSuccess && <Alert severity="success" sx={{ mt: 2 }} onClose={() => setSettingsSuccess('')}>{settingsSuccess}</Alert>}
+      </Paper>
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+        <Button variant="contained" startIcon={<AddCircleOutlineIcon />} onClick={() => handleOpenDialog()}>
+          Add Overhead
+        </Button>
+      </Box>
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Type</TableCell>
+              <TableCell align="right">Cost (R)</TableCell>
+              <TableCell>Notes</TableCell>
+              <TableCell align="center">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {overheads.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={5} align="center">No overheads found.</TableCell>
+              </TableRow>
+            ) : (
+              overheads.map((overhead) => (
+                <TableRow hover key={overhead._id}>
+                  <TableCell>{overhead.name}</TableCell>
+                  <TableCell>
+                    <Chip size="small" label={getTypeOption(overhead.type).label} />
+                  </TableCell>
+                  <TableCell align="right">
+                    {overhead.cost.toFixed(2)} / {getTypeOption(overhead.type).per}
+                  </TableCell>
+                  <TableCell>{overhead.notes || '-'}</TableCell>
+                  <TableCell align="center">
+                    <IconButton size="small" onClick={() => handleOpenDialog(overhead)} color="primary" title="Edit">
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" onClick={() => handleDelete(overhead)} color="error" title="Delete">
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Add/Edit Dialog */}
+      <Dialog open={openDialog} onClose={handleCloseDialog} fullWidth maxWidth="sm">
+        <DialogTitle>{isEditMode ? 'Edit Overhead' : 'Add Overhead'}</DialogTitle>
+        <DialogContent>
+          {dialogError && <Alert severity="error" sx={{ mb: 2 }}>{dialogError}</Alert>}
+          <TextField
+            autoFocus
+            margin="dense"
+            name="name"
+            label="Name"
+            fullWidth
+            value={currentOverhead.name}
+            onChange={handleDialogInputChange}
+            disabled={saving}
+          />
+          <FormControl fullWidth margin="dense">
+            <InputLabel id="overhead-type-label">Type</InputLabel>
+            <Select
+              labelId="overhead-type-label"
+              name="type"
+              label="Type"
+              value={currentOverhead.type}
+              onChange={handleDialogInputChange}
+              disabled={saving}
+            >
+              {OVERHEAD_TYPES.map((option) => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            margin="dense"
+            name="cost"
+            label={getTypeOption(currentOverhead.type).costLabel}
+            type="number"
+            fullWidth
+            value={currentOverhead.cost}
+            onChange={handleDialogInputChange}
+            disabled={saving}
+            inputProps={{ min: 0, step: "any" }}
+          />
+          <TextField
+            margin="dense"
+            name="notes"
+            label="Notes (Optional)"
+            fullWidth
+            multiline
+            rows={2}
+            value={currentOverhead.notes}
+            onChange={handleDialogInputChange}
+            disabled={saving}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog} disabled={saving}>Cancel</Button>
+          <Button onClick={handleDialogSubmit} variant="contained" disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : (isEditMode ? 'Save Changes' : 'Add Overhead')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default OverheadManagementPage;
@@ -0,0 +1,476 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../services/api';
+import {
+  Container,
+  Typography,
+  Box,
+  CircularProgress,
+  Alert,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  IconButton,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ScheduleIcon from '@mui/icons-material/Schedule';
+import { describeLaborRates } from '../utils/laborRates';
+
+const today = () => new Date().toISOString().slice(0, 10);
+const emptyRun = {
+  recipe: '', batches: '', producedAt: today(), bakedBy: '', piesProduced: '', notes: '',
+  laborStart: '', laborFinish: '', headcount: '',
+};
+const emptyLaborTime = { start: '', finish: '', headcount: '' };
+
+// Formats a signed quantity or amount (e.g. +1.25, -0.40)
+const formatChange = (value, digits = 2) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+// Turns start and finish clock times on the day baked into the times sent to the API.
+// A finish earlier than the start is taken to be after midnight.
+const toLaborTimes = (date, start, finish) => {
+  const startedAt = new Date(`${date}T${start}`);
+  const endedAt = new Date(`${date}T${finish}`);
+  if (endedAt < startedAt) endedAt.setDate(endedAt.getDate() + 1);
+  return { laborStartedAt: startedAt.toISOString(), laborEndedAt: endedAt.toISOString() };
+};
+
+// Clock time (HH:MM, local) of a recorded time, as a time input takes it
+const toClockTime = (value) => new Date(value).toTimeString().slice(0, 5);
+
+// Records what was baked (taking the ingredients out of stock at today's costs) and
+// compares the ingredients the recipes call for with what stock counts show was used,
+// and the time the crew actually worked with the labor standard the pies are costed at
+const ProductionPage = () => {
+  const [recipes, setRecipes] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const [newRun, setNewRun] = useState(emptyRun);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  // Actual vs theoretical usage report
+  const [reportRange, setReportRange] = useState({ from: '', to: today() });
+  const [report, setReport] = useState(null);
+  const [reportLoading, setReportLoading] = useState(false);
+
+  // Actual vs standard labor report
+  const [laborRange, setLaborRange] = useState({ from: '', to: today(), tolerance: '10' });
+  const [laborReport, setLaborReport] = useState(null);
+  const [laborReportLoading, setLaborReportLoading] = useState(false);
+
+  // Labor time dialog (recording the time worked on a run after the fact)
+  const [laborRun, setLaborRun] = useState(null);
+  const [laborTime, setLaborTime] = useState(emptyLaborTime);
+  const [laborError, setLaborError] = useState('');
+  const [laborSaving, setLaborSaving] = useState(false);
+
+  const fetchRuns = async () => {
+    try {
+      const response = await apiClient.get('/production-runs');
+      if (response.data.success) {
+        setRuns(response.data.data);
+      } else {
+        setError('Failed to fetch production runs.');
+      }
+    } catch (err) {
+      console.error("Fetch production runs error:", err);
+      setError(err.response?.data?.message || 'An error occurred while fetching production runs.');
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await apiClient.get('/recipes');
+        setRecipes(response.data.data || []);
+      } catch (err) {
+        console.error("Fetch recipes error:", err);
+        setError(err.response?.data?.message || 'An error occurred while fetching recipes.');
+      }
+      await fetchRuns();
+      setLoading(false);
+    };
+    load();
+  }, []);
+
+  const handleRunChange = (event) => {
+    const { name, value } = event.target;
+    setNewRun((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleRecordRun = async () => {
+    if (!newRun.recipe || !newRun.batches) {
+      setFormError('Please choose the recipe and the number of batches baked.');
+      return;
+    }
+    const payload = {
+      recipe: newRun.recipe,
+      batches: parseFloat(newRun.batches),
+      producedAt: newRun.producedAt,
+    };
+    if (newRun.bakedBy) payload.bakedBy = newRun.bakedBy;
+    if (newRun.piesProduced !== '') payload.piesProduced = parseInt(newRun.piesProduced, 10);
+    if (newRun.notes) payload.notes = newRun.notes;
+    const laborFields = [newRun.laborStart, newRun.laborFinish, newRun.headcount];
+    if (laborFields.some((value) => value !== '')) {
+      if (laborFields.some((value) => value === '')) {
+        setFormError('Please give the start time, finish time and headcount together, or leave all three empty.');
+        return;
+      }
+      Object.assign(payload, toLaborTimes(newRun.producedAt, newRun.laborStart, newRun.laborFinish));
+      payload.headcount = parseInt(newRun.headcount, 10);
+    }
+
+    setSaving(true);
+    setFormError('');
+    try {
+      await apiClient.post('/production-runs', payload);
+      setNewRun(emptyRun);
+      await fetchRuns();
+    } catch (err) {
+      console.error("Record production run error:", err);
+      setFormError(err.response?.data?.message || 'An error occurred while recording the production run.');
+    }
+    setSaving(false);
+  };
+
+  const handleDeleteRun = async (run) => {
+    if (!window.confirm(`Delete this run of ${run.pieName}? Its ingredients go back into stock.`)) return;
+    setError('');
+    try {
+      await apiClient.delete(`/production-runs/${run._id}`);
+      await fetchRuns();
+    } catch (err) {
+      console.error("Delete production run error:", err);
+      setError(err.response?.data?.message || 'An error occurred while deleting the production run.');
+    }
+  };
+
+  const handleOpenLaborTime = (run) => {
+    setLaborError('');
+    setLaborTime(
+      run.laborStartedAt
+        ? { start: toClockTime(run.laborStartedAt), finish: toClockTime(run.laborEndedAt), headcount: run.headcount.toString() }
+        : emptyLaborTime
+    );
+    setLaborRun(run);
+  };
+
+  const handleSaveLaborTime = async () => {
+    if (!laborTime.start || !laborTime.finish || !laborTime.headcount) {
+      setLaborError('Please fill in the start time, finish time and headcount.');
+      return;
+    }
+    const payload = {
+      ...toLaborTimes(laborRun.producedAt.slice(0, 10), laborTime.start, laborTime.finish),
+      headcount: parseInt(laborTime.headcount, 10),
+    };
+
+    setLaborSaving(true);
+    setLaborError('');
+    try {
+      await apiClient.put(`/production-runs/${laborRun._id}/labor`, payload);
+      setLaborRun(null);
+      await fetchRuns();
+    } catch (err) {
+      console.error("Record labor time error:", err);
+      setLaborError(err.response?.data?.message || 'An error occurred while recording the labor time.');
+    }
+    setLaborSaving(false);
+  };
+
+  const handleRunLaborReport = async () => {
+    setLaborReportLoading(true);
+    setError('');
+    try {
+      const params = Object.fromEntries(Object.entries(laborRange).filter(([, value]) => value !== ''));
+      const response = await apiClient.get('/production-runs/labor-report', { params });
+      setLaborReport(response.data.data);
+    } catch (err) {
+      console.error("Labor report error:", err);
+      setError(err.response?.data?.message || 'An error occurred while building the labor report.');
+    }
+    setLaborReportLoading(false);
+  };
+
+  const handleRunReport = async () => {
+    setReportLoading(true);
+    setError('');
+    try {
+      const params = Object.fromEntries(Object.entries(reportRange).filter(([, value]) => value));
+      const response = await apiClient.get('/production-runs/usage-report', { params });
+      setReport(response.data.data);
+    } catch (err) {
+      console.error("Usage report error:", err);
+      setError(err.response?.data?.message || 'An error occurred while building the usage report.');
+    }
+    setReportLoading(false);
+  };
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', mt: 5 }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 3 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Production
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {/* Record a production run */}
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Record Production</Typography>
+        {formError && <Alert severity="error" sx={{ mb: 2 }}>{formError}</Alert>}
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center' }}>
+          <FormControl size="small" sx={{ minWidth: 220 }}>
+            <InputLabel id="run-recipe-label">Recipe</InputLabel>
+            <Select labelId="run-recipe-label" label="Recipe" name="recipe" value={newRun.recipe} onChange={handleRunChange} disabled={saving}>
+              {recipes.map((recipe) => (
+                <MenuItem key={recipe._id} value={recipe._id}>{recipe.pieName} ({recipe.variant})</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField size="small" label="Batches" name="batches" type="number" value={newRun.batches} onChange={handleRunChange} inputProps={{ min: 0, step: "any" }} sx={{ width: 100 }} disabled={saving} />
+          <TextField size="small" label="Baked On" name="producedAt" type="date" value={newRun.producedAt} onChange={handleRunChange} InputLabelProps={{ shrink: true }} disabled={saving} />
+          <TextField size="small" label="Baked By" name="bakedBy" value={newRun.bakedBy} onChange={handleRunChange} disabled={saving} />
+          <TextField size="small" label="Good Pies (Optional)" name="piesProduced" type="number" value={newRun.piesProduced} onChange={handleRunChange} inputProps={{ min: 0, step: 1 }} sx={{ width: 150 }} disabled={saving} />
+          <TextField size="small" label="Notes" name="notes" value={newRun.notes} onChange={handleRunChange} sx={{ flex: 1, minWidth: 160 }} disabled={saving} />
+          <TextField size="small" label="Started (Optional)" name="laborStart" type="time" value={newRun.laborStart} onChange={handleRunChange} InputLabelProps={{ shrink: true }} disabled={saving} />
+          <TextField size="small" label="Finished" name="laborFinish" type="time" value={newRun.laborFinish} onChange={handleRunChange} InputLabelProps={{ shrink: true }} disabled={saving} />
+          <TextField size="small" label="Headcount" name="headcount" type="number" value={newRun.headcount} onChange={handleRunChange} inputProps={{ min: 1, step: 1 }} sx={{ width: 110 }} disabled={saving} />
+          <Button variant="contained" onClick={handleRecordRun} disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : 'Record'}
+          </Button>
+        </Box>
+      </Paper>
+
+      {/* Production runs */}
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Date</TableCell>
+              <TableCell>Pie</TableCell>
+              <TableCell align="right">Batches</TableCell>
+              <TableCell align="right">Expected Pies</TableCell>
+              <TableCell align="right">Good Pies</TableCell>
+              <TableCell align="right">Labor (R)</TableCell>
+              <TableCell>Time Worked</TableCell>
+              <TableCell align="right">Cost / Pie (R)</TableCell>
+              <TableCell align="right">Total Cost (R)</TableCell>
+              <TableCell>Baked By</TableCell>
+              <TableCell align="center">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {runs.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={11} align="center">No production recorded yet.</TableCell>
+              </TableRow>
+            ) : (
+              runs.map((run) => (
+                <TableRow key={run._id}>
+                  <TableCell>{new Date(run.producedAt).toLocaleDateString()}</TableCell>
+                  <TableCell>{run.pieName} ({run.variant})</TableCell>
+                  <TableCell align="right">{run.batches}</TableCell>
+                  <TableCell align="right">{Number(run.expectedPies.toFixed(1))}</TableCell>
+                  <TableCell align="right">{run.piesProduced ?? '-'}</TableCell>
+                  <TableCell align="right">
+                    {run.costs.totalLaborCost.toFixed(2)}
+                    {run.laborRates && (
+                      <Typography variant="caption" display="block" color={run.laborRates.premium > 0 ? 'warning.main' : 'text.secondary'}>
+                        {describeLaborRates(run.laborRates)}
+                        {run.laborRates.premium > 0 && ` (+${run.laborRates.premium.toFixed(2)})`}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {run.laborStartedAt
+                      ? `${toClockTime(run.laborStartedAt)}-${toClockTime(run.laborEndedAt)} x ${run.headcount}`
+                      : '-'}
+                  </TableCell>
+                  <TableCell align="right">{run.costs.costPerPie.toFixed(2)}</TableCell>
+                  <TableCell align="right">{run.costs.totalCost.toFixed(2)}</TableCell>
+                  <TableCell>{run.bakedBy || '-'}</TableCell>
+                  <TableCell align="center">
+                    <IconButton size="small" color="primary" onClick={() => handleOpenLaborTime(run)} title="Record time worked">
+                      <ScheduleIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" color="error" onClick={() => handleDeleteRun(run)} title="Delete (returns ingredients to stock)">
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Actual vs theoretical usage */}
+      <Typography variant="h6" sx={{ mt: 4 }}>Actual vs Theoretical Usage</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Theoretical usage is what the recipes of the recorded runs call for; actual usage adds what stock counts found missing.
+        For complete figures, start the period just after one stock count and end it with the next.
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 1, mb: 2, alignItems: 'center' }}>
+        <TextField size="small" label="From" type="date" value={reportRange.from} onChange={(e) => setReportRange((prev) => ({ ...prev, from: e.target.value }))} InputLabelProps={{ shrink: true }} />
+        <TextField size="small" label="To" type="date" value={reportRange.to} onChange={(e) => setReportRange((prev) => ({ ...prev, to: e.target.value }))} InputLabelProps={{ shrink: true }} />
+        <Button variant="outlined" onClick={handleRunReport} disabled={reportLoading}>
+          {reportLoading ? <CircularProgress size={20} /> : 'Run Report'}
+        </Button>
+      </Box>
+      {report && (
+        <>
+          <Alert severity={report.totals.varianceValue > 0 ? 'warning' : 'info'} sx={{ mb: 1 }}>
+            {report.runCount} production run(s). Theoretical R{report.totals.theoreticalCost.toFixed(2)},
+            actual R{report.totals.actualCost.toFixed(2)} ({formatChange(report.totals.varianceValue)}).
+          </Alert>
+          <TableContainer component={Paper}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Ingredient</TableCell>
+                  <TableCell align="right">Theoretical</TableCell>
+                  <TableCell align="right">Actual</TableCell>
+                  <TableCell align="right">Variance</TableCell>
+                  <TableCell align="right">Variance (%)</TableCell>
+                  <TableCell align="right">Variance (R)</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {report.lines.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center">No production or counts in this period.</TableCell>
+                  </TableRow>
+                ) : (
+                  report.lines.map((line) => (
+                    <TableRow key={line.ingredient}>
+                      <TableCell>{line.ingredientName}</TableCell>
+                      <TableCell align="right">{line.theoreticalQuantity} {line.unit}</TableCell>
+                      <TableCell align="right">{line.actualQuantity} {line.unit}</TableCell>
+                      <TableCell align="right" sx={{ color: line.varianceQuantity > 0 ? 'error.main' : 'inherit' }}>
+                        {formatChange(line.varianceQuantity, 3)} {line.unit}
+                      </TableCell>
+                      <TableCell align="right">{line.variancePercentage != null ? `${formatChange(line.variancePercentage, 1)}%` : '-'}</TableCell>
+                      <TableCell align="right">{formatChange(line.varianceValue)}</TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+
+      {/* Actual vs standard labor */}
+      <Typography variant="h6" sx={{ mt: 4 }}>Actual vs Standard Labor</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Compares the time worked on runs (start to finish, times the headcount) with the labor standard the recipes are costed at.
+        Pies taking longer than their standard by more than the tolerance have their labor cost understated.
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 1, mb: 2, alignItems: 'center' }}>
+        <TextField size="small" label="From" type="date" value={laborRange.from} onChange={(e) => setLaborRange((prev) => ({ ...prev, from: e.target.value }))} InputLabelProps={{ shrink: true }} />
+        <TextField size="small" label="To" type="date" value={laborRange.to} onChange={(e) => setLaborRange((prev) => ({ ...prev, to: e.target.value }))} InputLabelProps={{ shrink: true }} />
+        <TextField size="small" label="Tolerance (%)" type="number" value={laborRange.tolerance} onChange={(e) => setLaborRange((prev) => ({ ...prev, tolerance: e.target.value }))} inputProps={{ min: 0, step: "any" }} sx={{ width: 120 }} />
+        <Button variant="outlined" onClick={handleRunLaborReport} disabled={laborReportLoading}>
+          {laborReportLoading ? <CircularProgress size={20} /> : 'Run Report'}
+        </Button>
+      </Box>
+      {laborReport && (
+        <>
+          <Alert severity={laborReport.totals.understatedValue > 0 ? 'warning' : 'info'} sx={{ mb: 1 }}>
+            {laborReport.runCount} production run(s) with time recorded. Standard {laborReport.totals.standardHours} hrs,
+            actual {laborReport.totals.actualHours} hrs ({formatChange(laborReport.totals.understatedValue)} at standard rates).
+          </Alert>
+          <TableContainer component={Paper}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Pie</TableCell>
+                  <TableCell align="right">Runs</TableCell>
+                  <TableCell align="right">Expected Pies</TableCell>
+                  <TableCell align="right">Good Pies</TableCell>
+                  <TableCell align="right">Standard Min / Pie</TableCell>
+                  <TableCell align="right">Actual Min / Pie</TableCell>
+                  <TableCell align="right">Variance (%)</TableCell>
+                  <TableCell align="right">Standard Labor / Pie (R)</TableCell>
+                  <TableCell align="right">Actual Labor / Pie (R)</TableCell>
+                  <TableCell align="right">Understated (R)</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {laborReport.lines.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={10} align="center">No runs with time recorded in this period.</TableCell>
+                  </TableRow>
+                ) : (
+                  laborReport.lines.map((line) => (
+                    <TableRow key={line.recipe} sx={line.understated ? { bgcolor: 'warning.light' } : undefined}>
+                      <TableCell>
+                        {line.pieName} ({line.variant})
+                        {line.understated && (
+                          <Typography variant="caption" display="block" color="error.main">Labor cost understated</Typography>
+                        )}
+                      </TableCell>
+                      <TableCell align="right">{line.runCount}</TableCell>
+                      <TableCell align="right">{Number(line.expectedPies.toFixed(1))}</TableCell>
+                      <TableCell align="right">{Number(line.goodPies.toFixed(1))}</TableCell>
+                      <TableCell align="right">{line.standardMinutesPerPie.toFixed(2)}</TableCell>
+                      <TableCell align="right">{line.actualMinutesPerPie.toFixed(2)}</TableCell>
+                      <TableCell align="right">{formatChange(line.variancePercentage, 1)}%</TableCell>
+                      <TableCell align="right">{line.standardLaborCostPerPie.toFixed(2)}</TableCell>
+                      <TableCell align="right">{line.actualLaborCostPerPie.toFixed(2)}</TableCell>
+                      <TableCell align="right">{formatChange(line.understatedValue)}</TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+
+      {/* Labor time dialog */}
+      <Dialog open={Boolean(laborRun)} onClose={() => setLaborRun(null)} fullWidth maxWidth="xs">
+        <DialogTitle>Time Worked{laborRun && ` - ${laborRun.pieName} (${laborRun.variant})`}</DialogTitle>
+        <DialogContent>
+          {laborError && <Alert severity="error" sx={{ mb: 2 }}>{laborError}</Alert>}
+          <TextField margin="dense" label="Started" type="time" fullWidth value={laborTime.start} onChange={(e) => setLaborTime((prev) => ({ ...prev, start: e.target.value }))} InputLabelProps={{ shrink: true }} disabled={laborSaving} />
+          <TextField margin="dense" label="Finished" type="time" fullWidth value={laborTime.finish} onChange={(e) => setLaborTime((prev) => ({ ...prev, finish: e.target.value }))} InputLabelProps={{ shrink: true }} disabled={laborSaving} />
+          <TextField margin="dense" label="Headcount" type="number" fullWidth value={laborTime.headcount} onChange={(e) => setLaborTime((prev) => ({ ...prev, headcount: e.target.value }))} inputProps={{ min: 1, step: 1 }} disabled={laborSaving} />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setLaborRun(null)} disabled={laborSaving}>Cancel</Button>
+          <Button onClick={handleSaveLaborTime} variant="contained" disabled={laborSaving}>
+            {laborSaving ? <CircularProgress size={20} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default ProductionPage;
@@ -0,0 +1,257 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../services/api';
+import {
+  Container,
+  Typography,
+  Box,
+  CircularProgress,
+  Alert,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  IconButton,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+} from '@mui/material';
+import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+const emptyHoliday = { _id: null, date: '', name: '' };
+
+// Formats a calendar day stored as midnight UTC, e.g. "Mon 27 Apr 2026"
+const formatDay = (date) =>
+  new Date(date).toLocaleDateString('en-ZA', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+// The public holiday calendar used for labor rates. The South African holidays
+// of a year can be loaded in one go, then edited (e.g. for a once-off holiday).
+const PublicHolidaysPage = () => {
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [holidays, setHolidays] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingYear, setLoadingYear] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Dialog state
+  const [openDialog, setOpenDialog] = useState(false);
+  const [currentHoliday, setCurrentHoliday] = useState(emptyHoliday);
+  const [dialogError, setDialogError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const isEditMode = Boolean(currentHoliday._id);
+
+  const fetchHolidays = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiClient.get('/public-holidays', { params: { year } });
+      if (response.data.success) {
+        setHolidays(response.data.data);
+      } else {
+        setError('Failed to fetch public holidays.');
+      }
+    } catch (err) {
+      console.error("Fetch public holidays error:", err);
+      setError(err.response?.data?.message || 'An error occurred while fetching public holidays.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchHolidays();
+  }, [year]);
+
+  const handleLoadYear = async () => {
+    setLoadingYear(true);
+    setError('');
+    setSuccess('');
+    try {
+      const response = await apiClient.post('/public-holidays/load-year', { year });
+      if (response.data.success) {
+        setSuccess(`Added ${response.data.count} South African public holiday(s) for ${year}${response.data.skipped > 0 ? ` (${response.data.skipped} already in the calendar)` : ''}.`);
+        await fetchHolidays();
+      }
+    } catch (err) {
+      console.error("Load public holidays error:", err);
+      setError(err.response?.data?.message || 'An error occurred while loading the public holidays.');
+    }
+    setLoadingYear(false);
+  };
+
+  const handleOpenDialog = (holiday = null) => {
+    setDialogError('');
+    setCurrentHoliday(
+      holiday
+        ? { _id: holiday._id, date: holiday.date.slice(0, 10), name: holiday.name }
+        : emptyHoliday
+    );
+    setOpenDialog(true);
+  };
+
+  const handleCloseDialog = () => {
+    setOpenDialog(false);
+  };
+
+  const handleDialogInputChange = (event) => {
+    const { name, value } = event.target;
+    setCurrentHoliday((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleDialogSubmit = async () => {
+    if (!currentHoliday.date || !currentHoliday.name) {
+      setDialogError('Please fill in the date and name.');
+      return;
+    }
+
+    const payload = { date: currentHoliday.date, name: currentHoliday.name };
+
+    setSaving(true);
+    setDialogError('');
+    try {
+      const response = isEditMode
+        ? await apiClient.put(`/public-holidays/${currentHoliday._id}`, payload)
+        : await apiClient.post('/public-holidays', payload);
+      if (response.data.success) {
+        setOpenDialog(false);
+        await fetchHolidays();
+      }
+    } catch (err) {
+      console.error("Public holiday submit error:", err);
+      setDialogError(err.response?.data?.message || 'An error occurred while saving the public holiday.');
+    }
+    setSaving(false);
+  };
+
+  const handleDelete = async (holiday) => {
+    if (!window.confirm(`Remove "${holiday.name}" from the calendar?`)) return;
+    setError('');
+    try {
+      const response = await apiClient.delete(`/public-holidays/${holiday._id}`);
+      if (response.data.success) {
+        await fetchHolidays();
+      }
+    } catch (err) {
+      console.error("Delete public holiday error:", err);
+      setError(err.response?.data?.message || 'An error occurred while deleting the public holiday.');
+    }
+  };
+
+  return (
+    <Container maxWidth="md" sx={{ mt: 3 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Public Holidays
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Labor on these days is costed at the public holiday rate (see Settings) when a production run or a
+        recipe is costed for a date.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 2, flexWrap: 'wrap' }}>
+        <TextField
+          size="small"
+          label="Year"
+          type="number"
+          value={year}
+          onChange={(e) => setYear(parseInt(e.target.value, 10) || new Date().getFullYear())}
+          inputProps={{ min: 2000, max: 2100 }}
+          sx={{ width: 110 }}
+        />
+        <Button variant="outlined" onClick={handleLoadYear} disabled={loadingYear}>
+          {loadingYear ? <CircularProgress size={20} /> : `Load SA Holidays for ${year}`}
+        </Button>
+        <Box sx={{ flexGrow: 1 }} />
+        <Button variant="contained" startIcon={<AddCircleOutlineIcon />} onClick={() => handleOpenDialog()}>
+          Add Holiday
+        </Button>
+      </Box>
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Date</TableCell>
+                <TableCell>Holiday</TableCell>
+                <TableCell align="center">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {holidays.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={3} align="center">No public holidays in {year} yet.</TableCell>
+                </TableRow>
+              ) : (
+                holidays.map((holiday) => (
+                  <TableRow hover key={holiday._id}>
+                    <TableCell>{formatDay(holiday.date)}</TableCell>
+                    <TableCell>{holiday.name}</TableCell>
+                    <TableCell align="center">
+                      <IconButton size="small" onClick={() => handleOpenDialog(holiday)} color="primary" title="Edit">
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                      <IconButton size="small" onClick={() => handleDelete(holiday)} color="error" title="Delete">
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* Add/Edit Dialog */}
+      <Dialog open={openDialog} onClose={handleCloseDialog} fullWidth maxWidth="xs">
+        <DialogTitle>{isEditMode ? 'Edit Public Holiday' : 'Add Public Holiday'}</DialogTitle>
+        <DialogContent>
+          {dialogError && <Alert severity="error" sx={{ mb: 2 }}>{dialogError}</Alert>}
+          <TextField
+            margin="dense"
+            name="date"
+            label="Date"
+            type="date"
+            fullWidth
+            value={currentHoliday.date}
+            onChange={handleDialogInputChange}
+            disabled={saving}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            margin="dense"
+            name="name"
+            label="Name (e.g. Election Day)"
+            fullWidth
+            value={currentHoliday.name}
+            onChange={handleDialogInputChange}
+            disabled={saving}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog} disabled={saving}>Cancel</Button>
+          <Button onClick={handleDialogSubmit} variant="contained" disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : (isEditMode ? 'Save Changes' : 'Add Holiday')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default PublicHolidaysPage;
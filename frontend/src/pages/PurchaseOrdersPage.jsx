@@ -0,0 +1,476 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../services/api';
+import {
+  Container,
+  Typography,
+  Box,
+  CircularProgress,
+  Alert,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  IconButton,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import VisibilityIcon from '@mui/icons-material/Visibility';
+import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import * as XLSX from 'xlsx'; // Import xlsx library
+import { printDocument, escapeHtml } from '../utils/print';
+
+const STATUS_COLORS = { draft: 'default', sent: 'info', received: 'success' };
+const NEXT_STATUS = { draft: 'sent', sent: 'received' };
+const NEXT_STATUS_LABELS = { sent: 'Mark Sent', received: 'Mark Received' };
+
+const emptyPlanLine = { recipe: '', batches: '' };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+const formatPacks = (line) => (line.packs ? `${line.packs} x ${line.packSize} ${line.packUnit}` : '-');
+
+// Turns a production plan into draft purchase orders per supplier (recipes exploded,
+// stock and open orders subtracted, rounded up to packs) and tracks them to delivery
+const PurchaseOrdersPage = () => {
+  const [recipes, setRecipes] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Production plan
+  const [planLines, setPlanLines] = useState([emptyPlanLine]);
+  const [neededBy, setNeededBy] = useState('');
+  const [notes, setNotes] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [planError, setPlanError] = useState('');
+  const [planning, setPlanning] = useState(false);
+
+  const [viewOrder, setViewOrder] = useState(null);
+
+  const fetchOrders = async () => {
+    try {
+      const response = await apiClient.get('/purchase-orders', { params: statusFilter ? { status: statusFilter } : {} });
+      if (response.data.success) {
+        setOrders(response.data.data);
+      } else {
+        setError('Failed to fetch purchase orders.');
+      }
+    } catch (err) {
+      console.error("Fetch purchase orders error:", err);
+      setError(err.response?.data?.message || 'An error occurred while fetching purchase orders.');
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      await fetchOrders();
+      setLoading(false);
+    };
+    load();
+  }, [statusFilter]);
+
+  useEffect(() => {
+    apiClient.get('/recipes')
+      .then((response) => setRecipes(response.data.data || []))
+      .catch((err) => console.error("Fetch recipes error:", err));
+  }, []);
+
+  // --- Production plan ---
+  const handlePlanLineChange = (index, field, value) => {
+    setPreview(null);
+    setPlanLines((prev) => prev.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const buildPlanPayload = () => {
+    const plan = planLines
+      .filter((line) => line.recipe && line.batches !== '')
+      .map((line) => ({ recipe: line.recipe, batches: parseFloat(line.batches) }));
+    if (plan.length === 0) {
+      setPlanError('Please add at least one recipe with the number of batches planned.');
+      return null;
+    }
+    const payload = { plan };
+    if (neededBy) payload.neededBy = neededBy;
+    return payload;
+  };
+
+  const handlePreview = async () => {
+    const payload = buildPlanPayload();
+    if (!payload) return;
+    setPlanning(true);
+    setPlanError('');
+    try {
+      const response = await apiClient.post('/purchase-orders/plan', payload);
+      setPreview(response.data.data);
+    } catch (err) {
+      console.error("Plan purchase orders error:", err);
+      setPlanError(err.response?.data?.message || 'An error occurred while working out the orders.');
+    }
+    setPlanning(false);
+  };
+
+  const handleGenerate = async () => {
+    const payload = buildPlanPayload();
+    if (!payload) return;
+    if (notes) payload.notes = notes;
+    setPlanning(true);
+    setPlanError('');
+    try {
+      const response = await apiClient.post('/purchase-orders/generate', payload);
+      const { orders: created, unassigned } = response.data.data;
+      setPreview(null);
+      setPlanLines([emptyPlanLine]);
+      setNotes('');
+      setPlanError(
+        unassigned.length > 0
+          ? `${created.length} draft order(s) created. No supplier is set for: ${unassigned.map((line) => line.ingredientName).join(', ')}.`
+          : ''
+      );
+      await fetchOrders();
+    } catch (err) {
+      console.error("Generate purchase orders error:", err);
+      setPlanError(err.response?.data?.message || 'An error occurred while generating the orders.');
+    }
+    setPlanning(false);
+  };
+
+  // --- Orders ---
+  const handleAdvanceStatus = async (order) => {
+    const status = NEXT_STATUS[order.status];
+    if (status === 'received' && !window.confirm(`Book ${order.orderNumber} into stock as received?`)) return;
+    setError('');
+    try {
+      const response = await apiClient.put(`/purchase-orders/${order._id}/status`, { status });
+      if (viewOrder?._id === order._id) setViewOrder(response.data.data);
+      await fetchOrders();
+    } catch (err) {
+      console.error("Update purchase order status error:", err);
+      setError(err.response?.data?.message || 'An error occurred while updating the order.');
+    }
+  };
+
+  const handleDeleteOrder = async (order) => {
+    if (!window.confirm(`Delete draft order ${order.orderNumber}?`)) return;
+    setError('');
+    try {
+      await apiClient.delete(`/purchase-orders/${order._id}`);
+      await fetchOrders();
+    } catch (err) {
+      console.error("Delete purchase order error:", err);
+      setError(err.response?.data?.message || 'An error occurred while deleting the order.');
+    }
+  };
+
+  // --- Export ---
+  const handleExportExcel = (order) => {
+    const dataForSheet = order.lines.map((line) => ({
+      'Ingredient': line.ingredientName,
+      'Packs': line.packs ?? '',
+      'Pack Size': line.packSize ? `${line.packSize} ${line.packUnit}` : '',
+      'Pack Price (R)': line.packPrice ?? '',
+      'Quantity': line.orderQuantity,
+      'Unit': line.unit,
+      'Line Total (R)': line.lineTotal,
+    }));
+    dataForSheet.push({ 'Ingredient': 'Total', 'Line Total (R)': order.total });
+
+    const worksheet = XLSX.utils.json_to_sheet(dataForSheet);
+    worksheet["!cols"] = [{ wch: 25 }, { wch: 8 }, { wch: 12 }, { wch: 14 }, { wch: 10 }, { wch: 8 }, { wch: 14 }];
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, order.orderNumber);
+    try {
+      XLSX.writeFile(workbook, `${order.orderNumber}_${order.supplier?.name || 'Supplier'}.xlsx`);
+    } catch (err) {
+      console.error("Excel export error:", err);
+      setError("Failed to export the order to Excel.");
+    }
+  };
+
+  const handleExportPdf = (order) => {
+    const supplier = order.supplier || {};
+    const rows = order.lines.map((line) => `
+      <tr>
+        <td>${escapeHtml(line.ingredientName)}</td>
+        <td>${escapeHtml(formatPacks(line))}</td>
+        <td class="right">${line.orderQuantity} ${escapeHtml(line.unit)}</td>
+        <td class="right">${line.packPrice != null ? line.packPrice.toFixed(2) : '-'}</td>
+        <td class="right">${line.lineTotal.toFixed(2)}</td>
+      </tr>`).join('');
+    const html = `
+      <h1>Purchase Order ${escapeHtml(order.orderNumber)}</h1>
+      <p>
+        <strong>To:</strong> ${escapeHtml(supplier.name)}<br/>
+        ${supplier.contactName ? `${escapeHtml(supplier.contactName)}<br/>` : ''}
+        ${supplier.address ? `${escapeHtml(supplier.address)}<br/>` : ''}
+        ${[supplier.phone, supplier.email].filter(Boolean).map(escapeHtml).join(' | ')}
+      </p>
+      <p>
+        <strong>Order date:</strong> ${formatDate(order.sentAt || order.createdAt)}
+        ${order.neededBy ? `&nbsp; <strong>Deliver by:</strong> ${formatDate(order.neededBy)}` : ''}
+        ${supplier.paymentTerms ? `&nbsp; <strong>Terms:</strong> ${escapeHtml(supplier.paymentTerms)}` : ''}
+      </p>
+      <table>
+        <thead><tr><th>Item</th><th>Packs</th><th class="right">Quantity</th><th class="right">Pack Price (R)</th><th class="right">Total (R)</th></tr></thead>
+        <tbody>${rows}</tbody>
+        <tfoot><tr><th colspan="4" class="right">Total</th><th class="right">${order.total.toFixed(2)}</th></tr></tfoot>
+      </table>
+      ${order.notes ? `<p><strong>Notes:</strong> ${escapeHtml(order.notes)}</p>` : ''}`;
+    if (!printDocument(`${order.orderNumber} ${supplier.name || ''}`, html)) {
+      setError('The order could not be opened for printing. Please allow pop-ups for this site.');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', mt: 5 }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 3 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Purchase Orders
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {/* Production plan */}
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Plan Production</Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          List the batches you plan to bake. Ingredients already in stock or on open orders are not ordered again,
+          and the rest is rounded up to each ingredient's pack size.
+        </Typography>
+        {planError && <Alert severity="warning" sx={{ mb: 2 }}>{planError}</Alert>}
+        {planLines.map((line, index) => (
+          <Box key={index} sx={{ display: 'flex', gap: 1, mb: 1, alignItems: 'center' }}>
+            <FormControl size="small" sx={{ minWidth: 260 }}>
+              <InputLabel id={`plan-recipe-${index}`}>Recipe</InputLabel>
+              <Select labelId={`plan-recipe-${index}`} label="Recipe" value={line.recipe} onChange={(e) => handlePlanLineChange(index, 'recipe', e.target.value)}>
+                {recipes.map((recipe) => (
+                  <MenuItem key={recipe._id} value={recipe._id}>{recipe.pieName} ({recipe.variant})</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField size="small" label="Batches" type="number" value={line.batches} onChange={(e) => handlePlanLineChange(index, 'batches', e.target.value)} inputProps={{ min: 0, step: "any" }} sx={{ width: 110 }} />
+            <IconButton size="small" onClick={() => { setPreview(null); setPlanLines((prev) => prev.filter((_, i) => i !== index)); }} disabled={planLines.length === 1}>
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </Box>
+        ))}
+        <Button size="small" startIcon={<AddIcon />} onClick={() => setPlanLines((prev) => [...prev, emptyPlanLine])} sx={{ mb: 2 }}>
+          Add Recipe
+        </Button>
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center' }}>
+          <TextField size="small" label="Needed By" type="date" value={neededBy} onChange={(e) => { setPreview(null); setNeededBy(e.target.value); }} InputLabelProps={{ shrink: true }} />
+          <TextField size="small" label="Notes for the Orders" value={notes} onChange={(e) => setNotes(e.target.value)} sx={{ flex: 1, minWidth: 200 }} />
+          <Button variant="outlined" onClick={handlePreview} disabled={planning}>Preview</Button>
+          <Button variant="contained" onClick={handleGenerate} disabled={planning}>
+            {planning ? <CircularProgress size={20} /> : 'Generate Draft Orders'}
+          </Button>
+        </Box>
+
+        {preview && (
+          <Box sx={{ mt: 2 }}>
+            {preview.orders.length === 0 && (
+              <Alert severity="success" sx={{ mb: 1 }}>Stock and open orders cover this plan; nothing needs ordering.</Alert>
+            )}
+            {preview.orders.map((order) => (
+              <Box key={order.supplier._id} sx={{ mb: 2 }}>
+                <Typography variant="subtitle1">
+                  {order.supplier.name}: R{order.total.toFixed(2)}
+                  {order.orderBy && ` (order by ${formatDate(order.orderBy)})`}
+                </Typography>
+                {order.supplier.minimumOrderValue > order.total && (
+                  <Alert severity="warning" sx={{ mb: 1 }}>
+                    Below {order.supplier.name}'s minimum order of R{order.supplier.minimumOrderValue.toFixed(2)}.
+                  </Alert>
+                )}
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Ingredient</TableCell>
+                      <TableCell align="right">Needed</TableCell>
+                      <TableCell align="right">In Stock</TableCell>
+                      <TableCell align="right">On Order</TableCell>
+                      <TableCell>Packs</TableCell>
+                      <TableCell align="right">Ordered</TableCell>
+                      <TableCell align="right">Total (R)</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {order.lines.map((line) => (
+                      <TableRow key={line.ingredient}>
+                        <TableCell>{line.ingredientName}</TableCell>
+                        <TableCell align="right">{line.requiredQuantity} {line.unit}</TableCell>
+                        <TableCell align="right">{line.stockOnHand} {line.unit}</TableCell>
+                        <TableCell align="right">{line.onOrderQuantity} {line.unit}</TableCell>
+                        <TableCell>{formatPacks(line)}</TableCell>
+                        <TableCell align="right">{line.orderQuantity} {line.unit}</TableCell>
+                        <TableCell align="right">{line.lineTotal.toFixed(2)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </Box>
+            ))}
+            {preview.unassigned.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 1 }}>
+                No supplier is set for these, so they are not ordered:{' '}
+                {preview.unassigned.map((line) => `${line.ingredientName} (${line.shortfall} ${line.unit})`).join(', ')}
+              </Alert>
+            )}
+            {preview.inStock.length > 0 && (
+              <Typography variant="body2" color="text.secondary">
+                Covered by stock or open orders: {preview.inStock.map((line) => line.ingredientName).join(', ')}
+              </Typography>
+            )}
+          </Box>
+        )}
+      </Paper>
+
+      {/* Orders */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6">Orders</Typography>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel id="status-filter-label">Status</InputLabel>
+          <Select labelId="status-filter-label" label="Status" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <MenuItem value="">All</MenuItem>
+            <MenuItem value="draft">Draft</MenuItem>
+            <MenuItem value="sent">Sent</MenuItem>
+            <MenuItem value="received">Received</MenuItem>
+          </Select>
+        </FormControl>
+      </Box>
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Order</TableCell>
+              <TableCell>Supplier</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Order By</TableCell>
+              <TableCell>Needed By</TableCell>
+              <TableCell align="right">Total (R)</TableCell>
+              <TableCell align="center">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {orders.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center">No purchase orders found.</TableCell>
+              </TableRow>
+            ) : (
+              orders.map((order) => (
+                <TableRow key={order._id}>
+                  <TableCell>{order.orderNumber}</TableCell>
+                  <TableCell>{order.supplier?.name || '-'}</TableCell>
+                  <TableCell>
+                    <Chip size="small" label={order.status} color={STATUS_COLORS[order.status]} />
+                  </TableCell>
+                  <TableCell>{formatDate(order.orderBy)}</TableCell>
+                  <TableCell>{formatDate(order.neededBy)}</TableCell>
+                  <TableCell align="right">{order.total.toFixed(2)}</TableCell>
+                  <TableCell align="center" sx={{ whiteSpace: 'nowrap' }}>
+                    <IconButton size="small" onClick={() => setViewOrder(order)} title="View">
+                      <VisibilityIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" onClick={() => handleExportPdf(order)} title="Print / Save as PDF">
+                      <PictureAsPdfIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" onClick={() => handleExportExcel(order)} title="Export to Excel">
+                      <FileDownloadIcon fontSize="small" />
+                    </IconButton>
+                    {NEXT_STATUS[order.status] && (
+                      <Button size="small" onClick={() => handleAdvanceStatus(order)}>
+                        {NEXT_STATUS_LABELS[NEXT_STATUS[order.status]]}
+                      </Button>
+                    )}
+                    {order.status === 'draft' && (
+                      <IconButton size="small" color="error" onClick={() => handleDeleteOrder(order)} title="Delete">
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Order detail */}
+      <Dialog open={Boolean(viewOrder)} onClose={() => setViewOrder(null)} maxWidth="md" fullWidth>
+        {viewOrder && (
+          <>
+            <DialogTitle>
+              {viewOrder.orderNumber}: {viewOrder.supplier?.name}{' '}
+              <Chip size="small" label={viewOrder.status} color={STATUS_COLORS[viewOrder.status]} />
+            </DialogTitle>
+            <DialogContent>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                For: {viewOrder.plan.map((run) => `${run.batches} x ${run.pieName} (${run.variant})`).join(', ') || '-'}
+                {viewOrder.sentAt && ` | Sent ${formatDate(viewOrder.sentAt)}`}
+                {viewOrder.receivedAt && ` | Received ${formatDate(viewOrder.receivedAt)}`}
+              </Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Ingredient</TableCell>
+                    <TableCell align="right">Needed</TableCell>
+                    <TableCell>Packs</TableCell>
+                    <TableCell align="right">Ordered</TableCell>
+                    <TableCell align="right">Total (R)</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {viewOrder.lines.map((line) => (
+                    <TableRow key={line.ingredient}>
+                      <TableCell>{line.ingredientName}</TableCell>
+                      <TableCell align="right">{line.requiredQuantity} {line.unit}</TableCell>
+                      <TableCell>{formatPacks(line)}</TableCell>
+                      <TableCell align="right">{line.orderQuantity} {line.unit}</TableCell>
+                      <TableCell align="right">{line.lineTotal.toFixed(2)}</TableCell>
+                    </TableRow>
+                  ))}
+                  <TableRow>
+                    <TableCell colSpan={4} align="right"><strong>Total</strong></TableCell>
+                    <TableCell align="right"><strong>{viewOrder.total.toFixed(2)}</strong></TableCell>
+                  </TableRow>
+                </TableBody>
+              </Table>
+              {viewOrder.notes && <Typography variant="body2" sx={{ mt: 1 }}>Notes: {viewOrder.notes}</Typography>}
+            </DialogContent>
+            <DialogActions>
+              {NEXT_STATUS[viewOrder.status] && (
+                <Button onClick={() => handleAdvanceStatus(viewOrder)}>
+                  {NEXT_STATUS_LABELS[NEXT_STATUS[viewOrder.status]]}
+                </Button>
+              )}
+              <Button onClick={() => setViewOrder(null)}>Close</Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+    </Container>
+  );
+};
+
+export default PurchaseOrdersPage;
@@ -21,9 +21,54 @@ import {
 } from '@mui/material';
 import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
 import RemoveCircleOutlineIcon from '@mui/icons-material/RemoveCircleOutline';
+import { getCompatibleUnits } from '../utils/units';
+import { ALLERGEN_OPTIONS, formatAllergens } from '../utils/allergens';
 
 // TODO: Later, adapt this page to handle both Create and Edit modes
 
+// Options for the ingredient picker: bought ingredients and in-house sub-recipes.
+// A sub-recipe is costed per kg of its yield (or per piece when it has no yield weight),
+// so it carries the same unit/eachWeight fields getCompatibleUnits expects of an ingredient.
+const toIngredientOption = (ingredient) => ({
+  ...ingredient,
+  itemType: 'ingredient',
+  label: ingredient.ingredientName,
+});
+
+const toSubRecipeOption = (recipe) => ({
+  _id: recipe._id,
+  itemType: 'recipe',
+  label: `${recipe.pieName} (${recipe.variant})`,
+  unit: recipe.yieldWeight > 0 ? 'kg' : 'unit',
+  eachWeight: recipe.yieldWeight > 0 ? recipe.yieldWeight / recipe.batchSize : undefined,
+  allergens: recipe.allergens,
+});
+
+// A labor input is booked on a labor standard, either in minutes per pie or in
+// workers times hours per worker for the batch
+const emptyLaborInput = { laborStandard: '', workerRole: '', measure: 'minutes', minutesPerPie: '', workers: '', hoursPerWorker: '' };
+
+// Allergens of the lines entered so far; sub-recipes bring their own rolled-up allergens.
+// Mirrors rollUpAllergens on the backend, which has the final say when the recipe is saved.
+const rollUpAllergens = (lines, findOption) => {
+  const contains = new Set();
+  const mayContain = new Set();
+  lines.forEach((line) => {
+    if (!line.ingredient || !(parseFloat(line.quantity) > 0)) return;
+    const allergens = findOption(line.ingredient)?.allergens || line.ingredient.allergens;
+    (allergens?.contains || []).forEach((key) => contains.add(key));
+    (allergens?.mayContain || []).forEach((key) => mayContain.add(key));
+  });
+  const inOrder = (keys) => ALLERGEN_OPTIONS.map((option) => option.value).filter((key) => keys.has(key));
+  return {
+    contains: inOrder(contains),
+    mayContain: inOrder(mayContain).filter((key) => !contains.has(key)),
+  };
+};
+
+const sameAllergens = (a, b) =>
+  a.contains.join() === (b?.contains || []).join() && a.mayContain.join() === (b?.mayContain || []).join();
+
 const RecipeFormPage = () => {
   const navigate = useNavigate();
   const { id } = useParams(); // Get ID from URL for edit mode
@@ -32,29 +77,63 @@ const RecipeFormPage = () => {
   const [pieName, setPieName] = useState('');
   const [variant, setVariant] = useState('Standard');
   const [batchSize, setBatchSize] = useState('');
+  const [yieldWeight, setYieldWeight] = useState('');
+  const [bakingLossPercentage, setBakingLossPercentage] = useState('0');
+  const [rejectRate, setRejectRate] = useState('0');
+  const [shelfLifeDays, setShelfLifeDays] = useState('');
   const [ingredients, setIngredients] = useState([{ ingredient: null, quantity: '', unit: '' }]);
-  const [laborInputs, setLaborInputs] = useState([{ workers: '', hoursPerWorker: '' }]);
-  const [laborHourlyRate, setLaborHourlyRate] = useState('');
+  const [laborInputs, setLaborInputs] = useState([{ ...emptyLaborInput }]);
+  const [packaging, setPackaging] = useState([]);
+  const [utilityInputs, setUtilityInputs] = useState([]);
+  const [pricingMode, setPricingMode] = useState('markup');
   const [markupPercentage, setMarkupPercentage] = useState('');
+  const [targetMarginPercentage, setTargetMarginPercentage] = useState('');
+  const [targetPrice, setTargetPrice] = useState('');
   const [notes, setNotes] = useState('');
+  const [savedAllergens, setSavedAllergens] = useState(null); // As last worked out by the backend
 
   const [availableIngredients, setAvailableIngredients] = useState([]);
+  const [availableSubRecipes, setAvailableSubRecipes] = useState([]);
+  const [availableOverheads, setAvailableOverheads] = useState([]);
+  const [availableLaborStandards, setAvailableLaborStandards] = useState([]);
+  const [availableWorkerRoles, setAvailableWorkerRoles] = useState([]);
   const [loading, setLoading] = useState(false);
   const [initialLoading, setInitialLoading] = useState(isEditMode); // Loading state for fetching data in edit mode
   const [error, setError] = useState('');
   const [ingredientOptionsLoading, setIngredientOptionsLoading] = useState(false);
 
-  // Fetch available ingredients for Autocomplete
+  // Fetch available ingredients and sub-recipes for Autocomplete
   useEffect(() => {
     const fetchIngredients = async () => {
       setIngredientOptionsLoading(true);
       try {
-        const response = await apiClient.get('/ingredients');
-        if (response.data.success) {
-          setAvailableIngredients(response.data.data);
+        const [ingredientsResponse, recipesResponse, overheadsResponse, laborResponse, rolesResponse] = await Promise.all([
+          apiClient.get('/ingredients'),
+          apiClient.get('/recipes'),
+          apiClient.get('/overheads'),
+          apiClient.get('/labor'),
+          apiClient.get('/worker-roles'),
+        ]);
+        if (ingredientsResponse.data.success) {
+          setAvailableIngredients(ingredientsResponse.data.data.map(toIngredientOption));
         } else {
           setError('Failed to load ingredients list.');
         }
+        if (recipesResponse.data.success) {
+          // A recipe cannot be used inside itself
+          setAvailableSubRecipes(
+            recipesResponse.data.data.filter((recipe) => recipe._id !== id).map(toSubRecipeOption)
+          );
+        }
+        if (overheadsResponse.data.success) {
+          setAvailableOverheads(overheadsResponse.data.data);
+        }
+        if (laborResponse.data.success) {
+          setAvailableLaborStandards(laborResponse.data.data);
+        }
+        if (rolesResponse.data.success) {
+          setAvailableWorkerRoles(rolesResponse.data.data);
+        }
       } catch (err) {
         setError('Error fetching ingredients.');
         console.error(err);
@@ -62,7 +141,7 @@ const RecipeFormPage = () => {
       setIngredientOptionsLoading(false);
     };
     fetchIngredients();
-  }, []);
+  }, [id]);
 
   // useEffect for Edit mode to fetch recipe data by ID
   useEffect(() => {
@@ -77,22 +156,48 @@ const RecipeFormPage = () => {
             setPieName(recipe.pieName);
             setVariant(recipe.variant || 'Standard'); // Handle potential missing variant
             setBatchSize(recipe.batchSize.toString()); // Ensure string for TextField
+            setYieldWeight(recipe.yieldWeight ? recipe.yieldWeight.toString() : '');
+            setBakingLossPercentage((recipe.bakingLossPercentage ?? 0).toString());
+            setRejectRate((recipe.rejectRate ?? 0).toString());
+            setShelfLifeDays(recipe.shelfLifeDays?.toString() ?? '');
+            setPricingMode(recipe.pricingMode || 'markup');
             setMarkupPercentage(recipe.markupPercentage.toString());
-            setLaborHourlyRate(recipe.laborHourlyRate.toString());
+            setTargetMarginPercentage(recipe.targetMarginPercentage?.toString() ?? '');
+            setTargetPrice(recipe.targetPrice?.toString() ?? '');
             setNotes(recipe.notes || '');
+            setSavedAllergens(recipe.allergens || null);
 
             // Map fetched ingredients to the state structure, ensuring ingredient object is populated
-            // The GET /recipes/:id route populates ingredient details
-            setIngredients(recipe.ingredients.map(ing => ({
-              ingredient: ing.ingredient, // The populated ingredient object
-              quantity: ing.quantity.toString(),
-              unit: ing.ingredient.unit // Set unit from the populated ingredient
+            // The GET /recipes/:id route populates ingredient and sub-recipe details
+            setIngredients(recipe.ingredients.map(ing => {
+              const option = ing.itemType === 'recipe'
+                ? toSubRecipeOption(ing.subRecipe)
+                : toIngredientOption(ing.ingredient);
+              return {
+                ingredient: option, // The populated ingredient or sub-recipe option
+                quantity: ing.quantity.toString(),
+                unit: ing.unit || option.unit // Keep the unit the recipe was saved with
+              };
+            }));
+
+            // Map fetched labor inputs (labor standards and worker roles are populated)
+            setLaborInputs(recipe.laborInputs.map(lab => ({
+                laborStandard: lab.laborStandard?._id || '',
+                workerRole: lab.workerRole?._id || '',
+                measure: typeof lab.minutesPerPie === 'number' ? 'minutes' : 'workers',
+                minutesPerPie: lab.minutesPerPie?.toString() ?? '',
+                workers: lab.workers?.toString() ?? '',
+                hoursPerWorker: lab.hoursPerWorker?.toString() ?? ''
             })));
 
-            // Map fetched labor inputs
-            setLaborInputs(recipe.laborInputs.map(lab => ({
-                workers: lab.workers.toString(),
-                hoursPerWorker: lab.hoursPerWorker.toString()
+            // Map fetched packaging and utility usage (overheads are populated)
+            setPackaging((recipe.packaging || []).map(item => ({
+                overhead: item.overhead?._id || '',
+                quantity: item.quantity.toString()
+            })));
+            setUtilityInputs((recipe.utilityInputs || []).map(input => ({
+                overhead: input.overhead?._id || '',
+                minutes: input.minutes.toString()
             })));
 
             // Handle cases where fetched data might be empty (though schema should prevent this)
@@ -100,7 +205,7 @@ const RecipeFormPage = () => {
                setIngredients([{ ingredient: null, quantity: '', unit: '' }]);
             }
              if (recipe.laborInputs.length === 0) {
-               setLaborInputs([{ workers: '', hoursPerWorker: '' }]);
+               setLaborInputs([{ ...emptyLaborInput }]);
             }
 
           } else {
@@ -121,7 +226,13 @@ const RecipeFormPage = () => {
   const handleIngredientChange = (index, selectedOption) => {
     const newIngredients = [...ingredients];
     newIngredients[index].ingredient = selectedOption; // Store the whole ingredient object initially
-    newIngredients[index].unit = selectedOption ? selectedOption.unit : ''; // Set unit based on selection
+    newIngredients[index].unit = selectedOption ? selectedOption.unit : ''; // Default to the ingredient's priced unit
+    setIngredients(newIngredients);
+  };
+
+  const handleIngredientUnitChange = (index, value) => {
+    const newIngredients = [...ingredients];
+    newIngredients[index].unit = value;
     setIngredients(newIngredients);
   };
 
@@ -148,7 +259,7 @@ const RecipeFormPage = () => {
   };
 
   const addLaborInput = () => {
-    setLaborInputs([...laborInputs, { workers: '', hoursPerWorker: '' }]);
+    setLaborInputs([...laborInputs, { ...emptyLaborInput }]);
   };
 
   const removeLaborInput = (index) => {
@@ -156,6 +267,38 @@ const RecipeFormPage = () => {
     setLaborInputs(newLaborInputs);
   };
 
+  // --- Packaging & Utility Handlers ---
+  const handlePackagingChange = (index, field, value) => {
+    const newPackaging = [...packaging];
+    newPackaging[index][field] = value;
+    setPackaging(newPackaging);
+  };
+
+  const addPackaging = () => {
+    setPackaging([...packaging, { overhead: '', quantity: '1' }]);
+  };
+
+  const removePackaging = (index) => {
+    setPackaging(packaging.filter((_, i) => i !== index));
+  };
+
+  const handleUtilityInputChange = (index, field, value) => {
+    const newUtilityInputs = [...utilityInputs];
+    newUtilityInputs[index][field] = value;
+    setUtilityInputs(newUtilityInputs);
+  };
+
+  const addUtilityInput = () => {
+    setUtilityInputs([...utilityInputs, { overhead: '', minutes: '' }]);
+  };
+
+  const removeUtilityInput = (index) => {
+    setUtilityInputs(utilityInputs.filter((_, i) => i !== index));
+  };
+
+  const packagingOverheads = availableOverheads.filter((overhead) => overhead.type === 'packaging');
+  const utilityOverheads = availableOverheads.filter((overhead) => overhead.type === 'utility');
+
   // --- Submit Handler ---
   const handleSubmit = async (event) => {
     event.preventDefault();
@@ -163,8 +306,10 @@ const RecipeFormPage = () => {
     setLoading(true);
 
     // --- Basic Validation --- (can be more robust)
-    if (!pieName || !batchSize || !laborHourlyRate || !markupPercentage || ingredients.length === 0 || laborInputs.length === 0) {
-        setError("Please fill in all required fields (Pie Name, Batch Size, Hourly Rate, Markup, add at least one Ingredient and Labor Input).");
+    // The lever the chosen pricing mode needs
+    const pricingValue = { markup: markupPercentage, margin: targetMarginPercentage, target_price: targetPrice }[pricingMode];
+    if (!pieName || !batchSize || !pricingValue || ingredients.length === 0 || laborInputs.length === 0) {
+        setError("Please fill in all required fields (Pie Name, Batch Size, Markup / Target Margin / Target Price, add at least one Ingredient and Labor Input).");
         setLoading(false);
         return;
     }
@@ -174,21 +319,51 @@ const RecipeFormPage = () => {
       pieName,
       variant,
       batchSize: parseInt(batchSize, 10),
+      yieldWeight: yieldWeight ? parseFloat(yieldWeight) : null,
+      bakingLossPercentage: bakingLossPercentage ? parseFloat(bakingLossPercentage) : 0,
+      rejectRate: rejectRate ? parseFloat(rejectRate) : 0,
+      shelfLifeDays: shelfLifeDays ? parseInt(shelfLifeDays, 10) : null, // Blank uses the default shelf life
       ingredients: ingredients
         .filter(item => item.ingredient && item.quantity) // Ensure ingredient is selected and quantity entered
         .map(item => ({
-            ingredient: item.ingredient._id, // Send only the ID
+            itemType: item.ingredient.itemType,
+            // Send only the ID, under the field matching the kind of item
+            ...(item.ingredient.itemType === 'recipe'
+              ? { subRecipe: item.ingredient._id }
+              : { ingredient: item.ingredient._id }),
             quantity: parseFloat(item.quantity),
-            unit: item.unit // Send the unit derived from the selected ingredient
+            unit: item.unit // Converted to the ingredient's priced unit (or sub-recipe yield) by the backend
         })),
       laborInputs: laborInputs
-        .filter(input => input.workers && input.hoursPerWorker)
+        .filter(input => input.laborStandard && (input.measure === 'minutes'
+          ? input.minutesPerPie !== ''
+          : input.workers && input.hoursPerWorker !== ''))
+        .map(input => ({
+            laborStandard: input.laborStandard,
+            // Without a role the work is costed at the labor standard's rate
+            ...(input.workerRole && { workerRole: input.workerRole }),
+            // Minutes per pie, or worker-hours for the whole batch
+            ...(input.measure === 'minutes'
+              ? { minutesPerPie: parseFloat(input.minutesPerPie) }
+              : { workers: parseInt(input.workers, 10), hoursPerWorker: parseFloat(input.hoursPerWorker) })
+        })),
+      packaging: packaging
+        .filter(item => item.overhead && item.quantity !== '')
+        .map(item => ({
+            overhead: item.overhead,
+            quantity: parseFloat(item.quantity) // Items per pie
+        })),
+      utilityInputs: utilityInputs
+        .filter(input => input.overhead && input.minutes !== '')
         .map(input => ({
-            workers: parseInt(input.workers, 10),
-            hoursPerWorker: parseFloat(input.hoursPerWorker)
+            overhead: input.overhead,
+            minutes: parseFloat(input.minutes) // Minutes per batch
         })),
-      laborHourlyRate: parseFloat(laborHourlyRate),
-      markupPercentage: parseFloat(markupPercentage),
+      pricingMode,
+      // Margin and target price modes back-calculate the markup on the server
+      ...(pricingMode === 'markup' && { markupPercentage: parseFloat(markupPercentage) }),
+      ...(pricingMode === 'margin' && { targetMarginPercentage: parseFloat(targetMarginPercentage) }),
+      ...(pricingMode === 'target_price' && { targetPrice: parseFloat(targetPrice) }),
       notes,
     };
 
@@ -219,6 +394,12 @@ const RecipeFormPage = () => {
     setLoading(false);
   };
 
+  // Live allergen roll-up, using the latest allergens from the option lists
+  const currentAllergens = rollUpAllergens(ingredients, (option) =>
+    (option.itemType === 'recipe' ? availableSubRecipes : availableIngredients).find((o) => o._id === option._id)
+  );
+  const allergensChanged = isEditMode && savedAllergens && !sameAllergens(currentAllergens, savedAllergens);
+
   // Show loading indicator while fetching data for edit mode
   if (initialLoading) {
     return (
@@ -282,6 +463,76 @@ const RecipeFormPage = () => {
               />
             </Grid>
             <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                id="yieldWeight"
+                label="Batch Yield Weight (kg)"
+                type="number"
+                value={yieldWeight}
+                onChange={(e) => setYieldWeight(e.target.value)}
+                disabled={loading}
+                inputProps={{ min: 0, step: "any" }}
+                helperText="Needed to use this recipe by weight as a sub-recipe (e.g. pastry, gravy base)"
+              />
+            </Grid>
+            <Grid item xs={12} sm={3}>
+              <TextField
+                fullWidth
+                id="bakingLossPercentage"
+                label="Baking Loss (%)"
+                type="number"
+                value={bakingLossPercentage}
+                onChange={(e) => setBakingLossPercentage(e.target.value)}
+                disabled={loading}
+                inputProps={{ min: 0, max: 99, step: "any" }}
+                helperText="Weight lost as moisture"
+              />
+            </Grid>
+            <Grid item xs={12} sm={3}>
+              <TextField
+                fullWidth
+                id="rejectRate"
+                label="Reject Rate (%)"
+                type="number"
+                value={rejectRate}
+                onChange={(e) => setRejectRate(e.target.value)}
+                disabled={loading}
+                inputProps={{ min: 0, max: 99, step: "any" }}
+                helperText="Pies that cannot be sold"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                id="shelfLifeDays"
+                label="Shelf Life (days)"
+                type="number"
+                value={shelfLifeDays}
+                onChange={(e) => setShelfLifeDays(e.target.value)}
+                disabled={loading}
+                inputProps={{ min: 1, step: 1 }}
+                helperText="Sets the best-before date on labels; leave blank for the default in Settings"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}></Grid> {/* Spacer */}
+            <Grid item xs={12} sm={6}>
+              <FormControl fullWidth disabled={loading}>
+                <InputLabel id="pricing-mode-label">Pricing Mode</InputLabel>
+                <Select
+                  labelId="pricing-mode-label"
+                  id="pricingMode"
+                  label="Pricing Mode"
+                  value={pricingMode}
+                  onChange={(e) => setPricingMode(e.target.value)}
+                >
+                  <MenuItem value="markup">Markup on cost</MenuItem>
+                  <MenuItem value="margin">Target gross margin</MenuItem>
+                  <MenuItem value="target_price">Fixed target price</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              {pricingMode === 'markup' && (
                 <TextField
                     required
                     fullWidth
@@ -293,6 +544,35 @@ const RecipeFormPage = () => {
                     disabled={loading}
                     inputProps={{ min: 0 }}
                  />
+              )}
+              {pricingMode === 'margin' && (
+                <TextField
+                    required
+                    fullWidth
+                    id="targetMarginPercentage"
+                    label="Target Gross Margin (%)"
+                    type="number"
+                    value={targetMarginPercentage}
+                    onChange={(e) => setTargetMarginPercentage(e.target.value)}
+                    disabled={loading}
+                    inputProps={{ min: 0, max: 99, step: "any" }}
+                    helperText="Share of the selling price (excl. VAT) left after costs"
+                 />
+              )}
+              {pricingMode === 'target_price' && (
+                <TextField
+                    required
+                    fullWidth
+                    id="targetPrice"
+                    label="Target Price (R)"
+                    type="number"
+                    value={targetPrice}
+                    onChange={(e) => setTargetPrice(e.target.value)}
+                    disabled={loading}
+                    inputProps={{ min: 0, step: "any" }}
+                    helperText="Published as set, including VAT if prices include VAT"
+                 />
+              )}
             </Grid>
 
             {/* --- Ingredients Section --- */}
@@ -303,20 +583,21 @@ const RecipeFormPage = () => {
               <React.Fragment key={index}>
                 <Grid item xs={12} sm={5}>
                   <Autocomplete
-                    options={availableIngredients}
-                    getOptionLabel={(option) => option.ingredientName || ''}
+                    options={[...availableIngredients, ...availableSubRecipes]}
+                    groupBy={(option) => (option.itemType === 'recipe' ? 'Sub-recipes' : 'Ingredients')}
+                    getOptionLabel={(option) => option.label || ''}
                     value={item.ingredient}
                     onChange={(event, newValue) => {
                       handleIngredientChange(index, newValue);
                     }}
-                    isOptionEqualToValue={(option, value) => option._id === value?._id}
+                    isOptionEqualToValue={(option, value) => option._id === value?._id && option.itemType === value?.itemType}
                     loading={ingredientOptionsLoading}
                     disabled={loading || initialLoading}
                     renderInput={(params) => (
                       <TextField
                         {...params}
                         required
-                        label="Ingredient"
+                        label="Ingredient or Sub-recipe"
                         InputProps={{
                           ...params.InputProps,
                           endAdornment: (
@@ -343,15 +624,26 @@ const RecipeFormPage = () => {
                   />
                 </Grid>
                  <Grid item xs={12} sm={2}>
-                   <TextField
-                        fullWidth
+                   <FormControl fullWidth required>
+                     <InputLabel id={`unit-label-${index}`}>Unit</InputLabel>
+                     <Select
+                        labelId={`unit-label-${index}`}
                         label="Unit"
-                        value={item.unit} // Display unit from selected ingredient
-                        disabled // Unit is determined by ingredient
-                        InputProps={{
-                            readOnly: true,
-                        }}
-                    />
+                        value={item.unit}
+                        onChange={(e) => handleIngredientUnitChange(index, e.target.value)}
+                        disabled={!item.ingredient || loading || initialLoading}
+                     >
+                        {/* Only offer units that can be converted to the ingredient's priced unit */}
+                        {getCompatibleUnits(item.ingredient).map((option) => (
+                          <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                        ))}
+                     </Select>
+                     {item.ingredient && item.unit !== item.ingredient.unit && (
+                       <FormHelperText>
+                         {item.ingredient.itemType === 'recipe' ? 'Costed' : 'Priced'} per {item.ingredient.unit}
+                       </FormHelperText>
+                     )}
+                   </FormControl>
                 </Grid>
                 <Grid item xs={12} sm={2} sx={{ display: 'flex', alignItems: 'center' }}>
                   <IconButton onClick={() => removeIngredient(index)} disabled={ingredients.length <= 1 || loading || initialLoading} color="error">
@@ -370,29 +662,101 @@ const RecipeFormPage = () => {
               </Button>
             </Grid>
 
+            {/* --- Allergens (worked out from the ingredients above) --- */}
+            <Grid item xs={12}>
+              <Typography variant="body2">
+                <strong>Contains:</strong> {formatAllergens(currentAllergens.contains) || 'None declared'}
+                {currentAllergens.mayContain.length > 0 && (
+                  <> &nbsp;<strong>May contain:</strong> {formatAllergens(currentAllergens.mayContain)}</>
+                )}
+              </Typography>
+              {allergensChanged && (
+                <Alert severity="warning" sx={{ mt: 1 }}>
+                  These changes alter the recipe's allergens (saved: contains {formatAllergens(savedAllergens.contains) || 'none'}
+                  {savedAllergens.mayContain?.length > 0 ? `; may contain ${formatAllergens(savedAllergens.mayContain)}` : ''}).
+                  Labels for this product will need reprinting.
+                </Alert>
+              )}
+            </Grid>
+
              {/* --- Labor Section --- */}
             <Grid item xs={12}>
               <Typography variant="h6" gutterBottom sx={{ mt: 2 }}>Labor</Typography>
             </Grid>
-             <Grid item xs={12} sm={6}>
-              <TextField
-                required
-                fullWidth
-                id="laborHourlyRate"
-                label="Labor Rate (per Hour)"
-                type="number"
-                value={laborHourlyRate}
-                onChange={(e) => setLaborHourlyRate(e.target.value)}
-                disabled={loading || initialLoading}
-                inputProps={{ min: 0, step: "any" }}
-              />
-            </Grid>
-            <Grid item xs={12} sm={6}></Grid> {/* Spacer */} 
+            {availableLaborStandards.length === 0 && !ingredientOptionsLoading && (
+              <Grid item xs={12}>
+                <Alert severity="info">Add labor standards (e.g. "Pie filling line") on the Labor page first.</Alert>
+              </Grid>
+            )}
 
             {laborInputs.map((input, index) => (
               <React.Fragment key={index}>
-                <Grid item xs={12} sm={5}>
-                   <TextField
+                <Grid item xs={12} sm={3}>
+                  <FormControl fullWidth required disabled={loading || initialLoading}>
+                    <InputLabel id={`labor-standard-label-${index}`}>Labor Standard</InputLabel>
+                    <Select
+                      labelId={`labor-standard-label-${index}`}
+                      label="Labor Standard"
+                      value={input.laborStandard}
+                      onChange={(e) => handleLaborInputChange(index, 'laborStandard', e.target.value)}
+                    >
+                      {availableLaborStandards.map((standard) => (
+                        <MenuItem key={standard._id} value={standard._id}>
+                          {standard.name} (R{standard.hourlyRate.toFixed(2)} / hour)
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} sm={2}>
+                  <FormControl fullWidth disabled={loading || initialLoading}>
+                    <InputLabel id={`labor-role-label-${index}`}>Worker Role</InputLabel>
+                    <Select
+                      labelId={`labor-role-label-${index}`}
+                      label="Worker Role"
+                      value={input.workerRole}
+                      onChange={(e) => handleLaborInputChange(index, 'workerRole', e.target.value)}
+                    >
+                      <MenuItem value=""><em>None (standard's rate)</em></MenuItem>
+                      {availableWorkerRoles.map((role) => (
+                        <MenuItem key={role._id} value={role._id}>
+                          {role.name} (R{role.hourlyRate.toFixed(2)} / hour + {role.onCostPercentage ?? 0}%)
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} sm={2}>
+                  <FormControl fullWidth disabled={loading || initialLoading}>
+                    <InputLabel id={`labor-measure-label-${index}`}>Measured In</InputLabel>
+                    <Select
+                      labelId={`labor-measure-label-${index}`}
+                      label="Measured In"
+                      value={input.measure}
+                      onChange={(e) => handleLaborInputChange(index, 'measure', e.target.value)}
+                    >
+                      <MenuItem value="minutes">Minutes per pie</MenuItem>
+                      <MenuItem value="workers">Worker-hours</MenuItem>
+                    </Select>
+                  </FormControl>
+                </Grid>
+                {input.measure === 'minutes' ? (
+                  <Grid item xs={12} sm={4}>
+                    <TextField
+                      required
+                      fullWidth
+                      label="Minutes per Pie"
+                      type="number"
+                      value={input.minutesPerPie}
+                      onChange={(e) => handleLaborInputChange(index, 'minutesPerPie', e.target.value)}
+                      disabled={loading || initialLoading}
+                      inputProps={{ min: 0, step: "any" }}
+                    />
+                  </Grid>
+                ) : (
+                  <>
+                    <Grid item xs={12} sm={2}>
+                      <TextField
                         required
                         fullWidth
                         label="No. Workers"
@@ -401,10 +765,10 @@ const RecipeFormPage = () => {
                         onChange={(e) => handleLaborInputChange(index, 'workers', e.target.value)}
                         disabled={loading || initialLoading}
                         inputProps={{ min: 1 }}
-                    />
-                </Grid>
-                <Grid item xs={12} sm={5}>
-                    <TextField
+                      />
+                    </Grid>
+                    <Grid item xs={12} sm={2}>
+                      <TextField
                         required
                         fullWidth
                         label="Hours per Worker (for Batch)"
@@ -413,9 +777,11 @@ const RecipeFormPage = () => {
                         onChange={(e) => handleLaborInputChange(index, 'hoursPerWorker', e.target.value)}
                         disabled={loading || initialLoading}
                         inputProps={{ min: 0, step: "any" }}
-                     />
-                </Grid>
-                <Grid item xs={12} sm={2} sx={{ display: 'flex', alignItems: 'center' }}>
+                      />
+                    </Grid>
+                  </>
+                )}
+                <Grid item xs={12} sm={1} sx={{ display: 'flex', alignItems: 'center' }}>
                   <IconButton onClick={() => removeLaborInput(index)} disabled={laborInputs.length <= 1 || loading || initialLoading} color="error">
                     <RemoveCircleOutlineIcon />
                   </IconButton>
@@ -432,6 +798,108 @@ const RecipeFormPage = () => {
               </Button>
             </Grid>
 
+            {/* --- Packaging Section --- */}
+            <Grid item xs={12}>
+              <Typography variant="h6" gutterBottom sx={{ mt: 2 }}>Packaging</Typography>
+            </Grid>
+            {packaging.map((item, index) => (
+              <React.Fragment key={index}>
+                <Grid item xs={12} sm={7}>
+                  <FormControl fullWidth disabled={loading || initialLoading}>
+                    <InputLabel id={`packaging-label-${index}`}>Packaging Item</InputLabel>
+                    <Select
+                      labelId={`packaging-label-${index}`}
+                      label="Packaging Item"
+                      value={item.overhead}
+                      onChange={(e) => handlePackagingChange(index, 'overhead', e.target.value)}
+                    >
+                      {packagingOverheads.map((overhead) => (
+                        <MenuItem key={overhead._id} value={overhead._id}>
+                          {overhead.name} (R{overhead.cost.toFixed(2)} each)
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    fullWidth
+                    label="Quantity per Pie"
+                    type="number"
+                    value={item.quantity}
+                    onChange={(e) => handlePackagingChange(index, 'quantity', e.target.value)}
+                    disabled={loading || initialLoading}
+                    inputProps={{ min: 0, step: "any" }}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={2} sx={{ display: 'flex', alignItems: 'center' }}>
+                  <IconButton onClick={() => removePackaging(index)} disabled={loading || initialLoading} color="error">
+                    <RemoveCircleOutlineIcon />
+                  </IconButton>
+                </Grid>
+              </React.Fragment>
+            ))}
+            <Grid item xs={12}>
+              <Button
+                startIcon={<AddCircleOutlineIcon />}
+                onClick={addPackaging}
+                disabled={loading || initialLoading || packagingOverheads.length === 0}
+              >
+                Add Packaging
+              </Button>
+            </Grid>
+
+            {/* --- Utilities Section --- */}
+            <Grid item xs={12}>
+              <Typography variant="h6" gutterBottom sx={{ mt: 2 }}>Utilities</Typography>
+            </Grid>
+            {utilityInputs.map((input, index) => (
+              <React.Fragment key={index}>
+                <Grid item xs={12} sm={7}>
+                  <FormControl fullWidth disabled={loading || initialLoading}>
+                    <InputLabel id={`utility-label-${index}`}>Utility</InputLabel>
+                    <Select
+                      labelId={`utility-label-${index}`}
+                      label="Utility"
+                      value={input.overhead}
+                      onChange={(e) => handleUtilityInputChange(index, 'overhead', e.target.value)}
+                    >
+                      {utilityOverheads.map((overhead) => (
+                        <MenuItem key={overhead._id} value={overhead._id}>
+                          {overhead.name} (R{overhead.cost.toFixed(2)} / min)
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    fullWidth
+                    label="Minutes (for Batch)"
+                    type="number"
+                    value={input.minutes}
+                    onChange={(e) => handleUtilityInputChange(index, 'minutes', e.target.value)}
+                    disabled={loading || initialLoading}
+                    inputProps={{ min: 0, step: "any" }}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={2} sx={{ display: 'flex', alignItems: 'center' }}>
+                  <IconButton onClick={() => removeUtilityInput(index)} disabled={loading || initialLoading} color="error">
+                    <RemoveCircleOutlineIcon />
+                  </IconButton>
+                </Grid>
+              </React.Fragment>
+            ))}
+            <Grid item xs={12}>
+              <Button
+                startIcon={<AddCircleOutlineIcon />}
+                onClick={addUtilityInput}
+                disabled={loading || initialLoading || utilityOverheads.length === 0}
+              >
+                Add Utility Usage
+              </Button>
+            </Grid>
+
             {/* --- Notes --- */}
             <Grid item xs={12}>
                 <TextField
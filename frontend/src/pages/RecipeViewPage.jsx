@@ -14,21 +14,37 @@ import {
   ListItemText,
   Divider,
   Button,
-  IconButton
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
 } from '@mui/material';
 import EditIcon from '@mui/icons-material/Edit';
 // Import chart components from recharts
 import { PieChart, Pie, Cell, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { useAuth } from '../contexts/AuthContext'; // Import useAuth
+import IngredientBreakdownTable from '../components/IngredientBreakdownTable';
+import RecipeRevisionHistory from '../components/RecipeRevisionHistory';
+import LabelPrintDialog from '../components/LabelPrintDialog';
+import DatedCostPanel from '../components/DatedCostPanel';
+import RecipeScalePanel from '../components/RecipeScalePanel';
+import { formatAllergens } from '../utils/allergens';
 
 const RecipeViewPage = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [recipe, setRecipe] = useState(null);
+  const [breakdown, setBreakdown] = useState(null); // Costed lines with sub-recipes expanded
+  const [nutrition, setNutrition] = useState(null); // Nutrition panel (per pie and per 100 g)
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0); // Bumped to refetch after a revision is restored
+  const [labelDialogOpen, setLabelDialogOpen] = useState(false);
   const { user } = useAuth(); // Get user info from context
   const isAdmin = user?.role === 'admin'; // Check if user is admin
+  const isManager = user?.role === 'manager';
 
   useEffect(() => {
     const fetchRecipe = async () => {
@@ -38,6 +54,22 @@ const RecipeViewPage = () => {
         const response = await apiClient.get(`/recipes/${id}`);
         if (response.data.success) {
           setRecipe(response.data.data);
+          // The breakdown is a nice-to-have; fall back to the plain ingredient list if it fails
+          try {
+            const breakdownResponse = await apiClient.get(`/recipes/${id}/breakdown`);
+            setBreakdown(breakdownResponse.data.success ? breakdownResponse.data.data : null);
+          } catch (breakdownErr) {
+            console.error("Fetch recipe breakdown error:", breakdownErr);
+            setBreakdown(null);
+          }
+          // Likewise the nutrition panel; the section is left out if it fails
+          try {
+            const nutritionResponse = await apiClient.get(`/recipes/${id}/nutrition`);
+            setNutrition(nutritionResponse.data.success ? nutritionResponse.data.data : null);
+          } catch (nutritionErr) {
+            console.error("Fetch recipe nutrition error:", nutritionErr);
+            setNutrition(null);
+          }
         } else {
           setError('Failed to fetch recipe details.');
         }
@@ -49,7 +81,7 @@ const RecipeViewPage = () => {
     };
 
     fetchRecipe();
-  }, [id]);
+  }, [id, reloadKey]);
 
   if (loading) {
     return (
@@ -85,8 +117,17 @@ const RecipeViewPage = () => {
   const costData = [
     { name: 'Ingredient Cost', value: recipe.calculatedCosts?.totalIngredientCost ?? 0 },
     { name: 'Labor Cost', value: recipe.calculatedCosts?.totalLaborCost ?? 0 },
+    { name: 'Packaging Cost', value: recipe.calculatedCosts?.totalPackagingCost ?? 0 },
+    { name: 'Utility Cost', value: recipe.calculatedCosts?.totalUtilityCost ?? 0 },
+    { name: 'Fixed Overheads', value: recipe.calculatedCosts?.totalFixedOverheadCost ?? 0 },
   ];
-  const COLORS = ['#0088FE', '#FF8042']; // Example colors
+  const COLORS = ['#0088FE', '#FF8042', '#00C49F', '#FFBB28', '#8884D8']; // Example colors
+
+  // Shows the figure before yield/waste adjustments next to the adjusted one when they differ
+  const formatUnadjusted = (unadjusted, adjusted) =>
+    typeof unadjusted === 'number' && unadjusted !== adjusted
+      ? ` (R${unadjusted.toFixed(2)} before yield & waste)`
+      : '';
 
   return (
     <Container maxWidth="lg" sx={{ mt: 3 }}>
@@ -99,6 +140,9 @@ const RecipeViewPage = () => {
                 <Button variant="outlined" onClick={() => navigate('/')} sx={{ mr: 1 }}>
                     Back to Dashboard
                 </Button>
+                <Button variant="outlined" onClick={() => setLabelDialogOpen(true)} sx={{ mr: 1 }}>
+                    Print Labels
+                </Button>
                 {/* Conditionally render Edit button */}
                 {isAdmin && (
                  <IconButton onClick={() => navigate(`/recipes/${id}/edit`)} color="primary" title="Edit Recipe">
@@ -108,6 +152,11 @@ const RecipeViewPage = () => {
             </Box>
         </Box>
         <Divider sx={{ mb: 3 }}/>
+        {recipe.isArchived && (
+          <Alert severity="info" sx={{ mb: 3 }}>
+            This recipe is archived{recipe.archivedAt ? ` (since ${new Date(recipe.archivedAt).toLocaleDateString()})` : ''}. It is hidden from the dashboard until restored.
+          </Alert>
+        )}
 
         <Grid container spacing={4}>
           {/* Left Side: Details */}
@@ -117,37 +166,182 @@ const RecipeViewPage = () => {
               <ListItem>
                 <ListItemText primary="Batch Size" secondary={`${recipe.batchSize} units`} />
               </ListItem>
+              {recipe.yieldWeight > 0 && (
+                <ListItem>
+                  <ListItemText primary="Batch Yield" secondary={`${recipe.yieldWeight} kg`} />
+                </ListItem>
+              )}
+              {(recipe.bakingLossPercentage > 0 || recipe.rejectRate > 0) && (
+                <ListItem>
+                  <ListItemText
+                    primary="Losses"
+                    secondary={`${recipe.bakingLossPercentage ?? 0}% baking loss, ${recipe.rejectRate ?? 0}% rejects`}
+                  />
+                </ListItem>
+              )}
               <ListItem>
-                 <ListItemText primary="Markup" secondary={`${recipe.markupPercentage}%`} />
-              </ListItem>
-              <ListItem>
-                 <ListItemText primary="Labor Rate" secondary={`R${recipe.laborHourlyRate?.toFixed(2)} / hour`} />
+                 <ListItemText
+                   primary="Markup"
+                   secondary={
+                     recipe.pricingMode === 'margin'
+                       ? `${recipe.markupPercentage}% (from ${recipe.targetMarginPercentage}% target margin)`
+                       : recipe.pricingMode === 'target_price'
+                         ? `${recipe.markupPercentage}% (from R${recipe.targetPrice?.toFixed(2)} target price)`
+                         : `${recipe.markupPercentage}%`
+                   }
+                 />
               </ListItem>
+              {recipe.shelfLifeDays > 0 && (
+                <ListItem>
+                  <ListItemText primary="Shelf Life" secondary={`${recipe.shelfLifeDays} day(s)`} />
+                </ListItem>
+              )}
             </List>
 
              <Typography variant="h6" gutterBottom sx={{ mt: 3 }}>Ingredients</Typography>
-             <List dense>
-                {recipe.ingredients.map((item, index) => (
-                    <ListItem key={index}>
-                        <ListItemText
-                         primary={item.ingredient?.ingredientName || 'Unknown Ingredient'}
-                         secondary={`${item.quantity} ${item.unit}`}
-                         />
-                    </ListItem>
-                ))}
-             </List>
+             {breakdown ? (
+                <IngredientBreakdownTable lines={breakdown.lines} />
+             ) : (
+               <List dense>
+                  {recipe.ingredients.map((item, index) => (
+                      <ListItem key={index}>
+                          <ListItemText
+                           primary={
+                             item.itemType === 'recipe'
+                               ? `${item.subRecipe?.pieName || 'Unknown Sub-recipe'} (sub-recipe)`
+                               : item.ingredient?.ingredientName || 'Unknown Ingredient'
+                           }
+                           secondary={`${item.quantity} ${item.unit}`}
+                           />
+                      </ListItem>
+                  ))}
+               </List>
+             )}
+
+            {/* Rolled up from the ingredients, including those inside sub-recipes */}
+            <Typography variant="h6" gutterBottom sx={{ mt: 3 }}>Allergens</Typography>
+            {recipe.allergens ? (
+              <List dense>
+                <ListItem>
+                  <ListItemText primary="Contains" secondary={formatAllergens(recipe.allergens.contains) || 'None declared'} />
+                </ListItem>
+                <ListItem>
+                  <ListItemText primary="May Contain" secondary={formatAllergens(recipe.allergens.mayContain) || 'None declared'} />
+                </ListItem>
+              </List>
+            ) : (
+              <Typography variant="body2" color="text.secondary">
+                Not worked out yet; allergens are filled in the next time this recipe is saved or recalculated.
+              </Typography>
+            )}
+
+            {nutrition && (
+              <>
+                <Typography variant="h6" gutterBottom sx={{ mt: 3 }}>Nutrition Information</Typography>
+                <Table size="small" sx={{ maxWidth: 480 }}>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell />
+                      <TableCell align="right">Per 100 g</TableCell>
+                      <TableCell align="right">Per pie ({nutrition.pieWeight} g)</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {nutrition.nutrients.map(({ key, label, unit }) => (
+                      <TableRow key={key}>
+                        <TableCell>{label} ({unit})</TableCell>
+                        <TableCell align="right">{nutrition.per100g ? nutrition.per100g[key] : '-'}</TableCell>
+                        <TableCell align="right">{nutrition.perPie[key]}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+                <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+                  {nutrition.bakedWeightSource === 'yield'
+                    ? 'Per 100 g of baked product, from the batch yield weight less baking loss.'
+                    : 'Per 100 g of baked product, estimated from the ingredient weights (set a batch yield weight for accurate figures).'}
+                </Typography>
+                {nutrition.missingNutrition.length > 0 && (
+                  <Alert severity="warning" sx={{ mt: 1 }}>
+                    Incomplete: no nutrient values for {nutrition.missingNutrition.join(', ')}.
+                  </Alert>
+                )}
+                {nutrition.missingWeight.length > 0 && (
+                  <Alert severity="warning" sx={{ mt: 1 }}>
+                    Left out: the weight of {nutrition.missingWeight.join(', ')} is unknown (set a weight per unit or density).
+                  </Alert>
+                )}
+              </>
+            )}
 
             <Typography variant="h6" gutterBottom sx={{ mt: 3 }}>Labor Inputs</Typography>
              <List dense>
-                {recipe.laborInputs.map((item, index) => (
-                    <ListItem key={index}>
+                {recipe.laborInputs.map((item, index) => {
+                    // Breakdown labor lines follow the order of the inputs
+                    const laborLine = breakdown?.laborLines?.[index];
+                    const measure = typeof item.minutesPerPie === 'number'
+                      ? `${item.minutesPerPie} min per pie`
+                      : `${item.workers} worker(s) x ${item.hoursPerWorker} hours`;
+                    return (
+                      <ListItem key={index}>
                         <ListItemText
-                         primary={`${item.workers} worker(s)`}
-                         secondary={`${item.hoursPerWorker} hours per worker`}
+                         primary={`${item.laborStandard?.name || 'Unknown Labor Standard'}${item.workerRole ? ` (${item.workerRole.name})` : ''}`}
+                         secondary={laborLine
+                           ? `${measure} = ${laborLine.hours.toFixed(2)} hours at R${laborLine.hourlyRate.toFixed(2)} / hour = R${laborLine.cost.toFixed(2)} per batch`
+                           : measure}
                          />
-                    </ListItem>
-                ))}
+                      </ListItem>
+                    );
+                })}
              </List>
+             {breakdown?.laborByRole?.length > 0 && (
+               <Table size="small" sx={{ maxWidth: 480, mb: 2 }}>
+                 <TableHead>
+                   <TableRow>
+                     <TableCell>Labor by Role</TableCell>
+                     <TableCell align="right">Hours per batch</TableCell>
+                     <TableCell align="right">Cost per batch</TableCell>
+                     <TableCell align="right">Share</TableCell>
+                   </TableRow>
+                 </TableHead>
+                 <TableBody>
+                   {breakdown.laborByRole.map((group) => (
+                     <TableRow key={group.workerRole || 'none'}>
+                       <TableCell>{group.workerRole ? group.name : 'No role (standard rates)'}</TableCell>
+                       <TableCell align="right">{group.hours.toFixed(2)}</TableCell>
+                       <TableCell align="right">R{group.cost.toFixed(2)}</TableCell>
+                       <TableCell align="right">
+                         {breakdown.totalLaborCost > 0 ? `${((group.cost / breakdown.totalLaborCost) * 100).toFixed(1)}%` : '-'}
+                       </TableCell>
+                     </TableRow>
+                   ))}
+                 </TableBody>
+               </Table>
+             )}
+
+            {(recipe.packaging?.length > 0 || recipe.utilityInputs?.length > 0) && (
+              <>
+                <Typography variant="h6" gutterBottom sx={{ mt: 3 }}>Packaging & Utilities</Typography>
+                <List dense>
+                  {recipe.packaging.map((item, index) => (
+                    <ListItem key={`packaging-${index}`}>
+                      <ListItemText
+                        primary={item.overhead?.name || 'Unknown Packaging'}
+                        secondary={`${item.quantity} per pie`}
+                      />
+                    </ListItem>
+                  ))}
+                  {recipe.utilityInputs.map((input, index) => (
+                    <ListItem key={`utility-${index}`}>
+                      <ListItemText
+                        primary={input.overhead?.name || 'Unknown Utility'}
+                        secondary={`${input.minutes} minutes per batch`}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              </>
+            )}
 
              {recipe.notes && (
                 <>
@@ -162,21 +356,66 @@ const RecipeViewPage = () => {
              <Typography variant="h6" gutterBottom>Cost Breakdown</Typography>
              <List dense>
                 <ListItem>
-                    <ListItemText primary="Total Ingredient Cost" secondary={`R${recipe.calculatedCosts?.totalIngredientCost?.toFixed(2) ?? 'N/A'}`} />
+                    <ListItemText
+                      primary="Total Ingredient Cost"
+                      secondary={`R${recipe.calculatedCosts?.totalIngredientCost?.toFixed(2) ?? 'N/A'}${formatUnadjusted(recipe.calculatedCosts?.unadjustedIngredientCost, recipe.calculatedCosts?.totalIngredientCost)}`}
+                    />
                 </ListItem>
                  <ListItem>
                     <ListItemText primary="Total Labor Cost" secondary={`R${recipe.calculatedCosts?.totalLaborCost?.toFixed(2) ?? 'N/A'}`} />
                  </ListItem>
+                 {recipe.calculatedCosts?.totalPackagingCost > 0 && (
+                   <ListItem>
+                      <ListItemText primary="Total Packaging Cost" secondary={`R${recipe.calculatedCosts.totalPackagingCost.toFixed(2)}`} />
+                   </ListItem>
+                 )}
+                 {recipe.calculatedCosts?.totalUtilityCost > 0 && (
+                   <ListItem>
+                      <ListItemText primary="Total Utility Cost" secondary={`R${recipe.calculatedCosts.totalUtilityCost.toFixed(2)}`} />
+                   </ListItem>
+                 )}
+                 {recipe.calculatedCosts?.totalFixedOverheadCost > 0 && (
+                   <ListItem>
+                      <ListItemText primary="Fixed Overheads (Allocated)" secondary={`R${recipe.calculatedCosts.totalFixedOverheadCost.toFixed(2)}`} />
+                   </ListItem>
+                 )}
                  <ListItem>
-                    <ListItemText primary="Total Batch Cost" secondary={`R${recipe.calculatedCosts?.totalBatchCost?.toFixed(2) ?? 'N/A'}`} />
+                    <ListItemText
+                      primary="Total Batch Cost"
+                      secondary={`R${recipe.calculatedCosts?.totalBatchCost?.toFixed(2) ?? 'N/A'}${formatUnadjusted(recipe.calculatedCosts?.unadjustedBatchCost, recipe.calculatedCosts?.totalBatchCost)}`}
+                    />
                  </ListItem>
+                 {recipe.calculatedCosts?.usableBatchSize > 0 && recipe.calculatedCosts.usableBatchSize !== recipe.batchSize && (
+                   <ListItem>
+                      <ListItemText primary="Usable Batch Size" secondary={`${recipe.calculatedCosts.usableBatchSize} of ${recipe.batchSize} units`} />
+                   </ListItem>
+                 )}
                  <Divider sx={{ my: 1 }} />
                  <ListItem>
-                    <ListItemText primary="Cost Per Pie" secondaryTypographyProps={{ variant: 'h6', color: 'text.primary' }} primaryTypographyProps={{ variant: 'body1'}} secondary={`R${recipe.calculatedCosts?.costPerPie?.toFixed(2) ?? 'N/A'}`} />
+                    <ListItemText primary="Cost Per Pie" secondaryTypographyProps={{ variant: 'h6', color: 'text.primary' }} primaryTypographyProps={{ variant: 'body1'}} secondary={`R${recipe.calculatedCosts?.costPerPie?.toFixed(2) ?? 'N/A'}${formatUnadjusted(recipe.calculatedCosts?.unadjustedCostPerPie, recipe.calculatedCosts?.costPerPie)}`} />
                  </ListItem>
                  <ListItem>
-                    <ListItemText primary="Selling Price (with Markup)" secondaryTypographyProps={{ variant: 'h5', color: 'primary' }} primaryTypographyProps={{ variant: 'body1'}} secondary={`R${recipe.sellingPrice?.toFixed(2) ?? 'N/A'}`} />
+                    <ListItemText primary="Selling Price (with Markup, excl. VAT)" secondaryTypographyProps={{ variant: 'h6', color: 'text.primary' }} primaryTypographyProps={{ variant: 'body1'}} secondary={`R${recipe.sellingPrice?.toFixed(2) ?? 'N/A'}`} />
                  </ListItem>
+                 {recipe.pricing && (
+                   <ListItem>
+                      <ListItemText
+                        primary={`Published Price (${recipe.pricing.includesVat ? `incl. ${recipe.pricing.vatRate}% VAT` : 'excl. VAT'})`}
+                        secondaryTypographyProps={{ variant: 'h5', color: 'primary' }}
+                        primaryTypographyProps={{ variant: 'body1'}}
+                        secondary={`R${recipe.pricing.publishedPrice.toFixed(2)}${recipe.pricing.publishedPrice !== recipe.pricing.computedPrice ? ` (rounded from R${recipe.pricing.computedPrice.toFixed(2)})` : ''}`}
+                      />
+                   </ListItem>
+                 )}
+                 {recipe.pricing && (
+                   <ListItem>
+                      <ListItemText
+                        primary="Gross Margin"
+                        secondary={`${recipe.pricing.marginPercentage}%${recipe.pricing.belowMinimumMargin ? ' (below the minimum margin)' : ''}`}
+                        secondaryTypographyProps={{ color: recipe.pricing.belowMinimumMargin ? 'error' : 'text.secondary' }}
+                      />
+                   </ListItem>
+                 )}
              </List>
 
              {/* Chart Implementation */}
@@ -202,9 +441,23 @@ const RecipeViewPage = () => {
                       </PieChart>
                   </ResponsiveContainer>
              </Box>
+
+             <DatedCostPanel recipeId={id} />
           </Grid>
         </Grid>
+
+        <Divider sx={{ my: 3 }} />
+        <RecipeScalePanel recipe={recipe} lines={breakdown?.lines || []} />
+
+        <Divider sx={{ my: 3 }} />
+        <Typography variant="h6" gutterBottom>Version History</Typography>
+        <RecipeRevisionHistory
+          recipeId={id}
+          canRestore={isAdmin || isManager}
+          onRestored={() => setReloadKey((key) => key + 1)}
+        />
       </Paper>
+      <LabelPrintDialog recipeId={id} open={labelDialogOpen} onClose={() => setLabelDialogOpen(false)} />
     </Container>
   );
 };
@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../services/api';
+import {
+  Container,
+  Typography,
+  Box,
+  Grid,
+  CircularProgress,
+  Alert,
+  Paper,
+  Button,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  FormControlLabel,
+  FormHelperText,
+  InputLabel,
+  Switch,
+} from '@mui/material';
+import RecipeImpactAlert from '../components/RecipeImpactAlert';
+
+// Rounding rules offered for published prices (see backend priceRoundingService)
+const ROUNDING_RULES = [
+  { value: 'none', label: 'No rounding (to the cent)', example: 'R23.47 → R23.47' },
+  { value: 'nearest_0.50', label: 'Nearest 50c', example: 'R23.74 → R23.50, R23.75 → R24.00' },
+  { value: 'end_0.90', label: 'Up to a price ending in .90', example: 'R23.47 → R23.90' },
+  { value: 'round_up', label: 'Always round up to the next rand', example: 'R23.01 → R24.00' },
+];
+
+// Labor rate rules, applied when a production run or scenario is costed for a date
+const LABOR_RATE_FIELDS = [
+  { name: 'saturdayRateMultiplier', label: 'Saturday Rate (x hourly rate)', min: 1 },
+  { name: 'sundayRateMultiplier', label: 'Sunday Rate (x hourly rate)', min: 1 },
+  { name: 'publicHolidayRateMultiplier', label: 'Public Holiday Rate (x hourly rate)', min: 1 },
+  { name: 'overtimeRateMultiplier', label: 'Overtime Rate (x hourly rate)', min: 1 },
+  { name: 'overtimeAfterHours', label: 'Overtime After (hours per worker per day)', min: 0, helperText: '0 = no overtime rule' },
+];
+
+const SettingsPage = () => {
+  const [vatRate, setVatRate] = useState('');
+  const [pricesIncludeVat, setPricesIncludeVat] = useState(true);
+  const [roundingRule, setRoundingRule] = useState('none');
+  const [minimumMarginPercentage, setMinimumMarginPercentage] = useState('');
+  const [defaultShelfLifeDays, setDefaultShelfLifeDays] = useState('');
+  const [laborRates, setLaborRates] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [recipeImpact, setRecipeImpact] = useState(null); // Recipes repriced by the last save
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await apiClient.get('/settings');
+        if (response.data.success) {
+          const settings = response.data.data;
+          setVatRate(settings.vatRate.toString());
+          setPricesIncludeVat(settings.pricesIncludeVat);
+          setRoundingRule(settings.roundingRule);
+          setMinimumMarginPercentage(settings.minimumMarginPercentage.toString());
+          setDefaultShelfLifeDays(settings.defaultShelfLifeDays?.toString() ?? '');
+          setLaborRates(Object.fromEntries(
+            LABOR_RATE_FIELDS.map(({ name }) => [name, settings[name]?.toString() ?? ''])
+          ));
+        } else {
+          setError('Failed to fetch settings.');
+        }
+      } catch (err) {
+        console.error("Fetch settings error:", err);
+        setError(err.response?.data?.message || 'An error occurred while fetching settings.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSettings();
+  }, []);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setError('');
+    setSuccess('');
+    try {
+      const response = await apiClient.put('/settings', {
+        vatRate: parseFloat(vatRate) || 0,
+        pricesIncludeVat,
+        roundingRule,
+        minimumMarginPercentage: parseFloat(minimumMarginPercentage) || 0,
+        defaultShelfLifeDays: defaultShelfLifeDays ? parseInt(defaultShelfLifeDays, 10) : null,
+        // Blank fields keep their saved value
+        ...Object.fromEntries(
+          LABOR_RATE_FIELDS
+            .filter(({ name }) => laborRates[name] !== '')
+            .map(({ name }) => [name, parseFloat(laborRates[name])])
+        ),
+      });
+      if (response.data.success) {
+        setSuccess('Pricing settings saved.');
+        setRecipeImpact(response.data.recipeImpact || null);
+      }
+    } catch (err) {
+      console.error("Save settings error:", err);
+      setError(err.response?.data?.message || 'An error occurred while saving the settings.');
+    }
+    setSaving(false);
+  };
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', mt: 5 }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  const selectedRule = ROUNDING_RULES.find((rule) => rule.value === roundingRule);
+
+  return (
+    <Container maxWidth="md" sx={{ mt: 3 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Pricing Settings
+      </Typography>
+
+      <RecipeImpactAlert impact={recipeImpact} onClose={() => setRecipeImpact(null)} />
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Paper sx={{ p: 3 }}>
+        <Box component="form" onSubmit={handleSubmit} noValidate>
+          <Grid container spacing={2}>
+            <Grid item xs={12}>
+              <Typography variant="h6" gutterBottom>VAT</Typography>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="VAT Rate (%)"
+                type="number"
+                value={vatRate}
+                onChange={(e) => setVatRate(e.target.value)}
+                disabled={saving}
+                inputProps={{ min: 0, max: 100, step: "any" }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} sx={{ display: 'flex', alignItems: 'center' }}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={pricesIncludeVat}
+                    onChange={(e) => setPricesIncludeVat(e.target.checked)}
+                    disabled={saving}
+                  />
+                }
+                label="Published prices include VAT"
+              />
+            </Grid>
+
+            <Grid item xs={12}>
+              <Typography variant="h6" gutterBottom sx={{ mt: 2 }}>Price Rounding</Typography>
+            </Grid>
+            <Grid item xs={12}>
+              <FormControl fullWidth disabled={saving}>
+                <InputLabel id="rounding-rule-label">Rounding Rule</InputLabel>
+                <Select
+                  labelId="rounding-rule-label"
+                  label="Rounding Rule"
+                  value={roundingRule}
+                  onChange={(e) => setRoundingRule(e.target.value)}
+                >
+                  {ROUNDING_RULES.map((rule) => (
+                    <MenuItem key={rule.value} value={rule.value}>{rule.label}</MenuItem>
+                  ))}
+                </Select>
+                <FormHelperText>
+                  {selectedRule?.example}. Applied {pricesIncludeVat ? 'after VAT is added' : 'to the VAT-exclusive price'}.
+                </FormHelperText>
+              </FormControl>
+            </Grid>
+
+            <Grid item xs={12}>
+              <Typography variant="h6" gutterBottom sx={{ mt: 2 }}>Margins</Typography>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Minimum Gross Margin (%)"
+                type="number"
+                value={minimumMarginPercentage}
+                onChange={(e) => setMinimumMarginPercentage(e.target.value)}
+                disabled={saving}
+                inputProps={{ min: 0, max: 99, step: "any" }}
+                helperText="Recipes earning less are flagged on the Dashboard (0 = no minimum)"
+              />
+            </Grid>
+
+            <Grid item xs={12}>
+              <Typography variant="h6" gutterBottom sx={{ mt: 2 }}>Labels</Typography>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Default Shelf Life (days)"
+                type="number"
+                value={defaultShelfLifeDays}
+                onChange={(e) => setDefaultShelfLifeDays(e.target.value)}
+                disabled={saving}
+                inputProps={{ min: 1, step: 1 }}
+                helperText="Best-before date on labels, counted from the packing date, for recipes without their own shelf life"
+              />
+            </Grid>
+
+            <Grid item xs={12}>
+              <Typography variant="h6" gutterBottom sx={{ mt: 2 }}>Labor Rates</Typography>
+              <Typography variant="body2" color="text.secondary">
+                Used when costing a production run or a recipe for a particular day: hours on weekends and
+                public holidays (see the Holidays page) and each worker&apos;s hours beyond the daily threshold
+                are paid at these multiples of the hourly rate. Where two apply, the higher one is used.
+              </Typography>
+            </Grid>
+            {LABOR_RATE_FIELDS.map((field) => (
+              <Grid item xs={12} sm={6} key={field.name}>
+                <TextField
+                  fullWidth
+                  label={field.label}
+                  type="number"
+                  value={laborRates[field.name] ?? ''}
+                  onChange={(e) => setLaborRates((prev) => ({ ...prev, [field.name]: e.target.value }))}
+                  disabled={saving}
+                  inputProps={{ min: field.min, step: "any" }}
+                  helperText={field.helperText}
+                />
+              </Grid>
+            ))}
+
+            <Grid item xs={12}>
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 2 }}>
+                <Button type="submit" variant="contained" disabled={saving}>
+                  {saving ? <CircularProgress size={24} /> : 'Save Settings'}
+                </Button>
+              </Box>
+            </Grid>
+          </Grid>
+        </Box>
+      </Paper>
+    </Container>
+  );
+};
+
+export default SettingsPage;
@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import apiClient from '../services/api';
+import {
+  Container,
+  Typography,
+  Box,
+  CircularProgress,
+  Alert,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  IconButton,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Grid,
+} from '@mui/material';
+import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+const emptySupplier = {
+  _id: null,
+  name: '',
+  aliases: '',
+  contactName: '',
+  email: '',
+  phone: '',
+  address: '',
+  leadTimeDays: '',
+  minimumOrderValue: '',
+  paymentTerms: '',
+  notes: '',
+};
+
+// Text fields sent as entered (blank clears them)
+const TEXT_FIELDS = ['contactName', 'email', 'phone', 'address', 'paymentTerms', 'notes'];
+
+const SupplierManagementPage = () => {
+  const navigate = useNavigate();
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Dialog state
+  const [openDialog, setOpenDialog] = useState(false);
+  const [currentSupplier, setCurrentSupplier] = useState(emptySupplier);
+  const [dialogError, setDialogError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const isEditMode = Boolean(currentSupplier._id);
+
+  const fetchSuppliers = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiClient.get('/suppliers');
+      if (response.data.success) {
+        setSuppliers(response.data.data);
+      } else {
+        setError('Failed to fetch suppliers.');
+      }
+    } catch (err) {
+      console.error("Fetch suppliers error:", err);
+      setError(err.response?.data?.message || 'An error occurred while fetching suppliers.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSuppliers();
+  }, []);
+
+  const handleOpenDialog = (supplier = null) => {
+    setDialogError('');
+    setCurrentSupplier(
+      supplier
+        ? {
+            ...emptySupplier,
+            ...Object.fromEntries(TEXT_FIELDS.map((field) => [field, supplier[field] || ''])),
+            _id: supplier._id,
+            name: supplier.name,
+            aliases: (supplier.aliases || []).join(', '),
+            leadTimeDays: supplier.leadTimeDays?.toString() ?? '',
+            minimumOrderValue: supplier.minimumOrderValue?.toString() ?? '',
+          }
+        : emptySupplier
+    );
+    setOpenDialog(true);
+  };
+
+  const handleCloseDialog = () => {
+    setOpenDialog(false);
+  };
+
+  const handleDialogInputChange = (event) => {
+    const { name, value } = event.target;
+    setCurrentSupplier((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleDialogSubmit = async () => {
+    if (!currentSupplier.name.trim()) {
+      setDialogError('Please fill in the supplier name.');
+      return;
+    }
+
+    const payload = {
+      name: currentSupplier.name,
+      ...Object.fromEntries(TEXT_FIELDS.map((field) => [field, currentSupplier[field]])),
+      // Other spellings, comma separated
+      aliases: currentSupplier.aliases.split(',').map((alias) => alias.trim()).filter(Boolean),
+      leadTimeDays: currentSupplier.leadTimeDays === '' ? null : parseInt(currentSupplier.leadTimeDays, 10),
+      minimumOrderValue: currentSupplier.minimumOrderValue === '' ? null : parseFloat(currentSupplier.minimumOrderValue),
+    };
+
+    setSaving(true);
+    setDialogError('');
+    try {
+      const response = isEditMode
+        ? await apiClient.put(`/suppliers/${currentSupplier._id}`, payload)
+        : await apiClient.post('/suppliers', payload);
+      if (response.data.success) {
+        setOpenDialog(false);
+        await fetchSuppliers();
+      }
+    } catch (err) {
+      console.error("Supplier submit error:", err);
+      setDialogError(err.response?.data?.message || 'An error occurred while saving the supplier.');
+    }
+    setSaving(false);
+  };
+
+  const handleDelete = async (supplier) => {
+    if (!window.confirm(`Are you sure you want to delete "${supplier.name}"?`)) return;
+    setError('');
+    try {
+      const response = await apiClient.delete(`/suppliers/${supplier._id}`);
+      if (response.data.success) {
+        await fetchSuppliers();
+      }
+    } catch (err) {
+      console.error("Delete supplier error:", err);
+      setError(err.response?.data?.message || 'An error occurred while deleting the supplier.');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', mt: 5 }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 3 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Suppliers
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+        <Button variant="contained" startIcon={<AddCircleOutlineIcon />} onClick={() => handleOpenDialog()}>
+          Add Supplier
+        </Button>
+      </Box>
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Contact</TableCell>
+              <TableCell align="right">Lead Time (days)</TableCell>
+              <TableCell align="right">Minimum Order (R)</TableCell>
+              <TableCell>Payment Terms</TableCell>
+              <TableCell align="right">Ingredients</TableCell>
+              <TableCell align="center">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {suppliers.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center">No suppliers found.</TableCell>
+              </TableRow>
+            ) : (
+              suppliers.map((supplier) => (
+                <TableRow hover key={supplier._id}>
+                  <TableCell>
+                    {supplier.name}
+                    {supplier.aliases?.length > 0 && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        Also: {supplier.aliases.join(', ')}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {[supplier.contactName, supplier.phone, supplier.email].filter(Boolean).join(' · ') || '-'}
+                  </TableCell>
+                  <TableCell align="right">{supplier.leadTimeDays ?? '-'}</TableCell>
+                  <TableCell align="right">{supplier.minimumOrderValue?.toFixed(2) ?? '-'}</TableCell>
+                  <TableCell>{supplier.paymentTerms || '-'}</TableCell>
+                  <TableCell align="right">
+                    {/* Opens the ingredient list filtered to this supplier */}
+                    <Button size="small" onClick={() => navigate(`/ingredients?supplier=${supplier._id}`)}>
+                      {supplier.ingredientCount}
+                    </Button>
+                  </TableCell>
+                  <TableCell align="center">
+                    <IconButton size="small" onClick={() => handleOpenDialog(supplier)} color="primary" title="Edit">
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" onClick={() => handleDelete(supplier)} color="error" title="Delete">
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Add/Edit Dialog */}
+      <Dialog open={openDialog} onClose={handleCloseDialog} fullWidth maxWidth="sm">
+        <DialogTitle>{isEditMode ? 'Edit Supplier' : 'Add Supplier'}</DialogTitle>
+        <DialogContent>
+          {dialogError && <Alert severity="error" sx={{ mb: 2 }}>{dialogError}</Alert>}
+          <TextField
+            autoFocus
+            margin="dense"
+            name="name"
+            label="Name"
+            fullWidth
+            value={currentSupplier.name}
+            onChange={handleDialogInputChange}
+            disabled={saving}
+          />
+          <TextField
+            margin="dense"
+            name="aliases"
+            label="Other Spellings (comma separated, optional)"
+            helperText="Imported ingredients with these supplier names are linked to this supplier."
+            fullWidth
+            value={currentSupplier.aliases}
+            onChange={handleDialogInputChange}
+            disabled={saving}
+          />
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={6}>
+              <TextField margin="dense" name="contactName" label="Contact Person" fullWidth value={currentSupplier.contactName} onChange={handleDialogInputChange} disabled={saving} />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField margin="dense" name="phone" label="Phone" fullWidth value={currentSupplier.phone} onChange={handleDialogInputChange} disabled={saving} />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField margin="dense" name="email" label="Email" type="email" fullWidth value={currentSupplier.email} onChange={handleDialogInputChange} disabled={saving} />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField margin="dense" name="address" label="Address" fullWidth multiline rows={2} value={currentSupplier.address} onChange={handleDialogInputChange} disabled={saving} />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                margin="dense"
+                name="leadTimeDays"
+                label="Lead Time (days)"
+                type="number"
+                fullWidth
+                value={currentSupplier.leadTimeDays}
+                onChange={handleDialogInputChange}
+                disabled={saving}
+                inputProps={{ min: 0, step: 1 }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                margin="dense"
+                name="minimumOrderValue"
+                label="Minimum Order (R)"
+                type="number"
+                fullWidth
+                value={currentSupplier.minimumOrderValue}
+                onChange={handleDialogInputChange}
+                disabled={saving}
+                inputProps={{ min: 0, step: "any" }}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField margin="dense" name="paymentTerms" label="Payment Terms" placeholder="e.g. COD, 30 days from statement" fullWidth value={currentSupplier.paymentTerms} onChange={handleDialogInputChange} disabled={saving} />
+            </Grid>
+          </Grid>
+          <TextField
+            margin="dense"
+            name="notes"
+            label="Notes (Optional)"
+            fullWidth
+            multiline
+            rows={2}
+            value={currentSupplier.notes}
+            onChange={handleDialogInputChange}
+            disabled={saving}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog} disabled={saving}>Cancel</Button>
+          <Button onClick={handleDialogSubmit} variant="contained" disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : (isEditMode ? 'Save Changes' : 'Add Supplier')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default SupplierManagementPage;
@@ -0,0 +1,269 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../services/api';
+import {
+  Container,
+  Typography,
+  Box,
+  CircularProgress,
+  Alert,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  IconButton,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+} from '@mui/material';
+import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import RecipeImpactAlert from '../components/RecipeImpactAlert';
+
+const emptyRole = { _id: null, name: '', hourlyRate: '', onCostPercentage: '0', description: '' };
+
+// What an hour of a worker costs the employer: the wage plus the on-cost percentage
+const loadedRate = (role) => role.hourlyRate * (1 + (role.onCostPercentage || 0) / 100);
+
+// Worker roles (baker, helper, packer...) with their wages and employer on-costs.
+// Labor inputs that name a role are costed at its loaded rate, so a change here
+// re-costs every pie using it.
+const WorkerRolesPage = () => {
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [recipeImpact, setRecipeImpact] = useState(null); // Recipes recalculated by the last change
+
+  // Dialog state
+  const [openDialog, setOpenDialog] = useState(false);
+  const [currentRole, setCurrentRole] = useState(emptyRole);
+  const [dialogError, setDialogError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const isEditMode = Boolean(currentRole._id);
+
+  const fetchRoles = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiClient.get('/worker-roles');
+      if (response.data.success) {
+        setRoles(response.data.data);
+      } else {
+        setError('Failed to fetch worker roles.');
+      }
+    } catch (err) {
+      console.error("Fetch worker roles error:", err);
+      setError(err.response?.data?.message || 'An error occurred while fetching worker roles.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const handleOpenDialog = (role = null) => {
+    setDialogError('');
+    setCurrentRole(
+      role
+        ? {
+            _id: role._id,
+            name: role.name,
+            hourlyRate: role.hourlyRate.toString(),
+            onCostPercentage: (role.onCostPercentage ?? 0).toString(),
+            description: role.description || '',
+          }
+        : emptyRole
+    );
+    setOpenDialog(true);
+  };
+
+  const handleCloseDialog = () => {
+    setOpenDialog(false);
+  };
+
+  const handleDialogInputChange = (event) => {
+    const { name, value } = event.target;
+    setCurrentRole((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleDialogSubmit = async () => {
+    if (!currentRole.name || currentRole.hourlyRate === '') {
+      setDialogError('Please fill in the name and hourly rate.');
+      return;
+    }
+
+    const payload = {
+      name: currentRole.name,
+      hourlyRate: parseFloat(currentRole.hourlyRate),
+      onCostPercentage: currentRole.onCostPercentage === '' ? 0 : parseFloat(currentRole.onCostPercentage),
+      description: currentRole.description,
+    };
+
+    setSaving(true);
+    setDialogError('');
+    try {
+      const response = isEditMode
+        ? await apiClient.put(`/worker-roles/${currentRole._id}`, payload)
+        : await apiClient.post('/worker-roles', payload);
+      if (response.data.success) {
+        setOpenDialog(false);
+        await fetchRoles();
+        setRecipeImpact(response.data.recipeImpact || null);
+      }
+    } catch (err) {
+      console.error("Worker role submit error:", err);
+      setDialogError(err.response?.data?.message || 'An error occurred while saving the worker role.');
+    }
+    setSaving(false);
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Are you sure you want to delete "${role.name}"?`)) return;
+    setError('');
+    try {
+      const response = await apiClient.delete(`/worker-roles/${role._id}`);
+      if (response.data.success) {
+        await fetchRoles();
+      }
+    } catch (err) {
+      console.error("Delete worker role error:", err);
+      setError(err.response?.data?.message || 'An error occurred while deleting the worker role.');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', mt: 5 }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 3 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Worker Roles
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Labor inputs that name a role are costed at its hourly rate plus the employer on-cost (UIF, SDL),
+        instead of the labor standard's rate. Changing either recalculates every recipe that uses the role.
+      </Typography>
+
+      <RecipeImpactAlert impact={recipeImpact} onClose={() => setRecipeImpact(null)} />
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+        <Button variant="contained" startIcon={<AddCircleOutlineIcon />} onClick={() => handleOpenDialog()}>
+          Add Worker Role
+        </Button>
+      </Box>
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell align="right">Hourly Rate (R)</TableCell>
+              <TableCell align="right">On-cost (%)</TableCell>
+              <TableCell align="right">Loaded Rate (R)</TableCell>
+              <TableCell>Description</TableCell>
+              <TableCell align="center">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {roles.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6} align="center">No worker roles found.</TableCell>
+              </TableRow>
+            ) : (
+              roles.map((role) => (
+                <TableRow hover key={role._id}>
+                  <TableCell>{role.name}</TableCell>
+                  <TableCell align="right">{role.hourlyRate.toFixed(2)} / hour</TableCell>
+                  <TableCell align="right">{(role.onCostPercentage ?? 0).toFixed(2)}</TableCell>
+                  <TableCell align="right">{loadedRate(role).toFixed(2)} / hour</TableCell>
+                  <TableCell>{role.description || '-'}</TableCell>
+                  <TableCell align="center">
+                    <IconButton size="small" onClick={() => handleOpenDialog(role)} color="primary" title="Edit">
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" onClick={() => handleDelete(role)} color="error" title="Delete">
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Add/Edit Dialog */}
+      <Dialog open={openDialog} onClose={handleCloseDialog} fullWidth maxWidth="sm">
+        <DialogTitle>{isEditMode ? 'Edit Worker Role' : 'Add Worker Role'}</DialogTitle>
+        <DialogContent>
+          {dialogError && <Alert severity="error" sx={{ mb: 2 }}>{dialogError}</Alert>}
+          <TextField
+            autoFocus
+            margin="dense"
+            name="name"
+            label="Name (e.g. Baker)"
+            fullWidth
+            value={currentRole.name}
+            onChange={handleDialogInputChange}
+            disabled={saving}
+          />
+          <TextField
+            margin="dense"
+            name="hourlyRate"
+            label="Hourly Rate (R)"
+            type="number"
+            fullWidth
+            value={currentRole.hourlyRate}
+            onChange={handleDialogInputChange}
+            disabled={saving}
+            inputProps={{ min: 0, step: "any" }}
+          />
+          <TextField
+            margin="dense"
+            name="onCostPercentage"
+            label="Employer On-cost (%, e.g. UIF + SDL)"
+            type="number"
+            fullWidth
+            value={currentRole.onCostPercentage}
+            onChange={handleDialogInputChange}
+            disabled={saving}
+            inputProps={{ min: 0, step: "any" }}
+          />
+          <TextField
+            margin="dense"
+            name="description"
+            label="Description (Optional)"
+            fullWidth
+            multiline
+            rows={2}
+            value={currentRole.description}
+            onChange={handleDialogInputChange}
+            disabled={saving}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog} disabled={saving}>Cancel</Button>
+          <Button onClick={handleDialogSubmit} variant="contained" disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : (isEditMode ? 'Save Changes' : 'Add Worker Role')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default WorkerRolesPage;
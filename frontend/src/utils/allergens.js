@@ -0,0 +1,23 @@
+// Allergens declared on labels, in the order they are listed (see allergenService)
+export const ALLERGEN_OPTIONS = [
+  { value: 'gluten', label: 'Gluten (wheat, rye, barley, oats)' },
+  { value: 'crustaceans', label: 'Crustaceans' },
+  { value: 'molluscs', label: 'Molluscs' },
+  { value: 'egg', label: 'Egg' },
+  { value: 'fish', label: 'Fish' },
+  { value: 'peanuts', label: 'Peanuts' },
+  { value: 'tree_nuts', label: 'Tree nuts' },
+  { value: 'soy', label: 'Soy' },
+  { value: 'dairy', label: 'Dairy (milk)' },
+  { value: 'celery', label: 'Celery' },
+  { value: 'mustard', label: 'Mustard' },
+  { value: 'sesame', label: 'Sesame' },
+  { value: 'sulphites', label: 'Sulphites' },
+  { value: 'lupin', label: 'Lupin' },
+];
+
+export const allergenLabel = (key) =>
+  ALLERGEN_OPTIONS.find((option) => option.value === key)?.label || key;
+
+// Comma-separated labels, e.g. for a table cell or a spreadsheet column
+export const formatAllergens = (keys) => (keys || []).map(allergenLabel).join(', ');
@@ -0,0 +1,73 @@
+// Product label sheets printed on A4 label stock
+import { escapeHtml } from './print';
+import { formatAllergens } from './allergens';
+
+// Common A4 label layouts (Avery L-series sizes, all in mm). Labels fill the
+// sheet left to right, top to bottom from the top-left margin.
+export const LABEL_LAYOUTS = [
+  { value: 'L7160', label: '21 per sheet (63.5 x 38.1 mm, L7160)', columns: 3, rows: 7, width: 63.5, height: 38.1, top: 15.1, left: 7.2, columnGap: 2.5, rowGap: 0 },
+  { value: 'L7163', label: '14 per sheet (99.1 x 38.1 mm, L7163)', columns: 2, rows: 7, width: 99.1, height: 38.1, top: 15.1, left: 4.7, columnGap: 2.5, rowGap: 0 },
+  { value: 'L7165', label: '8 per sheet (99.1 x 67.7 mm, L7165)', columns: 2, rows: 4, width: 99.1, height: 67.7, top: 13.1, left: 4.7, columnGap: 2.5, rowGap: 0 },
+  { value: 'L7167', label: '1 per sheet (199.6 x 289.1 mm, L7167)', columns: 1, rows: 1, width: 199.6, height: 289.1, top: 4.0, left: 5.2, columnGap: 0, rowGap: 0 },
+];
+
+export const labelsPerSheet = (layout) => layout.columns * layout.rows;
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('en-ZA', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+// One label; the text shrinks with the label height so small labels still fit
+const labelHtml = (label, { showPrice }) => `
+  <div class="label">
+    <div class="name">${escapeHtml(label.pieName)}${label.variant && label.variant !== 'Standard' ? ` (${escapeHtml(label.variant)})` : ''}</div>
+    <div><b>Ingredients:</b> ${escapeHtml(label.ingredientList)}</div>
+    ${label.allergens.contains.length > 0 ? `<div><b>Contains: ${escapeHtml(formatAllergens(label.allergens.contains))}</b></div>` : ''}
+    ${label.allergens.mayContain.length > 0 ? `<div>May contain: ${escapeHtml(formatAllergens(label.allergens.mayContain))}</div>` : ''}
+    <div class="footer">
+      <span>${label.bestBefore ? `<b>Best before:</b> ${formatDate(label.bestBefore)}` : ''}</span>
+      <span>${label.netWeight ? `${label.netWeight} g` : ''}</span>
+      <span class="price">${showPrice ? `R${label.price.toFixed(2)}` : ''}</span>
+    </div>
+  </div>`;
+
+/**
+ * Builds the printable label sheets for a recipe.
+ * @param {Object} label - Label contents from GET /recipes/:id/label.
+ * @param {Object} layout - One of LABEL_LAYOUTS.
+ * @param {Object} options
+ * @param {number} options.count - Number of labels to print.
+ * @param {number} [options.skip] - Labels already used at the start of the first sheet.
+ * @param {boolean} [options.showPrice]
+ * @returns {{bodyHtml: string, styles: string}} For printDocument.
+ */
+export const buildLabelSheets = (label, layout, { count, skip = 0, showPrice = true }) => {
+  const perSheet = labelsPerSheet(layout);
+  const cells = [
+    ...Array(skip).fill('<div></div>'),
+    ...Array(count).fill(labelHtml(label, { showPrice })),
+  ];
+  const sheets = [];
+  for (let start = 0; start < cells.length; start += perSheet) {
+    sheets.push(`<div class="sheet">${cells.slice(start, start + perSheet).join('')}</div>`);
+  }
+
+  const fontSize = Math.min(11, Math.max(6, layout.height / 5.5));
+  const styles = `
+    @page { size: A4; margin: 0; }
+    .sheet {
+      box-sizing: border-box; width: 210mm; height: 297mm; padding: ${layout.top}mm 0 0 ${layout.left}mm;
+      display: grid; grid-template-columns: repeat(${layout.columns}, ${layout.width}mm);
+      grid-auto-rows: ${layout.height}mm; column-gap: ${layout.columnGap}mm; row-gap: ${layout.rowGap}mm;
+      page-break-after: always; overflow: hidden;
+    }
+    .sheet:last-child { page-break-after: auto; }
+    .label {
+      box-sizing: border-box; padding: 2mm 3mm; overflow: hidden; font-size: ${fontSize.toFixed(1)}px; line-height: 1.2;
+      display: flex; flex-direction: column; gap: 0.5mm;
+    }
+    .label .name { font-size: 1.4em; font-weight: bold; }
+    .label .footer { margin-top: auto; display: flex; justify-content: space-between; gap: 2mm; }
+    .label .price { font-size: 1.3em; font-weight: bold; }
+  `;
+  return { bodyHtml: sheets.join(''), styles };
+};
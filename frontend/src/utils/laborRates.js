@@ -0,0 +1,16 @@
+// Kinds of day for labor rates (see backend laborRateService)
+export const DAY_TYPE_LABELS = {
+  weekday: 'Weekday',
+  saturday: 'Saturday',
+  sunday: 'Sunday',
+  public_holiday: 'Public holiday',
+};
+
+// Describes the labor rates a dated costing used, e.g. "Public holiday (Freedom Day), 1.5 h overtime"
+export const describeLaborRates = (laborRates) => {
+  if (!laborRates) return '';
+  const day = DAY_TYPE_LABELS[laborRates.dayType] || laborRates.dayType;
+  const parts = [laborRates.holidayName ? `${day} (${laborRates.holidayName})` : day];
+  if (laborRates.overtimeHours > 0) parts.push(`${Number(laborRates.overtimeHours.toFixed(2))} h overtime`);
+  return parts.join(', ');
+};
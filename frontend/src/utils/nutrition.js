@@ -0,0 +1,10 @@
+// Nutrients on the nutrition panel, held per 100 g on each ingredient (see nutritionService)
+export const NUTRIENT_FIELDS = [
+  { key: 'energyKj', label: 'Energy', unit: 'kJ' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'fat', label: 'Total fat', unit: 'g' },
+  { key: 'saturatedFat', label: 'Saturated fat', unit: 'g' },
+  { key: 'carbohydrate', label: 'Carbohydrate', unit: 'g' },
+  { key: 'sugar', label: 'Total sugar', unit: 'g' },
+  { key: 'sodium', label: 'Sodium', unit: 'mg' },
+];
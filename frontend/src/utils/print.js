@@ -0,0 +1,44 @@
+// Printable documents (purchase orders, labels, production sheets). The document
+// opens in a new window with the browser's print dialog, where it can be printed
+// or saved as a PDF.
+
+// Escapes text for use inside printed HTML
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const BASE_STYLES = `
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #000; margin: 0; }
+  h1 { font-size: 20px; margin: 0 0 8px; }
+  h2 { font-size: 14px; margin: 16px 0 6px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+  .right { text-align: right; }
+  .muted { color: #555; }
+  @page { size: A4; margin: 15mm; }
+`;
+
+/**
+ * Opens a document in a new window and starts printing it.
+ * @param {string} title - Window title, used as the default PDF file name.
+ * @param {string} bodyHtml - Document body; escape any user text with escapeHtml.
+ * @param {string} [styles] - Extra CSS for the document.
+ * @returns {boolean} False when the browser blocked the window.
+ */
+export const printDocument = (title, bodyHtml, styles = '') => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+  printWindow.document.write(
+    `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>` +
+      `<style>${BASE_STYLES}${styles}</style></head><body>${bodyHtml}</body></html>`
+  );
+  printWindow.document.close();
+  printWindow.focus();
+  // Give the new document a moment to lay out before the print dialog opens
+  setTimeout(() => printWindow.print(), 250);
+  return true;
+};
@@ -0,0 +1,69 @@
+// Production sheets: a recipe scaled to the pies to bake, for the bakery floor
+import { escapeHtml } from './print';
+
+// Describes what the recipe was scaled to (e.g. "37 pies", "12 kg of Beef Mince")
+export const describeScaleTarget = (target) =>
+  target.pies !== undefined
+    ? `${target.pies} pies`
+    : `${target.quantity} ${target.unit} of ${target.name}`;
+
+/**
+ * Builds the printable production sheet of a scaled recipe.
+ * @param {Object} scaled - Scaled recipe from GET /recipes/:id/scale.
+ * @param {Object} [options]
+ * @param {string} [options.notes] - The recipe's method notes.
+ * @returns {{bodyHtml: string, styles: string}} For printDocument.
+ */
+export const buildProductionSheet = (scaled, { notes } = {}) => {
+  const lineRows = scaled.lines
+    .map(
+      (line) => `
+        <tr>
+          <td>${escapeHtml(line.name)}${line.itemType === 'recipe' ? ' <span class="muted">(sub-recipe)</span>' : ''}</td>
+          <td class="right">${line.quantity} ${escapeHtml(line.unit)}</td>
+          <td class="check"></td>
+        </tr>`
+    )
+    .join('');
+  const ingredientRows = scaled.ingredients
+    .map(
+      (line) => `
+        <tr>
+          <td>${escapeHtml(line.ingredientName)}</td>
+          <td class="right">${line.quantity} ${escapeHtml(line.unit)}</td>
+          <td class="check"></td>
+        </tr>`
+    )
+    .join('');
+
+  const bodyHtml = `
+    <h1>Production Sheet: ${escapeHtml(scaled.pieName)} (${escapeHtml(scaled.variant)})</h1>
+    <table class="summary">
+      <tr><th>Scaled to</th><td>${escapeHtml(describeScaleTarget(scaled.target))}</td>
+        <th>Date</th><td>${new Date().toLocaleDateString('en-ZA')}</td></tr>
+      <tr><th>Batches</th><td>${scaled.batches} x ${scaled.batchSize} pies</td>
+        <th>Pies to bake</th><td>${Number(scaled.piesToBake.toFixed(1))}</td></tr>
+      <tr><th>Good pies expected</th><td>${Number(scaled.expectedPies.toFixed(1))}</td>
+        <th>Labor</th><td>${Number(scaled.standardLaborHours.toFixed(2))} worker-hours</td></tr>
+      <tr><th>Baked by</th><td></td><th>Good pies counted</th><td></td></tr>
+    </table>
+    <h2>Recipe</h2>
+    <table>
+      <thead><tr><th>Ingredient</th><th class="right">Quantity</th><th class="check">Done</th></tr></thead>
+      <tbody>${lineRows}</tbody>
+    </table>
+    <h2>Ingredients to Get Out (as bought, sub-recipes included)</h2>
+    <table>
+      <thead><tr><th>Ingredient</th><th class="right">Quantity</th><th class="check">Issued</th></tr></thead>
+      <tbody>${ingredientRows}</tbody>
+    </table>
+    ${notes ? `<h2>Notes</h2><p class="notes">${escapeHtml(notes)}</p>` : ''}
+    <p class="muted">Cost at today's prices: R${scaled.costs.totalCost.toFixed(2)} (R${scaled.costs.costPerPie.toFixed(2)} per pie)</p>
+  `;
+  const styles = `
+    .summary th { width: 18%; }
+    .check { width: 60px; }
+    .notes { white-space: pre-wrap; }
+  `;
+  return { bodyHtml, styles };
+};
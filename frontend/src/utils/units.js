@@ -0,0 +1,47 @@
+// Units understood by the backend conversion engine (see unitConversionService)
+
+// Units an ingredient can be priced in
+export const INGREDIENT_UNIT_OPTIONS = [
+  { value: 'kg', label: 'kg (Kilogram)' },
+  { value: 'g', label: 'g (Gram)' },
+  { value: 'L', label: 'L (Liter)' },
+  { value: 'ml', label: 'ml (Milliliter)' },
+  { value: 'unit', label: 'unit (Unit/Each)' },
+];
+
+// Units a recipe line can be measured in
+export const RECIPE_UNIT_OPTIONS = [
+  { value: 'kg', label: 'kg', dimension: 'mass' },
+  { value: 'g', label: 'g', dimension: 'mass' },
+  { value: 'mg', label: 'mg', dimension: 'mass' },
+  { value: 'lb', label: 'lb', dimension: 'mass' },
+  { value: 'oz', label: 'oz', dimension: 'mass' },
+  { value: 'L', label: 'L', dimension: 'volume' },
+  { value: 'ml', label: 'ml', dimension: 'volume' },
+  { value: 'tsp', label: 'tsp', dimension: 'volume' },
+  { value: 'tbsp', label: 'tbsp', dimension: 'volume' },
+  { value: 'cup', label: 'cup', dimension: 'volume' },
+  { value: 'unit', label: 'unit (each)', dimension: 'count' },
+  { value: 'dozen', label: 'dozen', dimension: 'count' },
+];
+
+const dimensionOf = (unit) =>
+  RECIPE_UNIT_OPTIONS.find((option) => option.value === unit)?.dimension;
+
+// Returns the recipe units that can be converted to the ingredient's priced unit,
+// taking its density (kg/L) and weight per unit (kg) into account
+export const getCompatibleUnits = (ingredient) => {
+  if (!ingredient) return RECIPE_UNIT_OPTIONS;
+  const baseDimension = dimensionOf(ingredient.unit);
+  const bridges = new Set([baseDimension]);
+  // Every cross-dimension conversion goes through weight
+  const reachesMass = baseDimension === 'mass'
+    || (baseDimension === 'volume' && ingredient.density > 0)
+    || (baseDimension === 'count' && ingredient.eachWeight > 0);
+  if (reachesMass) {
+    bridges.add('mass');
+    if (ingredient.density > 0) bridges.add('volume');
+    if (ingredient.eachWeight > 0) bridges.add('count');
+  }
+  return RECIPE_UNIT_OPTIONS.filter((option) => bridges.has(option.dimension));
+};